@@ -186,6 +186,9 @@ export namespace google {
                 /** LookupRequest projectId */
                 projectId?: (string|null);
 
+                /** LookupRequest databaseId */
+                databaseId?: (string|null);
+
                 /** LookupRequest readOptions */
                 readOptions?: (google.datastore.v1.IReadOptions|null);
 
@@ -205,6 +208,9 @@ export namespace google {
                 /** LookupRequest projectId. */
                 public projectId: string;
 
+                /** LookupRequest databaseId. */
+                public databaseId: string;
+
                 /** LookupRequest readOptions. */
                 public readOptions?: (google.datastore.v1.IReadOptions|null);
 
@@ -390,6 +396,9 @@ export namespace google {
                 /** RunQueryRequest projectId */
                 projectId?: (string|null);
 
+                /** RunQueryRequest databaseId */
+                databaseId?: (string|null);
+
                 /** RunQueryRequest partitionId */
                 partitionId?: (google.datastore.v1.IPartitionId|null);
 
@@ -415,6 +424,9 @@ export namespace google {
                 /** RunQueryRequest projectId. */
                 public projectId: string;
 
+                /** RunQueryRequest databaseId. */
+                public databaseId: string;
+
                 /** RunQueryRequest partitionId. */
                 public partitionId?: (google.datastore.v1.IPartitionId|null);
 
@@ -603,6 +615,9 @@ export namespace google {
                 /** BeginTransactionRequest projectId */
                 projectId?: (string|null);
 
+                /** BeginTransactionRequest databaseId */
+                databaseId?: (string|null);
+
                 /** BeginTransactionRequest transactionOptions */
                 transactionOptions?: (google.datastore.v1.ITransactionOptions|null);
             }
@@ -619,6 +634,9 @@ export namespace google {
                 /** BeginTransactionRequest projectId. */
                 public projectId: string;
 
+                /** BeginTransactionRequest databaseId. */
+                public databaseId: string;
+
                 /** BeginTransactionRequest transactionOptions. */
                 public transactionOptions?: (google.datastore.v1.ITransactionOptions|null);
 
@@ -789,6 +807,9 @@ export namespace google {
                 /** RollbackRequest projectId */
                 projectId?: (string|null);
 
+                /** RollbackRequest databaseId */
+                databaseId?: (string|null);
+
                 /** RollbackRequest transaction */
                 transaction?: (Uint8Array|null);
             }
@@ -805,6 +826,9 @@ export namespace google {
                 /** RollbackRequest projectId. */
                 public projectId: string;
 
+                /** RollbackRequest databaseId. */
+                public databaseId: string;
+
                 /** RollbackRequest transaction. */
                 public transaction: Uint8Array;
 
@@ -969,6 +993,9 @@ export namespace google {
                 /** CommitRequest projectId */
                 projectId?: (string|null);
 
+                /** CommitRequest databaseId */
+                databaseId?: (string|null);
+
                 /** CommitRequest mode */
                 mode?: (google.datastore.v1.CommitRequest.Mode|null);
 
@@ -991,6 +1018,9 @@ export namespace google {
                 /** CommitRequest projectId. */
                 public projectId: string;
 
+                /** CommitRequest databaseId. */
+                public databaseId: string;
+
                 /** CommitRequest mode. */
                 public mode: google.datastore.v1.CommitRequest.Mode;
 
@@ -1186,6 +1216,9 @@ export namespace google {
                 /** AllocateIdsRequest projectId */
                 projectId?: (string|null);
 
+                /** AllocateIdsRequest databaseId */
+                databaseId?: (string|null);
+
                 /** AllocateIdsRequest keys */
                 keys?: (google.datastore.v1.IKey[]|null);
             }
@@ -1202,6 +1235,9 @@ export namespace google {
                 /** AllocateIdsRequest projectId. */
                 public projectId: string;
 
+                /** AllocateIdsRequest databaseId. */
+                public databaseId: string;
+
                 /** AllocateIdsRequest keys. */
                 public keys: google.datastore.v1.IKey[];
 
@@ -2167,6 +2203,9 @@ export namespace google {
 
                 /** PartitionId namespaceId */
                 namespaceId?: (string|null);
+
+                /** PartitionId databaseId */
+                databaseId?: (string|null);
             }
 
             /** Represents a PartitionId. */
@@ -2184,6 +2223,9 @@ export namespace google {
                 /** PartitionId namespaceId. */
                 public namespaceId: string;
 
+                /** PartitionId databaseId. */
+                public databaseId: string;
+
                 /**
                  * Creates a new PartitionId instance using the specified properties.
                  * @param [properties] Properties to set
@@ -3637,7 +3679,8 @@ export namespace google {
                 /** Operator enum. */
                 enum Operator {
                     OPERATOR_UNSPECIFIED = 0,
-                    AND = 1
+                    AND = 1,
+                    OR = 2
                 }
             }
 
@@ -3753,7 +3796,10 @@ export namespace google {
                     GREATER_THAN = 3,
                     GREATER_THAN_OR_EQUAL = 4,
                     EQUAL = 5,
-                    HAS_ANCESTOR = 11
+                    IN = 6,
+                    NOT_EQUAL = 9,
+                    HAS_ANCESTOR = 11,
+                    NOT_IN = 13
                 }
             }
 
@@ -16,6 +16,9 @@ export namespace google {
 
                 /** PartitionId namespaceId */
                 namespaceId?: (string|null);
+
+                /** PartitionId databaseId */
+                databaseId?: (string|null);
             }
 
             /** Represents a PartitionId. */
@@ -33,6 +36,9 @@ export namespace google {
                 /** PartitionId namespaceId. */
                 public namespaceId: string;
 
+                /** PartitionId databaseId. */
+                public databaseId: string;
+
                 /**
                  * Creates a new PartitionId instance using the specified properties.
                  * @param [properties] Properties to set
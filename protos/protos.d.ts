@@ -200,6 +200,9 @@ export namespace google {
                 /** LookupRequest projectId */
                 projectId?: (string|null);
 
+                /** LookupRequest databaseId */
+                databaseId?: (string|null);
+
                 /** LookupRequest readOptions */
                 readOptions?: (google.datastore.v1.IReadOptions|null);
 
@@ -219,6 +222,9 @@ export namespace google {
                 /** LookupRequest projectId. */
                 public projectId: string;
 
+                /** LookupRequest databaseId. */
+                public databaseId: string;
+
                 /** LookupRequest readOptions. */
                 public readOptions?: (google.datastore.v1.IReadOptions|null);
 
@@ -404,6 +410,9 @@ export namespace google {
                 /** RunQueryRequest projectId */
                 projectId?: (string|null);
 
+                /** RunQueryRequest databaseId */
+                databaseId?: (string|null);
+
                 /** RunQueryRequest partitionId */
                 partitionId?: (google.datastore.v1.IPartitionId|null);
 
@@ -429,6 +438,9 @@ export namespace google {
                 /** RunQueryRequest projectId. */
                 public projectId: string;
 
+                /** RunQueryRequest databaseId. */
+                public databaseId: string;
+
                 /** RunQueryRequest partitionId. */
                 public partitionId?: (google.datastore.v1.IPartitionId|null);
 
@@ -617,6 +629,9 @@ export namespace google {
                 /** BeginTransactionRequest projectId */
                 projectId?: (string|null);
 
+                /** BeginTransactionRequest databaseId */
+                databaseId?: (string|null);
+
                 /** BeginTransactionRequest transactionOptions */
                 transactionOptions?: (google.datastore.v1.ITransactionOptions|null);
             }
@@ -633,6 +648,9 @@ export namespace google {
                 /** BeginTransactionRequest projectId. */
                 public projectId: string;
 
+                /** BeginTransactionRequest databaseId. */
+                public databaseId: string;
+
                 /** BeginTransactionRequest transactionOptions. */
                 public transactionOptions?: (google.datastore.v1.ITransactionOptions|null);
 
@@ -803,6 +821,9 @@ export namespace google {
                 /** RollbackRequest projectId */
                 projectId?: (string|null);
 
+                /** RollbackRequest databaseId */
+                databaseId?: (string|null);
+
                 /** RollbackRequest transaction */
                 transaction?: (Uint8Array|string|null);
             }
@@ -819,6 +840,9 @@ export namespace google {
                 /** RollbackRequest projectId. */
                 public projectId: string;
 
+                /** RollbackRequest databaseId. */
+                public databaseId: string;
+
                 /** RollbackRequest transaction. */
                 public transaction: (Uint8Array|string);
 
@@ -983,6 +1007,9 @@ export namespace google {
                 /** CommitRequest projectId */
                 projectId?: (string|null);
 
+                /** CommitRequest databaseId */
+                databaseId?: (string|null);
+
                 /** CommitRequest mode */
                 mode?: (google.datastore.v1.CommitRequest.Mode|keyof typeof google.datastore.v1.CommitRequest.Mode|null);
 
@@ -1005,6 +1032,9 @@ export namespace google {
                 /** CommitRequest projectId. */
                 public projectId: string;
 
+                /** CommitRequest databaseId. */
+                public databaseId: string;
+
                 /** CommitRequest mode. */
                 public mode: (google.datastore.v1.CommitRequest.Mode|keyof typeof google.datastore.v1.CommitRequest.Mode);
 
@@ -1200,6 +1230,9 @@ export namespace google {
                 /** AllocateIdsRequest projectId */
                 projectId?: (string|null);
 
+                /** AllocateIdsRequest databaseId */
+                databaseId?: (string|null);
+
                 /** AllocateIdsRequest keys */
                 keys?: (google.datastore.v1.IKey[]|null);
             }
@@ -1216,6 +1249,9 @@ export namespace google {
                 /** AllocateIdsRequest projectId. */
                 public projectId: string;
 
+                /** AllocateIdsRequest databaseId. */
+                public databaseId: string;
+
                 /** AllocateIdsRequest keys. */
                 public keys: google.datastore.v1.IKey[];
 
@@ -2181,6 +2217,9 @@ export namespace google {
 
                 /** PartitionId namespaceId */
                 namespaceId?: (string|null);
+
+                /** PartitionId databaseId */
+                databaseId?: (string|null);
             }
 
             /** Represents a PartitionId. */
@@ -2198,6 +2237,9 @@ export namespace google {
                 /** PartitionId namespaceId. */
                 public namespaceId: string;
 
+                /** PartitionId databaseId. */
+                public databaseId: string;
+
                 /**
                  * Creates a new PartitionId instance using the specified properties.
                  * @param [properties] Properties to set
@@ -3651,7 +3693,8 @@ export namespace google {
                 /** Operator enum. */
                 enum Operator {
                     OPERATOR_UNSPECIFIED = 0,
-                    AND = 1
+                    AND = 1,
+                    OR = 2
                 }
             }
 
@@ -3767,7 +3810,10 @@ export namespace google {
                     GREATER_THAN = 3,
                     GREATER_THAN_OR_EQUAL = 4,
                     EQUAL = 5,
-                    HAS_ANCESTOR = 11
+                    IN = 6,
+                    NOT_EQUAL = 9,
+                    HAS_ANCESTOR = 11,
+                    NOT_IN = 13
                 }
             }
 
@@ -8823,6 +8823,7 @@
                                 return "op: enum value expected";
                             case 0:
                             case 1:
+                            case 2:
                                 break;
                             }
                         if (message.filters != null && message.hasOwnProperty("filters")) {
@@ -8858,6 +8859,10 @@
                         case 1:
                             message.op = 1;
                             break;
+                        case "OR":
+                        case 2:
+                            message.op = 2;
+                            break;
                         }
                         if (object.filters) {
                             if (!Array.isArray(object.filters))
@@ -8916,11 +8921,13 @@
                      * @enum {string}
                      * @property {number} OPERATOR_UNSPECIFIED=0 OPERATOR_UNSPECIFIED value
                      * @property {number} AND=1 AND value
+                     * @property {number} OR=2 OR value
                      */
                     CompositeFilter.Operator = (function() {
                         var valuesById = {}, values = Object.create(valuesById);
                         values[valuesById[0] = "OPERATOR_UNSPECIFIED"] = 0;
                         values[valuesById[1] = "AND"] = 1;
+                        values[valuesById[2] = "OR"] = 2;
                         return values;
                     })();
     
@@ -9100,7 +9107,10 @@
                             case 3:
                             case 4:
                             case 5:
+                            case 6:
+                            case 9:
                             case 11:
+                            case 13:
                                 break;
                             }
                         if (message.value != null && message.hasOwnProperty("value")) {
@@ -9153,10 +9163,22 @@
                         case 5:
                             message.op = 5;
                             break;
+                        case "IN":
+                        case 6:
+                            message.op = 6;
+                            break;
+                        case "NOT_EQUAL":
+                        case 9:
+                            message.op = 9;
+                            break;
                         case "HAS_ANCESTOR":
                         case 11:
                             message.op = 11;
                             break;
+                        case "NOT_IN":
+                        case 13:
+                            message.op = 13;
+                            break;
                         }
                         if (object.value != null) {
                             if (typeof object.value !== "object")
@@ -9214,7 +9236,10 @@
                      * @property {number} GREATER_THAN=3 GREATER_THAN value
                      * @property {number} GREATER_THAN_OR_EQUAL=4 GREATER_THAN_OR_EQUAL value
                      * @property {number} EQUAL=5 EQUAL value
+                     * @property {number} IN=6 IN value
+                     * @property {number} NOT_EQUAL=9 NOT_EQUAL value
                      * @property {number} HAS_ANCESTOR=11 HAS_ANCESTOR value
+                     * @property {number} NOT_IN=13 NOT_IN value
                      */
                     PropertyFilter.Operator = (function() {
                         var valuesById = {}, values = Object.create(valuesById);
@@ -9224,7 +9249,10 @@
                         values[valuesById[3] = "GREATER_THAN"] = 3;
                         values[valuesById[4] = "GREATER_THAN_OR_EQUAL"] = 4;
                         values[valuesById[5] = "EQUAL"] = 5;
+                        values[valuesById[6] = "IN"] = 6;
+                        values[valuesById[9] = "NOT_EQUAL"] = 9;
                         values[valuesById[11] = "HAS_ANCESTOR"] = 11;
+                        values[valuesById[13] = "NOT_IN"] = 13;
                         return values;
                     })();
     
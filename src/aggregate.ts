@@ -0,0 +1,186 @@
+/*!
+ * Copyright 2020 Google LLC.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Query, QueryProto, RunQueryOptions} from './query';
+import {
+  RunAggregationQueryCallback,
+  RunAggregationQueryResponse,
+} from './request';
+
+export type AggregateType = 'count' | 'sum' | 'avg';
+
+/**
+ * An aggregation to compute over the results of a query. Create it with
+ * {@link count}, {@link sum} or {@link average}.
+ *
+ * @class
+ * @param {string} type The aggregation, one of `count`, `sum` or `avg`.
+ * @param {string} alias The name of the aggregation in the result.
+ * @param {string} [property] The property to aggregate on.
+ */
+class AggregateField {
+  type: AggregateType;
+  alias: string;
+  property?: string;
+
+  constructor(type: AggregateType, alias: string, property?: string) {
+    this.type = type;
+    this.alias = alias;
+    this.property = property;
+  }
+}
+
+/**
+ * Count the entities that match the query.
+ *
+ * @param {string} [alias='count'] The name of the count in the result.
+ * @returns {AggregateField}
+ *
+ * @example
+ * const {Datastore, count} = require('@google-cloud/datastore');
+ * const datastore = new Datastore();
+ * const query = datastore.createQuery('Task');
+ * const aggregateQuery = datastore
+ *   .createAggregationQuery(query)
+ *   .addAggregation(count('total'));
+ */
+function count(alias = 'count'): AggregateField {
+  return new AggregateField('count', alias);
+}
+
+/**
+ * Sum the numeric values of a property of the entities that match the query.
+ *
+ * @param {string} property The property to sum.
+ * @param {string} [alias] The name of the sum in the result. Defaults to the
+ *     property name.
+ * @returns {AggregateField}
+ */
+function sum(property: string, alias = property): AggregateField {
+  return new AggregateField('sum', alias, property);
+}
+
+/**
+ * Average the numeric values of a property of the entities that match the
+ * query. The average of no values is `null`.
+ *
+ * @param {string} property The property to average.
+ * @param {string} [alias] The name of the average in the result. Defaults to
+ *     the property name.
+ * @returns {AggregateField}
+ */
+function average(property: string, alias = property): AggregateField {
+  return new AggregateField('avg', alias, property);
+}
+
+/**
+ * Build an aggregation query, which computes aggregations such as counts and
+ * sums over the results of a query without returning the entities.
+ *
+ * **Aggregation queries are built with
+ * {@link Datastore#createAggregationQuery}.**
+ *
+ * @class
+ * @param {Query} query The query to aggregate over. The aggregation query runs
+ *     in the same scope, either a {@link Datastore} or a {@link Transaction}.
+ *
+ * @example
+ * const {Datastore, count, sum} = require('@google-cloud/datastore');
+ * const datastore = new Datastore();
+ * const query = datastore.createQuery('Order').filter('paid', true);
+ * const aggregateQuery = datastore
+ *   .createAggregationQuery(query)
+ *   .addAggregation(count('total'), sum('amount'));
+ */
+class AggregateQuery {
+  query: Query;
+  aggregations: AggregateField[];
+
+  constructor(query: Query) {
+    /**
+     * @name AggregateQuery#query
+     * @type {Query}
+     */
+    this.query = query;
+    /**
+     * @name AggregateQuery#aggregations
+     * @type {AggregateField[]}
+     */
+    this.aggregations = [];
+  }
+
+  /**
+   * Add aggregations to compute. Each aggregation is returned in the result
+   * under its alias.
+   *
+   * @param {...AggregateField} aggregations The aggregations to add.
+   * @returns {AggregateQuery}
+   *
+   * @example
+   * const {count, average} = require('@google-cloud/datastore');
+   * aggregateQuery.addAggregation(count(), average('rating', 'averageRating'));
+   */
+  addAggregation(...aggregations: AggregateField[]): AggregateQuery {
+    this.aggregations.push(...aggregations);
+    return this;
+  }
+
+  run(options?: RunQueryOptions): Promise<RunAggregationQueryResponse>;
+  run(options: RunQueryOptions, callback: RunAggregationQueryCallback): void;
+  run(callback: RunAggregationQueryCallback): void;
+  /**
+   * Run the aggregation query.
+   *
+   * @param {object} [options] Optional configuration. See
+   *     {@link Datastore#runAggregationQuery} for a complete list of options.
+   * @param {function} [callback] The callback function. If omitted, a Promise
+   *     is returned.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {object} callback.result The result of the aggregations, keyed by
+   *     their aliases.
+   *
+   * @example
+   * aggregateQuery.run((err, result) => {
+   *   console.log(result.total);
+   * });
+   *
+   * //-
+   * // Returns a Promise if callback is omitted.
+   * //-
+   * aggregateQuery.run().then((data) => {
+   *   const result = data[0];
+   * });
+   */
+  run(
+    optionsOrCallback?: RunQueryOptions | RunAggregationQueryCallback,
+    cb?: RunAggregationQueryCallback
+  ): void | Promise<RunAggregationQueryResponse> {
+    const options =
+      typeof optionsOrCallback === 'object' ? optionsOrCallback : {};
+    const callback =
+      typeof optionsOrCallback === 'function' ? optionsOrCallback : cb!;
+    const scope = this.query.scope!;
+    const runAggregationQuery = scope.runAggregationQuery.bind(scope);
+    return runAggregationQuery(this, options, callback);
+  }
+}
+
+export interface AggregationQueryProto {
+  nestedQuery: QueryProto;
+  aggregations: Array<{}>;
+}
+
+export {average, count, sum, AggregateField, AggregateQuery};
@@ -0,0 +1,778 @@
+/*!
+ * Copyright 2020 Google LLC.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {EventEmitter} from 'events';
+import {CallOptions, Status} from 'google-gax';
+
+import {google} from '../proto/datastore';
+import {Datastore} from '.';
+import {entity, Entity} from './entity';
+import {Query} from './query';
+import {DatastoreRequest} from './request';
+
+/**
+ * The most mutations Datastore accepts in a single commit.
+ *
+ * @private
+ */
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * The error codes a batch is retried on. Deleting a key twice is harmless, so
+ * every transient error can be retried.
+ *
+ * @private
+ */
+const RETRYABLE_CODES = [
+  Status.ABORTED,
+  Status.DEADLINE_EXCEEDED,
+  Status.INTERNAL,
+  Status.RESOURCE_EXHAUSTED,
+  Status.UNAVAILABLE,
+];
+
+/**
+ * The error codes caused by an operation of a batch rather than by the batch
+ * as a whole, e.g. inserting a key that already exists. A batch failing with
+ * one of them is split to find the operations at fault.
+ *
+ * @private
+ */
+const OPERATION_ERROR_CODES = [
+  Status.INVALID_ARGUMENT,
+  Status.FAILED_PRECONDITION,
+  Status.NOT_FOUND,
+  Status.ALREADY_EXISTS,
+];
+
+/**
+ * The 500/50/5 rule: writes start at 500 operations per second and ramp up by
+ * 50% every 5 minutes.
+ *
+ * @private
+ */
+const DEFAULT_OPS_PER_SECOND = 500;
+const RAMP_UP_MULTIPLIER = 1.5;
+const RAMP_UP_INTERVAL_MILLIS = 5 * 60 * 1000;
+
+/**
+ * Whether a batch failing with `err` may succeed if it is sent again.
+ *
+ * @private
+ */
+function isRetryable(err: ServiceErrorLike): boolean {
+  return RETRYABLE_CODES.indexOf(err.code!) > -1;
+}
+
+/**
+ * Wait before the next attempt of a batch, with the same jittered exponential
+ * backoff as {@link Datastore#runInTransaction}.
+ *
+ * @private
+ */
+function backoffDelay(attempt: number, options: RetryOptions): Promise<void> {
+  const backoff = Object.assign(
+    {initialDelayMillis: 100, maxDelayMillis: 60000, multiplier: 1.3},
+    options.backoff
+  );
+  const delay = Math.min(
+    backoff.initialDelayMillis * Math.pow(backoff.multiplier, attempt - 1),
+    backoff.maxDelayMillis
+  );
+  return new Promise(resolve => setTimeout(resolve, Math.random() * delay));
+}
+
+/**
+ * Wait before retrying an attempt of a batch that failed with `err`.
+ *
+ * @private
+ *
+ * @param {Error} err The error of the attempt.
+ * @param {number} attempt The number of the attempt, starting at 1.
+ * @param {object} options The `maxAttempts` and `backoff` options.
+ * @returns {Promise} Resolves when the next attempt can be made, and rejects
+ *     with `err` if it is not transient or the attempts are exhausted.
+ */
+function retryAfter(
+  err: ServiceErrorLike,
+  attempt: number,
+  options: RetryOptions
+): Promise<void> {
+  const maxAttempts = options.maxAttempts || 5;
+  if (!isRetryable(err) || attempt >= maxAttempts) {
+    return Promise.reject(err);
+  }
+  return backoffDelay(attempt, options);
+}
+
+/**
+ * Delete every entity matching a query, in batches.
+ *
+ * The operation is a promise of the number of entities deleted, which also
+ * emits a `progress` event after each batch. It starts right away: either
+ * await it or listen for its `error` event, or a failure is reported as an
+ * unhandled rejection.
+ *
+ * **Bulk deletes are started with {@link Datastore#deleteWhere}.**
+ *
+ * @class
+ * @param {Datastore} datastore The Datastore instance to delete with.
+ * @param {Query} query The query to delete the matching entities of.
+ * @param {object} [options] Configuration object. See
+ *     {@link Datastore#deleteWhere}.
+ */
+class BulkDelete extends EventEmitter implements PromiseLike<number> {
+  private promise_: Promise<number>;
+
+  constructor(
+    datastore: Datastore,
+    query: Query,
+    options: DeleteWhereOptions = {}
+  ) {
+    super();
+    this.promise_ = this.run_(datastore, query, options);
+  }
+
+  then<TResult1 = number, TResult2 = never>(
+    onfulfilled?: ((value: number) => TResult1 | PromiseLike<TResult1>) | null,
+    // tslint:disable-next-line no-any
+    onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+  ): Promise<TResult1 | TResult2> {
+    return this.promise_.then(onfulfilled, onrejected);
+  }
+
+  catch<TResult = never>(
+    // tslint:disable-next-line no-any
+    onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | null
+  ): Promise<number | TResult> {
+    return this.promise_.catch(onrejected);
+  }
+
+  /**
+   * Stream the keys matching the query and delete them in batches, running at
+   * most `options.concurrency` batches at a time.
+   *
+   * @private
+   */
+  private run_(
+    datastore: Datastore,
+    query: Query,
+    options: DeleteWhereOptions
+  ): Promise<number> {
+    const batchSize = options.batchSize || MAX_BATCH_SIZE;
+    const concurrency = options.concurrency || 5;
+
+    if (batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+      return Promise.reject(
+        new Error(`The batch size must be between 1 and ${MAX_BATCH_SIZE}.`)
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const progress: DeleteWhereProgress = {matched: 0, deleted: 0};
+      const stream = datastore.runKeysStream(query);
+      let batch: entity.Key[] = [];
+      let pending = 0;
+      let ended = false;
+      let failed = false;
+
+      const fail = (err: Error) => {
+        if (!failed) {
+          failed = true;
+          stream.destroy();
+          if (this.listenerCount('error') > 0) {
+            // The listeners handle the error, so the rejection is not
+            // reported as unhandled if the operation is not awaited.
+            this.promise_.catch(() => {});
+            this.emit('error', err);
+          }
+          reject(err);
+        }
+      };
+
+      const settle = () => {
+        if (ended && pending === 0 && !failed) {
+          resolve(options.dryRun ? progress.matched : progress.deleted);
+        }
+      };
+
+      const send = (keys: entity.Key[]) => {
+        pending++;
+        if (pending >= concurrency) {
+          stream.pause();
+        }
+
+        this.deleteBatch_(datastore, keys, options).then(() => {
+          if (failed) {
+            return;
+          }
+          pending--;
+          if (!options.dryRun) {
+            progress.deleted += keys.length;
+          }
+          this.emit('progress', Object.assign({}, progress));
+          stream.resume();
+          settle();
+        }, fail);
+      };
+
+      stream
+        .on('error', fail)
+        .on('data', (key: entity.Key) => {
+          progress.matched++;
+          batch.push(key);
+          if (batch.length === batchSize) {
+            send(batch);
+            batch = [];
+          }
+        })
+        .on('end', () => {
+          ended = true;
+          if (batch.length > 0) {
+            send(batch);
+            batch = [];
+          }
+          settle();
+        });
+    });
+  }
+
+  /**
+   * Delete a batch of keys, retrying transient errors.
+   *
+   * @private
+   */
+  private async deleteBatch_(
+    datastore: Datastore,
+    keys: entity.Key[],
+    options: DeleteWhereOptions
+  ): Promise<void> {
+    if (options.dryRun) {
+      return;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await datastore.delete(keys, options.gaxOptions);
+        return;
+      } catch (err) {
+        await retryAfter(err, attempt, options);
+      }
+    }
+  }
+}
+
+/**
+ * A token bucket limiting the number of operations sent per second, ramping
+ * up from `initialOpsPerSecond` with the 500/50/5 rule. The ramp-up starts
+ * with the first request.
+ *
+ * A request larger than the bucket is sent once the bucket is full, and the
+ * tokens it overdraws delay the next requests.
+ *
+ * @private
+ * @class
+ * @param {number} initialOpsPerSecond The starting rate.
+ * @param {boolean} rampUp Whether the rate increases over time.
+ */
+class RateLimiter {
+  private tokens_: number;
+  private startedAt_?: number;
+  private refilledAt_?: number;
+
+  constructor(private initialOpsPerSecond: number, private rampUp: boolean) {
+    this.tokens_ = initialOpsPerSecond;
+  }
+
+  /**
+   * The number of operations allowed per second at a given time.
+   */
+  opsPerSecond(now = Date.now()): number {
+    if (!this.rampUp || this.startedAt_ === undefined) {
+      return this.initialOpsPerSecond;
+    }
+    const steps = Math.floor((now - this.startedAt_) / RAMP_UP_INTERVAL_MILLIS);
+    return this.initialOpsPerSecond * Math.pow(RAMP_UP_MULTIPLIER, steps);
+  }
+
+  /**
+   * The number of milliseconds to wait before `ops` operations can be sent.
+   */
+  delayFor(ops: number, now = Date.now()): number {
+    this.refill_(now);
+    const opsPerSecond = this.opsPerSecond(now);
+    const missing = Math.min(ops, opsPerSecond) - this.tokens_;
+    return missing > 0 ? Math.ceil((missing * 1000) / opsPerSecond) : 0;
+  }
+
+  /**
+   * Record that `ops` operations were sent.
+   */
+  take(ops: number, now = Date.now()) {
+    this.refill_(now);
+    this.tokens_ -= ops;
+  }
+
+  private refill_(now: number) {
+    if (this.startedAt_ === undefined) {
+      this.startedAt_ = this.refilledAt_ = now;
+      return;
+    }
+    const opsPerSecond = this.opsPerSecond(now);
+    this.tokens_ = Math.min(
+      opsPerSecond,
+      this.tokens_ + ((now - this.refilledAt_!) * opsPerSecond) / 1000
+    );
+    this.refilledAt_ = now;
+  }
+}
+
+/**
+ * Write large numbers of entities, batching the writes into non-transactional
+ * commits.
+ *
+ * Every operation returns a Promise of its mutation result. Operations are
+ * collected into batches of `maxBatchSize`, which are sent as soon as they
+ * are full; call {@link BulkWriter#flush} or {@link BulkWriter#close} to send
+ * the last, partial batch. Batches are throttled with the 500/50/5 rule and a
+ * batch failing with a transient error is retried after a jittered
+ * exponential backoff, up to `maxAttempts` times for each operation. A batch
+ * failing because of some of its operations, e.g. with `ALREADY_EXISTS`, is
+ * split until only the operations at fault are rejected; any other error
+ * rejects the whole batch. Errors of an operation, including invalid
+ * arguments, reject its Promise.
+ *
+ * The operations on a key are committed in the order they were added: a
+ * batch holds at most one operation per key, and waits for the earlier
+ * operations on its keys to complete, retries included.
+ *
+ * **Bulk writers are created with {@link Datastore#bulkWriter}.**
+ *
+ * @class
+ * @param {Datastore} datastore The Datastore instance to write with.
+ * @param {object} [options] Configuration object. See
+ *     {@link Datastore#bulkWriter}.
+ *
+ * @example
+ * const {Datastore} = require('@google-cloud/datastore');
+ * const datastore = new Datastore();
+ * const writer = datastore.bulkWriter();
+ *
+ * for (const task of tasks) {
+ *   writer.set({key: datastore.key(['Task', task.id]), data: task})
+ *     .catch(err => console.error(`Task ${task.id} failed:`, err));
+ * }
+ * await writer.close();
+ */
+class BulkWriter {
+  private datastore: Datastore;
+  private options: BulkWriterOptions;
+  private maxBatchSize: number;
+  private maxConcurrency: number;
+  private limiter_: RateLimiter;
+  private batch_: BulkWriterOperation[] = [];
+  private batchKeys_ = new Set<string>();
+  private queue_: BulkWriterOperation[][] = [];
+  private inFlightKeys_ = new Set<string>();
+  private operations_ = new Set<Promise<MutationResult>>();
+  private sending_ = 0;
+  private timer_?: NodeJS.Timer;
+  private closed_ = false;
+
+  constructor(datastore: Datastore, options: BulkWriterOptions = {}) {
+    this.datastore = datastore;
+    this.options = options;
+    this.maxBatchSize = options.maxBatchSize || MAX_BATCH_SIZE;
+    this.maxConcurrency = options.maxConcurrency || 5;
+
+    if (this.maxBatchSize < 1 || this.maxBatchSize > MAX_BATCH_SIZE) {
+      throw new Error(
+        `The batch size must be between 1 and ${MAX_BATCH_SIZE}.`
+      );
+    }
+
+    this.limiter_ = new RateLimiter(
+      options.initialOpsPerSecond || DEFAULT_OPS_PER_SECOND,
+      options.rampUp !== false
+    );
+  }
+
+  /**
+   * Insert or update an entity, like {@link DatastoreRequest#upsert}.
+   *
+   * @param {object} entity The entity to write, in the format accepted by
+   *     {@link DatastoreRequest#save}.
+   * @returns {Promise<object>} The mutation result of the write.
+   */
+  set(entity: Entity): Promise<MutationResult> {
+    return this.addEntity_('upsert', entity);
+  }
+
+  /**
+   * Insert an entity, failing if it already exists, like
+   * {@link DatastoreRequest#insert}.
+   *
+   * @param {object} entity The entity to write, in the format accepted by
+   *     {@link DatastoreRequest#save}.
+   * @returns {Promise<object>} The mutation result of the write.
+   */
+  insert(entity: Entity): Promise<MutationResult> {
+    return this.addEntity_('insert', entity);
+  }
+
+  /**
+   * Update an entity, failing if it does not exist, like
+   * {@link DatastoreRequest#update}.
+   *
+   * @param {object} entity The entity to write, in the format accepted by
+   *     {@link DatastoreRequest#save}.
+   * @returns {Promise<object>} The mutation result of the write.
+   */
+  update(entity: Entity): Promise<MutationResult> {
+    return this.addEntity_('update', entity);
+  }
+
+  /**
+   * Delete the entity of a key.
+   *
+   * @param {Key} key The key of the entity to delete.
+   * @returns {Promise<object>} The mutation result of the delete.
+   */
+  delete(key: entity.Key): Promise<MutationResult> {
+    return this.add_(() => ({
+      mutation: {delete: entity.keyToKeyProto(key)},
+      key,
+    }));
+  }
+
+  /**
+   * Send the batch being collected and wait for every operation added so far
+   * to complete. The Promise resolves even if some operations failed; their
+   * own Promises are rejected.
+   *
+   * @returns {Promise}
+   */
+  async flush(): Promise<void> {
+    this.enqueueBatch_();
+    const operations = Array.from(this.operations_);
+    await Promise.all(operations.map(operation => operation.catch(() => {})));
+  }
+
+  /**
+   * Flush the writer and refuse any further operation.
+   *
+   * @returns {Promise}
+   */
+  close(): Promise<void> {
+    this.closed_ = true;
+    return this.flush();
+  }
+
+  /**
+   * @private
+   */
+  private addEntity_(method: string, entityObject: Entity) {
+    return this.add_(() => {
+      if (entityObject.expectedVersion !== undefined) {
+        throw new Error('An expected version cannot be used in a BulkWriter.');
+      }
+      const prepared: Entity = DatastoreRequest.prepareEntityObject_(
+        entityObject
+      );
+      return {
+        mutation: {[method]: this.datastore.encodeEntity_(prepared)},
+        key: prepared.key,
+      };
+    });
+  }
+
+  /**
+   * Add an operation to the batch being collected, sending the batch first if
+   * it already has an operation on the same key, and after if it is full.
+   *
+   * @private
+   *
+   * @param {function} build Returns the mutation and key of the operation. An
+   *     error it throws rejects the operation.
+   */
+  private add_(
+    build: () => Pick<BulkWriterOperation, 'mutation' | 'key'>
+  ): Promise<MutationResult> {
+    let operation: Pick<BulkWriterOperation, 'mutation' | 'key'>;
+    try {
+      if (this.closed_) {
+        throw new Error('The BulkWriter has been closed.');
+      }
+      operation = build();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    const id = entity.isKeyComplete(operation.key)
+      ? operation.key.toString()
+      : null;
+    if (id !== null && this.batchKeys_.has(id)) {
+      this.enqueueBatch_();
+    }
+
+    const promise = new Promise<MutationResult>((resolve, reject) => {
+      const queued: BulkWriterOperation = Object.assign(
+        {id, attempts: 0, inFlight: false},
+        operation,
+        {
+          resolve: (result: MutationResult) => {
+            this.release_(queued);
+            resolve(result);
+          },
+          reject: (err: Error) => {
+            this.release_(queued);
+            reject(err);
+          },
+        }
+      );
+      this.batch_.push(queued);
+    });
+    this.operations_.add(promise);
+    const forget = () => this.operations_.delete(promise);
+    promise.then(forget, forget);
+
+    if (id !== null) {
+      this.batchKeys_.add(id);
+    }
+    if (this.batch_.length >= this.maxBatchSize) {
+      this.enqueueBatch_();
+    }
+    return promise;
+  }
+
+  /**
+   * @private
+   */
+  private enqueueBatch_() {
+    if (this.batch_.length > 0) {
+      this.queue_.push(this.batch_);
+      this.batch_ = [];
+      this.batchKeys_.clear();
+    }
+    this.send_();
+  }
+
+  /**
+   * Send the queued batches allowed by the concurrency limit and the rate
+   * limiter, and schedule the next one if the rate limiter is ahead.
+   *
+   * A batch is held back while an operation on one of its keys is in flight,
+   * or belongs to an earlier batch that is held back, so that the operations
+   * on a key are committed in order.
+   *
+   * @private
+   */
+  private send_() {
+    const heldKeys = new Set<string>();
+    let index = 0;
+
+    while (
+      index < this.queue_.length &&
+      this.sending_ < this.maxConcurrency &&
+      !this.timer_
+    ) {
+      const batch = this.queue_[index];
+      const held = batch.some(
+        operation =>
+          operation.id !== null &&
+          !operation.inFlight &&
+          (this.inFlightKeys_.has(operation.id) || heldKeys.has(operation.id))
+      );
+      if (held) {
+        batch.forEach(operation => {
+          if (operation.id !== null) {
+            heldKeys.add(operation.id);
+          }
+        });
+        index++;
+        continue;
+      }
+
+      const delay = this.limiter_.delayFor(batch.length);
+      if (delay > 0) {
+        this.timer_ = setTimeout(() => {
+          this.timer_ = undefined;
+          this.send_();
+        }, delay);
+        return;
+      }
+
+      this.limiter_.take(batch.length);
+      this.queue_.splice(index, 1);
+      batch.forEach(operation => {
+        if (operation.id !== null && !operation.inFlight) {
+          operation.inFlight = true;
+          this.inFlightKeys_.add(operation.id);
+        }
+      });
+      this.sending_++;
+      this.commit_(batch).then(
+        () => {
+          this.sending_--;
+          this.send_();
+        },
+        err => {
+          this.sending_--;
+          batch.forEach(operation => operation.reject(err));
+          this.send_();
+        }
+      );
+    }
+  }
+
+  /**
+   * Commit a batch, settling its operations or queuing them again after a
+   * transient error.
+   *
+   * @private
+   */
+  private async commit_(batch: BulkWriterOperation[]): Promise<void> {
+    let resp: google.datastore.v1.ICommitResponse;
+    try {
+      resp = await new Promise((resolve, reject) => {
+        this.datastore.request_(
+          {
+            client: 'DatastoreClient',
+            method: 'commit',
+            reqOpts: {mutations: batch.map(operation => operation.mutation)},
+            gaxOpts: this.options.gaxOptions,
+          },
+          (err, resp) => (err ? reject(err) : resolve(resp))
+        );
+      });
+    } catch (err) {
+      this.retry_(batch, err);
+      return;
+    }
+
+    const results = resp.mutationResults || [];
+    batch.forEach((operation, index) => {
+      const result = results[index] || {};
+      if (result.key && !entity.isKeyComplete(operation.key)) {
+        operation.key.id = entity.keyFromKeyProto(result.key).id;
+      }
+      operation.resolve(result);
+    });
+  }
+
+  /**
+   * Stop counting a settled operation as in flight, letting the batches held
+   * back for its key be sent.
+   *
+   * @private
+   */
+  private release_(operation: BulkWriterOperation) {
+    if (operation.id === null || !operation.inFlight) {
+      return;
+    }
+    operation.inFlight = false;
+    this.inFlightKeys_.delete(operation.id);
+  }
+
+  /**
+   * Handle a failed commit of a batch: send it again after a backoff on a
+   * transient error, split it on an error caused by some of its operations,
+   * and reject it on any other error.
+   *
+   * @private
+   */
+  private retry_(batch: BulkWriterOperation[], err: ServiceErrorLike) {
+    if (!isRetryable(err)) {
+      // A commit is all or nothing: one bad operation fails its whole batch.
+      // To reject only the operations at fault, the batch is split in halves
+      // until they are alone in their batch.
+      if (batch.length > 1 && OPERATION_ERROR_CODES.indexOf(err.code!) > -1) {
+        const middle = Math.ceil(batch.length / 2);
+        this.queue_.push(batch.slice(0, middle), batch.slice(middle));
+        this.send_();
+        return;
+      }
+
+      batch.forEach(operation => operation.reject(err));
+      return;
+    }
+
+    const maxAttempts = this.options.maxAttempts || 5;
+
+    const retries = batch.filter(operation => {
+      operation.attempts++;
+      if (operation.attempts < maxAttempts) {
+        return true;
+      }
+      operation.reject(err);
+      return false;
+    });
+
+    if (retries.length > 0) {
+      backoffDelay(retries[0].attempts, this.options).then(() => {
+        this.queue_.push(retries);
+        this.send_();
+      });
+    }
+  }
+}
+
+interface BulkWriterOperation {
+  mutation: google.datastore.v1.IMutation;
+  key: entity.Key;
+  id: string | null;
+  attempts: number;
+  inFlight: boolean;
+  resolve: (result: MutationResult) => void;
+  reject: (err: Error) => void;
+}
+
+interface ServiceErrorLike extends Error {
+  code?: number;
+}
+
+interface RetryOptions {
+  maxAttempts?: number;
+  backoff?: {
+    initialDelayMillis?: number;
+    maxDelayMillis?: number;
+    multiplier?: number;
+  };
+}
+
+export interface DeleteWhereOptions extends RetryOptions {
+  batchSize?: number;
+  concurrency?: number;
+  dryRun?: boolean;
+  gaxOptions?: CallOptions;
+}
+
+export interface DeleteWhereProgress {
+  matched: number;
+  deleted: number;
+}
+
+export interface BulkWriterOptions extends RetryOptions {
+  maxBatchSize?: number;
+  maxConcurrency?: number;
+  initialOpsPerSecond?: number;
+  rampUp?: boolean;
+  gaxOptions?: CallOptions;
+}
+
+export type MutationResult = google.datastore.v1.IMutationResult;
+
+export {BulkDelete, BulkWriter, RateLimiter};
@@ -13,9 +13,17 @@
 // limitations under the License.
 
 import arrify = require('arrify');
-import * as extend from 'extend';
 import * as is from 'is';
-import {Query, QueryProto, IntegerTypeCastOptions} from './query';
+import {
+  Filter,
+  Order,
+  Query,
+  QueryProto,
+  IntegerTypeCastOptions,
+} from './query';
+import {CompositeFilter, EntityFilter} from './filter';
+import {AggregateQuery, AggregationQueryProto} from './aggregate';
+import {Cursor, GqlQuery, GqlQueryParameterProto, GqlQueryProto} from './gql';
 import {PathType} from '.';
 import * as Protobuf from 'protobufjs';
 import * as path from 'path';
@@ -47,6 +55,131 @@ export namespace entity {
    */
   export const KEY_SYMBOL: unique symbol = Symbol('KEY');
 
+  /**
+   * A symbol to access the metadata of the properties of an entity object,
+   * i.e. their `meaning` and `excludeFromIndexes` flags, keyed by property
+   * name. Only set when entities are read with `preserveMetadata`.
+   *
+   * @type {symbol}
+   * @private
+   */
+  export const METADATA_SYMBOL: unique symbol = Symbol('METADATA');
+
+  /**
+   * @typedef {object} ValueMetadata The metadata of a property value.
+   * @property {number} [meaning] The `meaning` of the value.
+   * @property {boolean} [excludeFromIndexes] Whether the value is excluded
+   *     from indexes.
+   * @property {ValueMetadata[]} [values] The metadata of each value of an
+   *     array.
+   */
+  export interface ValueMetadata {
+    meaning?: number;
+    excludeFromIndexes?: boolean;
+    values?: ValueMetadata[];
+  }
+
+  export interface EntityMetadata {
+    [property: string]: ValueMetadata;
+  }
+
+  /**
+   * Get the metadata of a protobuf Value message, if it has any.
+   *
+   * @private
+   */
+  function valueMetadata(valueProto: ValueProto): ValueMetadata | undefined {
+    const metadata: ValueMetadata = {};
+
+    if (valueProto.meaning) {
+      metadata.meaning = valueProto.meaning;
+    }
+
+    if (valueProto.excludeFromIndexes) {
+      metadata.excludeFromIndexes = true;
+    }
+
+    if (valueProto.valueType === 'arrayValue') {
+      const values = (valueProto.arrayValue.values || []).map(valueMetadata);
+      if (values.some(Boolean)) {
+        metadata.values = values.map(
+          (value: ValueMetadata | undefined) => value || {}
+        );
+      }
+    }
+
+    return Object.keys(metadata).length > 0 ? metadata : undefined;
+  }
+
+  /**
+   * Apply the metadata of an entity to its encoded properties.
+   *
+   * @private
+   */
+  function applyMetadata(
+    properties: {[property: string]: ValueProto},
+    metadata: EntityMetadata
+  ) {
+    const apply = (valueProto: ValueProto, metadata: ValueMetadata) => {
+      if (metadata.meaning) {
+        valueProto.meaning = metadata.meaning;
+      }
+
+      if (metadata.excludeFromIndexes) {
+        valueProto.excludeFromIndexes = true;
+      }
+
+      if (metadata.values && valueProto.arrayValue) {
+        metadata.values.forEach((metadata, index) => {
+          const value = valueProto.arrayValue.values[index];
+          if (value) {
+            apply(value, metadata);
+          }
+        });
+      }
+    };
+
+    Object.keys(metadata).forEach(property => {
+      if (properties[property]) {
+        apply(properties[property], metadata[property]);
+      }
+    });
+  }
+
+  /**
+   * Copy the keys and metadata of an entity object and its embedded entities,
+   * which are left behind by `extend`, onto a deep clone of it.
+   *
+   * @private
+   * @param {object} source The entity object.
+   * @param {object} clone The clone of the entity object.
+   */
+  // tslint:disable-next-line no-any
+  export function copySymbols_(source: any, clone: any) {
+    if (!clone || source === clone) {
+      return;
+    }
+
+    if (Array.isArray(source)) {
+      source.forEach((value, index) => copySymbols_(value, clone[index]));
+      return;
+    }
+
+    if (!is.object(source)) {
+      return;
+    }
+
+    [KEY_SYMBOL, METADATA_SYMBOL].forEach(symbol => {
+      if (source[symbol]) {
+        clone[symbol] = source[symbol];
+      }
+    });
+
+    Object.keys(source).forEach(property => {
+      copySymbols_(source[property], clone[property]);
+    });
+  }
+
   /**
    * Build a Datastore Double object. For long doubles, a string can be
    * provided.
@@ -74,6 +207,10 @@ export namespace entity {
        */
       this.value = value;
     }
+
+    valueOf(): number {
+      return this.value;
+    }
   }
 
   /**
@@ -268,11 +405,217 @@ export namespace entity {
     return value instanceof entity.GeoPoint;
   }
 
+  export interface TimestampValue {
+    seconds: number | string;
+    nanos?: number;
+  }
+
+  /**
+   * Build a Datastore Timestamp object. Unlike a `Date`, which only holds
+   * milliseconds, a Timestamp keeps the full nanosecond precision of a
+   * `timestampValue`.
+   *
+   * @class
+   * @param {Date|string|object} value A `Date`, an RFC 3339 string with up to
+   *     nine fractional digits, or an object with `seconds` and `nanos`.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const timestamp = datastore.timestamp('2020-01-01T00:00:00.123456789Z');
+   */
+  export class Timestamp {
+    type: string;
+    seconds: number;
+    nanos: number;
+    constructor(value: Date | string | TimestampValue) {
+      let seconds: number;
+      let nanos: number;
+
+      if (value instanceof Date) {
+        const milliseconds = value.getTime();
+        seconds = Math.floor(milliseconds / 1000);
+        nanos = (milliseconds - seconds * 1000) * 1e6;
+      } else if (typeof value === 'string') {
+        const match = /^(.+?)(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/i.exec(value);
+        const milliseconds = match ? Date.parse(match[1] + match[3]) : NaN;
+        seconds = milliseconds / 1000;
+        nanos =
+          match && match[2] ? Number((match[2] + '00000000').slice(0, 9)) : 0;
+      } else {
+        seconds = Number(value.seconds);
+        nanos = Number(value.nanos || 0);
+      }
+
+      if (
+        !Number.isSafeInteger(seconds) ||
+        !Number.isInteger(nanos) ||
+        nanos < 0 ||
+        nanos >= 1e9
+      ) {
+        throw new Error(`Invalid timestamp value: ${value}.`);
+      }
+
+      /**
+       * @name Timestamp#type
+       * @type {string}
+       */
+      this.type = 'DatastoreTimestamp';
+      /**
+       * @name Timestamp#seconds
+       * @type {number}
+       */
+      this.seconds = seconds;
+      /**
+       * @name Timestamp#nanos
+       * @type {number}
+       */
+      this.nanos = nanos;
+    }
+
+    /**
+     * Convert to a `Date`, truncating to millisecond precision.
+     *
+     * @returns {Date}
+     */
+    toDate(): Date {
+      return new Date(this.seconds * 1000 + Math.floor(this.nanos / 1e6));
+    }
+
+    /**
+     * Format as an RFC 3339 string with nine fractional digits.
+     *
+     * @returns {string}
+     */
+    toISOString(): string {
+      const date = new Date(this.seconds * 1000).toISOString();
+      const nanos = ('00000000' + this.nanos).slice(-9);
+      return date.replace(/\.\d{3}Z$/, `.${nanos}Z`);
+    }
+
+    toJSON(): string {
+      return this.toISOString();
+    }
+  }
+
+  /**
+   * Check if something is a Datastore Timestamp object.
+   *
+   * @private
+   * @param {*} value
+   * @returns {boolean}
+   */
+  export function isDsTimestamp(value?: {}) {
+    return value instanceof entity.Timestamp;
+  }
+
   export interface KeyOptions {
     namespace?: string;
+    databaseId?: string;
     path: PathType[];
   }
 
+  /**
+   * Kinds that match this pattern are not quoted by {@link Key#toString}.
+   *
+   * @type {RegExp}
+   * @private
+   */
+  const SIMPLE_KIND = /^[A-Za-z_][\w.-]*$/;
+
+  /**
+   * Get the elements of the path of a key, from its root ancestor to itself.
+   *
+   * @private
+   */
+  function keyElements(key: Key): Key[] {
+    const elements: Key[] = [];
+    for (
+      let element: Key | undefined = key;
+      element;
+      element = element.parent
+    ) {
+      elements.unshift(element);
+    }
+    return elements;
+  }
+
+  /**
+   * Compare strings by their UTF-8 bytes, as Datastore does.
+   *
+   * @private
+   */
+  function compareStrings(a: string, b: string): number {
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+  }
+
+  /**
+   * Write an integer, given as a string or a number, in its canonical decimal
+   * form, without leading zeros.
+   *
+   * @private
+   */
+  function integerString(value: string | number): string {
+    const match = /^([-+]?)0*(\d+)$/.exec(String(value));
+    if (!match) {
+      return String(value);
+    }
+    return match[1] === '-' && match[2] !== '0' ? `-${match[2]}` : match[2];
+  }
+
+  /**
+   * Compare integers written in their canonical decimal form, without
+   * converting them to numbers, so that 64-bit integers are compared exactly.
+   *
+   * @private
+   */
+  function compareIntegers(a: string, b: string): number {
+    const aIsNegative = a[0] === '-';
+    const bIsNegative = b[0] === '-';
+    if (aIsNegative !== bIsNegative) {
+      return aIsNegative ? -1 : 1;
+    }
+
+    // Of two negative integers, the one with more digits is the lower.
+    const [low, high] = aIsNegative ? [b.slice(1), a.slice(1)] : [a, b];
+    return Math.sign(low.length - high.length) || compareStrings(low, high);
+  }
+
+  /**
+   * Compare the partitions of keys, i.e. their database and namespace.
+   *
+   * @private
+   */
+  function comparePartitions(a: Key, b: Key): number {
+    return (
+      compareStrings(a.databaseId || '', b.databaseId || '') ||
+      compareStrings(a.namespace || '', b.namespace || '')
+    );
+  }
+
+  /**
+   * Compare the last elements of the paths of keys. Incomplete elements sort
+   * first, then IDs in numeric order, then names.
+   *
+   * @private
+   */
+  function compareElements(a: Key, b: Key): number {
+    const rank = (key: Key) =>
+      is.defined(key.name) ? 2 : is.defined(key.id) ? 1 : 0;
+
+    const order =
+      compareStrings(a.kind, b.kind) || Math.sign(rank(a) - rank(b));
+    if (order !== 0 || rank(a) === 0) {
+      return order;
+    }
+
+    if (rank(a) === 2) {
+      return compareStrings(a.name!, b.name!);
+    }
+
+    return compareIntegers(integerString(a.id!), integerString(b.id!));
+  }
+
   /**
    * Build a Datastore Key object.
    *
@@ -280,6 +623,8 @@ export namespace entity {
    * @param {object} options Configuration object.
    * @param {array} options.path Key path.
    * @param {string} [options.namespace] Optional namespace.
+   * @param {string} [options.databaseId] Optional ID of the database the
+   *     entity belongs to. The default database is used if omitted.
    *
    * @example
    * //-
@@ -339,6 +684,7 @@ export namespace entity {
    */
   export class Key {
     namespace?: string;
+    databaseId?: string;
     id?: string;
     name?: string;
     kind: string;
@@ -352,6 +698,14 @@ export namespace entity {
        */
       this.namespace = options.namespace;
 
+      if (options.databaseId) {
+        /**
+         * @name Key#databaseId
+         * @type {string}
+         */
+        this.databaseId = options.databaseId;
+      }
+
       options.path = [].slice.call(options.path);
 
       if (options.path.length % 2 === 0) {
@@ -363,6 +717,8 @@ export namespace entity {
           isDsIntLike(identifier)
         ) {
           this.id = (((identifier as {}) as Int).value || identifier) as string;
+        } else if (typeof identifier === 'bigint') {
+          this.id = identifier.toString();
         } else if (is.string(identifier)) {
           this.name = identifier as string;
         }
@@ -407,11 +763,15 @@ export namespace entity {
      * const key = datastore.key(key.serialized);
      */
     get serialized() {
-      const serializedKey = {
+      const serializedKey: KeyOptions = {
         namespace: this.namespace,
         path: [this.kind, this.name || new Int(this.id!)],
       };
 
+      if (this.databaseId) {
+        serializedKey.databaseId = this.databaseId;
+      }
+
       if (this.parent) {
         serializedKey.path = this.parent.serialized.path.concat(
           serializedKey.path
@@ -420,65 +780,366 @@ export namespace entity {
 
       return serializedKey;
     }
-  }
 
-  /**
-   * Check if something is a Datastore Key object.
-   *
-   * @private
-   * @param {*} value
-   * @returns {boolean}
-   */
-  export function isDsKey(value?: {}) {
-    return value instanceof entity.Key;
-  }
+    /**
+     * Format the key as a readable string, which can be parsed back with
+     * {@link Key.parse}.
+     *
+     * Every element of the path is written as `Kind:"name"` or `Kind:123`,
+     * separated by `/`. The element of an incomplete key is only its kind.
+     * Kinds that are not identifiers and names are quoted as JSON strings. The
+     * namespace and database are written first, as `@namespace:"ns"` and
+     * `@database:"db"`, when they are set.
+     *
+     * Keys that are {@link Key#equals} have the same string, so it can be used
+     * to store keys in a `Map` or a `Set`.
+     *
+     * @returns {string}
+     *
+     * @example
+     * const {Datastore} = require('@google-cloud/datastore');
+     * const datastore = new Datastore();
+     * const key = datastore.key(['Company', 'Google', 'Employee', 123]);
+     * key.toString(); // 'Company:"Google"/Employee:123'
+     *
+     * const employees = new Map();
+     * employees.set(key.toString(), employee);
+     */
+    toString(): string {
+      const segments: string[] = [];
 
-  /**
-   * Convert a protobuf `integerValue`.
-   *
-   * @private
-   * @param {object} value The `integerValue` to convert.
-   */
-  function decodeIntegerValue(value: ValueProto) {
-    const num = Number(value.integerValue);
-    if (!Number.isSafeInteger(num)) {
-      throw new Error(
-        'We attempted to return all of the numeric values, but ' +
-          (value.propertyName ? value.propertyName + ' ' : '') +
-          'value ' +
-          value.integerValue +
-          " is out of bounds of 'Number.MAX_SAFE_INTEGER'.\n" +
-          "To prevent this error, please consider passing 'options.wrapNumbers=true' or\n" +
-          "'options.wrapNumbers' as\n" +
-          '{\n' +
-          '  integerTypeCastFunction: provide <your_custom_function>\n' +
-          '  properties: optionally specify property name(s) to be cutom casted' +
-          '}\n'
+      if (this.databaseId) {
+        segments.push(`@database:${JSON.stringify(this.databaseId)}`);
+      }
+
+      if (this.namespace) {
+        segments.push(`@namespace:${JSON.stringify(this.namespace)}`);
+      }
+
+      keyElements(this).forEach(element => {
+        const kind = SIMPLE_KIND.test(element.kind)
+          ? element.kind
+          : JSON.stringify(element.kind);
+
+        if (is.defined(element.name)) {
+          segments.push(`${kind}:${JSON.stringify(element.name)}`);
+        } else if (is.defined(element.id)) {
+          segments.push(`${kind}:${integerString(element.id!)}`);
+        } else {
+          segments.push(kind);
+        }
+      });
+
+      return segments.join('/');
+    }
+
+    /**
+     * Check if the key identifies the same entity as another key.
+     *
+     * @param {Key} other The other key.
+     * @returns {boolean}
+     *
+     * @example
+     * const {Datastore} = require('@google-cloud/datastore');
+     * const datastore = new Datastore();
+     * const key = datastore.key(['Company', 123]);
+     * key.equals(datastore.key(['Company', datastore.int('123')])); // true
+     */
+    equals(other?: Key): boolean {
+      return isDsKey(other) && Key.compare(this, other!) === 0;
+    }
+
+    /**
+     * Check if the key is an ancestor of another key, i.e. the path of the
+     * other key starts with the path of this key.
+     *
+     * @param {Key} other The other key.
+     * @returns {boolean}
+     *
+     * @example
+     * const {Datastore} = require('@google-cloud/datastore');
+     * const datastore = new Datastore();
+     * const company = datastore.key(['Company', 'Google']);
+     * company.isAncestorOf(datastore.key(['Company', 'Google', 'Employee', 1])); // true
+     * company.isAncestorOf(company); // false
+     */
+    isAncestorOf(other?: Key): boolean {
+      if (!isDsKey(other) || comparePartitions(this, other!) !== 0) {
+        return false;
+      }
+
+      const elements = keyElements(this);
+      const otherElements = keyElements(other!);
+
+      return (
+        elements.length < otherElements.length &&
+        elements.every(
+          (element, index) =>
+            compareElements(element, otherElements[index]) === 0
+        )
       );
     }
-    return num;
-  }
 
-  /**
-   * @typedef {object} IntegerTypeCastOptions Configuration to convert
-   *     values of `integerValue` type to a custom value. Must provide an
-   *     `integerTypeCastFunction` to handle `integerValue` conversion.
-   * @property {function} integerTypeCastFunction A custom user
-   *     provided function to convert `integerValue`.
-   * @property {string | string[]} [properties] `Entity` property
-   *     names to be converted using `integerTypeCastFunction`.
-   */
-  /**
-   * Convert a protobuf Value message to its native value.
-   *
-   * @private
-   * @param {object} valueProto The protobuf Value message to convert.
-   * @param {boolean | IntegerTypeCastOptions} [wrapNumbers=false] Wrap values of integerValue type in
-   *     {@link Datastore#Int} objects.
-   *     If a `boolean`, this will wrap values in {@link Datastore#Int} objects.
-   *     If an `object`, this will return a value returned by
+    /**
+     * Compare keys in the order of Datastore, for sorting. Keys are ordered by
+     * database and namespace, then element by element of their paths: by kind,
+     * then IDs in numeric order before names. Ancestors sort before their
+     * descendants.
+     *
+     * @param {Key} a The first key.
+     * @param {Key} b The second key.
+     * @returns {number} A negative number if `a` sorts first, a positive
+     *     number if `b` sorts first, and `0` if the keys are equal.
+     *
+     * @example
+     * const {Datastore} = require('@google-cloud/datastore');
+     * const datastore = new Datastore();
+     * keys.sort(datastore.Key.compare);
+     */
+    static compare(a: Key, b: Key): number {
+      const partitionOrder = comparePartitions(a, b);
+      if (partitionOrder !== 0) {
+        return partitionOrder;
+      }
+
+      const aElements = keyElements(a);
+      const bElements = keyElements(b);
+      const length = Math.min(aElements.length, bElements.length);
+
+      for (let index = 0; index < length; index++) {
+        const order = compareElements(aElements[index], bElements[index]);
+        if (order !== 0) {
+          return order;
+        }
+      }
+
+      return Math.sign(aElements.length - bElements.length);
+    }
+
+    /**
+     * Parse a key from the string format of {@link Key#toString}.
+     *
+     * @throws {Error} If the string is not a valid key.
+     *
+     * @param {string} value The key string, e.g.
+     *     `Company:"Google"/Employee:123`.
+     * @returns {Key}
+     *
+     * @example
+     * const {Datastore} = require('@google-cloud/datastore');
+     * const datastore = new Datastore();
+     * const key = datastore.Key.parse('Company:"Google"/Employee:123');
+     * // key.kind === 'Employee'
+     * // key.id === '123'
+     * // key.parent.name === 'Google'
+     */
+    static parse(value: string): Key {
+      const options: KeyOptions = {path: []};
+      let position = 0;
+
+      const read = (pattern: RegExp) => {
+        pattern.lastIndex = position;
+        const match = pattern.exec(value);
+        if (!match) {
+          return undefined;
+        }
+        position = pattern.lastIndex;
+        return match[0];
+      };
+
+      const fail = (expected: string): never => {
+        throw new Error(
+          `Invalid key string, expected ${expected} at position ${position}: ${value}`
+        );
+      };
+
+      const readString = () =>
+        JSON.parse(read(/"(?:[^"\\]|\\.)*"/y) || fail('a quoted string'));
+
+      do {
+        const partition = read(/@(namespace|database):/y);
+
+        if (partition) {
+          if (options.path.length > 0) {
+            fail('a kind');
+          }
+          if (partition === '@namespace:') {
+            options.namespace = readString();
+          } else {
+            options.databaseId = readString();
+          }
+          continue;
+        }
+
+        const kind = read(/[A-Za-z_][\w.-]*/y);
+        options.path.push(
+          kind || (value[position] === '"' ? readString() : fail('a kind'))
+        );
+
+        if (!read(/:/y)) {
+          // Only the last element of the path can be incomplete.
+          if (position < value.length) {
+            fail("':'");
+          }
+          break;
+        }
+
+        if (value[position] === '"') {
+          options.path.push(readString());
+        } else {
+          options.path.push(
+            new Int(read(/-?\d+/y) || fail('an ID or a quoted name'))
+          );
+        }
+      } while (position < value.length && read(/\//y));
+
+      if (position < value.length) {
+        fail("'/'");
+      }
+
+      if (options.path.length === 0) {
+        fail('a kind');
+      }
+
+      return new Key(options);
+    }
+  }
+
+  /**
+   * Check if something is a Datastore Key object.
+   *
+   * @private
+   * @param {*} value
+   * @returns {boolean}
+   */
+  export function isDsKey(value?: {}) {
+    return value instanceof entity.Key;
+  }
+
+  /**
+   * Convert a protobuf `integerValue`.
+   *
+   * @private
+   * @param {object} value The `integerValue` to convert.
+   */
+  function decodeIntegerValue(value: ValueProto) {
+    const num = Number(value.integerValue);
+    if (!Number.isSafeInteger(num)) {
+      throw new Error(
+        'We attempted to return all of the numeric values, but ' +
+          (value.propertyName ? value.propertyName + ' ' : '') +
+          'value ' +
+          value.integerValue +
+          " is out of bounds of 'Number.MAX_SAFE_INTEGER'.\n" +
+          "To prevent this error, please consider passing 'options.wrapNumbers=true' or\n" +
+          "'options.wrapNumbers' as\n" +
+          '{\n' +
+          '  integerTypeCastFunction: provide <your_custom_function>\n' +
+          '  properties: optionally specify property name(s) to be cutom casted' +
+          '}\n'
+      );
+    }
+    return num;
+  }
+
+  /**
+   * @typedef {object} DecodeOptions Additional options for decoding values.
+   * @property {TypeConverter[]} [converters] Custom value converters.
+   * @property {boolean} [preserveMetadata=false] Keep the keys of embedded
+   *     entities as `entity[Datastore.KEY]`, and the `meaning` and
+   *     `excludeFromIndexes` flags of values as `entity[Datastore.METADATA]`,
+   *     so they are saved back unchanged.
+   * @property {boolean} [preserveTypes=false] Decode values of `doubleValue`
+   *     type as {@link Datastore#Double} objects and values of `integerValue`
+   *     type as {@link Datastore#Int} objects, so they are saved back with the
+   *     same type.
+   * @property {boolean} [wrapTimestamps=false] Decode values of
+   *     `timestampValue` type as {@link Datastore#Timestamp} objects, keeping
+   *     their nanosecond precision, instead of `Date` objects.
+   */
+  export interface DecodeOptions {
+    converters?: TypeConverter[];
+    preserveMetadata?: boolean;
+    preserveTypes?: boolean;
+    wrapTimestamps?: boolean;
+  }
+
+  /**
+   * @typedef {object} TypeConverter A custom value converter, registered with
+   *     {@link Datastore#registerType}.
+   * @property {function} [test] Return `true` for the native values handled by
+   *     `encode`.
+   * @property {function} [encode] Convert a native value to a protobuf Value
+   *     message object.
+   * @property {function} [decode] Convert a value read from Datastore. It is
+   *     called with the value as it would otherwise be returned, and the
+   *     protobuf Value message it was decoded from.
+   * @property {string|string[]} [properties] The property paths to decode with
+   *     `decode`, e.g. `price`, `order.total` or `items[]`.
+   * @property {number} [meaning] The `meaning` of the values to decode with
+   *     `decode`.
+   */
+  // tslint:disable-next-line no-any
+  export interface TypeConverter<T = any> {
+    test?: (value: unknown) => boolean;
+    encode?: (value: T) => ValueProto;
+    // tslint:disable-next-line no-any
+    decode?: (value: any, valueProto: ValueProto) => T;
+    properties?: string | string[];
+    meaning?: number;
+  }
+
+  /**
+   * Find the converter to decode a value with, by its `meaning` or the path of
+   * its property.
+   *
+   * @private
+   */
+  function findDecoder(
+    converters: TypeConverter[] | undefined,
+    valueProto: ValueProto,
+    path?: string
+  ) {
+    return (converters || []).find(converter => {
+      if (!converter.decode) {
+        return false;
+      }
+
+      if (is.defined(converter.meaning)) {
+        return converter.meaning === valueProto.meaning;
+      }
+
+      return (
+        !!path &&
+        !!converter.properties &&
+        arrify(converter.properties).includes(path)
+      );
+    });
+  }
+
+  /**
+   * @typedef {object} IntegerTypeCastOptions Configuration to convert
+   *     values of `integerValue` type to a custom value. Must provide an
+   *     `integerTypeCastFunction` to handle `integerValue` conversion.
+   * @property {function} integerTypeCastFunction A custom user
+   *     provided function to convert `integerValue`.
+   * @property {string | string[]} [properties] `Entity` property
+   *     names to be converted using `integerTypeCastFunction`.
+   */
+  /**
+   * Convert a protobuf Value message to its native value.
+   *
+   * @private
+   * @param {object} valueProto The protobuf Value message to convert.
+   * @param {boolean | string | IntegerTypeCastOptions} [wrapNumbers=false] Wrap values of integerValue type in
+   *     {@link Datastore#Int} objects.
+   *     If a `boolean`, this will wrap values in {@link Datastore#Int} objects.
+   *     If `'bigint'`, this will return values as native `BigInt`s.
+   *     If an `object`, this will return a value returned by
    *     `wrapNumbers.integerTypeCastFunction`.
    *     Please see {@link IntegerTypeCastOptions} for options descriptions.
+   * @param {DecodeOptions} [options] Additional decoding options.
+   * @param {string} [path] The path of the property the value belongs to.
    * @returns {*}
    *
    * @example
@@ -499,16 +1160,36 @@ export namespace entity {
    */
   export function decodeValueProto(
     valueProto: ValueProto,
-    wrapNumbers?: boolean | IntegerTypeCastOptions
+    wrapNumbers?: boolean | 'bigint' | IntegerTypeCastOptions,
+    options: DecodeOptions = {},
+    path?: string
+  ) {
+    const value = decodeNativeValue(valueProto, wrapNumbers, options, path);
+    const converter = findDecoder(options.converters, valueProto, path);
+    return converter ? converter.decode!(value, valueProto) : value;
+  }
+
+  /**
+   * Convert a protobuf Value message to its native value, without custom
+   * converters.
+   *
+   * @private
+   */
+  function decodeNativeValue(
+    valueProto: ValueProto,
+    wrapNumbers: boolean | 'bigint' | IntegerTypeCastOptions | undefined,
+    options: DecodeOptions,
+    path?: string
   ) {
     const valueType = valueProto.valueType!;
     const value = valueProto[valueType];
 
     switch (valueType) {
       case 'arrayValue': {
+        const itemPath = path ? `${path}[]` : undefined;
         // tslint:disable-next-line no-any
         return value.values.map((val: any) =>
-          entity.decodeValueProto(val, wrapNumbers)
+          entity.decodeValueProto(val, wrapNumbers, options, itemPath)
         );
       }
 
@@ -521,10 +1202,20 @@ export namespace entity {
       }
 
       case 'doubleValue': {
-        return Number(value);
+        return options.preserveTypes
+          ? new entity.Double(Number(value))
+          : Number(value);
       }
 
       case 'integerValue': {
+        if (wrapNumbers === 'bigint') {
+          return BigInt(value);
+        }
+
+        if (options.preserveTypes) {
+          return new entity.Int(valueProto);
+        }
+
         return wrapNumbers
           ? typeof wrapNumbers === 'object'
             ? new entity.Int(valueProto, wrapNumbers).valueOf()
@@ -533,7 +1224,18 @@ export namespace entity {
       }
 
       case 'entityValue': {
-        return entity.entityFromEntityProto(value, wrapNumbers);
+        const entityObject = entity.entityFromEntityProto(
+          value,
+          wrapNumbers,
+          options,
+          path
+        );
+
+        if (options.preserveMetadata && value.key) {
+          entityObject[KEY_SYMBOL] = entity.keyFromKeyProto(value.key);
+        }
+
+        return entityObject;
       }
 
       case 'keyValue': {
@@ -541,6 +1243,10 @@ export namespace entity {
       }
 
       case 'timestampValue': {
+        if (options.wrapTimestamps) {
+          return new entity.Timestamp(value);
+        }
+
         const milliseconds = Number(value.nanos) / 1e6;
         return new Date(Number(value.seconds) * 1000 + milliseconds);
       }
@@ -556,6 +1262,7 @@ export namespace entity {
    *
    * @private
    * @param {*} value Native value.
+   * @param {TypeConverter[]} [converters] Custom value converters.
    * @returns {object}
    *
    * @example
@@ -564,10 +1271,21 @@ export namespace entity {
    * //   stringValue: 'Hi'
    * // }
    */
-  // tslint:disable-next-line no-any
-  export function encodeValue(value?: any): ValueProto {
+  export function encodeValue(
+    // tslint:disable-next-line no-any
+    value?: any,
+    converters?: TypeConverter[]
+  ): ValueProto {
     const valueProto: ValueProto = {};
 
+    const converter = (converters || []).find(
+      converter => !!converter.test && converter.test(value)
+    );
+
+    if (converter) {
+      return converter.encode!(value);
+    }
+
     if (is.boolean(value)) {
       valueProto.booleanValue = value;
       return valueProto;
@@ -578,6 +1296,17 @@ export namespace entity {
       return valueProto;
     }
 
+    if (typeof value === 'bigint') {
+      if (BigInt.asIntN(64, value) !== value) {
+        throw new Error(
+          `The value ${value} is out of bounds of a 64-bit integer.`
+        );
+      }
+
+      valueProto.integerValue = value.toString();
+      return valueProto;
+    }
+
     if (typeof value === 'number') {
       if (value % 1 === 0) {
         value = new entity.Int(value);
@@ -601,6 +1330,14 @@ export namespace entity {
       return valueProto;
     }
 
+    if (isDsTimestamp(value)) {
+      valueProto.timestampValue = {
+        seconds: (value as Timestamp).seconds,
+        nanos: (value as Timestamp).nanos,
+      };
+      return valueProto;
+    }
+
     if (value instanceof Date) {
       const seconds = value.getTime() / 1000;
 
@@ -624,7 +1361,8 @@ export namespace entity {
 
     if (Array.isArray(value)) {
       valueProto.arrayValue = {
-        values: value.map(entity.encodeValue),
+        // tslint:disable-next-line no-any
+        values: value.map((item: any) => entity.encodeValue(item, converters)),
       };
       return valueProto;
     }
@@ -635,20 +1373,26 @@ export namespace entity {
     }
 
     if (is.object(value)) {
-      if (!is.empty(value)) {
-        value = extend(true, {}, value);
+      const properties: {[property: string]: ValueProto} = {};
 
-        for (const prop in value) {
-          if (value.hasOwnProperty(prop)) {
-            value[prop] = entity.encodeValue(value[prop]);
-          }
+      for (const prop in value) {
+        if (value.hasOwnProperty(prop)) {
+          properties[prop] = entity.encodeValue(value[prop], converters);
         }
       }
 
       valueProto.entityValue = {
-        properties: value,
+        properties,
       };
 
+      if (isDsKey(value[KEY_SYMBOL])) {
+        valueProto.entityValue.key = entity.keyToKeyProto(value[KEY_SYMBOL]);
+      }
+
+      if (value[METADATA_SYMBOL]) {
+        applyMetadata(properties, value[METADATA_SYMBOL]);
+      }
+
       return valueProto;
     }
 
@@ -662,12 +1406,15 @@ export namespace entity {
    *
    * @private
    * @param {object} entityProto The protocol entity object to convert.
-   * @param {boolean | IntegerTypeCastOptions} [wrapNumbers=false] Wrap values of integerValue type in
+   * @param {boolean | string | IntegerTypeCastOptions} [wrapNumbers=false] Wrap values of integerValue type in
    *     {@link Datastore#Int} objects.
    *     If a `boolean`, this will wrap values in {@link Datastore#Int} objects.
+   *     If `'bigint'`, this will return values as native `BigInt`s.
    *     If an `object`, this will return a value returned by
    *     `wrapNumbers.integerTypeCastFunction`.
    *     Please see {@link IntegerTypeCastOptions} for options descriptions.
+   * @param {DecodeOptions} [options] Additional decoding options.
+   * @param {string} [path] The path of the property the entity belongs to.
    * @returns {object}
    *
    * @example
@@ -690,16 +1437,32 @@ export namespace entity {
   // tslint:disable-next-line no-any
   export function entityFromEntityProto(
     entityProto: EntityProto,
-    wrapNumbers?: boolean | IntegerTypeCastOptions
+    wrapNumbers?: boolean | 'bigint' | IntegerTypeCastOptions,
+    options?: DecodeOptions,
+    path?: string
   ) {
     // tslint:disable-next-line no-any
     const entityObject: any = {};
     const properties = entityProto.properties || {};
+    const metadata: EntityMetadata = {};
 
     // tslint:disable-next-line forin
     for (const property in properties) {
       const value = properties[property];
-      entityObject[property] = entity.decodeValueProto(value, wrapNumbers);
+      entityObject[property] = entity.decodeValueProto(
+        value,
+        wrapNumbers,
+        options,
+        path ? `${path}.${property}` : property
+      );
+
+      if (options && options.preserveMetadata && valueMetadata(value)) {
+        metadata[property] = valueMetadata(value)!;
+      }
+    }
+
+    if (Object.keys(metadata).length > 0) {
+      entityObject[METADATA_SYMBOL] = metadata;
     }
 
     return entityObject;
@@ -710,6 +1473,7 @@ export namespace entity {
    *
    * @private
    * @param {object} entityObject The entity object to convert.
+   * @param {TypeConverter[]} [converters] Custom value converters.
    * @returns {object}
    *
    * @example
@@ -735,7 +1499,10 @@ export namespace entity {
    * //   }
    * // }
    */
-  export function entityToEntityProto(entityObject: EntityObject): EntityProto {
+  export function entityToEntityProto(
+    entityObject: EntityObject,
+    converters?: TypeConverter[]
+  ): EntityProto {
     const properties = entityObject.data;
     const excludeFromIndexes = entityObject.excludeFromIndexes;
 
@@ -744,7 +1511,7 @@ export namespace entity {
 
       properties: Object.keys(properties).reduce(
         (encoded, key) => {
-          encoded[key] = entity.encodeValue(properties[key]);
+          encoded[key] = entity.encodeValue(properties[key], converters);
           return encoded;
         },
         // tslint:disable-next-line no-any
@@ -752,6 +1519,12 @@ export namespace entity {
       ),
     };
 
+    const metadata = (properties as Entity)[METADATA_SYMBOL];
+
+    if (metadata) {
+      applyMetadata(entityProto.properties!, metadata);
+    }
+
     if (excludeFromIndexes && excludeFromIndexes.length > 0) {
       excludeFromIndexes.forEach((excludePath: string) => {
         excludePathFromEntity(entityProto, excludePath);
@@ -846,122 +1619,733 @@ export namespace entity {
           } else {
             excludePathFromEntity(value, '');
           }
-        });
-      } else if (firstPathPartIsEntity) {
-        if (firstPathPart === '') {
-          Object.keys(entity.properties!).forEach(path => {
-            const newPath = entity.properties![path].arrayValue
-              ? path + '[].*'
-              : path + '.*';
-            excludePathFromEntity(entity, newPath);
-          });
-        } else {
-          if (hasWildCard && remainderPath === '*') {
-            const parentEntity = entity.properties![firstPathPart].entityValue;
+        });
+      } else if (firstPathPartIsEntity) {
+        if (firstPathPart === '') {
+          Object.keys(entity.properties!).forEach(path => {
+            const newPath = entity.properties![path].arrayValue
+              ? path + '[].*'
+              : path + '.*';
+            excludePathFromEntity(entity, newPath);
+          });
+        } else {
+          if (hasWildCard && remainderPath === '*') {
+            const parentEntity = entity.properties![firstPathPart].entityValue;
+
+            if (parentEntity) {
+              Object.keys(parentEntity.properties).forEach(path => {
+                const newPath = parentEntity.properties[path].arrayValue
+                  ? path + '[].*'
+                  : path + '.*';
+                excludePathFromEntity(parentEntity, newPath);
+              });
+            } else {
+              excludePathFromEntity(entity, firstPathPart);
+            }
+          } else {
+            const parentEntity = entity.properties![firstPathPart].entityValue;
+            excludePathFromEntity(parentEntity, remainderPath);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Convert an API response array to a qualified Key and data object.
+   *
+   * @private
+   * @param {object[]} results The response array.
+   * @param {object} results.entity An entity object.
+   * @param {object} results.entity.key The entity's key.
+   * @param {boolean | string | IntegerTypeCastOptions} [wrapNumbers=false] Wrap values of integerValue type in
+   *     {@link Datastore#Int} objects.
+   *     If a `boolean`, this will wrap values in {@link Datastore#Int} objects.
+   *     If `'bigint'`, this will return values as native `BigInt`s.
+   *     If an `object`, this will return a value returned by
+   *     `wrapNumbers.integerTypeCastFunction`.
+   *     Please see {@link IntegerTypeCastOptions} for options descriptions.
+   * @param {DecodeOptions} [options] Additional decoding options.
+   *
+   * @example
+   * request_('runQuery', {}, (err, response) => {
+   *   const entityObjects = formatArray(response.batch.entityResults);
+   *   // {
+   *   //   key: {},
+   *   //   data: {
+   *   //     fieldName: 'value'
+   *   //   }
+   *   // }
+   *   //
+   * });
+   */
+  export function formatArray(
+    results: ResponseResult[],
+    wrapNumbers?: boolean | 'bigint' | IntegerTypeCastOptions,
+    options?: DecodeOptions
+  ) {
+    return results.map(result => {
+      const ent = entity.entityFromEntityProto(
+        result.entity!,
+        wrapNumbers,
+        options
+      );
+      ent[entity.KEY_SYMBOL] = entity.keyFromKeyProto(result.entity!.key!);
+      return ent;
+    });
+  }
+
+  /**
+   * Convert the `found` and `missing` arrays of a lookup API response to
+   * objects describing the result for each key, including the version of the
+   * entity.
+   *
+   * @private
+   * @param {object[]} found The `found` results of the response.
+   * @param {object[]} missing The `missing` results of the response.
+   * @param {boolean | string | IntegerTypeCastOptions} [wrapNumbers=false] Wrap values of integerValue type in
+   *     {@link Datastore#Int} objects.
+   *     If a `boolean`, this will wrap values in {@link Datastore#Int} objects.
+   *     If `'bigint'`, this will return values as native `BigInt`s.
+   *     If an `object`, this will return a value returned by
+   *     `wrapNumbers.integerTypeCastFunction`.
+   *     Please see {@link IntegerTypeCastOptions} for options descriptions.
+   * @param {DecodeOptions} [options] Additional decoding options.
+   * @returns {object[]}
+   *
+   * @example
+   * request_('lookup', {}, (err, response) => {
+   *   const results = formatLookupResults(response.found, response.missing);
+   *   // [
+   *   //   {
+   *   //     key: Key,
+   *   //     found: true,
+   *   //     entity: {fieldName: 'value'},
+   *   //     version: '1580000000000000'
+   *   //   }
+   *   // ]
+   * });
+   */
+  export function formatLookupResults(
+    found: ResponseResult[],
+    missing: ResponseResult[],
+    wrapNumbers?: boolean | 'bigint' | IntegerTypeCastOptions,
+    options?: DecodeOptions
+  ): LookupResult[] {
+    const format = (result: ResponseResult, isFound: boolean) => {
+      const lookupResult: LookupResult = {
+        key: entity.keyFromKeyProto(result.entity.key!),
+        found: isFound,
+      };
+
+      if (isFound) {
+        lookupResult.entity = entity.formatArray(
+          [result],
+          wrapNumbers,
+          options
+        )[0];
+      }
+
+      if (result.version !== undefined && result.version !== null) {
+        lookupResult.version = result.version.toString();
+      }
+
+      if (result.cursor && result.cursor.length > 0) {
+        lookupResult.cursor = result.cursor.toString('base64');
+      }
+
+      return lookupResult;
+    };
+
+    return found
+      .map(result => format(result, true))
+      .concat(missing.map(result => format(result, false)));
+  }
+
+  /**
+   * Find the properties which value size is large than 1500 bytes,
+   * with excludeLargeProperties enabled, automatically exclude properties from indexing.
+   * This will allow storing string and Buffer values larger than 1500 bytes
+   *
+   * @param entities Datastore key object(s).
+   * @param path namespace of provided entity properties
+   * @param properties properties which value size is large than 1500 bytes
+   */
+  export function findLargeProperties_(
+    entities: Entities,
+    path: string,
+    properties: string[] = []
+  ) {
+    const MAX_DATASTORE_VALUE_LENGTH = 1500;
+    const isLargeValue = (value: {}) =>
+      (is.string(value) &&
+        Buffer.byteLength(value as string) > MAX_DATASTORE_VALUE_LENGTH) ||
+      (Buffer.isBuffer(value) && value.length > MAX_DATASTORE_VALUE_LENGTH);
+
+    if (Array.isArray(entities)) {
+      for (const entry of entities) {
+        if (entry.name && entry.value) {
+          if (isLargeValue(entry.value)) {
+            entry.excludeFromIndexes = true;
+          } else {
+            continue;
+          }
+        }
+        findLargeProperties_(entry, path.concat('[]'), properties);
+      }
+    } else if (is.object(entities)) {
+      const keys = Object.keys(entities);
+      for (const key of keys) {
+        findLargeProperties_(
+          entities[key],
+          path.concat(`${path ? '.' : ''}${key}`),
+          properties
+        );
+      }
+    } else if (isLargeValue(entities)) {
+      if (properties.indexOf(path) < 0) {
+        properties.push(path);
+      }
+    }
+    return properties;
+  }
+
+  /**
+   * Convert a value to the typed JSON format described in
+   * {@link Datastore#toTypedJSON}.
+   *
+   * @private
+   * @param {*} value Native value.
+   * @returns {*}
+   *
+   * @example
+   * toTypedJSON(new Int(7));
+   * // {$type: 'int', value: '7'}
+   */
+  // tslint:disable-next-line no-any
+  export function toTypedJSON(value: any): TypedJSONValue {
+    if (is.null(value) || is.boolean(value) || is.string(value)) {
+      return value;
+    }
+
+    if (typeof value === 'number') {
+      return isFinite(value) ? value : {$type: 'number', value: String(value)};
+    }
+
+    if (typeof value === 'bigint') {
+      return {$type: 'bigint', value: value.toString()};
+    }
+
+    if (isDsInt(value)) {
+      return {$type: 'int', value: String((value as Int).value)};
+    }
+
+    if (isDsDouble(value)) {
+      const double = Number((value as Double).value);
+      return {
+        $type: 'double',
+        value: isFinite(double) ? double : String(double),
+      };
+    }
+
+    if (isDsGeoPoint(value)) {
+      const {latitude, longitude} = (value as GeoPoint).value;
+      return {$type: 'geoPoint', value: {latitude, longitude}};
+    }
+
+    if (isDsTimestamp(value)) {
+      return {$type: 'timestamp', value: (value as Timestamp).toISOString()};
+    }
+
+    if (value instanceof Date) {
+      return {$type: 'date', value: value.toISOString()};
+    }
+
+    if (value instanceof Buffer) {
+      return {$type: 'blob', value: value.toString('base64')};
+    }
+
+    if (isDsKey(value)) {
+      const path: TypedJSONValue[] = [];
+
+      for (let key: Key | undefined = value; key; key = key.parent) {
+        if (is.defined(key.name)) {
+          path.unshift(key.kind, key.name!);
+        } else if (is.defined(key.id)) {
+          path.unshift(key.kind, toTypedJSON(new Int(key.id as string)));
+        } else {
+          path.unshift(key.kind);
+        }
+      }
+
+      const json: TypedJSONObject = {$type: 'key', path};
+
+      if (value.namespace) {
+        json.namespace = value.namespace;
+      }
+
+      if (value.databaseId) {
+        json.databaseId = value.databaseId;
+      }
+
+      return json;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(toTypedJSON);
+    }
+
+    if (is.object(value)) {
+      const json: TypedJSONObject = {$type: 'entity'};
+
+      if (isDsKey(value[KEY_SYMBOL])) {
+        json.key = toTypedJSON(value[KEY_SYMBOL]) as TypedJSONObject;
+      }
+
+      if (value[METADATA_SYMBOL]) {
+        json.metadata = value[METADATA_SYMBOL];
+      }
+
+      json.properties = {};
+      for (const property of Object.keys(value)) {
+        json.properties[property] = toTypedJSON(value[property]);
+      }
+
+      return json;
+    }
+
+    throw new Error('Unsupported field value, ' + value + ', was provided.');
+  }
+
+  /**
+   * Convert a value in the typed JSON format described in
+   * {@link Datastore#toTypedJSON} back to its native value.
+   *
+   * @private
+   * @param {*} json The typed JSON value.
+   * @returns {*}
+   *
+   * @example
+   * fromTypedJSON({$type: 'int', value: '7'});
+   * // new Int(7)
+   */
+  // tslint:disable-next-line no-any
+  export function fromTypedJSON(json: TypedJSONValue): any {
+    if (
+      is.null(json) ||
+      is.boolean(json) ||
+      is.string(json) ||
+      is.number(json)
+    ) {
+      return json;
+    }
+
+    if (Array.isArray(json)) {
+      return json.map(fromTypedJSON);
+    }
+
+    const typed = json as TypedJSONObject;
+
+    switch (is.object(typed) && typed.$type) {
+      case 'number': {
+        return Number(typed.value);
+      }
+
+      case 'bigint': {
+        return BigInt(typed.value);
+      }
+
+      case 'int': {
+        return new Int(typed.value as string);
+      }
+
+      case 'double': {
+        return new Double(Number(typed.value));
+      }
+
+      case 'geoPoint': {
+        return new GeoPoint(typed.value as Coordinates);
+      }
+
+      case 'timestamp': {
+        return new Timestamp(typed.value as string);
+      }
+
+      case 'date': {
+        return new Date(typed.value as string);
+      }
+
+      case 'blob': {
+        return Buffer.from(typed.value as string, 'base64');
+      }
+
+      case 'key': {
+        const options: KeyOptions = {
+          path: typed.path!.map(fromTypedJSON),
+        };
+
+        if (typed.namespace) {
+          options.namespace = typed.namespace;
+        }
+
+        if (typed.databaseId) {
+          options.databaseId = typed.databaseId;
+        }
+
+        return new Key(options);
+      }
+
+      case 'entity': {
+        const entityObject: Entity = {};
+        const properties = typed.properties || {};
+
+        for (const property of Object.keys(properties)) {
+          entityObject[property] = fromTypedJSON(properties[property]);
+        }
+
+        if (typed.key) {
+          entityObject[KEY_SYMBOL] = fromTypedJSON(typed.key);
+        }
+
+        if (typed.metadata) {
+          entityObject[METADATA_SYMBOL] = typed.metadata;
+        }
+
+        return entityObject;
+      }
+
+      default: {
+        throw new Error(
+          `Unsupported typed JSON value, ${JSON.stringify(json)}, was provided.`
+        );
+      }
+    }
+  }
+
+  /**
+   * The rank of each type of value in the order of Datastore. Missing values
+   * sort before all others.
+   *
+   * @type {object}
+   * @private
+   */
+  const TYPE_RANKS = {
+    missing: 0,
+    null: 1,
+    number: 2,
+    timestamp: 3,
+    boolean: 4,
+    bytes: 5,
+    key: 6,
+    geoPoint: 7,
+    array: 8,
+    entity: 9,
+  };
+
+  /**
+   * Check if an object is a geo point as decoded from a `geoPointValue`, i.e.
+   * an object of only a `latitude` and a `longitude`.
+   *
+   * @private
+   */
+  // tslint:disable-next-line no-any
+  function isDecodedGeoPoint(value: any): boolean {
+    return (
+      !value[KEY_SYMBOL] &&
+      Object.keys(value).length === 2 &&
+      is.number(value.latitude) &&
+      is.number(value.longitude)
+    );
+  }
+
+  /**
+   * Get the rank of the type of a value in the order of Datastore.
+   *
+   * @private
+   */
+  // tslint:disable-next-line no-any
+  function typeRank(value: any): number {
+    if (is.undefined(value)) {
+      return TYPE_RANKS.missing;
+    }
+    if (is.null(value)) {
+      return TYPE_RANKS.null;
+    }
+    if (
+      typeof value === 'number' ||
+      typeof value === 'bigint' ||
+      isDsInt(value) ||
+      isDsDouble(value)
+    ) {
+      return TYPE_RANKS.number;
+    }
+    if (value instanceof Date || isDsTimestamp(value)) {
+      return TYPE_RANKS.timestamp;
+    }
+    if (is.boolean(value)) {
+      return TYPE_RANKS.boolean;
+    }
+    if (is.string(value) || value instanceof Buffer) {
+      return TYPE_RANKS.bytes;
+    }
+    if (isDsKey(value)) {
+      return TYPE_RANKS.key;
+    }
+    if (isDsGeoPoint(value)) {
+      return TYPE_RANKS.geoPoint;
+    }
+    if (Array.isArray(value)) {
+      return TYPE_RANKS.array;
+    }
+    if (is.object(value)) {
+      return isDecodedGeoPoint(value) ? TYPE_RANKS.geoPoint : TYPE_RANKS.entity;
+    }
+    throw new Error('Unsupported field value, ' + value + ', was provided.');
+  }
+
+  /**
+   * Get a number as an integer in its canonical decimal form when it has an
+   * integral value, so that large integers are compared exactly, or else as a
+   * `number`.
+   *
+   * @private
+   */
+  // tslint:disable-next-line no-any
+  function numericValue(value: any): number | string {
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+
+    let numeric = value;
+    if (isDsInt(value)) {
+      const integer = (value as Int).value;
+      if (/^[-+]?\d+$/.test(integer)) {
+        return integerString(integer);
+      }
+      numeric = Number(integer);
+    } else if (isDsDouble(value)) {
+      numeric = Number((value as Double).value);
+    }
+
+    // `toFixed` writes the exact value of integral numbers below 1e21.
+    return Number.isInteger(numeric) && Math.abs(numeric) < 1e21
+      ? numeric.toFixed(0)
+      : numeric;
+  }
+
+  /**
+   * Compare numbers, integers and doubles alike. `NaN` sorts first.
+   *
+   * A 64-bit integer is never equal to a number that is not integral, or
+   * that is 1e21 or more, so these are compared exactly as numbers.
+   *
+   * @private
+   */
+  function compareNumbers(a: number | string, b: number | string): number {
+    if (typeof a === 'string' && typeof b === 'string') {
+      return compareIntegers(a, b);
+    }
+
+    const aNumber = Number(a);
+    const bNumber = Number(b);
+    const aIsNaN = isNaN(aNumber);
+    const bIsNaN = isNaN(bNumber);
+    if (aIsNaN || bIsNaN) {
+      return Number(bIsNaN) - Number(aIsNaN);
+    }
+    return aNumber < bNumber ? -1 : aNumber > bNumber ? 1 : 0;
+  }
+
+  /**
+   * Get the coordinates of a geo point.
+   *
+   * @private
+   */
+  // tslint:disable-next-line no-any
+  function coordinates(value: any): Coordinates {
+    return isDsGeoPoint(value) ? (value as GeoPoint).value : value;
+  }
+
+  /**
+   * Compare values in the order of Datastore, for sorting and merging
+   * entities on the client. Values of different types are ordered by type:
+   *
+   *   missing < null < integers and doubles < dates and timestamps < booleans
+   *   < strings and Buffers < keys < geo points < arrays < entities
+   *
+   * Integers and doubles are compared by their numeric value, with `NaN`
+   * first. Strings and Buffers are compared by their bytes, strings in UTF-8.
+   * Keys are compared with {@link Key.compare}, geo points by latitude then
+   * longitude, and arrays value by value. Entities are compared property by
+   * property, in the byte order of the property names.
+   *
+   * Objects of only a `latitude` and a `longitude`, as geo points are read
+   * from Datastore, are compared as geo points.
+   *
+   * @private
+   * @param {*} a The first value.
+   * @param {*} b The second value.
+   * @returns {number} A negative number if `a` sorts first, a positive
+   *     number if `b` sorts first, and `0` if the values are equal.
+   *
+   * @example
+   * compareValues(new Int(7), 7.5); // -1
+   * compareValues('7', 7.5); // 1
+   */
+  // tslint:disable-next-line no-any
+  export function compareValues(a: any, b: any): number {
+    const rankOrder = typeRank(a) - typeRank(b);
+    if (rankOrder !== 0) {
+      return Math.sign(rankOrder);
+    }
+
+    switch (typeRank(a)) {
+      case TYPE_RANKS.number: {
+        return compareNumbers(numericValue(a), numericValue(b));
+      }
+
+      case TYPE_RANKS.timestamp: {
+        const aTimestamp = isDsTimestamp(a) ? a : new Timestamp(a);
+        const bTimestamp = isDsTimestamp(b) ? b : new Timestamp(b);
+        return (
+          compareNumbers(aTimestamp.seconds, bTimestamp.seconds) ||
+          compareNumbers(aTimestamp.nanos, bTimestamp.nanos)
+        );
+      }
+
+      case TYPE_RANKS.boolean: {
+        return Number(a) - Number(b);
+      }
+
+      case TYPE_RANKS.bytes: {
+        return Buffer.compare(Buffer.from(a), Buffer.from(b));
+      }
+
+      case TYPE_RANKS.key: {
+        return Key.compare(a, b);
+      }
+
+      case TYPE_RANKS.geoPoint: {
+        const aCoordinates = coordinates(a);
+        const bCoordinates = coordinates(b);
+        return (
+          compareNumbers(aCoordinates.latitude, bCoordinates.latitude) ||
+          compareNumbers(aCoordinates.longitude, bCoordinates.longitude)
+        );
+      }
+
+      case TYPE_RANKS.array: {
+        const length = Math.min(a.length, b.length);
+        for (let index = 0; index < length; index++) {
+          const order = compareValues(a[index], b[index]);
+          if (order !== 0) {
+            return order;
+          }
+        }
+        return Math.sign(a.length - b.length);
+      }
 
-            if (parentEntity) {
-              Object.keys(parentEntity.properties).forEach(path => {
-                const newPath = parentEntity.properties[path].arrayValue
-                  ? path + '[].*'
-                  : path + '.*';
-                excludePathFromEntity(parentEntity, newPath);
-              });
-            } else {
-              excludePathFromEntity(entity, firstPathPart);
-            }
-          } else {
-            const parentEntity = entity.properties![firstPathPart].entityValue;
-            excludePathFromEntity(parentEntity, remainderPath);
+      case TYPE_RANKS.entity: {
+        const aNames = Object.keys(a).sort(compareStrings);
+        const bNames = Object.keys(b).sort(compareStrings);
+        const length = Math.min(aNames.length, bNames.length);
+        for (let index = 0; index < length; index++) {
+          const order =
+            compareStrings(aNames[index], bNames[index]) ||
+            compareValues(a[aNames[index]], b[bNames[index]]);
+          if (order !== 0) {
+            return order;
           }
         }
+        return Math.sign(aNames.length - bNames.length);
+      }
+
+      default: {
+        return 0;
       }
     }
   }
 
   /**
-   * Convert an API response array to a qualified Key and data object.
+   * Get the values of a property of an entity that a query orders by. The
+   * name can be `__key__` or the path of a property of an embedded entity,
+   * e.g. `address.city`, and the values of arrays are each indexed.
    *
    * @private
-   * @param {object[]} results The response array.
-   * @param {object} results.entity An entity object.
-   * @param {object} results.entity.key The entity's key.
-   * @param {boolean | IntegerTypeCastOptions} [wrapNumbers=false] Wrap values of integerValue type in
-   *     {@link Datastore#Int} objects.
-   *     If a `boolean`, this will wrap values in {@link Datastore#Int} objects.
-   *     If an `object`, this will return a value returned by
-   *     `wrapNumbers.integerTypeCastFunction`.
-   *     Please see {@link IntegerTypeCastOptions} for options descriptions.
-   *
-   * @example
-   * request_('runQuery', {}, (err, response) => {
-   *   const entityObjects = formatArray(response.batch.entityResults);
-   *   // {
-   *   //   key: {},
-   *   //   data: {
-   *   //     fieldName: 'value'
-   *   //   }
-   *   // }
-   *   //
-   * });
    */
-  export function formatArray(
-    results: ResponseResult[],
-    wrapNumbers?: boolean | IntegerTypeCastOptions
-  ) {
-    return results.map(result => {
-      const ent = entity.entityFromEntityProto(result.entity!, wrapNumbers);
-      ent[entity.KEY_SYMBOL] = entity.keyFromKeyProto(result.entity!.key!);
-      return ent;
-    });
+  // tslint:disable-next-line no-any
+  function orderValues(entityObject: Entity, name: string): any[] {
+    if (name === '__key__') {
+      return [entityObject[KEY_SYMBOL]];
+    }
+
+    // tslint:disable-next-line no-any
+    const flatten = (values: any[]) =>
+      values.reduce(
+        // tslint:disable-next-line no-any
+        (flat: any[], value) =>
+          flat.concat(Array.isArray(value) ? value : [value]),
+        []
+      );
+
+    if (Object.prototype.hasOwnProperty.call(entityObject, name)) {
+      return flatten([entityObject[name]]);
+    }
+
+    return name
+      .split('.')
+      .reduce(
+        (values, part) =>
+          flatten(
+            values
+              .filter(value => is.object(value) && part in value)
+              .map(value => value[part])
+          ),
+        [entityObject]
+      );
   }
 
   /**
-   * Find the properties which value size is large than 1500 bytes,
-   * with excludeLargeProperties enabled, automatically exclude properties from indexing.
-   * This will allow storing string values larger than 1500 bytes
+   * Create a function to compare entities in the order of a query, as with
+   * {@link Query#order}. Properties are compared with
+   * {@link entity.compareValues}. As in Datastore, an array is ordered by its
+   * smallest value in ascending order and by its largest value in descending
+   * order. Entities that are equal in every order are ordered by key.
    *
-   * @param entities Datastore key object(s).
-   * @param path namespace of provided entity properties
-   * @param properties properties which value size is large than 1500 bytes
+   * @private
+   * @param {object[]} orders The orders of the query, e.g. `query.orders`.
+   * @returns {function} A function that takes two entities and returns a
+   *     negative number if the first sorts first, a positive number if the
+   *     second sorts first, and `0` if they are equal.
+   *
+   * @example
+   * results.sort(entityComparator([{name: 'priority', sign: '-'}]));
    */
-  export function findLargeProperties_(
-    entities: Entities,
-    path: string,
-    properties: string[] = []
-  ) {
-    const MAX_DATASTORE_VALUE_LENGTH = 1500;
-    if (Array.isArray(entities)) {
-      for (const entry of entities) {
-        if (entry.name && entry.value) {
-          if (
-            is.string(entry.value) &&
-            Buffer.from(entry.value).length > MAX_DATASTORE_VALUE_LENGTH
-          ) {
-            entry.excludeFromIndexes = true;
-          } else {
-            continue;
-          }
+  export function entityComparator(
+    orders: Order[]
+  ): (a: Entity, b: Entity) => number {
+    const keyOrder: Order = {name: '__key__', sign: '+'};
+
+    return (a: Entity, b: Entity) => {
+      for (const order of orders.concat(keyOrder)) {
+        const descending = order.sign === '-';
+        const pick = (entityObject: Entity) =>
+          orderValues(entityObject, order.name).reduce(
+            (picked, value) =>
+              is.undefined(picked) ||
+              (descending ? -1 : 1) * compareValues(value, picked) < 0
+                ? value
+                : picked,
+            undefined
+          );
+
+        const result = compareValues(pick(a), pick(b));
+        if (result !== 0) {
+          return descending ? -result : result;
         }
-        findLargeProperties_(entry, path.concat('[]'), properties);
-      }
-    } else if (is.object(entities)) {
-      const keys = Object.keys(entities);
-      for (const key of keys) {
-        findLargeProperties_(
-          entities[key],
-          path.concat(`${path ? '.' : ''}${key}`),
-          properties
-        );
       }
-    } else if (
-      is.string(entities) &&
-      Buffer.from(entities).length > MAX_DATASTORE_VALUE_LENGTH
-    ) {
-      if (properties.indexOf(path) < 0) {
-        properties.push(path);
-      }
-    }
-    return properties;
+      return 0;
+    };
   }
 
   /**
@@ -1011,6 +2395,10 @@ export namespace entity {
       keyOptions.namespace = keyProto.partitionId.namespaceId;
     }
 
+    if (keyProto.partitionId && keyProto.partitionId.databaseId) {
+      keyOptions.databaseId = keyProto.partitionId.databaseId;
+    }
+
     keyProto.path!.forEach((path, index) => {
       keyOptions.path.push(path.kind);
 
@@ -1068,6 +2456,12 @@ export namespace entity {
       };
     }
 
+    if (key.databaseId) {
+      keyProto.partitionId = Object.assign({}, keyProto.partitionId, {
+        databaseId: key.databaseId,
+      });
+    }
+
     let numKeysWalked = 0;
 
     // Reverse-iterate over the Key objects.
@@ -1099,11 +2493,184 @@ export namespace entity {
     return keyProto;
   }
 
+  /**
+   * A map of query operators to their proto names.
+   *
+   * @type {object}
+   * @private
+   */
+  const OP_TO_OPERATOR = {
+    '=': 'EQUAL',
+    '>': 'GREATER_THAN',
+    '>=': 'GREATER_THAN_OR_EQUAL',
+    '<': 'LESS_THAN',
+    '<=': 'LESS_THAN_OR_EQUAL',
+    HAS_ANCESTOR: 'HAS_ANCESTOR',
+    IN: 'IN',
+    '!=': 'NOT_EQUAL',
+    NOT_IN: 'NOT_IN',
+  };
+
+  /**
+   * Check a query's filters against the limits enforced by the API, so that
+   * invalid queries fail before a request is made.
+   *
+   * @private
+   * @param {object[]} filters The filters of a query, combined with `AND`.
+   * @throws {Error} If the filters can not be combined in a single query.
+   */
+  function validateFilters(filters: Array<Filter | EntityFilter>) {
+    const MAX_DISJUNCTIONS = 30;
+    const MAX_NOT_IN_VALUES = 10;
+    const INEQUALITY_OPERATORS = ['<', '<=', '>', '>=', '!=', 'NOT_IN'];
+
+    const propertyFilters: Filter[] = [];
+    let hasOr = false;
+
+    // Count the disjunctions of a filter once it is expanded to disjunctive
+    // normal form, collecting its property filters along the way.
+    const countDisjunctions = (filter: Filter | EntityFilter): number => {
+      if (filter instanceof CompositeFilter) {
+        const counts = filter.filters.map(countDisjunctions);
+        if (filter.op === 'OR') {
+          hasOr = true;
+          return counts.reduce((sum, count) => sum + count, 0);
+        }
+        return counts.reduce((product, count) => product * count, 1);
+      }
+
+      const propertyFilter = filter as Filter;
+      propertyFilters.push(propertyFilter);
+
+      if (propertyFilter.op === 'IN' || propertyFilter.op === 'NOT_IN') {
+        if (!Array.isArray(propertyFilter.val) || !propertyFilter.val.length) {
+          throw new Error(
+            `The value of an ${propertyFilter.op} filter must be a non-empty array.`
+          );
+        }
+      }
+
+      return propertyFilter.op === 'IN' ? propertyFilter.val.length : 1;
+    };
+
+    const disjunctions = filters
+      .map(countDisjunctions)
+      .reduce((product, count) => product * count, 1);
+
+    const inequalityProperties = new Set<string>();
+    let hasIn = false;
+    let hasNotIn = false;
+    let notEqualFilters = 0;
+
+    propertyFilters.forEach(filter => {
+      if (filter.op === 'IN') {
+        hasIn = true;
+      }
+
+      if (filter.op === 'NOT_IN') {
+        hasNotIn = true;
+        if (filter.val.length > MAX_NOT_IN_VALUES) {
+          throw new Error(
+            `A NOT_IN filter supports at most ${MAX_NOT_IN_VALUES} values.`
+          );
+        }
+      }
+
+      if (filter.op === '!=' || filter.op === 'NOT_IN') {
+        notEqualFilters++;
+      }
+
+      if (INEQUALITY_OPERATORS.indexOf(filter.op) > -1) {
+        inequalityProperties.add(filter.name);
+      }
+    });
+
+    if (inequalityProperties.size > 1) {
+      throw new Error(
+        'Inequality filters are only supported on a single property.'
+      );
+    }
+
+    if (notEqualFilters > 1) {
+      throw new Error('A query supports only one != or NOT_IN filter.');
+    }
+
+    if (hasNotIn && hasIn) {
+      throw new Error(
+        'IN and NOT_IN filters cannot be used in the same query.'
+      );
+    }
+
+    if (hasNotIn && hasOr) {
+      throw new Error('NOT_IN filters cannot be combined with OR filters.');
+    }
+
+    if (disjunctions > MAX_DISJUNCTIONS) {
+      throw new Error(
+        `A query supports at most ${MAX_DISJUNCTIONS} disjunctions.`
+      );
+    }
+  }
+
+  /**
+   * Convert a filter to a filter protocol object.
+   *
+   * @private
+   * @param {object} filter The property or composite filter to convert.
+   * @returns {object}
+   */
+  function filterToFilterProto(
+    filter: Filter | EntityFilter,
+    converters?: TypeConverter[]
+  ): {} {
+    if (filter instanceof CompositeFilter) {
+      return {
+        compositeFilter: {
+          filters: filter.filters.map(filter =>
+            filterToFilterProto(filter, converters)
+          ),
+          op: filter.op,
+        },
+      };
+    }
+
+    const propertyFilter = filter as Filter;
+    // tslint:disable-next-line no-any
+    let value: any = {};
+
+    if (
+      propertyFilter.name === '__key__' &&
+      Array.isArray(propertyFilter.val)
+    ) {
+      value.arrayValue = {
+        values: propertyFilter.val.map(key => {
+          return {keyValue: entity.keyToKeyProto(key)};
+        }),
+      };
+    } else if (propertyFilter.name === '__key__') {
+      value.keyValue = entity.keyToKeyProto(propertyFilter.val);
+    } else {
+      value = entity.encodeValue(propertyFilter.val, converters);
+    }
+
+    return {
+      propertyFilter: {
+        property: {
+          name: propertyFilter.name,
+        },
+        op: OP_TO_OPERATOR[propertyFilter.op],
+        value,
+      },
+    };
+  }
+
   /**
    * Convert a query object to a query protocol object.
    *
    * @private
    * @param {object} q The query object to convert.
+   * @param {TypeConverter[]} [converters] Custom value converters for the
+   *     values of filters.
    * @returns {object}
    *
    * @example
@@ -1132,16 +2699,10 @@ export namespace entity {
    * //   groupBy: []
    * // }
    */
-  export function queryToQueryProto(query: Query): QueryProto {
-    const OP_TO_OPERATOR = {
-      '=': 'EQUAL',
-      '>': 'GREATER_THAN',
-      '>=': 'GREATER_THAN_OR_EQUAL',
-      '<': 'LESS_THAN',
-      '<=': 'LESS_THAN_OR_EQUAL',
-      HAS_ANCESTOR: 'HAS_ANCESTOR',
-    };
-
+  export function queryToQueryProto(
+    query: Query,
+    converters?: TypeConverter[]
+  ): QueryProto {
     const SIGN_TO_ORDER = {
       '-': 'DESCENDING',
       '+': 'ASCENDING',
@@ -1196,31 +2757,16 @@ export namespace entity {
       queryProto.startCursor = query.startVal;
     }
 
-    if (query.filters.length > 0) {
-      const filters = query.filters.map(filter => {
-        // tslint:disable-next-line no-any
-        let value: any = {};
-
-        if (filter.name === '__key__') {
-          value.keyValue = entity.keyToKeyProto(filter.val);
-        } else {
-          value = entity.encodeValue(filter.val);
-        }
+    const filters = [...query.filters, ...query.entityFilters];
 
-        return {
-          propertyFilter: {
-            property: {
-              name: filter.name,
-            },
-            op: OP_TO_OPERATOR[filter.op],
-            value,
-          },
-        };
-      });
+    if (filters.length > 0) {
+      validateFilters(filters);
 
       queryProto.filter = {
         compositeFilter: {
-          filters,
+          filters: filters.map(filter =>
+            filterToFilterProto(filter, converters)
+          ),
           op: 'AND',
         },
       };
@@ -1229,6 +2775,128 @@ export namespace entity {
     return queryProto;
   }
 
+  /**
+   * Convert an aggregate query object to an aggregation query protocol object.
+   *
+   * @private
+   * @param {AggregateQuery} aggregateQuery The aggregate query to convert.
+   * @param {TypeConverter[]} [converters] Custom value converters for the
+   *     values of filters.
+   * @returns {object}
+   *
+   * @example
+   * aggregateQueryToProto(
+   *   datastore.createAggregationQuery(query).addAggregation(sum('amount'))
+   * );
+   * // {
+   * //   nestedQuery: {...},
+   * //   aggregations: [
+   * //     {
+   * //       alias: 'amount',
+   * //       sum: {
+   * //         property: {
+   * //           name: 'amount'
+   * //         }
+   * //       }
+   * //     }
+   * //   ]
+   * // }
+   */
+  export function aggregateQueryToProto(
+    aggregateQuery: AggregateQuery,
+    converters?: TypeConverter[]
+  ): AggregationQueryProto {
+    if (aggregateQuery.aggregations.length === 0) {
+      throw new Error(
+        'An aggregation query requires at least one aggregation.'
+      );
+    }
+
+    const aliases = new Set<string>();
+
+    const aggregations = aggregateQuery.aggregations.map(aggregation => {
+      if (aliases.has(aggregation.alias)) {
+        throw new Error(
+          `The aggregation alias "${aggregation.alias}" is used more than once.`
+        );
+      }
+      aliases.add(aggregation.alias);
+
+      if (aggregation.type === 'count') {
+        return {
+          alias: aggregation.alias,
+          count: {},
+        };
+      }
+
+      return {
+        alias: aggregation.alias,
+        [aggregation.type]: {
+          property: {
+            name: aggregation.property,
+          },
+        },
+      };
+    });
+
+    return {
+      nestedQuery: entity.queryToQueryProto(aggregateQuery.query, converters),
+      aggregations,
+    };
+  }
+
+  /**
+   * Convert a GQL query object to a GQL query protocol object. Cursors are
+   * bound as cursors, and any other value is encoded as a value.
+   *
+   * @private
+   * @param {GqlQuery} gqlQuery The GQL query to convert.
+   * @param {TypeConverter[]} [converters] Custom value converters for the
+   *     values of bindings.
+   * @returns {object}
+   *
+   * @example
+   * gqlQueryToProto(
+   *   datastore.createGqlQuery('SELECT * FROM Task WHERE done = @1', {
+   *     positionalBindings: [false],
+   *   })
+   * );
+   * // {
+   * //   queryString: 'SELECT * FROM Task WHERE done = @1',
+   * //   allowLiterals: false,
+   * //   namedBindings: {},
+   * //   positionalBindings: [
+   * //     {
+   * //       value: {
+   * //         booleanValue: false
+   * //       }
+   * //     }
+   * //   ]
+   * // }
+   */
+  export function gqlQueryToProto(
+    gqlQuery: GqlQuery,
+    converters?: TypeConverter[]
+  ): GqlQueryProto {
+    // tslint:disable-next-line no-any
+    const encodeBinding = (value: any): GqlQueryParameterProto =>
+      value instanceof Cursor
+        ? {cursor: value.value}
+        : {value: entity.encodeValue(value, converters)};
+
+    const namedBindings: {[name: string]: GqlQueryParameterProto} = {};
+    Object.keys(gqlQuery.namedBindings).forEach(name => {
+      namedBindings[name] = encodeBinding(gqlQuery.namedBindings[name]);
+    });
+
+    return {
+      queryString: gqlQuery.queryString,
+      allowLiterals: gqlQuery.allowLiterals,
+      namedBindings,
+      positionalBindings: gqlQuery.positionalBindings.map(encodeBinding),
+    };
+  }
+
   /**
    * URL safe key encoding and decoding helper utility.
    *
@@ -1309,6 +2977,10 @@ export namespace entity {
         path: {element: elements},
       };
 
+      if (key.databaseId) {
+        reference.databaseId = key.databaseId;
+      }
+
       const buffer = this.protos.Reference.encode(reference).finish();
       return this.convertToBase64_(buffer);
     }
@@ -1356,6 +3028,10 @@ export namespace entity {
         keyOptions.namespace = reference.namespace;
       }
 
+      if (reference.databaseId) {
+        keyOptions.databaseId = reference.databaseId;
+      }
+
       return new entity.Key(keyOptions);
     }
 
@@ -1408,6 +3084,27 @@ export interface EntityProto {
   excludeFromIndexes?: boolean;
 }
 
+export type TypedJSONValue =
+  | null
+  | boolean
+  | number
+  | string
+  | TypedJSONArray
+  | TypedJSONObject;
+
+export interface TypedJSONArray extends Array<TypedJSONValue> {}
+
+export interface TypedJSONObject {
+  $type: string;
+  value?: number | string | entity.Coordinates;
+  namespace?: string;
+  databaseId?: string;
+  path?: TypedJSONValue[];
+  key?: TypedJSONObject;
+  metadata?: entity.EntityMetadata;
+  properties?: {[property: string]: TypedJSONValue};
+}
+
 // tslint:disable-next-line no-any
 export type Entity = any;
 export type Entities = Entity | Entity[];
@@ -1425,6 +3122,16 @@ export interface KeyProto {
 
 export interface ResponseResult {
   entity: EntityProto;
+  version?: string | number | null;
+  cursor?: Buffer | null;
+}
+
+export interface LookupResult {
+  key: entity.Key;
+  found: boolean;
+  entity?: Entity;
+  version?: string;
+  cursor?: string;
 }
 
 export interface EntityObject {
@@ -0,0 +1,125 @@
+/*!
+ * Copyright 2020 Google LLC.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Filter, Operator} from './query';
+
+export type CompositeOperator = 'AND' | 'OR';
+
+/**
+ * Base class of the filters that can be passed to {@link Query#filter}.
+ *
+ * @class
+ */
+abstract class EntityFilter {}
+
+/**
+ * A filter on a single property. This is the filter `Query#filter(name, op,
+ * value)` creates.
+ *
+ * @class
+ * @param {string} name The property name.
+ * @param {string} op Operator (=, <, >, <=, >=, !=, IN, NOT_IN, HAS_ANCESTOR).
+ * @param {*} val Value to compare property to.
+ *
+ * @example
+ * const {Datastore, PropertyFilter} = require('@google-cloud/datastore');
+ * const datastore = new Datastore();
+ * const query = datastore
+ *   .createQuery('Task')
+ *   .filter(new PropertyFilter('done', '=', false));
+ */
+class PropertyFilter extends EntityFilter implements Filter {
+  name: string;
+  op: Operator;
+  // tslint:disable-next-line no-any
+  val: any;
+
+  // tslint:disable-next-line no-any
+  constructor(name: string, op: Operator, val: any) {
+    super();
+    this.name = name.trim();
+    this.op = op.trim() as Operator;
+    this.val = val;
+  }
+}
+
+/**
+ * A filter that combines other filters. Create it with {@link and} or
+ * {@link or}.
+ *
+ * @class
+ * @param {EntityFilter[]} filters The filters to combine.
+ * @param {string} op How to combine the filters, either `AND` or `OR`.
+ */
+class CompositeFilter extends EntityFilter {
+  filters: EntityFilter[];
+  op: CompositeOperator;
+
+  constructor(filters: EntityFilter[], op: CompositeOperator) {
+    super();
+    if (filters.length === 0) {
+      throw new Error('A composite filter requires at least one filter.');
+    }
+    this.filters = filters;
+    this.op = op;
+  }
+}
+
+/**
+ * Combine filters so that entities must match all of them.
+ *
+ * @param {EntityFilter[]} filters The filters to combine.
+ * @returns {CompositeFilter}
+ *
+ * @example
+ * const {Datastore, PropertyFilter, and} = require('@google-cloud/datastore');
+ * const datastore = new Datastore();
+ * const query = datastore.createQuery('Task').filter(
+ *   and([
+ *     new PropertyFilter('done', '=', false),
+ *     new PropertyFilter('priority', '>=', 4),
+ *   ])
+ * );
+ */
+function and(filters: EntityFilter[]): CompositeFilter {
+  return new CompositeFilter(filters, 'AND');
+}
+
+/**
+ * Combine filters so that entities must match at least one of them.
+ *
+ * @param {EntityFilter[]} filters The filters to combine.
+ * @returns {CompositeFilter}
+ *
+ * @example
+ * const {Datastore, PropertyFilter, or} = require('@google-cloud/datastore');
+ * const datastore = new Datastore();
+ *
+ * //-
+ * // List all tasks that have status A or are assigned to me.
+ * //-
+ * const query = datastore.createQuery('Task').filter(
+ *   or([
+ *     new PropertyFilter('status', '=', 'A'),
+ *     new PropertyFilter('assignee', '=', 'me'),
+ *   ])
+ * );
+ */
+function or(filters: EntityFilter[]): CompositeFilter {
+  return new CompositeFilter(filters, 'OR');
+}
+
+export {and, or, CompositeFilter, EntityFilter, PropertyFilter};
@@ -0,0 +1,193 @@
+/*!
+ * Copyright 2020 Google LLC.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Datastore} from '.';
+import {RunQueryCallback, RunQueryOptions, RunQueryResponse} from './query';
+import {RunQueryStreamOptions} from './request';
+import {Transaction} from './transaction';
+import {Transform} from 'stream';
+
+/**
+ * A query cursor to bind to a GQL query, e.g. as `@cursor` in
+ * `SELECT * FROM Task OFFSET @cursor`, to start after it.
+ *
+ * **Cursors are created with {@link Datastore#cursor}.**
+ *
+ * @class
+ * @param {string|Buffer} value The cursor, e.g. the `endCursor` of the info
+ *     of a previous query, in base64.
+ */
+class Cursor {
+  value: Buffer;
+
+  constructor(value: string | Buffer) {
+    /**
+     * @name Cursor#value
+     * @type {Buffer}
+     */
+    this.value = Buffer.isBuffer(value) ? value : Buffer.from(value, 'base64');
+  }
+}
+
+/**
+ * Build a query from a string of GQL, the SQL-like query language of
+ * Datastore.
+ *
+ * **GQL queries are built with {@link Datastore#createGqlQuery}.**
+ *
+ * @see [GQL Reference]{@link https://cloud.google.com/datastore/docs/reference/gql_reference}
+ *
+ * @class
+ * @param {Datastore|Transaction} scope The parent scope the query was created
+ *     from.
+ * @param {string} queryString The GQL query.
+ * @param {object} [options] Configuration object. See
+ *     {@link Datastore#createGqlQuery}.
+ *
+ * @example
+ * const {Datastore} = require('@google-cloud/datastore');
+ * const datastore = new Datastore();
+ * const query = datastore.createGqlQuery(
+ *   'SELECT * FROM Task WHERE done = @done',
+ *   {namedBindings: {done: false}}
+ * );
+ */
+class GqlQuery {
+  scope?: Datastore | Transaction;
+  namespace?: string | null;
+  queryString: string;
+  allowLiterals: boolean;
+  // tslint:disable-next-line no-any
+  namedBindings: {[name: string]: any};
+  // tslint:disable-next-line no-any
+  positionalBindings: any[];
+
+  constructor(
+    scope: Datastore | Transaction | undefined,
+    queryString: string,
+    options: GqlQueryOptions = {}
+  ) {
+    /**
+     * @name GqlQuery#scope
+     * @type {Datastore|Transaction}
+     */
+    this.scope = scope;
+    /**
+     * @name GqlQuery#namespace
+     * @type {?string}
+     */
+    this.namespace = options.namespace || null;
+    /**
+     * @name GqlQuery#queryString
+     * @type {string}
+     */
+    this.queryString = queryString;
+    /**
+     * @name GqlQuery#allowLiterals
+     * @type {boolean}
+     */
+    this.allowLiterals = !!options.allowLiterals;
+    /**
+     * @name GqlQuery#namedBindings
+     * @type {object}
+     */
+    this.namedBindings = options.namedBindings || {};
+    /**
+     * @name GqlQuery#positionalBindings
+     * @type {array}
+     */
+    this.positionalBindings = options.positionalBindings || [];
+  }
+
+  run(options?: RunQueryOptions): Promise<RunQueryResponse>;
+  run(options: RunQueryOptions, callback: RunQueryCallback): void;
+  run(callback: RunQueryCallback): void;
+  /**
+   * Run the query.
+   *
+   * @param {object} [options] Optional configuration. See
+   *     {@link Query#run} for a complete list of options.
+   * @param {function} [callback] The callback function. If omitted, a Promise
+   *     is returned.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {object[]} callback.entities A list of entities.
+   * @param {object} callback.info An object useful for pagination.
+   *
+   * @example
+   * query.run((err, entities, info) => {});
+   *
+   * //-
+   * // If the callback is omitted, we'll return a Promise.
+   * //-
+   * query.run().then((data) => {
+   *   const entities = data[0];
+   * });
+   */
+  run(
+    optionsOrCallback?: RunQueryOptions | RunQueryCallback,
+    cb?: RunQueryCallback
+  ): void | Promise<RunQueryResponse> {
+    const options =
+      typeof optionsOrCallback === 'object' ? optionsOrCallback : {};
+    const callback =
+      typeof optionsOrCallback === 'function' ? optionsOrCallback : cb!;
+    const runQuery = this.scope!.runQuery.bind(this.scope);
+    return runQuery(this, options, callback);
+  }
+
+  /**
+   * Run the query as a readable object stream.
+   *
+   * @param {object} [options] Optional configuration. See
+   *     {@link Query#run} for a complete list of options.
+   * @returns {stream}
+   *
+   * @example
+   * query.runStream()
+   *   .on('error', console.error)
+   *   .on('data', (entity) => {})
+   *   .on('end', () => {
+   *     // All entities retrieved.
+   *   });
+   */
+  runStream(options?: RunQueryStreamOptions): Transform {
+    return this.scope!.runQueryStream(this, options);
+  }
+}
+
+export interface GqlQueryOptions {
+  namespace?: string | null;
+  allowLiterals?: boolean;
+  // tslint:disable-next-line no-any
+  namedBindings?: {[name: string]: any};
+  // tslint:disable-next-line no-any
+  positionalBindings?: any[];
+}
+
+export interface GqlQueryProto {
+  queryString: string;
+  allowLiterals: boolean;
+  namedBindings: {[name: string]: GqlQueryParameterProto};
+  positionalBindings: GqlQueryParameterProto[];
+}
+
+export interface GqlQueryParameterProto {
+  // tslint:disable-next-line no-any
+  value?: any;
+  cursor?: Buffer;
+}
+
+export {Cursor, GqlQuery};
@@ -26,19 +26,38 @@
 
 import arrify = require('arrify');
 import {GoogleAuth, GoogleAuthOptions} from 'google-auth-library';
-import {GrpcClient, ClientStub} from 'google-gax';
+import {GrpcClient, ClientStub, Status} from 'google-gax';
 import {ChannelCredentials} from '@grpc/grpc-js';
 import * as is from 'is';
 
-import {entity} from './entity';
-import {Query} from './query';
-import {DatastoreRequest} from './request';
+import {average, count, sum, AggregateField, AggregateQuery} from './aggregate';
+import {
+  BulkDelete,
+  BulkWriter,
+  BulkWriterOptions,
+  DeleteWhereOptions,
+  DeleteWhereProgress,
+  MutationResult,
+} from './bulk';
+import {entity, Entity, TypedJSONValue} from './entity';
+import {and, or, CompositeFilter, EntityFilter, PropertyFilter} from './filter';
+import {
+  Model,
+  ModelEntity,
+  ModelQuery,
+  ModelValidationError,
+  Schema,
+} from './model';
+import {Cursor, GqlQuery, GqlQueryOptions} from './gql';
+import {Order, Query, QueryJSON} from './query';
+import {ConcurrentModificationError, DatastoreRequest} from './request';
 import {Transaction} from './transaction';
+import {EntityValidationError, EntityViolation} from './validate';
 import {promisifyAll} from '@google-cloud/promisify';
 
 const {grpc} = new GrpcClient();
 
-export type PathType = string | number | entity.Int;
+export type PathType = string | number | bigint | entity.Int;
 
 // Import the clients for each version supported by this package.
 const gapic = Object.freeze({
@@ -94,6 +113,8 @@ const urlSafeKey = new entity.URLSafeKey();
  *     to reach Datastore. This is useful for connecting to your local Datastore
  *     server (usually "http://localhost:8080").
  * @param {string} [options.namespace] Namespace to isolate transactions to.
+ * @param {string} [options.databaseId] The ID of the database to use. The
+ *     default database of the project is used if omitted.
  *
  * @example <caption>Import the client library</caption>
  * const {Datastore} = require('@google-cloud/datastore');
@@ -376,7 +397,9 @@ const urlSafeKey = new entity.URLSafeKey();
  */
 class Datastore extends DatastoreRequest {
   clients_: Map<string, ClientStub>;
+  converters_: entity.TypeConverter[];
   namespace?: string;
+  databaseId?: string;
   projectId: string;
   defaultBaseUrl_: string;
   options: DatastoreOptions;
@@ -388,6 +411,7 @@ class Datastore extends DatastoreRequest {
     super();
     options = options || {};
     this.clients_ = new Map();
+    this.converters_ = [];
     this.datastore = this;
 
     /**
@@ -396,6 +420,12 @@ class Datastore extends DatastoreRequest {
      */
     this.namespace = options.namespace;
 
+    /**
+     * @name Datastore#databaseId
+     * @type {string}
+     */
+    this.databaseId = options.databaseId;
+
     const userProvidedProjectId =
       options.projectId || process.env.DATASTORE_PROJECT_ID;
     const defaultProjectId = '{{projectId}}';
@@ -567,6 +597,219 @@ class Datastore extends DatastoreRequest {
     return Datastore.isInt(value);
   }
 
+  /**
+   * Helper function to get a Datastore Timestamp object.
+   *
+   * A Timestamp keeps the full nanosecond precision of a `timestampValue`,
+   * while a `Date` is truncated to milliseconds. Pass `wrapTimestamps: true`
+   * when reading entities to get Timestamp objects back.
+   *
+   * @param {Date|string|object} value A `Date`, an RFC 3339 string with up to
+   *     nine fractional digits, or an object with `seconds` and `nanos`.
+   * @returns {object}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const timestamp = datastore.timestamp('2020-01-01T00:00:00.123456789Z');
+   *
+   * //-
+   * // Read timestamps without losing precision.
+   * //-
+   * const key = datastore.key(['Event', 'launch']);
+   * datastore.get(key, {wrapTimestamps: true}, (err, event) => {
+   *   // event.startedAt.nanos === 123456789
+   * });
+   */
+  static timestamp(value: Date | string | entity.TimestampValue) {
+    return new entity.Timestamp(value);
+  }
+
+  timestamp(value: Date | string | entity.TimestampValue) {
+    return Datastore.timestamp(value);
+  }
+
+  /**
+   * Helper function to check if something is a Datastore Timestamp object.
+   *
+   * @param {*} value
+   * @returns {boolean}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * datastore.isTimestamp(new Date()); // false
+   * datastore.isTimestamp(datastore.timestamp(new Date())); // true
+   */
+  static isTimestamp(value?: {}) {
+    return entity.isDsTimestamp(value);
+  }
+
+  isTimestamp(value?: {}) {
+    return Datastore.isTimestamp(value);
+  }
+
+  /**
+   * Convert an entity, or any value of an entity, to a JSON value that keeps
+   * the types of its values, so it can be sent over HTTP or queues and be
+   * rebuilt with {@link Datastore#fromTypedJSON}.
+   *
+   * Strings, booleans, `null` and finite numbers are kept as they are, and
+   * arrays are converted value by value. Every other value is converted to an
+   * object with a `$type`:
+   *
+   *   - `{$type: 'int', value: '7'}` for {@link Datastore#int} values.
+   *   - `{$type: 'double', value: 7.5}` for {@link Datastore#double} values.
+   *     Non-finite values are strings, e.g. `'NaN'`.
+   *   - `{$type: 'number', value: 'Infinity'}` for non-finite numbers.
+   *   - `{$type: 'bigint', value: '9007199254740993'}` for `BigInt`s.
+   *   - `{$type: 'date', value: '2019-01-01T00:00:00.000Z'}` for `Date`s.
+   *   - `{$type: 'timestamp', value: '2019-01-01T00:00:00.123456789Z'}` for
+   *     {@link Datastore#timestamp} values.
+   *   - `{$type: 'blob', value: 'aGVsbG8='}` for `Buffer`s, in base64.
+   *   - `{$type: 'geoPoint', value: {latitude: 40.6, longitude: -73.9}}` for
+   *     {@link Datastore#geoPoint} values.
+   *   - `{$type: 'key', namespace: 'ns', databaseId: 'db', path: ['Company',
+   *     {$type: 'int', value: '123'}, 'Employee', 'name']}` for keys. The
+   *     `namespace` and `databaseId` are omitted when not set, and the ID of
+   *     an incomplete key is omitted from the path.
+   *   - `{$type: 'entity', key: {...}, metadata: {...}, properties: {...}}`
+   *     for entities, i.e. any other object. The `key` is the key under
+   *     {@link Datastore#KEY}, the `metadata` is the metadata under
+   *     {@link Datastore#METADATA}, and both are omitted when not set.
+   *
+   * @param {*} value The entity or value to convert.
+   * @returns {*} The typed JSON value.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const [entity] = await datastore.get(datastore.key(['Company', 123]));
+   * const json = JSON.stringify(datastore.toTypedJSON(entity));
+   *
+   * // Later, possibly in another service...
+   * const sameEntity = datastore.fromTypedJSON(JSON.parse(json));
+   */
+  static toTypedJSON(value: {} | null): TypedJSONValue {
+    return entity.toTypedJSON(value);
+  }
+
+  toTypedJSON(value: {} | null) {
+    return Datastore.toTypedJSON(value);
+  }
+
+  /**
+   * Rebuild an entity, or any value of an entity, from a JSON value created
+   * with {@link Datastore#toTypedJSON}.
+   *
+   * @throws {Error} If an object without a known `$type` is found.
+   *
+   * @param {*} json The typed JSON value, e.g. parsed with `JSON.parse()`.
+   * @returns {*} The entity or value.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const entity = datastore.fromTypedJSON({
+   *   $type: 'entity',
+   *   key: {$type: 'key', path: ['Company', {$type: 'int', value: '123'}]},
+   *   properties: {
+   *     name: 'Google',
+   *     employees: {$type: 'int', value: '100000'},
+   *   },
+   * });
+   * // entity.name === 'Google'
+   * // datastore.isInt(entity.employees) === true
+   * // entity[datastore.KEY] = The key of the entity.
+   */
+  static fromTypedJSON(json: TypedJSONValue) {
+    return entity.fromTypedJSON(json);
+  }
+
+  fromTypedJSON(json: TypedJSONValue) {
+    return Datastore.fromTypedJSON(json);
+  }
+
+  /**
+   * Compare values in the order of Datastore, to sort or merge results on
+   * the client. Values of different types are ordered by type:
+   *
+   *   `null` < integers and doubles < dates and timestamps < booleans <
+   *   strings and Buffers < keys < geo points < arrays < entities
+   *
+   * Integers and doubles are compared by their numeric value, so
+   * `datastore.int(7)` sorts before `7.5`, and `NaN` sorts first. Strings and
+   * Buffers are compared by their bytes, strings in UTF-8. Keys are compared
+   * with {@link Datastore#Key.compare}, geo points by latitude then
+   * longitude, arrays value by value and entities property by property.
+   * Objects of only a `latitude` and a `longitude`, as geo points are read
+   * from Datastore, are compared as geo points. Missing (`undefined`) values
+   * sort before all others.
+   *
+   * @param {*} a The first value.
+   * @param {*} b The second value.
+   * @returns {number} A negative number if `a` sorts first, a positive
+   *     number if `b` sorts first, and `0` if the values are equal.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const values = ['b', 2, null, datastore.int(1), 'a'];
+   * values.sort(datastore.compareValues);
+   * // [null, datastore.int(1), 2, 'a', 'b']
+   */
+  // tslint:disable-next-line no-any
+  static compareValues(a: any, b: any): number {
+    return entity.compareValues(a, b);
+  }
+
+  // tslint:disable-next-line no-any
+  compareValues(a: any, b: any) {
+    return Datastore.compareValues(a, b);
+  }
+
+  /**
+   * Create a function to sort entities in the order of a query, e.g. to merge
+   * the results of several queries on the client. The orders are those of
+   * {@link Query#order}, which are found in `query.orders`.
+   *
+   * Properties are compared with {@link Datastore#compareValues}. The name of
+   * an order can be `__key__`, or the path of a property of an embedded
+   * entity, e.g. `address.city`. As in Datastore, an array is ordered by its
+   * smallest value in ascending order, and by its largest value in
+   * descending order. Entities that are equal in every order are ordered by
+   * key.
+   *
+   * @param {object[]} orders The orders, e.g. `query.orders`.
+   * @param {string} orders.name The name of the property.
+   * @param {string} orders.sign `+` for ascending and `-` for descending
+   *     order.
+   * @returns {function} A function that takes two entities and returns a
+   *     negative number if the first sorts first, a positive number if the
+   *     second sorts first, and `0` if they are equal.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   *
+   * const queries = ['open', 'archived'].map(namespace =>
+   *   datastore
+   *     .createQuery(namespace, 'Task')
+   *     .order('priority', {descending: true})
+   * );
+   * const results = await Promise.all(queries.map(query => query.run()));
+   *
+   * const tasks = [].concat(...results.map(([entities]) => entities));
+   * tasks.sort(datastore.entityComparator(queries[0].orders));
+   */
+  static entityComparator(orders: Order[]) {
+    return entity.entityComparator(orders);
+  }
+
+  entityComparator(orders: Order[]) {
+    return Datastore.entityComparator(orders);
+  }
+
   /**
    * Access the Key from an Entity object.
    *
@@ -582,6 +825,23 @@ class Datastore extends DatastoreRequest {
   static KEY: typeof entity.KEY_SYMBOL = entity.KEY_SYMBOL;
   KEY: typeof entity.KEY_SYMBOL = Datastore.KEY;
 
+  /**
+   * Access the metadata of the properties of an Entity object, as returned
+   * with the `preserveMetadata` option.
+   *
+   * @name Datastore.METADATA
+   * @type {symbol}
+   */
+  /**
+   * Access the metadata of the properties of an Entity object, as returned
+   * with the `preserveMetadata` option.
+   *
+   * @name Datastore#METADATA
+   * @type {symbol}
+   */
+  static METADATA: typeof entity.METADATA_SYMBOL = entity.METADATA_SYMBOL;
+  METADATA: typeof entity.METADATA_SYMBOL = Datastore.METADATA;
+
   /**
    * This is one of three values which may be returned from
    * {@link Datastore#runQuery}, {@link Transaction#runQuery}, and
@@ -650,6 +910,204 @@ class Datastore extends DatastoreRequest {
     return new Query(this, namespace, arrify(kind) as string[]);
   }
 
+  /**
+   * Create a query from a string of GQL, e.g. as written in the Cloud
+   * Console. See {@link GqlQuery} for all of the available methods. Run it
+   * with {@link Datastore#runQuery}, {@link Datastore#runQueryStream} or
+   * {@link GqlQuery#run}.
+   *
+   * Values are bound to the query by name, as `@name`, or by position, as
+   * `@1`, and are encoded as the values of entities are. To bind a cursor,
+   * e.g. the `endCursor` of a previous query, create it with
+   * {@link Datastore#cursor}.
+   *
+   * @see [GQL Reference]{@link https://cloud.google.com/datastore/docs/reference/gql_reference}
+   * @see {@link GqlQuery}
+   *
+   * @param {string} gql The GQL query.
+   * @param {object} [options] Configuration object.
+   * @param {object} [options.namedBindings] The values to bind by name,
+   *     keyed by name.
+   * @param {array} [options.positionalBindings] The values to bind by
+   *     position. The first value is bound to `@1`.
+   * @param {boolean} [options.allowLiterals=false] Allow values in the query
+   *     string, e.g. `WHERE done = false`. Otherwise every value must be
+   *     bound.
+   * @param {string} [options.namespace] Namespace to query entities from.
+   *     Defaults to the namespace of the client.
+   * @returns {GqlQuery}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore.createGqlQuery(
+   *   'SELECT * FROM Task WHERE done = @done AND priority >= @1',
+   *   {namedBindings: {done: false}, positionalBindings: [4]}
+   * );
+   *
+   * const [tasks, info] = await datastore.runQuery(query);
+   *
+   * //-
+   * // Read the next page of results from the end cursor.
+   * //-
+   * const nextQuery = datastore.createGqlQuery(
+   *   'SELECT * FROM Task LIMIT 10 OFFSET @cursor',
+   *   {namedBindings: {cursor: datastore.cursor(info.endCursor)}}
+   * );
+   */
+  createGqlQuery(gql: string, options: GqlQueryOptions = {}): GqlQuery {
+    return new GqlQuery(
+      this,
+      gql,
+      Object.assign({namespace: this.namespace}, options)
+    );
+  }
+
+  /**
+   * Create a cursor to bind to a GQL query created with
+   * {@link Datastore#createGqlQuery}.
+   *
+   * @param {string|Buffer} value The cursor, e.g. `info.endCursor` of a
+   *     previous query.
+   * @returns {Cursor}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore.createGqlQuery('SELECT * FROM Task OFFSET @1', {
+   *   positionalBindings: [datastore.cursor(info.endCursor)],
+   * });
+   */
+  static cursor(value: string | Buffer) {
+    return new Cursor(value);
+  }
+
+  cursor(value: string | Buffer) {
+    return Datastore.cursor(value);
+  }
+
+  /**
+   * Create an aggregation query over the results of a query. See
+   * {@link AggregateQuery} for all of the available methods.
+   *
+   * The aggregation query runs in the scope of the query it was created from,
+   * so a query created with {@link Transaction#createQuery} is aggregated
+   * within that transaction.
+   *
+   * @see {@link AggregateQuery}
+   *
+   * @param {Query} query The query to aggregate over.
+   * @returns {AggregateQuery}
+   *
+   * @example
+   * const {Datastore, count, sum} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore.createQuery('Order');
+   * const aggregateQuery = datastore
+   *   .createAggregationQuery(query)
+   *   .addAggregation(count('total'), sum('amount'));
+   */
+  createAggregationQuery(query: Query): AggregateQuery {
+    return new AggregateQuery(query);
+  }
+
+  /**
+   * Create a model for the entities of a kind. Writes through the model are
+   * validated against the schema, and reads are hydrated into model instances.
+   *
+   * @see Model
+   *
+   * @param {string} kind The kind of the entities.
+   * @param {object} schema The properties of the entities. See {@link Model}
+   *     for how to define them.
+   * @returns {Model}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const Task = datastore.model('Task', {
+   *   description: {type: 'string', required: true},
+   *   priority: {type: 'int', default: 4},
+   *   location: 'geoPoint',
+   * });
+   *
+   * const task = Task.create({description: 'Learn Datastore'});
+   * await Task.save(task);
+   *
+   * const [tasks] = await Task.query()
+   *   .filter('priority', '>=', 4)
+   *   .run();
+   */
+  model<T extends object = Entity>(kind: string, schema: Schema): Model<T> {
+    return new Model<T>(this, kind, schema);
+  }
+
+  /**
+   * Register a converter for values the library can't store natively, such as
+   * instances of your own classes.
+   *
+   * Values for which `test` returns `true` are converted with `encode` when
+   * they are saved or used in the filters of a query. Values read from
+   * Datastore are converted with `decode` when they belong to one of the
+   * `properties`, or have the given `meaning`. Converters are tried in the
+   * order they were registered.
+   *
+   * @param {TypeConverter} converter The converter to register.
+   * @param {function} [converter.test] Return `true` for the values handled by
+   *     `encode`.
+   * @param {function} [converter.encode] Convert a value to a protobuf Value
+   *     message object, e.g. `{stringValue: '1.50'}`.
+   * @param {function} [converter.decode] Convert a value read from Datastore.
+   *     It is called with the value as it would otherwise be returned, and the
+   *     protobuf Value message it was decoded from.
+   * @param {string|string[]} [converter.properties] The property paths to
+   *     decode, e.g. `price`, `order.total` or `items[]`.
+   * @param {number} [converter.meaning] The `meaning` of the values to decode.
+   * @returns {Datastore} The Datastore instance, to register more converters.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   *
+   * datastore.registerType({
+   *   test: value => value instanceof Money,
+   *   encode: money => ({stringValue: money.toString()}),
+   *   decode: value => Money.parse(value),
+   *   properties: ['price', 'items[].price'],
+   * });
+   *
+   * //-
+   * // Money values are now encoded when saved, and decoded when read.
+   * //-
+   * const key = datastore.key(['Product', 'book']);
+   * await datastore.save({key, data: {price: new Money('9.99')}});
+   *
+   * const [product] = await datastore.get(key);
+   * // product.price instanceof Money === true
+   */
+  registerType<T>(converter: entity.TypeConverter<T>): Datastore {
+    if (!converter.test && !converter.decode) {
+      throw new Error('A converter requires a test or a decode function.');
+    }
+
+    if (converter.test && !converter.encode) {
+      throw new Error('A converter with a test requires an encode function.');
+    }
+
+    if (
+      converter.decode &&
+      !converter.properties &&
+      is.undefined(converter.meaning)
+    ) {
+      throw new Error(
+        'A converter with a decode function requires properties or a meaning.'
+      );
+    }
+
+    this.converters_.push(converter);
+    return this;
+  }
+
   key(options: entity.KeyOptions): entity.Key;
   key(path: PathType[]): entity.Key;
   key(path: string): entity.Key;
@@ -663,6 +1121,8 @@ class Datastore extends DatastoreRequest {
    *     you must use an object here to explicitly state it.
    * @param {string|array} [options.path]  Key path.
    * @param {string} [options.namespace] Optional namespace.
+   * @param {string} [options.databaseId] Optional database ID. Defaults to
+   *     the database of this instance.
    * @returns {Key} A newly created Key from the options given.
    *
    * @example
@@ -703,12 +1163,15 @@ class Datastore extends DatastoreRequest {
    * });
    */
   key(options: string | entity.KeyOptions | PathType[]): entity.Key {
-    const keyOptions = is.object(options)
+    let keyOptions = is.object(options)
       ? (options as entity.KeyOptions)
       : {
           namespace: this.namespace,
           path: arrify(options) as PathType[],
         };
+    if (this.databaseId && !keyOptions.databaseId) {
+      keyOptions = Object.assign({}, keyOptions, {databaseId: this.databaseId});
+    }
     return new entity.Key(keyOptions);
   }
 
@@ -856,6 +1319,183 @@ class Datastore extends DatastoreRequest {
     return new Transaction(this, options);
   }
 
+  /**
+   * Run a function inside of a transaction, committing the transaction once
+   * the function resolves and rolling it back if the function throws.
+   *
+   * If the transaction is aborted because of contention, the whole attempt is
+   * retried with a new transaction after a jittered exponential backoff. The
+   * ID of the aborted transaction is passed along so Datastore can give the
+   * retry priority. Because of this, `fn` may be called more than once and
+   * should not have side effects outside of the transaction.
+   *
+   * @param {function} fn The function to run. It receives a running
+   *     {@link Transaction} and may return a Promise.
+   * @param {object} [options] Configuration object.
+   * @param {number} [options.maxAttempts=5] The maximum number of times `fn`
+   *     is run before the last error is returned.
+   * @param {object} [options.backoff] Backoff settings between attempts.
+   * @param {number} [options.backoff.initialDelayMillis=100] The delay before
+   *     the first retry.
+   * @param {number} [options.backoff.maxDelayMillis=60000] The maximum delay
+   *     between two attempts.
+   * @param {number} [options.backoff.multiplier=1.3] The factor the delay is
+   *     multiplied by after each attempt.
+   * @param {boolean} [options.readOnly=false] Run `fn` in a read-only
+   *     transaction.
+   * @returns {Promise<*>} The value returned by `fn`.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const key = datastore.key(['Account', 'alice']);
+   *
+   * const balance = await datastore.runInTransaction(async transaction => {
+   *   const [account] = await transaction.get(key);
+   *   account.balance -= 10;
+   *   transaction.save({key, data: account});
+   *   return account.balance;
+   * });
+   */
+  async runInTransaction<T>(
+    fn: (transaction: Transaction) => T | Promise<T>,
+    options: RunInTransactionOptions = {}
+  ): Promise<T> {
+    const maxAttempts = options.maxAttempts || 5;
+    const backoff = Object.assign(
+      {initialDelayMillis: 100, maxDelayMillis: 60000, multiplier: 1.3},
+      options.backoff
+    );
+
+    let previousTransaction: string | undefined;
+
+    for (let attempt = 1; ; attempt++) {
+      const transaction = this.transaction({readOnly: options.readOnly});
+      let committing = false;
+
+      try {
+        await transaction.run(
+          previousTransaction ? {transactionId: previousTransaction} : {}
+        );
+        const result = await fn(transaction);
+        committing = true;
+        await transaction.commit();
+        return result;
+      } catch (err) {
+        // A failed commit is rolled back by the transaction itself.
+        if (transaction.id && !committing) {
+          await transaction.rollback().catch(() => {});
+        }
+        if (err.code !== Status.ABORTED || attempt >= maxAttempts) {
+          throw err;
+        }
+        if (!options.readOnly) {
+          previousTransaction = transaction.id;
+        }
+      }
+
+      const delay = Math.min(
+        backoff.initialDelayMillis * Math.pow(backoff.multiplier, attempt - 1),
+        backoff.maxDelayMillis
+      );
+      await new Promise(resolve => setTimeout(resolve, Math.random() * delay));
+    }
+  }
+
+  /**
+   * Delete every entity matching a query.
+   *
+   * The keys matching the query are streamed with
+   * {@link DatastoreRequest#runKeysStream} and deleted in batches, several
+   * batches at a time. A batch failing with a transient error is retried after
+   * a jittered exponential backoff. The deletes are not transactional: if the
+   * operation fails, the batches already deleted stay deleted.
+   *
+   * The returned {@link BulkDelete} is a promise of the number of entities
+   * deleted. It emits a `progress` event with the number of keys matched and
+   * entities deleted so far after each batch, and an `error` event if it
+   * fails and has `error` listeners. Await it or listen for `error`: a
+   * failure nobody handles is an unhandled rejection.
+   *
+   * @param {Query} query The query to delete the matching entities of.
+   * @param {object} [options] Configuration object.
+   * @param {number} [options.batchSize=500] The number of entities deleted per
+   *     request, at most 500.
+   * @param {number} [options.concurrency=5] The maximum number of batches
+   *     deleted at a time.
+   * @param {boolean} [options.dryRun=false] Count the matching entities
+   *     without deleting them.
+   * @param {number} [options.maxAttempts=5] The maximum number of times a
+   *     batch is sent before its last error is returned.
+   * @param {object} [options.backoff] Backoff settings between attempts. See
+   *     {@link Datastore#runInTransaction}.
+   * @param {object} [options.gaxOptions] Request configuration options for the
+   *     deletes, outlined here:
+   *     https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
+   * @returns {BulkDelete}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore.createQuery('Task')
+   *   .filter('done', '=', true);
+   *
+   * const deleted = await datastore.deleteWhere(query)
+   *   .on('progress', progress => {
+   *     console.log(`${progress.deleted}/${progress.matched} deleted.`);
+   *   });
+   *
+   * //-
+   * // Count the entities that would be deleted.
+   * //-
+   * const matching = await datastore.deleteWhere(query, {dryRun: true});
+   */
+  deleteWhere(query: Query, options?: DeleteWhereOptions): BulkDelete {
+    return new BulkDelete(this, query, options);
+  }
+
+  /**
+   * Create a {@link BulkWriter} to write large numbers of entities.
+   *
+   * Unlike {@link DatastoreRequest#save}, which sends all of its entities in
+   * one commit, the writer batches its operations into commits of at most 500
+   * mutations and throttles them with the 500/50/5 rule: it starts at
+   * `initialOpsPerSecond` and ramps up by 50% every 5 minutes. Batches failing
+   * with a transient error are retried.
+   *
+   * @param {object} [options] Configuration object.
+   * @param {number} [options.maxBatchSize=500] The maximum number of
+   *     operations per commit, at most 500.
+   * @param {number} [options.maxConcurrency=5] The maximum number of commits
+   *     sent at a time.
+   * @param {number} [options.initialOpsPerSecond=500] The number of operations
+   *     per second the writer starts with.
+   * @param {boolean} [options.rampUp=true] Increase the rate by 50% every 5
+   *     minutes. If `false`, the rate stays at `initialOpsPerSecond`.
+   * @param {number} [options.maxAttempts=5] The maximum number of times an
+   *     operation is sent before its last error is returned.
+   * @param {object} [options.backoff] Backoff settings between attempts. See
+   *     {@link Datastore#runInTransaction}.
+   * @param {object} [options.gaxOptions] Request configuration options for the
+   *     commits, outlined here:
+   *     https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
+   * @returns {BulkWriter}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const writer = datastore.bulkWriter({initialOpsPerSecond: 100});
+   *
+   * writer.set({key: datastore.key(['Task', 1]), data: {done: false}});
+   * writer.insert({key: datastore.key('Task'), data: {done: false}});
+   * writer.delete(datastore.key(['Task', 2]));
+   *
+   * await writer.close();
+   */
+  bulkWriter(options?: BulkWriterOptions): BulkWriter {
+    return new BulkWriter(this, options);
+  }
+
   /**
    * Determine the appropriate endpoint to use for API requests. If not
    * explicitly defined, check for the "DATASTORE_EMULATOR_HOST" environment
@@ -898,6 +1538,33 @@ class Datastore extends DatastoreRequest {
    */
   DatastoreRequest = DatastoreRequest;
 
+  /**
+   * {@link ConcurrentModificationError} class.
+   *
+   * @name Datastore.ConcurrentModificationError
+   * @see ConcurrentModificationError
+   * @type {constructor}
+   */
+  ConcurrentModificationError = ConcurrentModificationError;
+
+  /**
+   * {@link EntityValidationError} class.
+   *
+   * @name Datastore.EntityValidationError
+   * @see EntityValidationError
+   * @type {constructor}
+   */
+  EntityValidationError = EntityValidationError;
+
+  /**
+   * {@link Key} class.
+   *
+   * @name Datastore.Key
+   * @see Key
+   * @type {constructor}
+   */
+  Key = entity.Key;
+
   /**
    * {@link Query} class.
    *
@@ -907,6 +1574,15 @@ class Datastore extends DatastoreRequest {
    */
   Query = Query;
 
+  /**
+   * {@link GqlQuery} class.
+   *
+   * @name Datastore.GqlQuery
+   * @see GqlQuery
+   * @type {constructor}
+   */
+  GqlQuery = GqlQuery;
+
   /**
    * {@link Transaction} class.
    *
@@ -930,11 +1606,25 @@ promisifyAll(Datastore, {
     'isGeoPoint',
     'int',
     'isInt',
+    'timestamp',
+    'isTimestamp',
+    'toTypedJSON',
+    'fromTypedJSON',
+    'compareValues',
+    'entityComparator',
     'createQuery',
+    'createGqlQuery',
+    'cursor',
+    'createAggregationQuery',
     'key',
+    'model',
+    'registerType',
     'isKey',
     'keyFromLegacyUrlsafe',
     'transaction',
+    'runInTransaction',
+    'deleteWhere',
+    'bulkWriter',
   ],
 });
 
@@ -993,10 +1683,46 @@ export interface TransactionOptions {
   readOnly?: boolean;
 }
 
-export {DatastoreRequest, Query, Transaction};
+export interface RunInTransactionOptions {
+  maxAttempts?: number;
+  backoff?: {
+    initialDelayMillis?: number;
+    maxDelayMillis?: number;
+    multiplier?: number;
+  };
+  readOnly?: boolean;
+}
+
+export {
+  ConcurrentModificationError,
+  DatastoreRequest,
+  Query,
+  QueryJSON,
+  Transaction,
+};
+
+export {Cursor, GqlQuery, GqlQueryOptions};
+
+export {
+  BulkDelete,
+  BulkWriter,
+  BulkWriterOptions,
+  DeleteWhereOptions,
+  DeleteWhereProgress,
+  MutationResult,
+};
+
+export {and, or, CompositeFilter, EntityFilter, PropertyFilter};
+
+export {average, count, sum, AggregateField, AggregateQuery};
+
+export {Model, ModelEntity, ModelQuery, ModelValidationError};
+
+export {EntityValidationError, EntityViolation};
 
 export interface DatastoreOptions extends GoogleAuthOptions {
   namespace?: string;
+  databaseId?: string;
   apiEndpoint?: string;
   sslCreds?: ChannelCredentials;
 }
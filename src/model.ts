@@ -0,0 +1,710 @@
+/*!
+ * Copyright 2020 Google LLC.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import arrify = require('arrify');
+import {promisifyAll} from '@google-cloud/promisify';
+import {CallOptions} from 'google-gax';
+import * as is from 'is';
+import {Datastore} from '.';
+import {entity, Entity} from './entity';
+import {Query, RunQueryInfo, RunQueryOptions} from './query';
+import {
+  DeleteCallback,
+  DeleteResponse,
+  SaveCallback,
+  SaveResponse,
+} from './request';
+
+export type PropertyType =
+  | 'string'
+  | 'int'
+  | 'double'
+  | 'boolean'
+  | 'date'
+  | 'geoPoint'
+  | 'key'
+  | 'buffer'
+  | 'embedded'
+  | 'array';
+
+/**
+ * The value types {@link entity.encodeValue} produces for each property type.
+ *
+ * @type {object}
+ * @private
+ */
+const VALUE_TYPES: {[type in PropertyType]: string} = {
+  string: 'stringValue',
+  int: 'integerValue',
+  double: 'doubleValue',
+  boolean: 'booleanValue',
+  date: 'timestampValue',
+  geoPoint: 'geoPointValue',
+  key: 'keyValue',
+  buffer: 'blobValue',
+  embedded: 'entityValue',
+  array: 'arrayValue',
+};
+
+/**
+ * Error thrown when an entity does not match the schema of its model.
+ *
+ * @class
+ *
+ * @param {string} kind The kind of the model.
+ * @param {string} property The path of the invalid property.
+ * @param {string} message The error message.
+ */
+class ModelValidationError extends Error {
+  kind: string;
+  property: string;
+
+  constructor(kind: string, property: string, message: string) {
+    super(message);
+    this.name = 'ModelValidationError';
+    this.kind = kind;
+    this.property = property;
+  }
+}
+
+/**
+ * An entity hydrated from the results of a {@link Model}. The properties of
+ * the entity are assigned to the instance, and its key is available as
+ * `instance[datastore.KEY]`.
+ *
+ * @class
+ */
+class ModelEntity {
+  [entity.KEY_SYMBOL]?: entity.Key;
+}
+
+/**
+ * A model for the entities of a kind, created with {@link Datastore#model}.
+ *
+ * Writes through a model are validated against its schema, and reads are
+ * hydrated into {@link ModelEntity} instances with the defaults of the schema
+ * applied.
+ *
+ * @class
+ * @param {Datastore} datastore The Datastore instance the model belongs to.
+ * @param {string} kind The kind of the entities.
+ * @param {object} schema The properties of the entities, keyed by name. Each
+ *     property is either a type or an object with the following properties:
+ * @param {string} schema.type One of `string`, `int`, `double`, `boolean`,
+ *     `date`, `geoPoint`, `key`, `buffer`, `embedded` or `array`.
+ * @param {boolean} [schema.required=false] Reject entities without a value.
+ * @param {*} [schema.default] The value used when the property is missing. If
+ *     a function, it is called to create the value.
+ * @param {boolean} [schema.excludeFromIndexes=false] Exclude the property from
+ *     the indexes. For arrays, the values of the array are excluded.
+ * @param {object} [schema.schema] The schema of an `embedded` entity.
+ * @param {string|object} [schema.items] The type of the values of an `array`.
+ *
+ * @example
+ * const {Datastore} = require('@google-cloud/datastore');
+ * const datastore = new Datastore();
+ * const Task = datastore.model('Task', {
+ *   description: {type: 'string', required: true, excludeFromIndexes: true},
+ *   priority: {type: 'int', default: 4},
+ *   done: {type: 'boolean', default: false},
+ *   created: {type: 'date', default: () => new Date()},
+ *   tags: {type: 'array', items: 'string'},
+ * });
+ */
+class Model<T extends object = Entity> {
+  datastore: Datastore;
+  kind: string;
+  schema: Schema;
+  excludeFromIndexes: string[];
+
+  constructor(datastore: Datastore, kind: string, schema: Schema) {
+    /**
+     * @name Model#datastore
+     * @type {Datastore}
+     */
+    this.datastore = datastore;
+    /**
+     * @name Model#kind
+     * @type {string}
+     */
+    this.kind = kind;
+    /**
+     * @name Model#schema
+     * @type {object}
+     */
+    this.schema = schema;
+    /**
+     * The excluded properties of the schema, in the format of the
+     * `excludeFromIndexes` option of {@link Datastore#save}.
+     *
+     * @name Model#excludeFromIndexes
+     * @type {string[]}
+     */
+    this.excludeFromIndexes = excludedProperties(schema);
+  }
+
+  /**
+   * Create a key of the kind of the model.
+   *
+   * @param {string|number|bigint|Int} [id] The name or ID of the entity. If
+   *     omitted, the key is incomplete.
+   * @returns {Key}
+   *
+   * @example
+   * const key = Task.key(123);
+   */
+  key(id?: string | number | bigint | entity.Int): entity.Key {
+    if (is.undefined(id)) {
+      return this.datastore.key(this.kind);
+    }
+    return this.datastore.key([this.kind, id!]);
+  }
+
+  /**
+   * Create an instance of the model from the given data, applying the defaults
+   * of the schema. The instance is not validated until it is saved.
+   *
+   * @param {object} [data] The properties of the entity.
+   * @param {Key} [key] The key of the entity.
+   * @returns {ModelEntity}
+   *
+   * @example
+   * const task = Task.create({description: 'Learn Datastore'});
+   * // task.priority === 4
+   */
+  create(data: Partial<T> = {}, key?: entity.Key): ModelInstance<T> {
+    const instance = Object.assign(new ModelEntity(), data) as ModelInstance<T>;
+
+    for (const name of Object.keys(this.schema)) {
+      const definition = toDefinition(this.schema[name]);
+      // tslint:disable-next-line no-any
+      const properties = instance as any;
+      if (is.undefined(properties[name]) && 'default' in definition) {
+        properties[name] = defaultValue(definition);
+      }
+    }
+
+    if (key) {
+      instance[entity.KEY_SYMBOL] = key;
+    }
+
+    return instance;
+  }
+
+  /**
+   * Check the data of an entity against the schema.
+   *
+   * @throws {ModelValidationError} If the data does not match the schema.
+   *
+   * @param {object} data The properties of the entity.
+   *
+   * @example
+   * try {
+   *   Task.validate({priority: 'high'});
+   * } catch (err) {
+   *   // err.property === 'description'
+   * }
+   */
+  validate(data: Partial<T>) {
+    this.encode_(data);
+  }
+
+  get(id: ModelId, options?: RunQueryOptions): Promise<[ModelInstance<T>]>;
+  get(
+    ids: ModelId[],
+    options?: RunQueryOptions
+  ): Promise<[Array<ModelInstance<T>>]>;
+  get(id: ModelId | ModelId[], callback: ModelGetCallback<T>): void;
+  get(
+    id: ModelId | ModelId[],
+    options: RunQueryOptions,
+    callback: ModelGetCallback<T>
+  ): void;
+  /**
+   * Retrieve entities of the model by their IDs or keys.
+   *
+   * @param {string|number|Int|Key|Array} id The name, ID or key of the entity,
+   *     or an array of them.
+   * @param {object} [options] Optional configuration. See
+   *     {@link Datastore#get} for a complete list of options.
+   * @param {function} [callback] The callback function. If omitted, a Promise
+   *     is returned.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {ModelEntity|ModelEntity[]} callback.entity The entity, or an array
+   *     of entities if an array was given. Missing entities are `undefined`.
+   *
+   * @example
+   * Task.get(123).then(([task]) => {
+   *   // task instanceof ModelEntity
+   * });
+   */
+  get(
+    id: ModelId | ModelId[],
+    optionsOrCallback?: RunQueryOptions | ModelGetCallback<T>,
+    cb?: ModelGetCallback<T>
+  ): void | Promise<[ModelInstance<T> | Array<ModelInstance<T>>]> {
+    const options =
+      typeof optionsOrCallback === 'object' ? optionsOrCallback : {};
+    const callback =
+      typeof optionsOrCallback === 'function' ? optionsOrCallback : cb!;
+
+    const keys = (arrify(id) as ModelId[]).map(id => this.toKey_(id));
+
+    this.datastore.get(keys, options, (err, entities) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      // Lookups return the entities found, in any order.
+      const found = new Map<string, Entity>();
+      (entities as Entity[]).forEach(entityObject => {
+        found.set(entityObject[entity.KEY_SYMBOL].toString(), entityObject);
+      });
+      const instances = keys.map(key =>
+        this.hydrate(found.get(key.toString()))
+      );
+      callback(null, Array.isArray(id) ? instances : instances[0]);
+    });
+  }
+
+  save(
+    entities: Partial<T> | Array<Partial<T>>,
+    gaxOptions?: CallOptions
+  ): Promise<SaveResponse>;
+  save(entities: Partial<T> | Array<Partial<T>>, callback: SaveCallback): void;
+  save(
+    entities: Partial<T> | Array<Partial<T>>,
+    gaxOptions: CallOptions,
+    callback: SaveCallback
+  ): void;
+  /**
+   * Validate and save entities of the model. The defaults of the schema are
+   * applied to missing properties.
+   *
+   * Entities without a key are inserted with an incomplete key, which is
+   * assigned to `entity[datastore.KEY]` once the entity is saved.
+   *
+   * @throws {ModelValidationError} If an entity does not match the schema.
+   *
+   * @param {object|object[]} entities The entity or entities to save.
+   * @param {object} [gaxOptions] Request configuration options, outlined here:
+   *     https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
+   * @param {function} [callback] The callback function. If omitted, a Promise
+   *     is returned.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {object} callback.apiResponse The full API response.
+   *
+   * @example
+   * const task = Task.create({description: 'Learn Datastore'});
+   *
+   * Task.save(task).then(() => {
+   *   const key = task[datastore.KEY];
+   * });
+   */
+  save(
+    entities: Partial<T> | Array<Partial<T>>,
+    gaxOptionsOrCallback?: CallOptions | SaveCallback,
+    cb?: SaveCallback
+  ): void | Promise<SaveResponse> {
+    const gaxOptions =
+      typeof gaxOptionsOrCallback === 'object' ? gaxOptionsOrCallback : {};
+    const callback =
+      typeof gaxOptionsOrCallback === 'function' ? gaxOptionsOrCallback : cb!;
+
+    const instances = arrify(entities) as Array<ModelInstance<T>>;
+    const entityObjects = instances.map(instance => ({
+      key: instance[entity.KEY_SYMBOL] || this.key(),
+      data: this.encode_(instance),
+      excludeFromIndexes: this.excludeFromIndexes,
+    }));
+
+    this.datastore.save(entityObjects, gaxOptions, (err, apiResponse) => {
+      if (!err) {
+        instances.forEach((instance, index) => {
+          instance[entity.KEY_SYMBOL] = entityObjects[index].key;
+        });
+      }
+      callback(err, apiResponse);
+    });
+  }
+
+  delete(
+    id: ModelId | ModelId[],
+    gaxOptions?: CallOptions
+  ): Promise<DeleteResponse>;
+  delete(id: ModelId | ModelId[], callback: DeleteCallback): void;
+  delete(
+    id: ModelId | ModelId[],
+    gaxOptions: CallOptions,
+    callback: DeleteCallback
+  ): void;
+  /**
+   * Delete entities of the model by their IDs or keys.
+   *
+   * @param {string|number|Int|Key|Array} id The name, ID or key of the entity,
+   *     or an array of them.
+   * @param {object} [gaxOptions] Request configuration options, outlined here:
+   *     https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
+   * @param {function} [callback] The callback function. If omitted, a Promise
+   *     is returned.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {object} callback.apiResponse The full API response.
+   *
+   * @example
+   * Task.delete(123).then(() => {});
+   */
+  delete(
+    id: ModelId | ModelId[],
+    gaxOptionsOrCallback?: CallOptions | DeleteCallback,
+    cb?: DeleteCallback
+  ): void | Promise<DeleteResponse> {
+    const gaxOptions =
+      typeof gaxOptionsOrCallback === 'object' ? gaxOptionsOrCallback : {};
+    const callback =
+      typeof gaxOptionsOrCallback === 'function' ? gaxOptionsOrCallback : cb!;
+
+    const keys = (arrify(id) as ModelId[]).map(id => this.toKey_(id));
+    this.datastore.delete(keys, gaxOptions, callback);
+  }
+
+  /**
+   * Create a query for the entities of the model. Running the query resolves
+   * with {@link ModelEntity} instances.
+   *
+   * @returns {ModelQuery}
+   *
+   * @example
+   * Task.query()
+   *   .filter('done', false)
+   *   .run()
+   *   .then(([tasks]) => {});
+   */
+  query(): ModelQuery<T> {
+    return new ModelQuery(this);
+  }
+
+  /**
+   * Convert an entity retrieved from Datastore to an instance of the model.
+   *
+   * Wrapped `int` properties are unwrapped to numbers, unless a number cannot
+   * hold them exactly, in which case they stay {@link Int}s.
+   *
+   * @param {object} entityObject The entity.
+   * @returns {ModelEntity}
+   */
+  hydrate(entityObject?: Entity): ModelInstance<T> {
+    if (!entityObject) {
+      return entityObject;
+    }
+
+    const data = Object.assign({}, entityObject);
+    delete data[entity.KEY_SYMBOL];
+
+    for (const name of Object.keys(this.schema)) {
+      const definition = toDefinition(this.schema[name]);
+      if (definition.type === 'int' && entity.isDsInt(data[name])) {
+        const value = Number(data[name].value);
+        if (Number.isSafeInteger(value)) {
+          data[name] = value;
+        }
+      }
+    }
+
+    return this.create(data, entityObject[entity.KEY_SYMBOL]);
+  }
+
+  /**
+   * Validate the data of an entity and convert it to the values to save.
+   *
+   * @private
+   *
+   * @param {object} data The properties of the entity.
+   * @returns {object}
+   */
+  // tslint:disable-next-line no-any
+  encode_(data: any): Entity {
+    return encodeProperties(this.kind, this.schema, data, '');
+  }
+
+  /**
+   * Convert an ID or key to a key of the kind of the model.
+   *
+   * @private
+   *
+   * @param {string|number|Int|Key} id The name, ID or key of the entity.
+   * @returns {Key}
+   */
+  toKey_(id: ModelId): entity.Key {
+    return entity.isDsKey(id) ? (id as entity.Key) : this.key(id as string);
+  }
+}
+
+/**
+ * A query for the entities of a {@link Model}, created with
+ * {@link Model#query}. Results are hydrated into {@link ModelEntity}
+ * instances.
+ *
+ * @class
+ * @extends {Query}
+ * @param {Model} model The model to query.
+ */
+class ModelQuery<T extends object = Entity> extends Query {
+  model: Model<T>;
+
+  constructor(model: Model<T>) {
+    super(model.datastore, model.datastore.namespace, [model.kind]);
+    /**
+     * @name ModelQuery#model
+     * @type {Model}
+     */
+    this.model = model;
+  }
+
+  run(options?: RunQueryOptions): Promise<ModelQueryResponse<T>>;
+  run(options: RunQueryOptions, callback: ModelQueryCallback<T>): void;
+  run(callback: ModelQueryCallback<T>): void;
+  /**
+   * Run the query. See {@link Query#run} for a complete list of options.
+   *
+   * @param {object} [options] Optional configuration.
+   * @param {function} [callback] The callback function. If omitted, a Promise
+   *     is returned.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {ModelEntity[]} callback.entities The entities of the model.
+   * @param {object} callback.info An object useful for pagination.
+   */
+  run(
+    optionsOrCallback?: RunQueryOptions | ModelQueryCallback<T>,
+    cb?: ModelQueryCallback<T>
+  ): void | Promise<ModelQueryResponse<T>> {
+    const options =
+      typeof optionsOrCallback === 'object' ? optionsOrCallback : {};
+    const callback =
+      typeof optionsOrCallback === 'function' ? optionsOrCallback : cb!;
+
+    this.scope!.runQuery(this, options, (err, entities, info) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(
+        null,
+        entities!.map(entityObject => this.model.hydrate(entityObject)),
+        info
+      );
+    });
+  }
+}
+
+/**
+ * Normalize a property of a schema to its definition.
+ *
+ * @private
+ */
+function toDefinition(
+  property: PropertyType | PropertyDefinition
+): PropertyDefinition {
+  return typeof property === 'string' ? {type: property} : property;
+}
+
+/**
+ * Get the default value of a property.
+ *
+ * @private
+ */
+function defaultValue(definition: PropertyDefinition) {
+  return typeof definition.default === 'function'
+    ? definition.default()
+    : definition.default;
+}
+
+/**
+ * Collect the excluded properties of a schema in the format of the
+ * `excludeFromIndexes` option of {@link Datastore#save}.
+ *
+ * @private
+ */
+function excludedProperties(schema: Schema, prefix = ''): string[] {
+  const excluded: string[] = [];
+
+  for (const name of Object.keys(schema)) {
+    const definition = toDefinition(schema[name]);
+    const path =
+      definition.type === 'array' ? `${prefix}${name}[]` : prefix + name;
+
+    if (definition.excludeFromIndexes) {
+      excluded.push(path);
+    }
+
+    const items = definition.items && toDefinition(definition.items);
+    const nestedSchema =
+      definition.schema || (items && items.type === 'embedded' && items.schema);
+
+    if (nestedSchema) {
+      excluded.push(...excludedProperties(nestedSchema, `${path}.`));
+    }
+  }
+
+  return excluded;
+}
+
+/**
+ * Validate the properties of an entity against a schema, applying defaults
+ * and converting values to their Datastore type.
+ *
+ * @private
+ */
+function encodeProperties(
+  kind: string,
+  schema: Schema,
+  // tslint:disable-next-line no-any
+  data: any,
+  prefix: string
+): Entity {
+  // tslint:disable-next-line no-any
+  const properties: any = {};
+
+  for (const name of Object.keys(data)) {
+    if (!schema.hasOwnProperty(name)) {
+      throw new ModelValidationError(
+        kind,
+        prefix + name,
+        `The "${prefix +
+          name}" property is not defined in the schema of ${kind}.`
+      );
+    }
+  }
+
+  for (const name of Object.keys(schema)) {
+    const definition = toDefinition(schema[name]);
+    let value = data[name];
+
+    if (is.undefined(value) && 'default' in definition) {
+      value = defaultValue(definition);
+    }
+
+    value = encodeProperty(kind, definition, value, prefix + name);
+
+    if (!is.undefined(value)) {
+      properties[name] = value;
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Validate a value against its definition, converting it to its Datastore
+ * type. The value is checked with {@link entity.encodeValue}, so it is
+ * encoded exactly as it will be saved.
+ *
+ * @private
+ */
+function encodeProperty(
+  kind: string,
+  definition: PropertyDefinition,
+  // tslint:disable-next-line no-any
+  value: any,
+  path: string
+) {
+  if (is.undefined(value) || is.null(value)) {
+    if (definition.required) {
+      throw new ModelValidationError(
+        kind,
+        path,
+        `The "${path}" property of ${kind} is required.`
+      );
+    }
+    return value;
+  }
+
+  if (definition.type === 'double' && typeof value === 'number') {
+    value = new entity.Double(value);
+  }
+
+  if (definition.type === 'embedded' && definition.schema && is.object(value)) {
+    value = encodeProperties(kind, definition.schema, value, `${path}.`);
+  }
+
+  if (definition.type === 'array' && definition.items && is.array(value)) {
+    const items = toDefinition(definition.items);
+    // tslint:disable-next-line no-any
+    value = value.map((item: any, index: number) =>
+      encodeProperty(kind, items, item, `${path}[${index}]`)
+    );
+  }
+
+  let valueType: string;
+  try {
+    valueType = Object.keys(entity.encodeValue(value))[0];
+  } catch (e) {
+    valueType = '';
+  }
+
+  if (valueType !== VALUE_TYPES[definition.type]) {
+    throw new ModelValidationError(
+      kind,
+      path,
+      `The "${path}" property of ${kind} must be of type ${definition.type}.`
+    );
+  }
+
+  return value;
+}
+
+promisifyAll(Model, {
+  exclude: ['create', 'hydrate', 'key', 'query', 'validate'],
+});
+promisifyAll(ModelQuery);
+
+export interface PropertyDefinition {
+  type: PropertyType;
+  required?: boolean;
+  // tslint:disable-next-line no-any
+  default?: any;
+  excludeFromIndexes?: boolean;
+  schema?: Schema;
+  items?: PropertyType | PropertyDefinition;
+}
+
+export interface Schema {
+  [property: string]: PropertyType | PropertyDefinition;
+}
+
+export type ModelId = string | number | bigint | entity.Int | entity.Key;
+
+export type ModelInstance<T> = ModelEntity & T;
+
+export interface ModelGetCallback<T> {
+  (
+    err?: Error | null,
+    entity?: ModelInstance<T> | Array<ModelInstance<T>>
+  ): void;
+}
+
+export interface ModelQueryCallback<T> {
+  (
+    err: Error | null,
+    entities?: Array<ModelInstance<T>>,
+    info?: RunQueryInfo
+  ): void;
+}
+
+export type ModelQueryResponse<T> = [Array<ModelInstance<T>>, RunQueryInfo];
+
+export {Model, ModelEntity, ModelQuery, ModelValidationError};
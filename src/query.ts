@@ -15,13 +15,36 @@
  */
 
 import arrify = require('arrify');
+import * as extend from 'extend';
 import {Key} from 'readline';
 import {Datastore} from '.';
-import {Entity} from './entity';
+import * as is from 'is';
+import {entity, Entity, TypedJSONValue} from './entity';
+import {
+  CompositeFilter,
+  CompositeOperator,
+  EntityFilter,
+  PropertyFilter,
+} from './filter';
 import {Transaction} from './transaction';
 import {CallOptions} from 'google-gax';
+import {Transform} from 'stream';
+import {
+  RunKeysCallback,
+  RunKeysResponse,
+  RunQueryStreamOptions,
+} from './request';
 
-export type Operator = '=' | '<' | '>' | '<=' | '>=' | 'HAS_ANCESTOR';
+export type Operator =
+  | '='
+  | '<'
+  | '>'
+  | '<='
+  | '>='
+  | '!='
+  | 'IN'
+  | 'NOT_IN'
+  | 'HAS_ANCESTOR';
 
 export interface OrderOptions {
   descending?: boolean;
@@ -39,6 +62,193 @@ export interface Filter {
   op: Operator;
 }
 
+/**
+ * Words of GQL that must be quoted to be used as names.
+ *
+ * @type {Set<string>}
+ * @private
+ */
+const GQL_KEYWORDS = new Set([
+  'AND',
+  'ANCESTOR',
+  'ARRAY',
+  'ASC',
+  'BLOB',
+  'BY',
+  'CONTAINS',
+  'DATETIME',
+  'DESC',
+  'DISTINCT',
+  'FALSE',
+  'FIRST',
+  'FROM',
+  'HAS',
+  'IN',
+  'IS',
+  'KEY',
+  'LIMIT',
+  'NAMESPACE',
+  'NOT',
+  'NULL',
+  'OFFSET',
+  'ON',
+  'OR',
+  'ORDER',
+  'PROJECT',
+  'SELECT',
+  'TRUE',
+  'WHERE',
+]);
+
+/**
+ * Write a kind or property name in GQL, quoted with backticks unless it is a
+ * plain identifier.
+ *
+ * @private
+ */
+function gqlName(name: string): string {
+  return /^[A-Za-z_$][\w$]*$/.test(name) &&
+    !GQL_KEYWORDS.has(name.toUpperCase())
+    ? name
+    : '`' + name.replace(/`/g, '``') + '`';
+}
+
+/**
+ * Write a string literal in GQL.
+ *
+ * @private
+ */
+function gqlString(value: string): string {
+  return "'" + value.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+}
+
+/**
+ * Write a value as a GQL literal.
+ *
+ * @throws {Error} If the value has no GQL literal.
+ *
+ * @private
+ */
+// tslint:disable-next-line no-any
+function gqlValue(value: any): string {
+  if (value === null) {
+    return 'NULL';
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+
+  if (typeof value === 'string') {
+    return gqlString(value);
+  }
+
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (typeof value === 'number' && isFinite(value)) {
+    return String(value);
+  }
+
+  if (entity.isDsInt(value)) {
+    return (value as entity.Int).value;
+  }
+
+  if (entity.isDsDouble(value) && isFinite(value.value)) {
+    const double = String(value.value);
+    return /^-?\d+$/.test(double) ? `${double}.0` : double;
+  }
+
+  if (value instanceof Date || entity.isDsTimestamp(value)) {
+    const timestamp = entity.isDsTimestamp(value)
+      ? value
+      : new entity.Timestamp(value);
+    // GQL takes up to microseconds.
+    const datetime = timestamp.toISOString().replace(/\d{3}Z$/, 'Z');
+    return `DATETIME(${gqlString(datetime)})`;
+  }
+
+  if (value instanceof Buffer) {
+    return `BLOB(${gqlString(value.toString('base64'))})`;
+  }
+
+  if (entity.isDsKey(value)) {
+    const path: string[] = [];
+    for (let key: entity.Key | undefined = value; key; key = key.parent) {
+      const identifier =
+        key.name !== undefined
+          ? gqlString(key.name)
+          : key.id !== undefined
+          ? String(key.id)
+          : undefined;
+      path.unshift(...[gqlName(key.kind)].concat(identifier || []));
+    }
+    if (value.namespace) {
+      path.unshift(`NAMESPACE(${gqlString(value.namespace)})`);
+    }
+    return `KEY(${path.join(', ')})`;
+  }
+
+  if (Array.isArray(value)) {
+    return `ARRAY(${value.map(gqlValue).join(', ')})`;
+  }
+
+  throw new Error(`The value ${value} cannot be written in GQL.`);
+}
+
+/**
+ * Write a filter as a GQL condition.
+ *
+ * @private
+ */
+function gqlCondition(filter: Filter | EntityFilter): string {
+  if (filter instanceof CompositeFilter) {
+    const conditions = filter.filters.map(gqlCondition);
+    return `(${conditions.join(` ${filter.op} `)})`;
+  }
+
+  const {name, op, val} = filter as Filter;
+
+  if (op === 'HAS_ANCESTOR') {
+    return `${gqlName(name)} HAS ANCESTOR ${gqlValue(val)}`;
+  }
+
+  return `${gqlName(name)} ${op.replace('_', ' ')} ${gqlValue(val)}`;
+}
+
+/**
+ * Convert a filter to the JSON format of {@link Query#toJSON}.
+ *
+ * @private
+ */
+function filterToJSON(filter: Filter | EntityFilter): FilterJSON {
+  if (filter instanceof CompositeFilter) {
+    return {op: filter.op, filters: filter.filters.map(filterToJSON)};
+  }
+
+  const {name, op, val} = filter as Filter;
+  return {name, op, value: entity.toTypedJSON(val)};
+}
+
+/**
+ * Rebuild an entity filter from the JSON format of
+ * {@link Query#toJSON}.
+ *
+ * @private
+ */
+function entityFilterFromJSON(json: FilterJSON): EntityFilter {
+  if ('filters' in json) {
+    return new CompositeFilter(json.filters.map(entityFilterFromJSON), json.op);
+  }
+
+  return new PropertyFilter(
+    json.name,
+    json.op,
+    entity.fromTypedJSON(json.value)
+  );
+}
+
 /**
  * Build a Query object.
  *
@@ -63,6 +273,7 @@ class Query {
   namespace?: string | null;
   kinds: string[];
   filters: Filter[];
+  entityFilters: EntityFilter[];
   orders: Order[];
   groupByVal: Array<{}>;
   selectVal: Array<{}>;
@@ -110,6 +321,11 @@ class Query {
      * @type {array}
      */
     this.filters = [];
+    /**
+     * @name Query#entityFilters
+     * @type {EntityFilter[]}
+     */
+    this.entityFilters = [];
     /**
      * @name Query#orders
      * @type {array}
@@ -149,19 +365,30 @@ class Query {
     this.offsetVal = -1;
   }
 
+  filter(filter: EntityFilter): Query;
   filter(property: string, value: {}): Query;
   filter(property: string, operator: Operator, value: {}): Query;
   /**
    * Datastore allows querying on properties. Supported comparison operators
-   * are `=`, `<`, `>`, `<=`, and `>=`. "Not equal" and `IN` operators are
-   * currently not supported.
+   * are `=`, `<`, `>`, `<=`, `>=`, `!=`, `IN` and `NOT_IN`.
+   *
+   * `IN` and `NOT_IN` compare the property to an array of values. A query may
+   * contain inequality filters (`<`, `<=`, `>`, `>=`, `!=`, `NOT_IN`) on a
+   * single property only, at most one `!=` or `NOT_IN` filter, and at most 30
+   * disjunctions, i.e. combinations of `IN` values. A `NOT_IN` filter accepts
+   * at most 10 values and cannot be combined with `IN` or `OR`.
+   *
+   * To combine filters with `OR`, or to nest filters, pass a filter created
+   * with {@link PropertyFilter}, {@link and} or {@link or}. All filters added
+   * to a query are combined with `AND`.
    *
    * *To filter by ancestors, see {module:datastore/query#hasAncestor}.*
    *
    * @see [Datastore Filters]{@link https://cloud.google.com/datastore/docs/concepts/queries#datastore-property-filter-nodejs}
    *
-   * @param {string} property The field name.
-   * @param {string} [operator="="] Operator (=, <, >, <=, >=).
+   * @param {string|EntityFilter} property The field name, or a filter.
+   * @param {string} [operator="="] Operator (=, <, >, <=, >=, !=, IN,
+   *     NOT_IN).
    * @param {*} value Value to compare property to.
    * @returns {Query}
    *
@@ -188,8 +415,38 @@ class Query {
    * //-
    * const key = datastore.key(['Company', 'Google']);
    * const keyQuery = query.filter('__key__', key);
+   *
+   * //-
+   * // List all companies located in California or Oregon, that are not
+   * // named Google.
+   * //-
+   * const westCoastQuery = query
+   *   .filter('state', 'IN', ['CA', 'OR'])
+   *   .filter('name', '!=', 'Google');
+   *
+   * //-
+   * // List all companies that are located in California or have more than
+   * // 400 employees.
+   * //-
+   * const {PropertyFilter, or} = require('@google-cloud/datastore');
+   * const orQuery = query.filter(
+   *   or([
+   *     new PropertyFilter('state', '=', 'CA'),
+   *     new PropertyFilter('size', '>', 400),
+   *   ])
+   * );
    */
-  filter(property: string, operatorOrValue: Operator, value?: {}): Query {
+  filter(
+    propertyOrFilter: string | EntityFilter,
+    operatorOrValue?: Operator | {},
+    value?: {}
+  ): Query {
+    if (propertyOrFilter instanceof EntityFilter) {
+      this.entityFilters.push(propertyOrFilter);
+      return this;
+    }
+
+    const property = propertyOrFilter;
     let operator = operatorOrValue as Operator;
     if (arguments.length === 2) {
       value = operatorOrValue as {};
@@ -298,6 +555,22 @@ class Query {
     return this;
   }
 
+  /**
+   * Retrieve only the keys of the matched entities, at lower latency and cost
+   * than the entities. This is the same as `select('__key__')`. Get the keys
+   * themselves with {@link Query#runKeys}.
+   *
+   * @returns {Query}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const keysQuery = datastore.createQuery('Company').keysOnly();
+   */
+  keysOnly() {
+    return this.select('__key__');
+  }
+
   /**
    * Set a starting cursor to a query.
    *
@@ -397,14 +670,33 @@ class Query {
    *     If not specified, default values are chosen by Datastore for the
    *     operation. Learn more about strong and eventual consistency
    *     [here](https://cloud.google.com/datastore/docs/articles/balancing-strong-and-eventual-consistency-with-google-cloud-datastore).
+   * @param {boolean|object} [options.explain] Return the plan of the query in
+   *     `info.explainMetrics`. If `true`, the query is only planned and no
+   *     entities are returned.
+   * @param {boolean} [options.explain.analyze=false] Also execute the query,
+   *     returning its entities along with execution statistics.
    * @param {object} [options.gaxOptions] Request configuration options, outlined
    *     here: https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
-   * @param {boolean | IntegerTypeCastOptions} [options.wrapNumbers=false]
+   * @param {boolean | string | IntegerTypeCastOptions} [options.wrapNumbers=false]
    *     Wrap values of integerValue type in {@link Datastore#Int} objects.
    *     If a `boolean`, this will wrap values in {@link Datastore#Int} objects.
+   *     If `'bigint'`, this will return values as native `BigInt`s.
    *     If an `object`, this will return a value returned by
    *     `wrapNumbers.integerTypeCastFunction`.
    *     Please see {@link IntegerTypeCastOptions} for options descriptions.
+   * @param {boolean} [options.preserveMetadata=false] Keep the keys of
+   *     embedded entities and the meaning and `excludeFromIndexes` settings
+   *     of every property, so that saving an entity back does not lose them.
+   *     They are stored under the {@link Datastore#KEY} and
+   *     {@link Datastore#METADATA} symbols.
+   * @param {boolean} [options.preserveTypes=false] Return values of
+   *     doubleValue type as {@link Datastore#Double} objects and values of
+   *     integerValue type as {@link Datastore#Int} objects, so that saving an
+   *     entity back never changes the type of its properties. Takes precedence
+   *     over `wrapNumbers`, unless it is `'bigint'`.
+   * @param {boolean} [options.wrapTimestamps=false] Return values of
+   *     timestampValue type as {@link Datastore#Timestamp} objects, which keep
+   *     nanosecond precision, instead of `Date` objects.
    * @param {function} [callback] The callback function. If omitted, a readable
    *     stream instance is returned.
    * @param {?error} callback.err An error returned while making this request
@@ -419,6 +711,13 @@ class Query {
    *     - {@link Datastore#MORE_RESULTS_AFTER_CURSOR}: There *may* be more
    *       results after the specified end cursor.
    *     - {@link Datastore#NO_MORE_RESULTS}: There are no more results.
+   * @param {object} [callback.info.explainMetrics] When `options.explain` is
+   *     set, the plan of the query.
+   * @param {object[]} callback.info.explainMetrics.planSummary.indexesUsed The
+   *     indexes selected for the query.
+   * @param {object} [callback.info.explainMetrics.executionStats] When the
+   *     query was executed, the number of `resultsReturned`, `entitiesScanned`
+   *     and `readOperations`, and the `executionDuration` in milliseconds.
    *
    * @example
    * const {Datastore} = require('@google-cloud/datastore');
@@ -437,12 +736,10 @@ class Query {
    * of
    * // the entities themselves, at lower latency and cost.
    * //-
-   * query.select('__key__');
+   * query.keysOnly();
    *
-   * query.run((err, entities) => {
-   *   const keys = entities.map((entity) => {
-   *     return entity[datastore.KEY];
-   *   });
+   * query.runKeys((err, keys) => {
+   *   // keys = An array of Key objects.
    * });
    *
    * //-
@@ -504,6 +801,367 @@ class Query {
     const args: any = [query].concat([].slice.call(arguments));
     return this.scope!.runQueryStream.apply(this.scope, args);
   }
+
+  runKeys(options?: RunQueryOptions): Promise<RunKeysResponse>;
+  runKeys(options: RunQueryOptions, callback: RunKeysCallback): void;
+  runKeys(callback: RunKeysCallback): void;
+  /**
+   * Run the query as a keys-only query, and get the keys of the matched
+   * entities. See {@link Datastore#runKeys}.
+   *
+   * @param {object} [options] Optional configuration. See
+   *     {@link Query#run} for a complete list of options.
+   * @param {function} [callback] The callback function. If omitted, a Promise
+   *     is returned.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {Key[]} callback.keys The keys of the entities.
+   * @param {object} callback.info An object useful for pagination, as for
+   *     {@link Query#run}.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore.createQuery('Company').keysOnly();
+   *
+   * query.runKeys((err, keys, info) => {
+   *   // keys = An array of Key objects.
+   * });
+   *
+   * //-
+   * // If the callback is omitted, we'll return a Promise.
+   * //-
+   * query.runKeys().then((data) => {
+   *   const keys = data[0];
+   * });
+   */
+  runKeys(
+    optionsOrCallback?: RunQueryOptions | RunKeysCallback,
+    cb?: RunKeysCallback
+  ): void | Promise<RunKeysResponse> {
+    const options =
+      typeof optionsOrCallback === 'object' ? optionsOrCallback : {};
+    const callback =
+      typeof optionsOrCallback === 'function' ? optionsOrCallback : cb!;
+    const runKeys = this.scope!.runKeys.bind(this.scope);
+    return runKeys(this, options, callback);
+  }
+
+  /**
+   * Run the query as a keys-only query, and get the keys of the matched
+   * entities as a readable object stream.
+   *
+   * @param {object} [options] Optional configuration. See
+   *     {@link Query#run} for a complete list of options.
+   * @returns {stream}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore.createQuery('Company').keysOnly();
+   *
+   * query.runKeysStream()
+   *   .on('error', console.error)
+   *   .on('data', (key) => {})
+   *   .on('end', () => {
+   *     // All keys retrieved.
+   *   });
+   */
+  runKeysStream(options?: RunQueryStreamOptions): Transform {
+    return this.scope!.runKeysStream(this, options);
+  }
+
+  /**
+   * Page through the results of the query. Each page is fetched with a
+   * separate request, starting from the end cursor of the previous page.
+   *
+   * The iterator stops once Datastore responds with
+   * {@link Datastore#NO_MORE_RESULTS},
+   * {@link Datastore#MORE_RESULTS_AFTER_CURSOR}, or
+   * {@link Datastore#MORE_RESULTS_AFTER_LIMIT} for the limit set on the query.
+   * Each page is requested with the page size as its limit, so a page cut off
+   * by the page size also reports `MORE_RESULTS_AFTER_LIMIT`. Unlike for the
+   * limit of the query, the iterator continues after such a page.
+   *
+   * @param {object} [options] Optional configuration. See
+   *     {@link Query#run} for a complete list of options.
+   * @param {number} [options.pageSize] The maximum number of entities per
+   *     page. If omitted, all of the results are returned as a single page.
+   * @returns {AsyncIterableIterator<QueryPage>}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore.createQuery('Company');
+   *
+   * for await (const page of query.pages({pageSize: 50})) {
+   *   // page.entities = Up to 50 entities.
+   *   // page.cursor = The end cursor of this page.
+   * }
+   */
+  async *pages(options: PagesOptions = {}): AsyncIterableIterator<QueryPage> {
+    const {pageSize, ...runOptions} = options;
+    const query = extend(
+      true,
+      Object.create(Object.getPrototypeOf(this)),
+      this
+    ) as Query;
+    let remaining = query.limitVal;
+    let firstPage = true;
+
+    while (true) {
+      const limitedByPageSize =
+        !!pageSize && (remaining < 0 || pageSize < remaining);
+
+      if (pageSize) {
+        query.limit(limitedByPageSize ? pageSize : remaining);
+      }
+
+      const [entities, info] = await query.run(runOptions);
+
+      if (!firstPage && entities.length === 0) {
+        return;
+      }
+
+      yield {entities, cursor: info.endCursor, moreResults: info.moreResults};
+
+      if (remaining > -1) {
+        remaining -= entities.length;
+      }
+
+      if (
+        !pageSize ||
+        entities.length === 0 ||
+        remaining === 0 ||
+        !info.endCursor ||
+        info.moreResults === 'NO_MORE_RESULTS' ||
+        info.moreResults === 'MORE_RESULTS_AFTER_CURSOR' ||
+        (info.moreResults === 'MORE_RESULTS_AFTER_LIMIT' && !limitedByPageSize)
+      ) {
+        return;
+      }
+
+      // The page was cut off by the page size. Continue from where it ended.
+      query.start(info.endCursor).offset(-1);
+      firstPage = false;
+    }
+  }
+
+  /**
+   * Iterate over the entities matching the query. Results are read from
+   * {@link Query#runStream}, so further batches are only requested as the
+   * iteration proceeds.
+   *
+   * @param {object} [options] Optional configuration. See
+   *     {@link Query#run} for a complete list of options.
+   * @returns {AsyncIterableIterator<object>}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore.createQuery('Company');
+   *
+   * for await (const entity of query.iterate()) {
+   *   // Access the Key object for this entity.
+   *   const key = entity[datastore.KEY];
+   * }
+   */
+  async *iterate(options?: RunQueryOptions): AsyncIterableIterator<Entity> {
+    yield* this.scope!.runQueryStream(this, options);
+  }
+
+  /**
+   * Convert the query to a JSON object, e.g. to store it or to send it to
+   * another process, where it is rebuilt with {@link Query.fromJSON}. Filter
+   * values are converted with {@link Datastore#toTypedJSON}, so keys and
+   * other values keep their types. `JSON.stringify(query)` calls this
+   * method.
+   *
+   * @returns {object}
+   *
+   * @example
+   * const {Datastore, Query} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore
+   *   .createQuery('Task')
+   *   .filter('done', false)
+   *   .order('priority', {descending: true})
+   *   .limit(10);
+   *
+   * const json = JSON.stringify(query);
+   *
+   * // Later, possibly in another process...
+   * const sameQuery = Query.fromJSON(datastore, JSON.parse(json));
+   */
+  toJSON(): QueryJSON {
+    const json: QueryJSON = {
+      kinds: this.kinds ? this.kinds.slice() : [],
+      filters: this.filters.map(filterToJSON) as PropertyFilterJSON[],
+      entityFilters: this.entityFilters.map(filterToJSON),
+      orders: this.orders.map(({name, sign}) => ({name, sign})),
+      groupBy: this.groupByVal.slice() as string[],
+      select: this.selectVal.slice() as string[],
+    };
+
+    if (this.namespace) {
+      json.namespace = this.namespace;
+    }
+
+    if (this.startVal) {
+      json.start = Buffer.isBuffer(this.startVal)
+        ? this.startVal.toString('base64')
+        : this.startVal;
+    }
+
+    if (this.endVal) {
+      json.end = Buffer.isBuffer(this.endVal)
+        ? this.endVal.toString('base64')
+        : this.endVal;
+    }
+
+    if (this.limitVal > -1) {
+      json.limit = this.limitVal;
+    }
+
+    if (this.offsetVal > -1) {
+      json.offset = this.offsetVal;
+    }
+
+    return json;
+  }
+
+  /**
+   * Rebuild a query from the JSON object of {@link Query#toJSON}.
+   *
+   * @param {Datastore|Transaction} scope The scope to run the query in.
+   * @param {object} json The JSON object, e.g. parsed with `JSON.parse()`.
+   * @returns {Query}
+   *
+   * @example
+   * const {Datastore, Query} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = Query.fromJSON(datastore, {
+   *   kinds: ['Task'],
+   *   filters: [{name: 'done', op: '=', value: false}],
+   *   orders: [{name: 'priority', sign: '-'}],
+   *   limit: 10,
+   * });
+   */
+  static fromJSON(scope: Datastore | Transaction, json: QueryJSON): Query {
+    const query = new Query(scope, json.namespace || null, json.kinds || []);
+
+    (json.filters || []).forEach(filter => {
+      query.filters.push({
+        name: filter.name,
+        op: filter.op,
+        val: entity.fromTypedJSON(filter.value),
+      });
+    });
+
+    (json.entityFilters || []).forEach(filter => {
+      query.entityFilters.push(entityFilterFromJSON(filter));
+    });
+
+    (json.orders || []).forEach(({name, sign}) => {
+      query.orders.push({name, sign});
+    });
+
+    query.groupByVal = (json.groupBy || []).slice();
+    query.selectVal = (json.select || []).slice();
+
+    if (json.start) {
+      query.start(json.start);
+    }
+
+    if (json.end) {
+      query.end(json.end);
+    }
+
+    if (is.number(json.limit)) {
+      query.limit(json.limit!);
+    }
+
+    if (is.number(json.offset)) {
+      query.offset(json.offset!);
+    }
+
+    return query;
+  }
+
+  /**
+   * Write the query in GQL. Values are written as literals, so the GQL
+   * query must be created with `allowLiterals` to run it, see
+   * {@link Datastore#createGqlQuery}.
+   *
+   * @see [GQL Reference]{@link https://cloud.google.com/datastore/docs/reference/gql_reference}
+   *
+   * @throws {Error} If the query has more than one kind, cursors, or values
+   *     without a GQL literal, i.e. geo points, entities and numbers that are
+   *     not finite.
+   *
+   * @returns {string}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore
+   *   .createQuery('Task')
+   *   .filter('done', false)
+   *   .order('priority', {descending: true})
+   *   .limit(10);
+   *
+   * query.toGql();
+   * // SELECT * FROM Task WHERE done = FALSE ORDER BY priority DESC LIMIT 10
+   */
+  toGql(): string {
+    if (this.kinds && this.kinds.length > 1) {
+      throw new Error('A GQL query can only have one kind.');
+    }
+
+    if (this.startVal || this.endVal) {
+      throw new Error(
+        'The cursors of a query cannot be written in GQL. Bind them with Datastore#createGqlQuery instead.'
+      );
+    }
+
+    const clauses = ['SELECT'];
+
+    if (this.groupByVal.length > 0) {
+      const names = (this.groupByVal as string[]).map(gqlName);
+      clauses.push(`DISTINCT ON (${names.join(', ')})`);
+    }
+
+    clauses.push(
+      this.selectVal.length > 0
+        ? (this.selectVal as string[]).map(gqlName).join(', ')
+        : '*'
+    );
+
+    if (this.kinds && this.kinds.length === 1) {
+      clauses.push(`FROM ${gqlName(this.kinds[0])}`);
+    }
+
+    const filters = [...this.filters, ...this.entityFilters];
+    if (filters.length > 0) {
+      clauses.push(`WHERE ${filters.map(gqlCondition).join(' AND ')}`);
+    }
+
+    if (this.orders.length > 0) {
+      const orders = this.orders.map(
+        ({name, sign}) => `${gqlName(name)} ${sign === '-' ? 'DESC' : 'ASC'}`
+      );
+      clauses.push(`ORDER BY ${orders.join(', ')}`);
+    }
+
+    if (this.limitVal > -1) {
+      clauses.push(`LIMIT ${this.limitVal}`);
+    }
+
+    if (this.offsetVal > -1) {
+      clauses.push(`OFFSET ${this.offsetVal}`);
+    }
+
+    return clauses.join(' ');
+  }
 }
 
 export interface QueryProto {
@@ -532,8 +1190,16 @@ export interface IntegerTypeCastOptions {
 
 export interface RunQueryOptions {
   consistency?: 'strong' | 'eventual';
+  explain?: boolean | ExplainOptions;
   gaxOptions?: CallOptions;
-  wrapNumbers?: boolean | IntegerTypeCastOptions;
+  preserveMetadata?: boolean;
+  preserveTypes?: boolean;
+  wrapNumbers?: boolean | 'bigint' | IntegerTypeCastOptions;
+  wrapTimestamps?: boolean;
+}
+
+export interface ExplainOptions {
+  analyze?: boolean;
 }
 
 export interface RunQueryCallback {
@@ -542,6 +1208,16 @@ export interface RunQueryCallback {
 
 export type RunQueryResponse = [Entity[], RunQueryInfo];
 
+export interface PagesOptions extends RunQueryOptions {
+  pageSize?: number;
+}
+
+export interface QueryPage {
+  entities: Entity[];
+  cursor?: string;
+  moreResults?: RunQueryInfo['moreResults'];
+}
+
 export interface RunQueryInfo {
   endCursor?: string;
   moreResults?:
@@ -550,4 +1226,52 @@ export interface RunQueryInfo {
     | 'MORE_RESULTS_AFTER_LIMIT'
     | 'MORE_RESULTS_AFTER_CURSOR'
     | 'NO_MORE_RESULTS';
+  explainMetrics?: ExplainMetrics;
+}
+
+export interface ExplainMetrics {
+  planSummary?: PlanSummary;
+  executionStats?: ExecutionStats;
 }
+
+export interface PlanSummary {
+  // tslint:disable-next-line no-any
+  indexesUsed: Array<{[key: string]: any}>;
+}
+
+export interface ExecutionStats {
+  resultsReturned: number;
+  readOperations: number;
+  executionDuration: number;
+  entitiesScanned?: number;
+  indexEntriesScanned?: number;
+  // tslint:disable-next-line no-any
+  debugStats: {[key: string]: any};
+}
+
+export interface QueryJSON {
+  namespace?: string;
+  kinds: string[];
+  filters?: PropertyFilterJSON[];
+  entityFilters?: FilterJSON[];
+  orders?: Order[];
+  groupBy?: string[];
+  select?: string[];
+  start?: string;
+  end?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export interface PropertyFilterJSON {
+  name: string;
+  op: Operator;
+  value: TypedJSONValue;
+}
+
+export interface CompositeFilterJSON {
+  op: CompositeOperator;
+  filters: FilterJSON[];
+}
+
+export type FilterJSON = PropertyFilterJSON | CompositeFilterJSON;
@@ -36,11 +36,15 @@ import {
   Entity,
   EntityProto,
   KeyProto,
+  LookupResult,
   ValueProto,
   ResponseResult,
   Entities,
 } from './entity';
 import {
+  ExplainMetrics,
+  ExplainOptions,
+  IntegerTypeCastOptions,
   Query,
   QueryProto,
   RunQueryInfo,
@@ -48,8 +52,15 @@ import {
   RunQueryResponse,
   RunQueryCallback,
 } from './query';
+import {AggregateQuery, AggregationQueryProto} from './aggregate';
+import {GqlQuery, GqlQueryProto} from './gql';
 import {Datastore} from '.';
 import {ServiceError} from '@grpc/grpc-js';
+import {
+  EntityValidationError,
+  EntityViolation,
+  validateEntityProtos,
+} from './validate';
 
 /**
  * A map of read consistency values to proto codes.
@@ -62,6 +73,150 @@ const CONSISTENCY_PROTO_CODE: ConsistencyProtoCode = {
   strong: 1,
 };
 
+/**
+ * Convert a `google.protobuf.Value` to its native value.
+ *
+ * @private
+ *
+ * @param {object} valueProto The protobuf Value.
+ * @returns {*}
+ */
+// tslint:disable-next-line no-any
+function decodeStructValue(valueProto: any): any {
+  switch (valueProto.kind) {
+    case 'structValue': {
+      return decodeStruct(valueProto.structValue);
+    }
+    case 'listValue': {
+      return (valueProto.listValue.values || []).map(decodeStructValue);
+    }
+    case 'nullValue': {
+      return null;
+    }
+    default: {
+      return valueProto[valueProto.kind];
+    }
+  }
+}
+
+/**
+ * Convert a `google.protobuf.Struct` to a plain object.
+ *
+ * @private
+ *
+ * @param {object} structProto The protobuf Struct.
+ * @returns {object}
+ */
+// tslint:disable-next-line no-any
+function decodeStruct(structProto: any): {[key: string]: any} {
+  const fields = (structProto && structProto.fields) || {};
+  return Object.keys(fields).reduce(
+    (struct, name) => {
+      struct[name] = decodeStructValue(fields[name]);
+      return struct;
+    },
+    // tslint:disable-next-line no-any
+    {} as {[key: string]: any}
+  );
+}
+
+/**
+ * Convert the explain metrics of a query response to a plain object.
+ *
+ * @private
+ *
+ * @param {object} metricsProto The ExplainMetrics protobuf.
+ * @returns {ExplainMetrics}
+ */
+// tslint:disable-next-line no-any
+function decodeExplainMetrics(metricsProto: any): ExplainMetrics {
+  const metrics: ExplainMetrics = {};
+
+  if (metricsProto.planSummary) {
+    metrics.planSummary = {
+      indexesUsed: (metricsProto.planSummary.indexesUsed || []).map(
+        decodeStruct
+      ),
+    };
+  }
+
+  const stats = metricsProto.executionStats;
+  if (stats) {
+    const duration = stats.executionDuration || {};
+    const debugStats = decodeStruct(stats.debugStats);
+    metrics.executionStats = {
+      resultsReturned: Number(stats.resultsReturned || 0),
+      readOperations: Number(stats.readOperations || 0),
+      executionDuration:
+        Number(duration.seconds || 0) * 1000 + (duration.nanos || 0) / 1e6,
+      debugStats,
+    };
+    if (debugStats.documents_scanned !== undefined) {
+      metrics.executionStats.entitiesScanned = Number(
+        debugStats.documents_scanned
+      );
+    }
+    if (debugStats.index_entries_scanned !== undefined) {
+      metrics.executionStats.indexEntriesScanned = Number(
+        debugStats.index_entries_scanned
+      );
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Get the query to read the rest of the results of a query with, from the end
+ * cursor of its last batch of results.
+ *
+ * @private
+ *
+ * @param {object} queryProto The Query protobuf the batch was read with.
+ * @param {object} batch The QueryResultBatch protobuf.
+ * @returns {object}
+ */
+// tslint:disable-next-line no-any
+function continueQueryProto(queryProto: any, batch: any): QueryProto {
+  const continued = Object.assign({}, queryProto, {
+    startCursor: batch.endCursor,
+    offset: Math.max((queryProto.offset || 0) - (batch.skippedResults || 0), 0),
+  });
+
+  if (queryProto.limit && typeof queryProto.limit.value === 'number') {
+    const entityResults = batch.entityResults || [];
+    continued.limit = {value: queryProto.limit.value - entityResults.length};
+  }
+
+  return continued;
+}
+
+/**
+ * Error returned when a write with an `expectedVersion` finds that the stored
+ * entity has a different version, i.e. it was modified by another writer.
+ *
+ * @class
+ *
+ * @param {Key} key The key of the entity that was modified.
+ * @param {string} expectedVersion The version the write expected.
+ * @param {string} actualVersion The version that is stored. `'0'` when the
+ *     entity does not exist.
+ */
+class ConcurrentModificationError extends Error {
+  key: entity.Key;
+  expectedVersion: string;
+  actualVersion: string;
+  constructor(key: entity.Key, expectedVersion: string, actualVersion: string) {
+    super(
+      `Entity was modified concurrently. Expected version ${expectedVersion}, found ${actualVersion}.`
+    );
+    this.name = 'ConcurrentModificationError';
+    this.key = key;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
 /**
  * Handle logic for Datastore API operations. Handles request logic for
  * Datastore.
@@ -108,6 +263,7 @@ class DatastoreRequest {
    */
   static prepareEntityObject_(obj: Entity): PrepareEntityObjectResponse {
     const entityObject = extend(true, {}, obj);
+    entity.copySymbols_(obj, entityObject);
 
     // Entity objects are also supported.
     if (obj[entity.KEY_SYMBOL]) {
@@ -231,6 +387,106 @@ class DatastoreRequest {
     );
   }
 
+  reserveIds(
+    keys: entity.Key | entity.Key[],
+    options?: ReserveIdsOptions
+  ): Promise<ReserveIdsResponse>;
+  reserveIds(
+    keys: entity.Key | entity.Key[],
+    callback: ReserveIdsCallback
+  ): void;
+  reserveIds(
+    keys: entity.Key | entity.Key[],
+    options: ReserveIdsOptions,
+    callback: ReserveIdsCallback
+  ): void;
+  /**
+   * Prevent the given IDs from being automatically allocated. This is useful
+   * when importing entities that already have numeric IDs, to make sure
+   * {@link Datastore#allocateIds} and incomplete-key saves never hand out one
+   * of them.
+   *
+   * @throws {Error} If at least one Key object is not provided.
+   * @throws {Error} If any of the provided keys is incomplete.
+   *
+   * @param {Key|Key[]} keys The complete key object(s) to reserve.
+   * @param {object} [options] Configuration object.
+   * @param {string} [options.databaseId] The ID of the database against which
+   *     to make the request. The default database is used if omitted.
+   * @param {object} [options.gaxOptions] Request configuration options, outlined
+   *     here: https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
+   * @param {function} callback The callback function.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {object} callback.apiResponse The full API response.
+   *
+   * @example
+   * const keys = [
+   *   datastore.key(['Company', 123]),
+   *   datastore.key(['Company', 456])
+   * ];
+   *
+   * datastore.reserveIds(keys, (err, apiResponse) => {});
+   *
+   * //-
+   * // Reserve IDs from a non-default namespace by providing keys with a
+   * // namespace.
+   * //-
+   * const key = datastore.key({
+   *   namespace: 'ns-test',
+   *   path: ['Company', 123]
+   * });
+   *
+   * datastore.reserveIds(key, (err, apiResponse) => {});
+   *
+   * //-
+   * // Returns a Promise if callback is omitted.
+   * //-
+   * datastore.reserveIds(keys).then((data) => {
+   *   const apiResponse = data[0];
+   * });
+   */
+  reserveIds(
+    keys: entity.Key | entity.Key[],
+    optionsOrCallback?: ReserveIdsOptions | ReserveIdsCallback,
+    cb?: ReserveIdsCallback
+  ): void | Promise<ReserveIdsResponse> {
+    const options =
+      typeof optionsOrCallback === 'object' && optionsOrCallback
+        ? optionsOrCallback
+        : {};
+    const callback =
+      typeof optionsOrCallback === 'function' ? optionsOrCallback : cb!;
+
+    keys = arrify(keys);
+    if (keys.length === 0) {
+      throw new Error('At least one Key object is required.');
+    }
+
+    keys.forEach(key => {
+      if (!entity.isKeyComplete(key)) {
+        throw new Error('Only complete keys can be reserved.');
+      }
+    });
+
+    const reqOpts: RequestOptions = {
+      keys: keys.map(entity.keyToKeyProto),
+    };
+
+    if (options.databaseId) {
+      reqOpts.databaseId = options.databaseId;
+    }
+
+    this.request_(
+      {
+        client: 'DatastoreClient',
+        method: 'reserveIds',
+        reqOpts,
+        gaxOpts: options.gaxOptions,
+      },
+      callback
+    );
+  }
+
   /**
    * Retrieve the entities as a readable object stream.
    *
@@ -264,6 +520,13 @@ class DatastoreRequest {
       throw new Error('At least one Key object is required.');
     }
 
+    const decodeOptions = {
+      converters: this.datastore && this.datastore.converters_,
+      preserveMetadata: options.preserveMetadata,
+      preserveTypes: options.preserveTypes,
+      wrapTimestamps: options.wrapTimestamps,
+    };
+
     const makeRequest = (keys: entity.Key[] | KeyProto[]) => {
       const reqOpts: RequestOptions = {
         keys,
@@ -290,10 +553,18 @@ class DatastoreRequest {
             return;
           }
 
-          const entities = entity.formatArray(
-            resp!.found! as ResponseResult[],
-            options.wrapNumbers
-          );
+          const entities = options.withMetadata
+            ? entity.formatLookupResults(
+                (resp!.found || []) as ResponseResult[],
+                (resp!.missing || []) as ResponseResult[],
+                options.wrapNumbers,
+                decodeOptions
+              )
+            : entity.formatArray(
+                resp!.found! as ResponseResult[],
+                options.wrapNumbers,
+                decodeOptions
+              );
           const nextKeys = (resp!.deferred || [])
             .map(entity.keyFromKeyProto)
             .map(entity.keyToKeyProto);
@@ -435,12 +706,32 @@ class DatastoreRequest {
    *     [here](https://cloud.google.com/datastore/docs/articles/balancing-strong-and-eventual-consistency-with-google-cloud-datastore).
    * @param {object} [options.gaxOptions] Request configuration options, outlined
    *     here: https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
-   * @param {boolean | IntegerTypeCastOptions} [options.wrapNumbers=false]
+   * @param {boolean | string | IntegerTypeCastOptions} [options.wrapNumbers=false]
    *     Wrap values of integerValue type in {@link Datastore#Int} objects.
    *     If a `boolean`, this will wrap values in {@link Datastore#Int} objects.
+   *     If `'bigint'`, this will return values as native `BigInt`s; key
+   *     IDs are always returned as strings.
    *     If an `object`, this will return a value returned by
    *     `wrapNumbers.integerTypeCastFunction`.
    *     Please see {@link IntegerTypeCastOptions} for options descriptions.
+   * @param {boolean} [options.preserveMetadata=false] Keep the keys of
+   *     embedded entities and the meaning and `excludeFromIndexes` settings
+   *     of every property, so that saving an entity back does not lose them.
+   *     They are stored under the {@link Datastore#KEY} and
+   *     {@link Datastore#METADATA} symbols.
+   * @param {boolean} [options.preserveTypes=false] Return values of
+   *     doubleValue type as {@link Datastore#Double} objects and values of
+   *     integerValue type as {@link Datastore#Int} objects, so that saving an
+   *     entity back never changes the type of its properties. Takes precedence
+   *     over `wrapNumbers`, unless it is `'bigint'`.
+   * @param {boolean} [options.wrapTimestamps=false] Return values of
+   *     timestampValue type as {@link Datastore#Timestamp} objects, which keep
+   *     nanosecond precision, instead of `Date` objects.
+   * @param {boolean} [options.withMetadata=false] Return an object for every
+   *     key, found or missing, instead of only the entities that were found.
+   *     Each object has a `key`, a `found` flag, the `entity` if it was found,
+   *     and the `version` of the entity. For a missing entity, `version` is the
+   *     version of the snapshot the lookup was made against.
    * @param {function} callback The callback function.
    * @param {?error} callback.err An error returned while making this request
    * @param {object|object[]} callback.entity The entity object(s) which match
@@ -488,6 +779,20 @@ class DatastoreRequest {
    * datastore.get(keys, (err, entities) => {});
    *
    * //-
+   * // Find out which of the keys exist, and the version of each entity.
+   * //-
+   * datastore.get(keys, {withMetadata: true}, (err, results) => {
+   *   results.forEach((result) => {
+   *     if (result.found) {
+   *       // result.entity = The entity object.
+   *       // result.version = The version of the entity.
+   *     } else {
+   *       // result.key = A key that doesn't exist.
+   *     }
+   *   });
+   * });
+   *
+   * //-
    * // Below is how to update the value of an entity with the help of the
    * // `save` method.
    * //-
@@ -563,13 +868,161 @@ class DatastoreRequest {
     this.save(entities, callback!);
   }
 
-  runQuery(query: Query, options?: RunQueryOptions): Promise<RunQueryResponse>;
+  runAggregationQuery(
+    aggregateQuery: AggregateQuery,
+    options?: RunQueryOptions
+  ): Promise<RunAggregationQueryResponse>;
+  runAggregationQuery(
+    aggregateQuery: AggregateQuery,
+    options: RunQueryOptions,
+    callback: RunAggregationQueryCallback
+  ): void;
+  runAggregationQuery(
+    aggregateQuery: AggregateQuery,
+    callback: RunAggregationQueryCallback
+  ): void;
+  /**
+   * Run an aggregation query, computing aggregations such as counts and sums
+   * over the entities that match a query without retrieving them.
+   *
+   * Create the aggregation query with
+   * {@link Datastore#createAggregationQuery}. The result is a single object
+   * holding the value of each aggregation under its alias.
+   *
+   * @param {AggregateQuery} aggregateQuery The aggregation query to run.
+   * @param {object} [options] Optional configuration.
+   * @param {string} [options.consistency] Specify either `strong` or `eventual`.
+   *     If not specified, default values are chosen by Datastore for the
+   *     operation.
+   * @param {object} [options.gaxOptions] Request configuration options, outlined
+   *     here: https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
+   * @param {boolean | string | IntegerTypeCastOptions} [options.wrapNumbers=false]
+   *     Wrap integer results in {@link Datastore#Int} objects. See
+   *     {@link Datastore#runQuery}.
+   * @param {function} [callback] The callback function.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {object} callback.result The result of the aggregations, keyed by
+   *     their aliases.
+   *
+   * @example
+   * const {count, sum} = require('@google-cloud/datastore');
+   * const query = datastore.createQuery('Order').filter('paid', true);
+   * const aggregateQuery = datastore
+   *   .createAggregationQuery(query)
+   *   .addAggregation(count('total'), sum('amount'));
+   *
+   * datastore.runAggregationQuery(aggregateQuery, (err, result) => {
+   *   console.log(result.total); // The number of paid orders.
+   *   console.log(result.amount); // The sum of their amounts.
+   * });
+   *
+   * //-
+   * // Or, if you're using a transaction object.
+   * //-
+   * const transaction = datastore.transaction();
+   *
+   * transaction.run((err) => {
+   *   if (err) {
+   *     // Error handling omitted.
+   *   }
+   *
+   *   const query = transaction.createQuery('Order');
+   *   const aggregateQuery = datastore
+   *     .createAggregationQuery(query)
+   *     .addAggregation(count('total'));
+   *
+   *   aggregateQuery.run((err, result) => {
+   *     transaction.commit((err) => {});
+   *   });
+   * });
+   *
+   * //-
+   * // Returns a Promise if callback is omitted.
+   * //-
+   * datastore.runAggregationQuery(aggregateQuery).then((data) => {
+   *   const result = data[0];
+   * });
+   */
+  runAggregationQuery(
+    aggregateQuery: AggregateQuery,
+    optionsOrCallback?: RunQueryOptions | RunAggregationQueryCallback,
+    cb?: RunAggregationQueryCallback
+  ): void | Promise<RunAggregationQueryResponse> {
+    const options =
+      typeof optionsOrCallback === 'object' ? optionsOrCallback : {};
+    const callback =
+      typeof optionsOrCallback === 'function' ? optionsOrCallback : cb!;
+
+    const reqOpts = {} as RequestOptions;
+
+    try {
+      reqOpts.aggregationQuery = entity.aggregateQueryToProto(
+        aggregateQuery,
+        this.datastore && this.datastore.converters_
+      );
+    } catch (e) {
+      // using setImmediate here to make sure this doesn't throw a
+      // synchronous error
+      setImmediate(callback, e);
+      return;
+    }
+
+    if (options.consistency) {
+      const code = CONSISTENCY_PROTO_CODE[options.consistency.toLowerCase()];
+      reqOpts.readOptions = {
+        readConsistency: code,
+      };
+    }
+
+    if (aggregateQuery.query.namespace) {
+      reqOpts.partitionId = {
+        namespaceId: aggregateQuery.query.namespace,
+      };
+    }
+
+    this.request_(
+      {
+        client: 'DatastoreClient',
+        method: 'runAggregationQuery',
+        reqOpts,
+        gaxOpts: options.gaxOptions,
+      },
+      (err, resp) => {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        const result: AggregateResult = {};
+        const aggregationResults =
+          (resp && resp.batch && resp.batch.aggregationResults) || [];
+        const properties =
+          (aggregationResults[0] &&
+            aggregationResults[0].aggregateProperties) ||
+          {};
+
+        Object.keys(properties).forEach(alias => {
+          result[alias] = entity.decodeValueProto(
+            properties[alias],
+            options.wrapNumbers
+          );
+        });
+
+        callback(null, result);
+      }
+    );
+  }
+
   runQuery(
-    query: Query,
+    query: Query | GqlQuery,
+    options?: RunQueryOptions
+  ): Promise<RunQueryResponse>;
+  runQuery(
+    query: Query | GqlQuery,
     options: RunQueryOptions,
     callback: RunQueryCallback
   ): void;
-  runQuery(query: Query, callback: RunQueryCallback): void;
+  runQuery(query: Query | GqlQuery, callback: RunQueryCallback): void;
   /**
    * Datastore allows you to query entities by kind, filter them by property
    * filters, and sort them by a property name. Projection and pagination are
@@ -580,20 +1033,40 @@ class DatastoreRequest {
    * that uses the end cursor from the previous query as the starting cursor for
    * the next query. You can pass that object back to this method to see if more
    * results exist.
-   * @param {Query} query Query object.
+   * @param {Query|GqlQuery} query Query object, or a GQL query created with
+   *     {@link Datastore#createGqlQuery}.
    * @param {object} [options] Optional configuration.
    * @param {string} [options.consistency] Specify either `strong` or `eventual`.
    *     If not specified, default values are chosen by Datastore for the
    *     operation. Learn more about strong and eventual consistency
    *     [here](https://cloud.google.com/datastore/docs/articles/balancing-strong-and-eventual-consistency-with-google-cloud-datastore).
+   * @param {boolean|object} [options.explain] Return the plan of the query in
+   *     `info.explainMetrics`. If `true`, the query is only planned and no
+   *     entities are returned.
+   * @param {boolean} [options.explain.analyze=false] Also execute the query,
+   *     returning its entities along with execution statistics.
    * @param {object} [options.gaxOptions] Request configuration options, outlined
    *     here: https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
-   * @param {boolean | IntegerTypeCastOptions} [options.wrapNumbers=false]
+   * @param {boolean | string | IntegerTypeCastOptions} [options.wrapNumbers=false]
    *     Wrap values of integerValue type in {@link Datastore#Int} objects.
    *     If a `boolean`, this will wrap values in {@link Datastore#Int} objects.
+   *     If `'bigint'`, this will return values as native `BigInt`s.
    *     If an `object`, this will return a value returned by
    *     `wrapNumbers.integerTypeCastFunction`.
    *     Please see {@link IntegerTypeCastOptions} for options descriptions.
+   * @param {boolean} [options.preserveMetadata=false] Keep the keys of
+   *     embedded entities and the meaning and `excludeFromIndexes` settings
+   *     of every property, so that saving an entity back does not lose them.
+   *     They are stored under the {@link Datastore#KEY} and
+   *     {@link Datastore#METADATA} symbols.
+   * @param {boolean} [options.preserveTypes=false] Return values of
+   *     doubleValue type as {@link Datastore#Double} objects and values of
+   *     integerValue type as {@link Datastore#Int} objects, so that saving an
+   *     entity back never changes the type of its properties. Takes precedence
+   *     over `wrapNumbers`, unless it is `'bigint'`.
+   * @param {boolean} [options.wrapTimestamps=false] Return values of
+   *     timestampValue type as {@link Datastore#Timestamp} objects, which keep
+   *     nanosecond precision, instead of `Date` objects.
    * @param {function} [callback] The callback function. If omitted, a readable
    *     stream instance is returned.
    * @param {?error} callback.err An error returned while making this request
@@ -608,6 +1081,13 @@ class DatastoreRequest {
    *     - {@link Datastore#MORE_RESULTS_AFTER_CURSOR}: There *may* be more
    *       results after the specified end cursor.
    *     - {@link Datastore#NO_MORE_RESULTS}: There are no more results.
+   * @param {object} [callback.info.explainMetrics] When `options.explain` is
+   *     set, the plan of the query.
+   * @param {object[]} callback.info.explainMetrics.planSummary.indexesUsed The
+   *     indexes selected for the query.
+   * @param {object} [callback.info.explainMetrics.executionStats] When the
+   *     query was executed, the number of `resultsReturned`, `entitiesScanned`
+   *     and `readOperations`, and the `executionDuration` in milliseconds.
    *
    * @example
    * //-
@@ -652,12 +1132,10 @@ class DatastoreRequest {
    * of
    * // the entities themselves, at lower latency and cost.
    * //-
-   * const keysOnlyQuery = datastore.createQuery('Lion').select('__key__');
+   * const keysOnlyQuery = datastore.createQuery('Lion').keysOnly();
    *
-   * datastore.runQuery(keysOnlyQuery, (err, entities) => {
-   *   const keys = entities.map((entity) => {
-   *     return entity[datastore.KEY];
-   *   });
+   * datastore.runKeys(keysOnlyQuery, (err, keys) => {
+   *   // keys = An array of Key objects.
    * });
    *
    * //-
@@ -666,9 +1144,18 @@ class DatastoreRequest {
    * datastore.runQuery(query).then((data) => {
    *   const entities = data[0];
    * });
+   *
+   * //-
+   * // Inspect the indexes used by a query and what it costs to run it.
+   * //-
+   * datastore.runQuery(query, {explain: {analyze: true}}).then((data) => {
+   *   const info = data[1];
+   *   const {planSummary, executionStats} = info.explainMetrics;
+   *   console.log(planSummary.indexesUsed, executionStats.readOperations);
+   * });
    */
   runQuery(
-    query: Query,
+    query: Query | GqlQuery,
     optionsOrCallback?: RunQueryOptions | RunQueryCallback,
     cb?: RunQueryCallback
   ): void | Promise<RunQueryResponse> {
@@ -696,7 +1183,8 @@ class DatastoreRequest {
    *
    * See {@link Datastore#runQuery} for a list of all available options.
    *
-   * @param {Query} query Query object.
+   * @param {Query|GqlQuery} query Query object, or a GQL query created with
+   *     {@link Datastore#createGqlQuery}.
    * @param {object} [options] Optional configuration.
    * @param {object} [options.gaxOptions] Request configuration options, outlined
    *     here: https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
@@ -721,15 +1209,160 @@ class DatastoreRequest {
    *   .on('data', (entity) => {
    *     this.end();
    *   });
+   *
+   * //-
+   * // When the `explain` option is set, the plan of the query is emitted as
+   * // an `explainMetrics` event.
+   * //-
+   * datastore.runQueryStream(query, {explain: {analyze: true}})
+   *   .on('explainMetrics', (explainMetrics) => {
+   *     console.log(explainMetrics.executionStats);
+   *   })
+   *   .on('data', (entity) => {});
    */
-  runQueryStream(query: Query, options: RunQueryStreamOptions = {}): Transform {
-    query = extend(true, new Query(), query);
+  runQueryStream(
+    query: Query | GqlQuery,
+    options: RunQueryStreamOptions = {}
+  ): Transform {
+    return this.queryStream_(query, options, false);
+  }
 
-    const makeRequest = (query: Query) => {
+  runKeys(query: Query, options?: RunQueryOptions): Promise<RunKeysResponse>;
+  runKeys(
+    query: Query,
+    options: RunQueryOptions,
+    callback: RunKeysCallback
+  ): void;
+  runKeys(query: Query, callback: RunKeysCallback): void;
+  /**
+   * Run a query as a keys-only query, and get the keys of the entities that
+   * match it. Only the keys are read, at lower latency and cost than the
+   * entities. Any projection of the query is replaced, see
+   * {@link Query#keysOnly}.
+   *
+   * @param {Query} query Query object.
+   * @param {object} [options] Optional configuration. See
+   *     {@link Datastore#runQuery} for a complete list of options.
+   * @param {function} [callback] The callback function. If omitted, a Promise
+   *     is returned.
+   * @param {?error} callback.err An error returned while making this request
+   * @param {Key[]} callback.keys The keys of the entities.
+   * @param {object} callback.info An object useful for pagination, as for
+   *     {@link Datastore#runQuery}.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const query = datastore.createQuery('Task').filter('done', true);
+   *
+   * datastore.runKeys(query, (err, keys, info) => {
+   *   // keys = An array of Key objects.
+   * });
+   *
+   * //-
+   * // If the callback is omitted, we'll return a Promise.
+   * //-
+   * const [keys, info] = await datastore.runKeys(query);
+   */
+  runKeys(
+    query: Query,
+    optionsOrCallback?: RunQueryOptions | RunKeysCallback,
+    cb?: RunKeysCallback
+  ): void | Promise<RunKeysResponse> {
+    const options =
+      typeof optionsOrCallback === 'object' ? optionsOrCallback : {};
+    const callback =
+      typeof optionsOrCallback === 'function' ? optionsOrCallback : cb!;
+
+    let info: RunQueryInfo;
+
+    this.runKeysStream(query, options)
+      .on('error', callback)
+      .on('info', info_ => {
+        info = info_;
+      })
+      .pipe(
+        concat((keys: entity.Key[]) => {
+          callback(null, keys, info);
+        })
+      );
+  }
+
+  /**
+   * Get the keys of the entities that match a query as a readable object
+   * stream. See {@link Datastore#runKeys}.
+   *
+   * @param {Query} query Query object.
+   * @param {object} [options] Optional configuration. See
+   *     {@link Datastore#runQuery} for a complete list of options.
+   * @returns {stream}
+   *
+   * @example
+   * datastore.runKeysStream(query)
+   *   .on('error', console.error)
+   *   .on('data', (key) => {})
+   *   .on('info', (info) => {})
+   *   .on('end', () => {
+   *     // All keys retrieved.
+   *   });
+   */
+  runKeysStream(query: Query, options: RunQueryStreamOptions = {}): Transform {
+    return this.queryStream_(query, options, true);
+  }
+
+  /**
+   * Run a query as a readable object stream, of entities or, for a keys-only
+   * query, of their keys.
+   *
+   * @private
+   *
+   * @param {Query|GqlQuery} query Query object.
+   * @param {object} options Configuration object.
+   * @param {boolean} keysOnly Run the query as a keys-only query and stream
+   *     the keys of the entities.
+   * @returns {stream}
+   */
+  queryStream_(
+    query: Query | GqlQuery,
+    options: RunQueryStreamOptions,
+    keysOnly: boolean
+  ): Transform {
+    const isGqlQuery = query instanceof GqlQuery;
+    if (!isGqlQuery) {
+      query = extend(true, new Query(), query);
+      if (keysOnly) {
+        (query as Query).keysOnly();
+      }
+    }
+
+    const decodeOptions = {
+      converters: this.datastore && this.datastore.converters_,
+      preserveMetadata: options.preserveMetadata,
+      preserveTypes: options.preserveTypes,
+      wrapTimestamps: options.wrapTimestamps,
+    };
+
+    // The rest of the results of a GQL query are read with the structured
+    // query that Datastore parsed it into.
+    let parsedQuery: QueryProto | undefined;
+
+    const makeRequest = (query: Query | GqlQuery) => {
       const reqOpts = {} as RequestOptions;
 
       try {
-        reqOpts.query = entity.queryToQueryProto(query);
+        if (parsedQuery) {
+          reqOpts.query = parsedQuery;
+        } else if (query instanceof GqlQuery) {
+          reqOpts.gqlQuery = entity.gqlQueryToProto(
+            query,
+            decodeOptions.converters
+          );
+        } else {
+          reqOpts.query = entity.queryToQueryProto(
+            query,
+            decodeOptions.converters
+          );
+        }
       } catch (e) {
         // using setImmediate here to make sure this doesn't throw a
         // synchronous error
@@ -750,6 +1383,11 @@ class DatastoreRequest {
         };
       }
 
+      if (options.explain) {
+        reqOpts.explainOptions =
+          typeof options.explain === 'object' ? options.explain : {};
+      }
+
       this.request_(
         {
           client: 'DatastoreClient',
@@ -767,9 +1405,21 @@ class DatastoreRequest {
         return;
       }
 
-      const info: RunQueryInfo = {
-        moreResults: resp.batch.moreResults,
-      };
+      const info: RunQueryInfo = {};
+
+      if (resp.explainMetrics) {
+        info.explainMetrics = decodeExplainMetrics(resp.explainMetrics);
+        stream.emit('explainMetrics', info.explainMetrics);
+      }
+
+      // A query that is only planned, without `analyze`, returns no batch.
+      if (!resp.batch) {
+        stream.emit('info', info);
+        stream.push(null);
+        return;
+      }
+
+      info.moreResults = resp.batch.moreResults;
 
       if (resp.batch.endCursor) {
         info.endCursor = resp.batch.endCursor.toString('base64');
@@ -780,7 +1430,14 @@ class DatastoreRequest {
       if (resp.batch.entityResults) {
         entities = entity.formatArray(
           resp.batch.entityResults,
-          options.wrapNumbers
+          options.wrapNumbers,
+          decodeOptions
+        );
+      }
+
+      if (keysOnly) {
+        entities = entities.map(
+          entityObject => entityObject[entity.KEY_SYMBOL]
         );
       }
 
@@ -797,6 +1454,16 @@ class DatastoreRequest {
         }
 
         // The query is "NOT_FINISHED". Get the rest of the results.
+        if (isGqlQuery) {
+          parsedQuery = continueQueryProto(
+            parsedQuery || resp.query,
+            resp.batch
+          );
+          makeRequest(query);
+          return;
+        }
+
+        query = query as Query;
         const offset = query.offsetVal === -1 ? 0 : query.offsetVal;
 
         query.start(info.endCursor!).offset(offset - resp.batch.skippedResults);
@@ -817,12 +1484,8 @@ class DatastoreRequest {
     return stream;
   }
 
-  save(entities: Entities, gaxOptions?: CallOptions): Promise<SaveResponse>;
-  save(
-    entities: Entities,
-    gaxOptions: CallOptions,
-    callback: SaveCallback
-  ): void;
+  save(entities: Entities, options?: SaveOptions): Promise<SaveResponse>;
+  save(entities: Entities, options: SaveOptions, callback: SaveCallback): void;
   save(entities: Entities, callback: SaveCallback): void;
   /**
    * Insert or update the specified object(s). If a key is incomplete, its
@@ -855,10 +1518,18 @@ class DatastoreRequest {
    *  large properties from indexing. It help in storing large values.
    * @param {string} [entities.method] Explicit method to use, either 'insert',
    *     'update', or 'upsert'.
+   * @param {number|string} [entities.expectedVersion] The version the stored
+   *     entity must have for the write to succeed. Use `0` to require that the
+   *     entity does not exist yet. When set, the entity is read and written in
+   *     a transaction and the request fails with a
+   *     {@link ConcurrentModificationError} if the versions differ.
    * @param {object} entities.data Data to save with the provided key.
    *     entity.
-   * @param {object} [gaxOptions] Request configuration options, outlined here:
+   * @param {object} [options] Request configuration options, outlined here:
    *     https://googleapis.github.io/gax-nodejs/global.html#CallOptions.
+   * @param {boolean} [options.validate=false] Check the entities against the
+   *     limits of Datastore with {@link DatastoreRequest#validate} first, and
+   *     fail with an {@link EntityValidationError} instead of sending them.
    * @param {function} callback The callback function.
    * @param {?error} callback.err An error returned while making this request
    * @param {object} callback.apiResponse The full API response.
@@ -1054,6 +1725,25 @@ class DatastoreRequest {
    * datastore.save(entity, (err, apiResponse) => {});
    *
    * //-
+   * // Only write the entity if nobody changed it since it was read.
+   * //-
+   * const {ConcurrentModificationError} = require('@google-cloud/datastore');
+   *
+   * datastore.get(userKey, {withMetadata: true}, (err, results) => {
+   *   const [result] = results;
+   *
+   *   datastore.save({
+   *     key: userKey,
+   *     expectedVersion: result.version,
+   *     data: Object.assign({}, result.entity, {fullName: 'A. Chilton'})
+   *   }, (err) => {
+   *     if (err instanceof ConcurrentModificationError) {
+   *       // The entity was modified by another writer.
+   *     }
+   *   });
+   * });
+   *
+   * //-
    * // Returns a Promise if callback is omitted.
    * //-
    * datastore.save(entity).then((data) => {
@@ -1062,14 +1752,42 @@ class DatastoreRequest {
    */
   save(
     entities: Entities,
-    gaxOptionsOrCallback?: CallOptions | SaveCallback,
+    optionsOrCallback?: SaveOptions | SaveCallback,
     cb?: SaveCallback
   ): void | Promise<SaveResponse> {
     entities = arrify(entities);
-    const gaxOptions =
-      typeof gaxOptionsOrCallback === 'object' ? gaxOptionsOrCallback : {};
+    const options: SaveOptions =
+      typeof optionsOrCallback === 'object' ? optionsOrCallback : {};
     const callback =
-      typeof gaxOptionsOrCallback === 'function' ? gaxOptionsOrCallback : cb!;
+      typeof optionsOrCallback === 'function' ? optionsOrCallback : cb!;
+    let gaxOptions: CallOptions = options;
+
+    if (options.validate !== undefined) {
+      // `validate` is an option of the library, not of the API call. Split it
+      // from a copy, leaving the caller's options untouched.
+      const {validate, ...callOptions} = options;
+      gaxOptions = callOptions;
+
+      const violations = validate ? this.validate(entities) : [];
+      if (violations.length > 0) {
+        setImmediate(callback, new EntityValidationError(violations));
+        return;
+      }
+    }
+
+    const hasExpectedVersion = entities.some(
+      (entityObject: Entity) => entityObject.expectedVersion !== undefined
+    );
+
+    if (hasExpectedVersion) {
+      if (this.id) {
+        throw new Error(
+          'An expected version cannot be used on writes within a transaction.'
+        );
+      }
+      this.saveWithExpectedVersions_(entities, gaxOptions, callback);
+      return;
+    }
 
     const insertIndexes: BooleanObject = {};
     const mutations: google.datastore.v1.IMutation[] = [];
@@ -1085,7 +1803,6 @@ class DatastoreRequest {
       .map(DatastoreRequest.prepareEntityObject_)
       .forEach((entityObject: Entity, index: number) => {
         const mutation: Mutation = {};
-        let entityProto: EntityProto = {};
         let method = 'upsert';
 
         if (entityObject.method) {
@@ -1098,56 +1815,11 @@ class DatastoreRequest {
           }
         }
 
-        if (entityObject.excludeLargeProperties) {
-          entityObject.excludeFromIndexes = entity.findLargeProperties_(
-            entityObject.data,
-            '',
-            entityObject.excludeFromIndexes
-          );
-        }
-
         if (!entity.isKeyComplete(entityObject.key)) {
           insertIndexes[index] = true;
         }
 
-        // @TODO remove in @google-cloud/datastore@2.0.0
-        // This was replaced with a more efficient mechanism in the top-level
-        // `excludeFromIndexes` option.
-        if (Array.isArray(entityObject.data)) {
-          entityProto.properties = entityObject.data.reduce(
-            (
-              acc: EntityProtoReduceAccumulator,
-              data: EntityProtoReduceData
-            ) => {
-              const value = entity.encodeValue(data.value);
-
-              if (typeof data.excludeFromIndexes === 'boolean') {
-                const excluded = data.excludeFromIndexes;
-                let values = value.arrayValue && value.arrayValue.values;
-
-                if (values) {
-                  values = values.map((x: ValueProto) => {
-                    x.excludeFromIndexes = excluded;
-                    return x;
-                  });
-                } else {
-                  value.excludeFromIndexes = data.excludeFromIndexes;
-                }
-              }
-
-              acc[data.name] = value;
-
-              return acc;
-            },
-            {}
-          );
-        } else {
-          entityProto = entity.entityToEntityProto(entityObject);
-        }
-
-        entityProto.key = entity.keyToKeyProto(entityObject.key);
-
-        mutation[method] = entityProto;
+        mutation[method] = this.encodeEntity_(entityObject);
         mutations.push(mutation);
       });
 
@@ -1194,6 +1866,210 @@ class DatastoreRequest {
     );
   }
 
+  /**
+   * Build the proto of an entity object prepared with
+   * {@link DatastoreRequest.prepareEntityObject_}, as it is sent by
+   * {@link DatastoreRequest#save}.
+   *
+   * @private
+   *
+   * @param {object} entityObject The prepared entity object.
+   * @returns {object} The entity proto, including its key.
+   */
+  encodeEntity_(entityObject: Entity): EntityProto {
+    const converters = this.datastore && this.datastore.converters_;
+    let entityProto: EntityProto = {};
+
+    if (entityObject.excludeLargeProperties) {
+      entityObject.excludeFromIndexes = entity.findLargeProperties_(
+        entityObject.data,
+        '',
+        entityObject.excludeFromIndexes
+      );
+    }
+
+    // @TODO remove in @google-cloud/datastore@2.0.0
+    // This was replaced with a more efficient mechanism in the top-level
+    // `excludeFromIndexes` option.
+    if (Array.isArray(entityObject.data)) {
+      entityProto.properties = entityObject.data.reduce(
+        (acc: EntityProtoReduceAccumulator, data: EntityProtoReduceData) => {
+          const value = entity.encodeValue(data.value, converters);
+
+          if (typeof data.excludeFromIndexes === 'boolean') {
+            const excluded = data.excludeFromIndexes;
+            let values = value.arrayValue && value.arrayValue.values;
+
+            if (values) {
+              values = values.map((x: ValueProto) => {
+                x.excludeFromIndexes = excluded;
+                return x;
+              });
+            } else {
+              value.excludeFromIndexes = data.excludeFromIndexes;
+            }
+          }
+
+          acc[data.name] = value;
+
+          return acc;
+        },
+        {}
+      );
+    } else {
+      entityProto = entity.entityToEntityProto(entityObject, converters);
+    }
+
+    entityProto.key = entity.keyToKeyProto(entityObject.key);
+    return entityProto;
+  }
+
+  /**
+   * Check entities against the limits of Datastore before writing them, so
+   * that bad writes fail fast instead of with an error from the API.
+   *
+   * The entities are encoded as {@link DatastoreRequest#save} would, and
+   * checked for:
+   *
+   *   - The size of every entity, at most 1,048,572 bytes.
+   *   - The size of indexed strings and blobs, at most 1,500 bytes.
+   *   - The number of index entries of every entity, at most 20,000.
+   *   - The depth of every key path, at most 100 elements.
+   *   - The number of entities, at most 500 mutations in one commit.
+   *   - Reserved property names, which match `__.*__`.
+   *
+   * @see [Limits]{@link https://cloud.google.com/datastore/docs/concepts/limits}
+   *
+   * @param {object|object[]} entities The entities, in any of the formats
+   *     accepted by {@link DatastoreRequest#save}.
+   * @returns {EntityViolation[]} The violations that were found. Empty when
+   *     the entities are valid.
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const violations = datastore.validate({
+   *   key: datastore.key(['Company', 'Google']),
+   *   data: {
+   *     description: longDescription
+   *   }
+   * });
+   *
+   * violations.forEach(violation => {
+   *   // violation.key = The key of the entity.
+   *   // violation.property = 'description'
+   *   // violation.message = 'The value is 2048 bytes, more than ...'
+   * });
+   *
+   * //-
+   * // To validate the entities on every write, use the `validate` option.
+   * //-
+   * datastore.save(entities, {validate: true}, (err) => {
+   *   // err.violations = The violations that were found.
+   * });
+   */
+  validate(entities: Entities): EntityViolation[] {
+    const entityObjects = arrify(entities).map(
+      DatastoreRequest.prepareEntityObject_
+    );
+    return validateEntityProtos(
+      entityObjects.map((entityObject: Entity) =>
+        this.encodeEntity_(entityObject)
+      ),
+      entityObjects.map((entityObject: Entity) => entityObject.key)
+    );
+  }
+
+  /**
+   * Write entities in a transaction after checking that the stored version of
+   * every entity with an `expectedVersion` matches it.
+   *
+   * @private
+   *
+   * @param {object[]} entities Datastore key object(s).
+   * @param {object} gaxOptions Request configuration options for the lookups
+   *     and the commit.
+   * @param {function} callback The callback function.
+   */
+  saveWithExpectedVersions_(
+    entities: Entity[],
+    gaxOptions: CallOptions,
+    callback: SaveCallback
+  ) {
+    const transaction = this.datastore.transaction();
+    transaction.run(async err => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      let committing = false;
+      let response: google.datastore.v1.ICommitResponse;
+
+      try {
+        const objs: Entity[] = entities.map(
+          DatastoreRequest.prepareEntityObject_
+        );
+        const checkedObjs = objs.filter(
+          obj => obj.expectedVersion !== undefined
+        );
+
+        if (checkedObjs.length > 0) {
+          if (checkedObjs.some(obj => !entity.isKeyComplete(obj.key))) {
+            throw new Error(
+              'Only complete keys can be written with an expected version.'
+            );
+          }
+
+          // Look up the versions of all of the keys at once. The results are
+          // not in the order of the keys.
+          const keys = new Map<string, entity.Key>();
+          checkedObjs.forEach(obj => keys.set(obj.key.toString(), obj.key));
+          const [results] = await transaction.get(Array.from(keys.values()), {
+            withMetadata: true,
+            gaxOptions,
+          });
+          const versions = new Map<string, string>();
+          results.forEach((result: LookupResult) => {
+            versions.set(
+              result.key.toString(),
+              result.found ? result.version! : '0'
+            );
+          });
+
+          checkedObjs.forEach(obj => {
+            const expectedVersion = String(obj.expectedVersion);
+            const actualVersion = versions.get(obj.key.toString()) || '0';
+            if (expectedVersion !== actualVersion) {
+              throw new ConcurrentModificationError(
+                obj.key,
+                expectedVersion,
+                actualVersion
+              );
+            }
+          });
+        }
+
+        objs.forEach(obj => {
+          delete obj.expectedVersion;
+          transaction.save(obj);
+        });
+
+        committing = true;
+        [response] = await transaction.commit(gaxOptions);
+      } catch (err) {
+        // A failed commit is rolled back by the transaction itself.
+        if (!committing) {
+          transaction.rollback(() => {});
+        }
+        callback(err);
+        return;
+      }
+
+      callback(null, response);
+    });
+  }
+
   update(entities: Entities): Promise<UpdateResponse>;
   update(entities: Entities, callback: UpdateCallback): void;
   /**
@@ -1205,6 +2081,9 @@ class DatastoreRequest {
    *     indexing using a simple JSON path notation. See the examples in
    *     {@link Datastore#save} to see how to target properties at different
    *     levels of nesting within your entity.
+   * @param {number|string} [entities.expectedVersion] The version the stored
+   *     entity must have for the update to succeed. See
+   *     {@link Datastore#save}.
    * @param {object} entities.data Data to save with the provided key.
    * @param {function} callback The callback function.
    * @param {?error} callback.err An error returned while making this request
@@ -1296,9 +2175,24 @@ class DatastoreRequest {
             const obj: Entity = DatastoreRequest.prepareEntityObject_(
               objEntity
             );
-            const [data] = await transaction.get(obj.key);
+            const [data] = await transaction.get(obj.key, {
+              preserveMetadata: true,
+              preserveTypes: true,
+            });
+            const changes = obj.data || {};
             obj.method = 'upsert';
             obj.data = Object.assign({}, data, obj.data);
+
+            // Keep the metadata of the properties that are not changed.
+            const metadata = data && data[entity.METADATA_SYMBOL];
+            if (metadata) {
+              obj.data[entity.METADATA_SYMBOL] = Object.keys(metadata)
+                .filter(property => !(property in changes))
+                .reduce((kept, property) => {
+                  kept[property] = metadata[property];
+                  return kept;
+                }, {} as entity.EntityMetadata);
+            }
             transaction.save(obj);
           })
         );
@@ -1334,6 +2228,16 @@ class DatastoreRequest {
 
     reqOpts.projectId = datastore.projectId;
 
+    if (datastore.databaseId) {
+      reqOpts.databaseId = reqOpts.databaseId || datastore.databaseId;
+
+      if (method === 'runQuery' || method === 'runAggregationQuery') {
+        reqOpts.partitionId = Object.assign({}, reqOpts.partitionId, {
+          databaseId: reqOpts.databaseId,
+        });
+      }
+    }
+
     // Set properties to indicate if we're in a transaction or not.
     if (method === 'commit') {
       if (isTransaction) {
@@ -1348,7 +2252,12 @@ class DatastoreRequest {
       reqOpts.transaction = this.id;
     }
 
-    if (isTransaction && (method === 'lookup' || method === 'runQuery')) {
+    if (
+      isTransaction &&
+      (method === 'lookup' ||
+        method === 'runQuery' ||
+        method === 'runAggregationQuery')
+    ) {
       if (reqOpts.readOptions && reqOpts.readOptions.readConsistency) {
         throw new Error(
           'Read consistency cannot be specified in a transaction.'
@@ -1377,9 +2286,13 @@ class DatastoreRequest {
         }
         const gaxClient = datastore.clients_.get(clientName);
         reqOpts = replaceProjectIdToken(reqOpts, projectId!);
+        let resourcePrefix = `projects/${projectId}`;
+        if (reqOpts.databaseId) {
+          resourcePrefix += `/databases/${reqOpts.databaseId}`;
+        }
         const gaxOpts = extend(true, {}, config.gaxOpts, {
           headers: {
-            'google-cloud-resource-prefix': `projects/${projectId}`,
+            'google-cloud-resource-prefix': resourcePrefix,
           },
         });
         gaxClient![method](reqOpts, gaxOpts, callback);
@@ -1417,7 +2330,17 @@ export interface AllocateIdsOptions {
   allocations?: number;
   gaxOptions?: CallOptions;
 }
-export interface CreateReadStreamOptions extends RunQueryOptions {}
+export interface ReserveIdsOptions {
+  databaseId?: string;
+  gaxOptions?: CallOptions;
+}
+export interface ReserveIdsCallback {
+  (err?: Error | null, resp?: google.datastore.v1.IReserveIdsResponse): void;
+}
+export type ReserveIdsResponse = [google.datastore.v1.IReserveIdsResponse];
+export interface CreateReadStreamOptions extends RunQueryOptions {
+  withMetadata?: boolean;
+}
 export interface GetCallback {
   (err?: Error | null, entity?: Entities): void;
 }
@@ -1461,14 +2384,33 @@ export interface RequestOptions {
   transaction?: string | null;
   mode?: string;
   projectId?: ProjectId;
+  databaseId?: string;
   query?: QueryProto;
+  gqlQuery?: GqlQueryProto;
+  aggregationQuery?: AggregationQueryProto;
+  explainOptions?: ExplainOptions;
 }
 export interface RunQueryStreamOptions extends RunQueryOptions {}
+export interface AggregateResult {
+  // tslint:disable-next-line no-any
+  [alias: string]: any;
+}
+export interface RunAggregationQueryCallback {
+  (err?: Error | null, result?: AggregateResult): void;
+}
+export type RunAggregationQueryResponse = [AggregateResult];
+export interface RunKeysCallback {
+  (err: Error | null, keys?: entity.Key[], info?: RunQueryInfo): void;
+}
+export type RunKeysResponse = [entity.Key[], RunQueryInfo];
 export interface CommitCallback {
   (err?: Error | null, resp?: google.datastore.v1.ICommitResponse): void;
 }
 export type CommitResponse = [google.datastore.v1.ICommitResponse];
 export interface SaveCallback extends CommitCallback {}
+export interface SaveOptions extends CallOptions {
+  validate?: boolean;
+}
 export type SaveResponse = CommitResponse;
 export interface UpdateCallback extends CommitCallback {}
 export type UpdateResponse = CommitResponse;
@@ -1484,11 +2426,13 @@ export type InsertResponse = CommitResponse;
  * All async methods (except for streams) will return a Promise in the event
  * that a callback is omitted.
  */
-promisifyAll(DatastoreRequest);
+promisifyAll(DatastoreRequest, {
+  exclude: ['validate'],
+});
 
 /**
  * Reference to the {@link DatastoreRequest} class.
  * @name module:@google-cloud/datastore.DatastoreRequest
  * @see DatastoreRequest
  */
-export {DatastoreRequest};
+export {ConcurrentModificationError, DatastoreRequest};
@@ -22,6 +22,7 @@ import {google} from '../proto/datastore';
 
 import {Datastore, TransactionOptions} from '.';
 import {entity, Entity, Entities} from './entity';
+import {GqlQuery, GqlQueryOptions} from './gql';
 import {Query} from './query';
 import {
   CommitCallback,
@@ -340,6 +341,34 @@ class Transaction extends DatastoreRequest {
     );
   }
 
+  /**
+   * Create a query from a string of GQL to run inside the transaction. See
+   * {@link Datastore#createGqlQuery} for the available options.
+   *
+   * @see {@link GqlQuery}
+   *
+   * @param {string} gql The GQL query.
+   * @param {object} [options] Configuration object. See
+   *     {@link Datastore#createGqlQuery}.
+   * @returns {GqlQuery}
+   *
+   * @example
+   * const {Datastore} = require('@google-cloud/datastore');
+   * const datastore = new Datastore();
+   * const transaction = datastore.transaction();
+   *
+   * await transaction.run();
+   * const query = transaction.createGqlQuery(
+   *   'SELECT * FROM Company WHERE __key__ HAS ANCESTOR @ancestor',
+   *   {namedBindings: {ancestor: datastore.key(['ParentCompany', 'Alphabet'])}}
+   * );
+   * const [companies] = await query.run();
+   * await transaction.commit();
+   */
+  createGqlQuery(gql: string, options?: GqlQueryOptions): GqlQuery {
+    return this.datastore.createGqlQuery.call(this, gql, options);
+  }
+
   /**
    * Delete all entities identified with the specified key(s) in the current
    * transaction.
@@ -717,7 +746,7 @@ export interface RunOptions {
  * that a callback is omitted.
  */
 promisifyAll(Transaction, {
-  exclude: ['createQuery', 'delete', 'save'],
+  exclude: ['createQuery', 'createGqlQuery', 'delete', 'save'],
 });
 
 /**
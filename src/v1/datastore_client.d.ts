@@ -35,6 +35,10 @@ declare class DatastoreClient {
   runQuery(request: DatastoreClient.RunQueryRequest, callback: DatastoreClient.RunQueryCallback): void;
   runQuery(request: DatastoreClient.RunQueryRequest, options: CallOptions, callback: DatastoreClient.RunQueryCallback): void;
 
+  runAggregationQuery(request: DatastoreClient.RunAggregationQueryRequest, options?: CallOptions): DatastoreClient.CancelablePromise<[DatastoreClient.RunAggregationQueryResponse]>;
+  runAggregationQuery(request: DatastoreClient.RunAggregationQueryRequest, callback: DatastoreClient.RunAggregationQueryCallback): void;
+  runAggregationQuery(request: DatastoreClient.RunAggregationQueryRequest, options: CallOptions, callback: DatastoreClient.RunAggregationQueryCallback): void;
+
   beginTransaction(request: DatastoreClient.BeginTransactionRequest, options?: CallOptions): DatastoreClient.CancelablePromise<[DatastoreClient.BeginTransactionResponse]>;
   beginTransaction(request: DatastoreClient.BeginTransactionRequest, callback: DatastoreClient.BeginTransactionCallback): void;
   beginTransaction(request: DatastoreClient.BeginTransactionRequest, options: CallOptions, callback: DatastoreClient.BeginTransactionCallback): void;
@@ -67,6 +71,7 @@ declare namespace DatastoreClient {
 
   interface LookupRequest {
     projectId: string;
+    databaseId?: string;
     readOptions?: ReadOptions;
     keys: Key[];
   }
@@ -83,24 +88,47 @@ declare namespace DatastoreClient {
 
   interface RunQueryRequest {
     projectId: string;
+    databaseId?: string;
     partitionId?: PartitionId;
     readOptions?: ReadOptions;
     queryType?: string;
     query?: Query;
     gqlQuery?: GqlQuery;
+    explainOptions?: ExplainOptions;
   }
 
   interface RunQueryResponse {
     batch: QueryResultBatch;
     query: Query;
+    explainMetrics?: ExplainMetrics;
   }
 
   interface RunQueryCallback {
     (err: null|ServiceError, response: RunQueryResponse): void;
   }
 
+  interface RunAggregationQueryRequest {
+    projectId: string;
+    databaseId?: string;
+    partitionId?: PartitionId;
+    readOptions?: ReadOptions;
+    queryType?: string;
+    aggregationQuery?: AggregationQuery;
+    gqlQuery?: GqlQuery;
+  }
+
+  interface RunAggregationQueryResponse {
+    batch: AggregationResultBatch;
+    query: AggregationQuery;
+  }
+
+  interface RunAggregationQueryCallback {
+    (err: null|ServiceError, response: RunAggregationQueryResponse): void;
+  }
+
   interface BeginTransactionRequest {
     projectId: string;
+    databaseId?: string;
     transactionOptions?: TransactionOptions;
   }
 
@@ -120,6 +148,7 @@ declare namespace DatastoreClient {
 
   interface CommitRequest {
     projectId: string;
+    databaseId?: string;
     mode: CommitRequestMode;
     transactionSelector?: string;
     transaction?: string|Buffer;
@@ -137,6 +166,7 @@ declare namespace DatastoreClient {
 
   interface RollbackRequest {
     projectId: string;
+    databaseId?: string;
     transaction: string|Buffer;
   }
 
@@ -148,6 +178,7 @@ declare namespace DatastoreClient {
 
   interface AllocateIdsRequest {
     projectId: string;
+    databaseId?: string;
     keys: Key[];
   }
 
@@ -213,6 +244,7 @@ declare namespace DatastoreClient {
 
   interface PartitionId {
     projectId: string;
+    databaseId?: string;
     namespaceId?: string;
   }
 
@@ -279,6 +311,20 @@ declare namespace DatastoreClient {
     limit?: protobuf.IInt32Value;
   }
 
+  interface AggregationQuery {
+    queryType?: string;
+    nestedQuery?: Query;
+    aggregations: Aggregation[];
+  }
+
+  interface Aggregation {
+    operator?: string;
+    count?: {upTo?: protobuf.IInt64Value};
+    sum?: {property: PropertyReference};
+    avg?: {property: PropertyReference};
+    alias?: string;
+  }
+
   interface KindExpression {
     name: string;
   }
@@ -365,6 +411,36 @@ declare namespace DatastoreClient {
     snapshotVersion: number;
   }
 
+  interface AggregationResult {
+    aggregateProperties: {[alias: string]: Value};
+  }
+
+  interface AggregationResultBatch {
+    aggregationResults: AggregationResult[];
+    moreResults: MoreResultsType;
+    readTime?: protobuf.ITimestamp;
+  }
+
+  interface ExplainOptions {
+    analyze?: boolean;
+  }
+
+  interface ExplainMetrics {
+    planSummary?: PlanSummary;
+    executionStats?: ExecutionStats;
+  }
+
+  interface PlanSummary {
+    indexesUsed: protobuf.IStruct[];
+  }
+
+  interface ExecutionStats {
+    resultsReturned: number;
+    executionDuration?: protobuf.IDuration;
+    readOperations: number;
+    debugStats?: protobuf.IStruct;
+  }
+
   interface LatLng {
     latitude: number;
     longitude: number;
@@ -153,6 +153,7 @@ class DatastoreClient {
     const datastoreStubMethods = [
       'lookup',
       'runQuery',
+      'runAggregationQuery',
       'beginTransaction',
       'commit',
       'rollback',
@@ -237,6 +238,8 @@ class DatastoreClient {
    *   The options for this lookup request.
    *
    *   This object should have the same structure as [ReadOptions]{@link google.datastore.v1.ReadOptions}
+   * @param {string} [request.databaseId]
+   *   The ID of the database against which to make the request.
    * @param {Object} [options]
    *   Optional parameters. You can override the default settings for this call, e.g, timeout,
    *   retries, paginations, etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/interfaces/CallOptions.html} for the details.
@@ -280,11 +283,15 @@ class DatastoreClient {
     options = options || {};
     options.otherArgs = options.otherArgs || {};
     options.otherArgs.headers = options.otherArgs.headers || {};
+    const routingParams = {
+      project_id: request.projectId,
+    };
+    if (request.databaseId) {
+      routingParams.database_id = request.databaseId;
+    }
     options.otherArgs.headers[
       'x-goog-request-params'
-    ] = gax.routingHeader.fromParams({
-      project_id: request.projectId,
-    });
+    ] = gax.routingHeader.fromParams(routingParams);
 
     return this._innerApiCalls.lookup(request, options, callback);
   }
@@ -315,6 +322,8 @@ class DatastoreClient {
    *   The GQL query to run.
    *
    *   This object should have the same structure as [GqlQuery]{@link google.datastore.v1.GqlQuery}
+   * @param {string} [request.databaseId]
+   *   The ID of the database against which to make the request.
    * @param {Object} [options]
    *   Optional parameters. You can override the default settings for this call, e.g, timeout,
    *   retries, paginations, etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/interfaces/CallOptions.html} for the details.
@@ -353,15 +362,98 @@ class DatastoreClient {
     options = options || {};
     options.otherArgs = options.otherArgs || {};
     options.otherArgs.headers = options.otherArgs.headers || {};
+    const routingParams = {
+      project_id: request.projectId,
+    };
+    if (request.databaseId) {
+      routingParams.database_id = request.databaseId;
+    }
     options.otherArgs.headers[
       'x-goog-request-params'
-    ] = gax.routingHeader.fromParams({
-      project_id: request.projectId,
-    });
+    ] = gax.routingHeader.fromParams(routingParams);
 
     return this._innerApiCalls.runQuery(request, options, callback);
   }
 
+  /**
+   * Runs an aggregation query.
+   *
+   * @param {Object} request
+   *   The request object that will be sent.
+   * @param {string} request.projectId
+   *   Required. The ID of the project against which to make the request.
+   * @param {Object} [request.partitionId]
+   *   Entities are partitioned into subsets, identified by a partition ID.
+   *   Queries are scoped to a single partition.
+   *   This partition ID is normalized with the standard default context
+   *   partition ID.
+   *
+   *   This object should have the same structure as [PartitionId]{@link google.datastore.v1.PartitionId}
+   * @param {Object} [request.readOptions]
+   *   The options for this query.
+   *
+   *   This object should have the same structure as [ReadOptions]{@link google.datastore.v1.ReadOptions}
+   * @param {Object} [request.aggregationQuery]
+   *   The query to run.
+   *
+   *   This object should have the same structure as [AggregationQuery]{@link google.datastore.v1.AggregationQuery}
+   * @param {Object} [request.gqlQuery]
+   *   The GQL query to run. This query must be an aggregation query.
+   *
+   *   This object should have the same structure as [GqlQuery]{@link google.datastore.v1.GqlQuery}
+   * @param {string} [request.databaseId]
+   *   The ID of the database against which to make the request.
+   * @param {Object} [options]
+   *   Optional parameters. You can override the default settings for this call, e.g, timeout,
+   *   retries, paginations, etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/interfaces/CallOptions.html} for the details.
+   * @param {function(?Error, ?Object)} [callback]
+   *   The function which will be called with the result of the API call.
+   *
+   *   The second parameter to the callback is an object representing [RunAggregationQueryResponse]{@link google.datastore.v1.RunAggregationQueryResponse}.
+   * @returns {Promise} - The promise which resolves to an array.
+   *   The first element of the array is an object representing [RunAggregationQueryResponse]{@link google.datastore.v1.RunAggregationQueryResponse}.
+   *   The promise has a method named "cancel" which cancels the ongoing API call.
+   *
+   * @example
+   *
+   * const datastore = require('@google-cloud/datastore');
+   *
+   * const client = new datastore.v1.DatastoreClient({
+   *   // optional auth parameters.
+   * });
+   *
+   * const projectId = '';
+   * client.runAggregationQuery({projectId: projectId})
+   *   .then(responses => {
+   *     const response = responses[0];
+   *     // doThingsWith(response)
+   *   })
+   *   .catch(err => {
+   *     console.error(err);
+   *   });
+   */
+  runAggregationQuery(request, options, callback) {
+    if (options instanceof Function && callback === undefined) {
+      callback = options;
+      options = {};
+    }
+    request = request || {};
+    options = options || {};
+    options.otherArgs = options.otherArgs || {};
+    options.otherArgs.headers = options.otherArgs.headers || {};
+    const routingParams = {
+      project_id: request.projectId,
+    };
+    if (request.databaseId) {
+      routingParams.database_id = request.databaseId;
+    }
+    options.otherArgs.headers[
+      'x-goog-request-params'
+    ] = gax.routingHeader.fromParams(routingParams);
+
+    return this._innerApiCalls.runAggregationQuery(request, options, callback);
+  }
+
   /**
    * Begins a new transaction.
    *
@@ -373,6 +465,8 @@ class DatastoreClient {
    *   Options for a new transaction.
    *
    *   This object should have the same structure as [TransactionOptions]{@link google.datastore.v1.TransactionOptions}
+   * @param {string} [request.databaseId]
+   *   The ID of the database against which to make the request.
    * @param {Object} [options]
    *   Optional parameters. You can override the default settings for this call, e.g, timeout,
    *   retries, paginations, etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/interfaces/CallOptions.html} for the details.
@@ -411,11 +505,15 @@ class DatastoreClient {
     options = options || {};
     options.otherArgs = options.otherArgs || {};
     options.otherArgs.headers = options.otherArgs.headers || {};
+    const routingParams = {
+      project_id: request.projectId,
+    };
+    if (request.databaseId) {
+      routingParams.database_id = request.databaseId;
+    }
     options.otherArgs.headers[
       'x-goog-request-params'
-    ] = gax.routingHeader.fromParams({
-      project_id: request.projectId,
-    });
+    ] = gax.routingHeader.fromParams(routingParams);
 
     return this._innerApiCalls.beginTransaction(request, options, callback);
   }
@@ -452,6 +550,8 @@ class DatastoreClient {
    *   entity.
    *
    *   This object should have the same structure as [Mutation]{@link google.datastore.v1.Mutation}
+   * @param {string} [request.databaseId]
+   *   The ID of the database against which to make the request.
    * @param {Object} [options]
    *   Optional parameters. You can override the default settings for this call, e.g, timeout,
    *   retries, paginations, etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/interfaces/CallOptions.html} for the details.
@@ -490,11 +590,15 @@ class DatastoreClient {
     options = options || {};
     options.otherArgs = options.otherArgs || {};
     options.otherArgs.headers = options.otherArgs.headers || {};
+    const routingParams = {
+      project_id: request.projectId,
+    };
+    if (request.databaseId) {
+      routingParams.database_id = request.databaseId;
+    }
     options.otherArgs.headers[
       'x-goog-request-params'
-    ] = gax.routingHeader.fromParams({
-      project_id: request.projectId,
-    });
+    ] = gax.routingHeader.fromParams(routingParams);
 
     return this._innerApiCalls.commit(request, options, callback);
   }
@@ -509,6 +613,8 @@ class DatastoreClient {
    * @param {Buffer} request.transaction
    *   Required. The transaction identifier, returned by a call to
    *   Datastore.BeginTransaction.
+   * @param {string} [request.databaseId]
+   *   The ID of the database against which to make the request.
    * @param {Object} [options]
    *   Optional parameters. You can override the default settings for this call, e.g, timeout,
    *   retries, paginations, etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/interfaces/CallOptions.html} for the details.
@@ -552,11 +658,15 @@ class DatastoreClient {
     options = options || {};
     options.otherArgs = options.otherArgs || {};
     options.otherArgs.headers = options.otherArgs.headers || {};
+    const routingParams = {
+      project_id: request.projectId,
+    };
+    if (request.databaseId) {
+      routingParams.database_id = request.databaseId;
+    }
     options.otherArgs.headers[
       'x-goog-request-params'
-    ] = gax.routingHeader.fromParams({
-      project_id: request.projectId,
-    });
+    ] = gax.routingHeader.fromParams(routingParams);
 
     return this._innerApiCalls.rollback(request, options, callback);
   }
@@ -574,6 +684,8 @@ class DatastoreClient {
    *   No key may be reserved/read-only.
    *
    *   This object should have the same structure as [Key]{@link google.datastore.v1.Key}
+   * @param {string} [request.databaseId]
+   *   The ID of the database against which to make the request.
    * @param {Object} [options]
    *   Optional parameters. You can override the default settings for this call, e.g, timeout,
    *   retries, paginations, etc. See [gax.CallOptions]{@link https://googleapis.github.io/gax-nodejs/interfaces/CallOptions.html} for the details.
@@ -617,11 +729,15 @@ class DatastoreClient {
     options = options || {};
     options.otherArgs = options.otherArgs || {};
     options.otherArgs.headers = options.otherArgs.headers || {};
+    const routingParams = {
+      project_id: request.projectId,
+    };
+    if (request.databaseId) {
+      routingParams.database_id = request.databaseId;
+    }
     options.otherArgs.headers[
       'x-goog-request-params'
-    ] = gax.routingHeader.fromParams({
-      project_id: request.projectId,
-    });
+    ] = gax.routingHeader.fromParams(routingParams);
 
     return this._innerApiCalls.allocateIds(request, options, callback);
   }
@@ -684,11 +800,15 @@ class DatastoreClient {
     options = options || {};
     options.otherArgs = options.otherArgs || {};
     options.otherArgs.headers = options.otherArgs.headers || {};
+    const routingParams = {
+      project_id: request.projectId,
+    };
+    if (request.databaseId) {
+      routingParams.database_id = request.databaseId;
+    }
     options.otherArgs.headers[
       'x-goog-request-params'
-    ] = gax.routingHeader.fromParams({
-      project_id: request.projectId,
-    });
+    ] = gax.routingHeader.fromParams(routingParams);
 
     return this._innerApiCalls.reserveIds(request, options, callback);
   }
@@ -0,0 +1,230 @@
+/*!
+ * Copyright 2020 Google LLC.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {google} from '../protos/protos';
+import {entity, EntityProto, ValueProto} from './entity';
+
+/**
+ * The limits of Datastore checked by {@link DatastoreRequest#validate}.
+ *
+ * @see [Limits]{@link https://cloud.google.com/datastore/docs/concepts/limits}
+ *
+ * @type {object}
+ * @private
+ */
+const LIMITS = {
+  entitySize: 1048572,
+  indexedValueSize: 1500,
+  indexEntries: 20000,
+  keyPathDepth: 100,
+  mutations: 500,
+};
+
+/**
+ * Property names that match this pattern are reserved by Datastore.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const RESERVED_PROPERTY_NAME = /^__.*__$/;
+
+/**
+ * Error returned when entities exceed the limits of Datastore, found by
+ * {@link DatastoreRequest#validate}.
+ *
+ * @class
+ *
+ * @param {object[]} violations The violations that were found.
+ */
+class EntityValidationError extends Error {
+  violations: EntityViolation[];
+
+  constructor(violations: EntityViolation[]) {
+    super(
+      ['Entities exceed the limits of Datastore:']
+        .concat(violations.map(formatViolation))
+        .join('\n  ')
+    );
+    this.name = 'EntityValidationError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Describe a violation with the key and property it was found in.
+ *
+ * @private
+ */
+function formatViolation(violation: EntityViolation): string {
+  const location = [
+    violation.key && violation.key.path.join('/'),
+    violation.property,
+  ].filter(Boolean);
+
+  return location.length > 0
+    ? `${location.join(' ')}: ${violation.message}`
+    : violation.message;
+}
+
+/**
+ * Check encoded entities against the limits of Datastore. The sizes are
+ * computed from the protocol buffer encoding of the entities.
+ *
+ * @private
+ *
+ * @param {object[]} entityProtos The encoded entities, with their keys.
+ * @param {Key[]} keys The keys of the entities, to report violations with.
+ * @returns {object[]} The violations that were found.
+ */
+function validateEntityProtos(
+  entityProtos: EntityProto[],
+  keys: entity.Key[]
+): EntityViolation[] {
+  const violations: EntityViolation[] = [];
+
+  if (entityProtos.length > LIMITS.mutations) {
+    violations.push({
+      message: `A commit can contain at most ${LIMITS.mutations} mutations, found ${entityProtos.length}.`,
+    });
+  }
+
+  entityProtos.forEach((entityProto, index) => {
+    const key = keys[index];
+    const report = (message: string, property?: string) => {
+      violations.push({key, property, message});
+    };
+    let indexEntries = 0;
+
+    const depth = entityProto.key!.path!.length;
+    if (depth > LIMITS.keyPathDepth) {
+      report(
+        `The key path has ${depth} elements, more than the maximum of ${LIMITS.keyPathDepth}.`
+      );
+    }
+
+    const checkValue = (
+      valueProto: ValueProto,
+      property: string,
+      indexed: boolean
+    ) => {
+      // Excluding an array or an embedded entity excludes all of its values.
+      indexed = indexed && !valueProto.excludeFromIndexes;
+
+      if (valueProto.arrayValue) {
+        (valueProto.arrayValue.values || []).forEach(
+          (value: ValueProto, index: number) => {
+            checkValue(value, `${property}[${index}]`, indexed);
+          }
+        );
+        return;
+      }
+
+      if (valueProto.entityValue) {
+        checkProperties(valueProto.entityValue, `${property}.`, indexed);
+        return;
+      }
+
+      if (!indexed) {
+        return;
+      }
+
+      indexEntries++;
+
+      const size = indexedValueSize(valueProto);
+      if (size > LIMITS.indexedValueSize) {
+        report(
+          `The value is ${size} bytes, more than the maximum of ${LIMITS.indexedValueSize} bytes for an indexed value.`,
+          property
+        );
+      }
+    };
+
+    const checkProperties = (
+      entityProto: EntityProto,
+      prefix: string,
+      indexed: boolean
+    ) => {
+      const properties = entityProto.properties || {};
+      Object.keys(properties).forEach(name => {
+        if (RESERVED_PROPERTY_NAME.test(name)) {
+          report(`The property name "${name}" is reserved.`, prefix + name);
+        }
+        checkValue(properties[name], prefix + name, indexed);
+      });
+    };
+
+    checkProperties(entityProto, '', true);
+
+    if (indexEntries > LIMITS.indexEntries) {
+      report(
+        `The entity has ${indexEntries} index entries, more than the maximum of ${LIMITS.indexEntries}.`
+      );
+    }
+
+    const size = entitySize(entityProto);
+    if (size > LIMITS.entitySize) {
+      report(
+        `The entity is ${size} bytes, more than the maximum of ${LIMITS.entitySize} bytes.`
+      );
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Get the size of the indexed part of a value, i.e. of strings and blobs.
+ *
+ * @private
+ */
+function indexedValueSize(valueProto: ValueProto): number {
+  if (typeof valueProto.stringValue === 'string') {
+    return Buffer.byteLength(valueProto.stringValue);
+  }
+  if (valueProto.blobValue) {
+    return valueProto.blobValue.length;
+  }
+  return 0;
+}
+
+/**
+ * Get the size of an entity encoded as a `google.datastore.v1.Entity` message.
+ *
+ * @private
+ */
+function entitySize(entityProto: EntityProto): number {
+  return google.datastore.v1.Entity.encode(
+    entityProto as google.datastore.v1.IEntity
+  ).finish().length;
+}
+
+/**
+ * A limit of Datastore that entities exceed.
+ *
+ * @typedef {object} EntityViolation
+ * @property {Key} [key] The key of the entity. Missing for limits of the
+ *     whole commit.
+ * @property {string} [property] The path of the property, e.g.
+ *     `address.lines[0]`.
+ * @property {string} message What limit is exceeded.
+ */
+export interface EntityViolation {
+  key?: entity.Key;
+  property?: string;
+  message: string;
+}
+
+export {EntityValidationError, entitySize, validateEntityProtos};
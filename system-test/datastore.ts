@@ -14,7 +14,19 @@
 
 import * as assert from 'assert';
 import {describe, it} from 'mocha';
-import {Datastore} from '../src';
+import {ExplainMetrics} from '../src/query';
+import {
+  and,
+  average,
+  count,
+  or,
+  sum,
+  Datastore,
+  EntityValidationError,
+  PropertyFilter,
+  Query,
+} from '../src';
+import {Entity} from '../src/entity';
 const assertRejects = require('assert-rejects');
 
 describe('Datastore', () => {
@@ -49,6 +61,12 @@ describe('Datastore', () => {
     assert.ok(keys);
   });
 
+  it('should reserve IDs', async () => {
+    const keys = [datastore.key(['Kind', 123]), datastore.key(['Kind', 456])];
+    const [response] = await datastore.reserveIds(keys);
+    assert.ok(response);
+  });
+
   describe('create, retrieve and delete', () => {
     const post = {
       title: 'How to make the perfect pizza in your grill',
@@ -279,6 +297,356 @@ describe('Datastore', () => {
       await datastore.delete(datastore.key(['Post', assignedId as string]));
     });
 
+    it('should save/get a timestamp with microsecond precision', async () => {
+      const postKey = datastore.key(['Post', 'timestamp']);
+      const publishedAt = datastore.timestamp('2020-01-01T00:00:00.123456Z');
+      await datastore.save({key: postKey, data: {publishedAt}});
+
+      const [entity] = await datastore.get(postKey, {wrapTimestamps: true});
+      assert.strictEqual(entity.publishedAt.nanos, 123456000);
+
+      const [asDate] = await datastore.get(postKey);
+      assert.deepStrictEqual(
+        asDate.publishedAt,
+        new Date('2020-01-01T00:00:00.123Z')
+      );
+      await datastore.delete(postKey);
+    });
+
+    it('should save/get a BigInt outside of the safe integer range', async () => {
+      const postKey = datastore.key(['Post', BigInt('9007199254740993')]);
+      const amount = BigInt('9223372036854775807');
+      await datastore.save({key: postKey, data: {amount}});
+
+      const [entity] = await datastore.get(postKey, {wrapNumbers: 'bigint'});
+      assert.strictEqual(entity.amount, amount);
+      assert.strictEqual(entity[datastore.KEY].id, postKey.id);
+      await datastore.delete(postKey);
+    });
+
+    it('should save/get/query values with a registered type', async () => {
+      class Money {
+        constructor(public amount: string) {}
+      }
+      const moneyDatastore = new Datastore({
+        namespace: datastore.namespace,
+      }).registerType({
+        test: value => value instanceof Money,
+        encode: (money: Money) => ({stringValue: money.amount}),
+        decode: (amount: string) => new Money(amount),
+        properties: 'price',
+      });
+
+      const postKey = datastore.key(['Post', 'money']);
+      await moneyDatastore.save({
+        key: postKey,
+        data: {price: new Money('9.99')},
+      });
+
+      const [entity] = await moneyDatastore.get(postKey);
+      assert.deepStrictEqual(entity.price, new Money('9.99'));
+
+      const [entities] = await moneyDatastore
+        .createQuery('Post')
+        .filter('price', new Money('9.99'))
+        .run();
+      assert.strictEqual(entities.length, 1);
+      await datastore.delete(postKey);
+    });
+
+    it('should preserve the types of numbers on merge', async () => {
+      const postKey = datastore.key(['Post', 'numbers']);
+      await datastore.save({
+        key: postKey,
+        data: {rating: datastore.double(3), views: 10},
+      });
+      await datastore.merge({key: postKey, data: {title: 'Numbers'}});
+
+      const [entity] = await datastore.get(postKey, {preserveTypes: true});
+      assert.ok(datastore.isDouble(entity.rating));
+      assert.ok(datastore.isInt(entity.views));
+      assert.strictEqual(entity.title, 'Numbers');
+      await datastore.delete(postKey);
+    });
+
+    it('should sort keys in the order of Datastore', async () => {
+      const keys = [
+        datastore.key(['Sorted', 'b']),
+        datastore.key(['Sorted', 10]),
+        datastore.key(['Sorted', 9]),
+        datastore.key(['Sorted', 'a']),
+      ];
+      await datastore.save(keys.map(key => ({key, data: {}})));
+
+      const query = datastore.createQuery('Sorted').order('__key__');
+      const [entities] = await datastore.runQuery(query);
+      const queried = entities.map(entity => entity[datastore.KEY]);
+      const sorted = keys.slice().sort(datastore.Key.compare);
+
+      assert.deepStrictEqual(
+        queried.map(key => key.toString()),
+        sorted.map(key => key.toString())
+      );
+      assert(queried.every((key, index) => key.equals(sorted[index])));
+      await datastore.delete(keys);
+    });
+
+    it('should sort entities in the order of a query', async () => {
+      const values = ['b', 2, null, true, datastore.double(1.5), 'a', 10];
+      const keys = values.map((value, index) =>
+        datastore.key(['Ordered', `entity${index}`])
+      );
+      await datastore.save(
+        keys.map((key, index) => ({key, data: {value: values[index]}}))
+      );
+
+      const query = datastore
+        .createQuery('Ordered')
+        .order('value', {descending: true});
+      const [entities] = await datastore.runQuery(query);
+      const sorted = entities
+        .slice()
+        .reverse()
+        .sort(datastore.entityComparator(query.orders));
+
+      assert.deepStrictEqual(
+        sorted.map(entity => entity[datastore.KEY].name),
+        entities.map(entity => entity[datastore.KEY].name)
+      );
+      await datastore.delete(keys);
+    });
+
+    it('should run GQL queries with bindings', async () => {
+      const keys = [1, 2, 3].map(id => datastore.key(['GqlTask', id]));
+      await datastore.save(
+        keys.map((key, index) => ({key, data: {priority: index, done: false}}))
+      );
+
+      const query = datastore.createGqlQuery(
+        'SELECT * FROM GqlTask WHERE done = @done AND priority >= @1 ORDER BY priority LIMIT 1',
+        {namedBindings: {done: false}, positionalBindings: [1]}
+      );
+      const [first, info] = await datastore.runQuery(query);
+      assert.deepStrictEqual(
+        first.map(entity => entity.priority),
+        [1]
+      );
+
+      const nextQuery = datastore.createGqlQuery(
+        'SELECT * FROM GqlTask WHERE done = @done ORDER BY priority OFFSET @cursor',
+        {
+          namedBindings: {
+            done: false,
+            cursor: datastore.cursor(info.endCursor!),
+          },
+        }
+      );
+      const [rest] = await nextQuery.run();
+      assert.deepStrictEqual(
+        rest.map(entity => entity.priority),
+        [2]
+      );
+
+      const transaction = datastore.transaction();
+      await transaction.run();
+      const [entities] = await transaction
+        .createGqlQuery('SELECT * FROM GqlTask WHERE __key__ = @key', {
+          namedBindings: {key: keys[0]},
+        })
+        .run();
+      await transaction.commit();
+      assert.strictEqual(entities.length, 1);
+
+      await assertRejects(
+        datastore
+          .createGqlQuery('SELECT * FROM GqlTask WHERE done = false')
+          .run()
+      );
+      await datastore.delete(keys);
+    });
+
+    it('should run keys-only queries', async () => {
+      const keys = [1, 2, 3].map(id => datastore.key(['KeysOnly', id]));
+      await datastore.save(keys.map(key => ({key, data: {name: 'x'}})));
+
+      const query = datastore
+        .createQuery('KeysOnly')
+        .keysOnly()
+        .order('__key__')
+        .limit(2);
+      const [firstKeys, info] = await query.runKeys();
+      assert.deepStrictEqual(
+        firstKeys.map(key => key.toString()),
+        keys.slice(0, 2).map(key => key.toString())
+      );
+      assert(info.endCursor);
+
+      const streamed: Array<typeof keys[0]> = [];
+      await new Promise((resolve, reject) => {
+        datastore
+          .runKeysStream(query.start(info.endCursor!).limit(-1))
+          .on('error', reject)
+          .on('data', key => streamed.push(key))
+          .on('end', resolve);
+      });
+      assert.deepStrictEqual(
+        streamed.map(key => key.toString()),
+        [keys[2].toString()]
+      );
+      await datastore.delete(keys);
+    });
+
+    it('should delete the entities matching a query', async () => {
+      const keys = [1, 2, 3, 4, 5].map(id =>
+        datastore.key(['DeleteWhere', id])
+      );
+      await datastore.save(
+        keys.map((key, index) => ({key, data: {done: index < 3}}))
+      );
+      const query = datastore
+        .createQuery('DeleteWhere')
+        .filter('done', '=', true);
+
+      const matching = await datastore.deleteWhere(query, {dryRun: true});
+      assert.strictEqual(matching, 3);
+
+      let progressEvents = 0;
+      const deleted = await datastore
+        .deleteWhere(query, {batchSize: 2})
+        .on('progress', () => progressEvents++);
+      assert.strictEqual(deleted, 3);
+      assert.strictEqual(progressEvents, 2);
+
+      const [entities] = await datastore.get(keys);
+      assert.strictEqual(entities.length, 2);
+      await datastore.delete(keys);
+    });
+
+    it('should write entities with a bulk writer', async () => {
+      const writer = datastore.bulkWriter({maxBatchSize: 10});
+      const keys = Array.from({length: 25}, (_, index) =>
+        datastore.key(['BulkWriter', index + 1])
+      );
+      const writes = keys.map(key => writer.set({key, data: {done: false}}));
+      const insertKey = datastore.key('BulkWriter');
+      writes.push(writer.insert({key: insertKey, data: {done: true}}));
+      await writer.flush();
+      await Promise.all(writes);
+      assert(insertKey.id);
+
+      const [entities] = await datastore.get(keys.concat(insertKey));
+      assert.strictEqual(entities.length, 26);
+
+      const deletes = keys.concat(insertKey).map(key => writer.delete(key));
+      await writer.close();
+      await Promise.all(deletes);
+      await assertRejects(writer.delete(keys[0]));
+
+      const [remaining] = await datastore.get(keys);
+      assert.strictEqual(remaining.length, 0);
+    });
+
+    it('should rebuild queries from JSON and GQL', async () => {
+      const keys = [1, 2, 3].map(id => datastore.key(['SavedTask', id]));
+      await datastore.save(
+        keys.map((key, index) => ({
+          key,
+          data: {priority: index, created: new Date(index)},
+        }))
+      );
+
+      const query = datastore
+        .createQuery('SavedTask')
+        .filter('created', '>', new Date(0))
+        .order('created', {descending: true})
+        .limit(5);
+      const names = (entities: Entity[]) =>
+        entities.map(entity => entity[datastore.KEY].id);
+
+      const [entities] = await query.run();
+      assert.deepStrictEqual(names(entities), ['3', '2']);
+
+      const rebuilt = Query.fromJSON(
+        datastore,
+        JSON.parse(JSON.stringify(query))
+      );
+      const [rebuiltEntities] = await rebuilt.run();
+      assert.deepStrictEqual(names(rebuiltEntities), names(entities));
+
+      const [gqlEntities] = await datastore
+        .createGqlQuery(query.toGql(), {allowLiterals: true})
+        .run();
+      assert.deepStrictEqual(names(gqlEntities), names(entities));
+      await datastore.delete(keys);
+    });
+
+    it('should rebuild entities from typed JSON', async () => {
+      const postKey = datastore.key(['Post', 'typed-json']);
+      await datastore.save({
+        key: postKey,
+        data: {
+          title: 'Typed',
+          views: datastore.int(10),
+          publishedAt: new Date(),
+          body: Buffer.from('body'),
+          location: datastore.geoPoint({latitude: 40.6, longitude: -73.9}),
+          author: datastore.key(['Author', 'Stephen']),
+        },
+      });
+
+      const [entity] = await datastore.get(postKey, {wrapNumbers: true});
+      const json = JSON.stringify(datastore.toTypedJSON(entity));
+      assert.deepStrictEqual(datastore.fromTypedJSON(JSON.parse(json)), entity);
+      await datastore.delete(postKey);
+    });
+
+    it('should fail fast on entities that exceed the limits', async () => {
+      const postKey = datastore.key('Post');
+      const longString = Buffer.alloc(1501, '.').toString();
+      const entities = [{key: postKey, data: {body: longString}}];
+
+      assert.deepStrictEqual(
+        datastore.validate(entities).map(violation => violation.property),
+        ['body']
+      );
+      await assertRejects(
+        datastore.save(entities, {validate: true}),
+        (err: EntityValidationError) => err.violations.length === 1
+      );
+    });
+
+    it('should keep embedded keys and excluded indexes on round-trip', async () => {
+      const postKey = datastore.key('Post');
+      const authorKey = datastore.key(['Author', 'Stephen']);
+      const longString = Buffer.alloc(1501, '.').toString();
+      await datastore.save({
+        key: postKey,
+        data: {
+          body: longString,
+          author: {name: 'Stephen', [datastore.KEY]: authorKey},
+        },
+        excludeFromIndexes: ['body'],
+      });
+
+      const [entity] = await datastore.get(postKey, {preserveMetadata: true});
+      assert.deepStrictEqual(entity[datastore.METADATA].body, {
+        excludeFromIndexes: true,
+      });
+      assert.deepStrictEqual(entity.author[datastore.KEY].path, authorKey.path);
+
+      entity.title = 'Updated';
+      await datastore.save(entity);
+
+      const [entity2] = await datastore.get(postKey, {preserveMetadata: true});
+      assert.strictEqual(entity2.title, 'Updated');
+      assert.strictEqual(entity2.body, longString);
+      assert.deepStrictEqual(
+        entity2.author[datastore.KEY].path,
+        authorKey.path
+      );
+      await datastore.delete(postKey);
+    });
+
     it('should save/get/delete with a generated key id', async () => {
       const postKey = datastore.key('Post');
       await datastore.save({key: postKey, data: post});
@@ -304,6 +672,23 @@ describe('Datastore', () => {
       await datastore.delete(postKey);
     });
 
+    it('should update with an expected version', async () => {
+      const postKey = datastore.key('Post');
+      await datastore.save({key: postKey, data: post});
+      const [[result]] = await datastore.get(postKey, {withMetadata: true});
+      const data = Object.assign({}, post, {title: 'Updated'});
+      await datastore.update({
+        key: postKey,
+        expectedVersion: result.version,
+        data,
+      });
+      await assert.rejects(
+        datastore.update({key: postKey, expectedVersion: result.version, data}),
+        (err: Error) => err.name === 'ConcurrentModificationError'
+      );
+      await datastore.delete(postKey);
+    });
+
     it('should save/get/merge', async () => {
       const postKey = datastore.key(['Post', 1]);
       const originalData = {
@@ -625,6 +1010,61 @@ describe('Datastore', () => {
         });
     });
 
+    it('should explain a query', async () => {
+      const q = datastore.createQuery('Character').hasAncestor(ancestor);
+      const [entities, info] = await datastore.runQuery(q, {explain: true});
+      assert.strictEqual(entities.length, 0);
+      assert.ok(info.explainMetrics!.planSummary!.indexesUsed.length > 0);
+      assert.strictEqual(info.explainMetrics!.executionStats, undefined);
+    });
+
+    it('should explain and analyze a query', async () => {
+      const q = datastore.createQuery('Character').hasAncestor(ancestor);
+      const [entities, info] = await datastore.runQuery(q, {
+        explain: {analyze: true},
+      });
+      const {executionStats} = info.explainMetrics!;
+      assert.strictEqual(entities.length, characters.length);
+      assert.strictEqual(executionStats!.resultsReturned, characters.length);
+      assert.ok(executionStats!.readOperations > 0);
+    });
+
+    it('should emit explain metrics from a stream', done => {
+      const q = datastore.createQuery('Character').hasAncestor(ancestor);
+      let explainMetrics: ExplainMetrics;
+      datastore
+        .runQueryStream(q, {explain: {analyze: true}})
+        .on('error', done)
+        .on('explainMetrics', metrics => (explainMetrics = metrics))
+        .on('end', () => {
+          assert.ok(explainMetrics.executionStats);
+          done();
+        })
+        .resume();
+    });
+
+    it('should page through query results', async () => {
+      const q = datastore.createQuery('Character').hasAncestor(ancestor);
+      const pageSizes = [];
+      for await (const page of q.pages({pageSize: 3})) {
+        pageSizes.push(page.entities.length);
+      }
+      assert.deepStrictEqual(pageSizes, [3, 3, 2]);
+    });
+
+    it('should iterate over query results', async () => {
+      const q = datastore
+        .createQuery('Character')
+        .hasAncestor(ancestor)
+        .limit(5);
+      let resultsReturned = 0;
+      for await (const entity of q.iterate()) {
+        assert.ok(entity[datastore.KEY]);
+        resultsReturned++;
+      }
+      assert.strictEqual(resultsReturned, 5);
+    });
+
     it('should filter queries with simple indexes', async () => {
       const q = datastore
         .createQuery('Character')
@@ -644,6 +1084,75 @@ describe('Datastore', () => {
       assert.strictEqual(entities!.length, 6);
     });
 
+    it('should filter queries with IN, != and NOT_IN', async () => {
+      const inQuery = datastore
+        .createQuery('Character')
+        .hasAncestor(ancestor)
+        .filter('name', 'IN', ['Arya', 'Sansa', 'Bran']);
+      const [inEntities] = await datastore.runQuery(inQuery);
+      assert.strictEqual(inEntities!.length, 3);
+
+      const notEqualQuery = datastore
+        .createQuery('Character')
+        .hasAncestor(ancestor)
+        .filter('appearances', '!=', 9);
+      const [notEqualEntities] = await datastore.runQuery(notEqualQuery);
+      assert.strictEqual(notEqualEntities!.length, 6);
+
+      const notInQuery = datastore
+        .createQuery('Character')
+        .hasAncestor(ancestor)
+        .filter('appearances', 'NOT_IN', [9, 26]);
+      const [notInEntities] = await datastore.runQuery(notInQuery);
+      assert.strictEqual(notInEntities!.length, 5);
+    });
+
+    it('should filter queries with composite filters', async () => {
+      const q = datastore
+        .createQuery('Character')
+        .hasAncestor(ancestor)
+        .filter(
+          or([
+            new PropertyFilter('name', '=', 'Arya'),
+            and([
+              new PropertyFilter('alive', '=', false),
+              new PropertyFilter('appearances', '>', 20),
+            ]),
+          ])
+        );
+      const [entities] = await datastore.runQuery(q);
+      assert.strictEqual(entities!.length, 3);
+    });
+
+    it('should run aggregation queries', async () => {
+      const q = datastore.createQuery('Character').hasAncestor(ancestor);
+      const aggregateQuery = datastore
+        .createAggregationQuery(q)
+        .addAggregation(
+          count('total'),
+          sum('appearances'),
+          average('appearances', 'averageAppearances')
+        );
+      const [result] = await aggregateQuery.run({consistency: 'strong'});
+      assert.deepStrictEqual(result, {
+        total: 8,
+        appearances: 187,
+        averageAppearances: 187 / 8,
+      });
+    });
+
+    it('should run aggregation queries in a transaction', async () => {
+      const transaction = datastore.transaction();
+      await transaction.run();
+      const q = transaction.createQuery('Character').hasAncestor(ancestor);
+      const [result] = await datastore
+        .createAggregationQuery(q)
+        .addAggregation(count())
+        .run();
+      await transaction.commit();
+      assert.strictEqual(result.count, 8);
+    });
+
     it('should filter by ancestor', async () => {
       const q = datastore.createQuery('Character').hasAncestor(ancestor);
       const [entities] = await datastore.runQuery(q);
@@ -746,6 +1255,48 @@ describe('Datastore', () => {
     });
   });
 
+  describe('models', () => {
+    interface Book {
+      title: string;
+      pages: number;
+      published: Date;
+    }
+
+    const books = datastore.model<Book>('Book', {
+      title: {type: 'string', required: true},
+      pages: {type: 'int', default: 0},
+      published: {type: 'date', excludeFromIndexes: true},
+    });
+
+    it('should save, get, query and delete through a model', async () => {
+      const book = books.create({title: 'Dune', published: new Date(0)});
+      await books.save(book);
+      const key = book[datastore.KEY]!;
+
+      const [fetched] = await books.get(key);
+      assert.strictEqual(fetched.title, 'Dune');
+      assert.strictEqual(fetched.pages, 0);
+      assert.deepStrictEqual(fetched.published, new Date(0));
+
+      const [results] = await books
+        .query()
+        .filter('title', 'Dune')
+        .run();
+      assert.ok(results.length > 0);
+
+      await books.delete(key);
+      const [deleted] = await books.get(key);
+      assert.strictEqual(deleted, undefined);
+    });
+
+    it('should reject invalid entities', async () => {
+      await assertRejects(
+        books.save({pages: 10}),
+        /The "title" property of Book is required\./
+      );
+    });
+  });
+
   describe('transactions', () => {
     it('should run in a transaction', async () => {
       const key = datastore.key(['Company', 'Google']);
@@ -762,6 +1313,22 @@ describe('Datastore', () => {
       assert.deepStrictEqual(entity, obj);
     });
 
+    it('should run a function in a transaction', async () => {
+      const key = datastore.key(['Company', 'Google']);
+      const obj = {
+        url: 'www.google.com',
+      };
+      const url = await datastore.runInTransaction(async transaction => {
+        await transaction.get(key);
+        transaction.save({key, data: obj});
+        return obj.url;
+      });
+      assert.strictEqual(url, obj.url);
+      const [entity] = await datastore.get(key);
+      delete entity[datastore.KEY];
+      assert.deepStrictEqual(entity, obj);
+    });
+
     it('should commit all saves and deletes at the end', async () => {
       const deleteKey = datastore.key(['Company', 'Subway']);
       const key = datastore.key(['Company', 'Google']);
@@ -0,0 +1,133 @@
+// Copyright 2020 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it} from 'mocha';
+import {
+  average,
+  count,
+  sum,
+  AggregateField,
+  AggregateQuery,
+} from '../src/aggregate';
+import {Query} from '../src/query';
+import {Datastore} from '../src';
+
+describe('AggregateQuery', () => {
+  const SCOPE = {} as Datastore;
+
+  describe('aggregations', () => {
+    it('should create a count', () => {
+      const field = count('total');
+
+      assert(field instanceof AggregateField);
+      assert.strictEqual(field.type, 'count');
+      assert.strictEqual(field.alias, 'total');
+      assert.strictEqual(field.property, undefined);
+    });
+
+    it('should default the alias of a count', () => {
+      assert.strictEqual(count().alias, 'count');
+    });
+
+    it('should create a sum', () => {
+      const field = sum('amount', 'totalAmount');
+
+      assert.strictEqual(field.type, 'sum');
+      assert.strictEqual(field.alias, 'totalAmount');
+      assert.strictEqual(field.property, 'amount');
+    });
+
+    it('should create an average', () => {
+      const field = average('rating', 'averageRating');
+
+      assert.strictEqual(field.type, 'avg');
+      assert.strictEqual(field.alias, 'averageRating');
+      assert.strictEqual(field.property, 'rating');
+    });
+
+    it('should default the alias to the property name', () => {
+      assert.strictEqual(sum('amount').alias, 'amount');
+      assert.strictEqual(average('rating').alias, 'rating');
+    });
+  });
+
+  describe('instantiation', () => {
+    it('should localize the query', () => {
+      const query = new Query(SCOPE, ['Kind']);
+      const aggregateQuery = new AggregateQuery(query);
+
+      assert.strictEqual(aggregateQuery.query, query);
+      assert.deepStrictEqual(aggregateQuery.aggregations, []);
+    });
+  });
+
+  describe('addAggregation', () => {
+    it('should add aggregations', () => {
+      const aggregateQuery = new AggregateQuery(new Query(SCOPE, ['Kind']));
+      const total = count('total');
+      const amount = sum('amount');
+
+      aggregateQuery.addAggregation(total).addAggregation(amount, count());
+
+      assert.strictEqual(aggregateQuery.aggregations.length, 3);
+      assert.strictEqual(aggregateQuery.aggregations[0], total);
+      assert.strictEqual(aggregateQuery.aggregations[1], amount);
+    });
+
+    it('should return the aggregate query instance', () => {
+      const aggregateQuery = new AggregateQuery(new Query(SCOPE, ['Kind']));
+
+      assert.strictEqual(
+        aggregateQuery.addAggregation(count()),
+        aggregateQuery
+      );
+    });
+  });
+
+  describe('run', () => {
+    it('should call the parent instance runAggregationQuery correctly', done => {
+      const args = [{}, () => {}];
+      // tslint:disable-next-line no-any
+      const scope: any = {
+        runAggregationQuery(
+          aggregateQuery: AggregateQuery,
+          options: {},
+          callback: Function
+        ) {
+          assert.strictEqual(this, scope);
+          assert.strictEqual(aggregateQuery, aggregate);
+          assert.strictEqual(options, args[0]);
+          assert.strictEqual(callback, args[1]);
+          done();
+        },
+      };
+      const aggregate = new AggregateQuery(new Query(scope, ['Kind']));
+
+      // tslint:disable-next-line no-any
+      aggregate.run(...(args as any));
+    });
+
+    it('should return the result of runAggregationQuery', () => {
+      const promise = Promise.resolve([{}]);
+      // tslint:disable-next-line no-any
+      const scope: any = {
+        runAggregationQuery: () => promise,
+      };
+      const aggregate = new AggregateQuery(new Query(scope, ['Kind']));
+
+      assert.strictEqual(aggregate.run(), promise);
+    });
+  });
+});
@@ -0,0 +1,579 @@
+// Copyright 2020 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {afterEach, beforeEach, describe, it} from 'mocha';
+import * as gax from 'google-gax';
+import * as sinon from 'sinon';
+import {PassThrough} from 'stream';
+
+import {Datastore} from '../src';
+import {
+  BulkDelete,
+  BulkWriter,
+  DeleteWhereProgress,
+  RateLimiter,
+} from '../src/bulk';
+import {entity} from '../src/entity';
+import {Query} from '../src/query';
+import {google} from '../proto/datastore';
+
+describe('BulkDelete', () => {
+  const QUERY = new Query(undefined, '', ['Task']);
+  const OPTIONS = {backoff: {initialDelayMillis: 0}};
+
+  let keys: entity.Key[];
+  let batches: entity.Key[][];
+  let deleteErrors: Array<Error | null>;
+  let pending: number;
+  let maxPending: number;
+  // tslint:disable-next-line no-any
+  let datastore: any;
+
+  beforeEach(() => {
+    keys = [];
+    for (let i = 0; i < 10; i++) {
+      keys.push(new entity.Key({path: ['Task', i]}));
+    }
+    batches = [];
+    deleteErrors = [];
+    pending = 0;
+    maxPending = 0;
+
+    datastore = {
+      runKeysStream(query: Query) {
+        assert.strictEqual(query, QUERY);
+        const stream = new PassThrough({objectMode: true});
+        setImmediate(() => {
+          keys.forEach(key => stream.write(key));
+          stream.end();
+        });
+        return stream;
+      },
+      async delete(batch: entity.Key[]) {
+        batches.push(batch);
+        pending++;
+        maxPending = Math.max(maxPending, pending);
+        await new Promise(resolve => setImmediate(resolve));
+        pending--;
+        const err = deleteErrors.shift();
+        if (err) {
+          throw err;
+        }
+        return [{}];
+      },
+    };
+  });
+
+  it('should resolve with the number of entities deleted', async () => {
+    const deleted = await new BulkDelete(datastore, QUERY, OPTIONS);
+
+    assert.strictEqual(deleted, 10);
+    assert.deepStrictEqual(batches, [keys]);
+  });
+
+  it('should delete in batches', async () => {
+    const deleted = await new BulkDelete(datastore, QUERY, {batchSize: 4});
+
+    assert.strictEqual(deleted, 10);
+    assert.deepStrictEqual(batches, [
+      keys.slice(0, 4),
+      keys.slice(4, 8),
+      keys.slice(8),
+    ]);
+  });
+
+  it('should limit the number of batches deleted at a time', async () => {
+    await new BulkDelete(datastore, QUERY, {batchSize: 1, concurrency: 2});
+
+    assert.strictEqual(batches.length, 10);
+    assert.strictEqual(maxPending, 2);
+  });
+
+  it('should emit progress after each batch', async () => {
+    const progress: DeleteWhereProgress[] = [];
+    await new BulkDelete(datastore, QUERY, {
+      batchSize: 4,
+      concurrency: 1,
+    }).on('progress', p => progress.push(p));
+
+    assert.deepStrictEqual(progress, [
+      {matched: 4, deleted: 4},
+      {matched: 8, deleted: 8},
+      {matched: 10, deleted: 10},
+    ]);
+  });
+
+  it('should resolve with 0 if nothing matches', async () => {
+    keys = [];
+
+    const deleted = await new BulkDelete(datastore, QUERY);
+
+    assert.strictEqual(deleted, 0);
+    assert.strictEqual(batches.length, 0);
+  });
+
+  it('should count the matches without deleting in a dry run', async () => {
+    const progress: DeleteWhereProgress[] = [];
+    const deleted = await new BulkDelete(datastore, QUERY, {
+      batchSize: 4,
+      dryRun: true,
+    }).on('progress', p => progress.push(p));
+
+    assert.strictEqual(deleted, 10);
+    assert.strictEqual(batches.length, 0);
+    assert.deepStrictEqual(progress[progress.length - 1], {
+      matched: 10,
+      deleted: 0,
+    });
+  });
+
+  it('should retry a batch on a transient error', async () => {
+    deleteErrors.push(
+      Object.assign(new Error('Unavailable.'), {code: gax.Status.UNAVAILABLE})
+    );
+
+    const deleted = await new BulkDelete(datastore, QUERY, OPTIONS);
+
+    assert.strictEqual(deleted, 10);
+    assert.deepStrictEqual(batches, [keys, keys]);
+  });
+
+  it('should stop retrying after maxAttempts', async () => {
+    const error = Object.assign(new Error('Aborted.'), {
+      code: gax.Status.ABORTED,
+    });
+    deleteErrors.push(error, error, error);
+
+    await assert.rejects(
+      new BulkDelete(
+        datastore,
+        QUERY,
+        Object.assign({maxAttempts: 2}, OPTIONS)
+      ).then(),
+      error
+    );
+    assert.strictEqual(batches.length, 2);
+  });
+
+  it('should not retry other errors', async () => {
+    const error = Object.assign(new Error('Invalid.'), {
+      code: gax.Status.INVALID_ARGUMENT,
+    });
+    deleteErrors.push(error);
+
+    await assert.rejects(
+      new BulkDelete(datastore, QUERY, OPTIONS).then(),
+      error
+    );
+    assert.strictEqual(batches.length, 1);
+  });
+
+  it('should reject with an error of the query', async () => {
+    const error = new Error('Error.');
+    datastore.runKeysStream = () => {
+      const stream = new PassThrough({objectMode: true});
+      setImmediate(() => stream.destroy(error));
+      return stream;
+    };
+
+    await assert.rejects(
+      new BulkDelete(datastore, QUERY, OPTIONS).then(),
+      error
+    );
+  });
+
+  it('should emit an error to its listeners', done => {
+    const error = Object.assign(new Error('Invalid.'), {
+      code: gax.Status.INVALID_ARGUMENT,
+    });
+    deleteErrors.push(error);
+
+    new BulkDelete(datastore, QUERY, OPTIONS).on('error', (err: Error) => {
+      assert.strictEqual(err, error);
+      done();
+    });
+  });
+
+  it('should reject an invalid batch size', async () => {
+    await assert.rejects(
+      new BulkDelete(datastore, QUERY, {batchSize: 501}).then(),
+      /The batch size must be between 1 and 500\./
+    );
+  });
+});
+
+describe('RateLimiter', () => {
+  it('should allow the initial rate at once', () => {
+    const limiter = new RateLimiter(500, true);
+
+    assert.strictEqual(limiter.delayFor(500, 0), 0);
+    limiter.take(500, 0);
+    assert.strictEqual(limiter.delayFor(500, 0), 1000);
+    assert.strictEqual(limiter.delayFor(250, 500), 0);
+  });
+
+  it('should ramp up by 50% every 5 minutes', () => {
+    const limiter = new RateLimiter(500, true);
+    limiter.take(1, 0);
+
+    assert.strictEqual(limiter.opsPerSecond(5 * 60 * 1000 - 1), 500);
+    assert.strictEqual(limiter.opsPerSecond(5 * 60 * 1000), 750);
+    assert.strictEqual(limiter.opsPerSecond(10 * 60 * 1000), 1125);
+  });
+
+  it('should start the ramp-up with the first request', () => {
+    const limiter = new RateLimiter(500, true);
+    limiter.take(1, 60 * 60 * 1000);
+
+    assert.strictEqual(limiter.opsPerSecond(60 * 60 * 1000), 500);
+  });
+
+  it('should keep the initial rate without ramp-up', () => {
+    const limiter = new RateLimiter(500, false);
+    limiter.take(1, 0);
+
+    assert.strictEqual(limiter.opsPerSecond(60 * 60 * 1000), 500);
+  });
+
+  it('should delay the next requests after a large request', () => {
+    const limiter = new RateLimiter(10, false);
+
+    assert.strictEqual(limiter.delayFor(500, 0), 0);
+    limiter.take(500, 0);
+    assert.strictEqual(limiter.delayFor(1, 0), 49100);
+  });
+});
+
+describe('BulkWriter', () => {
+  const OPTIONS = {backoff: {initialDelayMillis: 0}};
+  const datastore = new Datastore({projectId: 'project-id'});
+  const sandbox = sinon.createSandbox();
+
+  // tslint:disable-next-line no-any
+  let commits: any[];
+  let commitErrors: Array<Error | null>;
+  let sending: number;
+  let maxSending: number;
+
+  beforeEach(() => {
+    commits = [];
+    commitErrors = [];
+    sending = 0;
+    maxSending = 0;
+
+    // tslint:disable-next-line no-any
+    datastore.request_ = ((config: any, callback: Function) => {
+      assert.strictEqual(config.client, 'DatastoreClient');
+      assert.strictEqual(config.method, 'commit');
+      commits.push(config.reqOpts.mutations);
+      sending++;
+      maxSending = Math.max(maxSending, sending);
+
+      setImmediate(() => {
+        sending--;
+        const err = commitErrors.shift();
+        if (err) {
+          callback(err);
+          return;
+        }
+        callback(null, {
+          mutationResults: config.reqOpts.mutations.map(
+            (mutation: google.datastore.v1.IMutation, index: number) => ({
+              key: mutation.insert
+                ? {path: [{kind: 'Task', id: String(index + 1), idType: 'id'}]}
+                : null,
+              version: '1',
+            })
+          ),
+        });
+      });
+      // tslint:disable-next-line no-any
+    }) as any;
+  });
+
+  afterEach(() => sandbox.restore());
+
+  function taskKey(id?: number) {
+    return id === undefined
+      ? datastore.key('Task')
+      : datastore.key(['Task', id]);
+  }
+
+  it('should send the operations in one commit', async () => {
+    const writer = new BulkWriter(datastore, OPTIONS);
+    const results = [
+      writer.set({key: taskKey(1), data: {n: 1}}),
+      writer.insert({key: taskKey(2), data: {n: 2}}),
+      writer.update({key: taskKey(3), data: {n: 3}}),
+      writer.delete(taskKey(4)),
+    ];
+    await writer.flush();
+
+    assert.strictEqual(commits.length, 1);
+    assert.deepStrictEqual(
+      commits[0].map((mutation: {}) => Object.keys(mutation)[0]),
+      ['upsert', 'insert', 'update', 'delete']
+    );
+    assert.deepStrictEqual(
+      commits[0][0].upsert.key,
+      entity.keyToKeyProto(taskKey(1))
+    );
+    assert.deepStrictEqual(
+      commits[0][3].delete,
+      entity.keyToKeyProto(taskKey(4))
+    );
+    assert.strictEqual((await results[0]).version, '1');
+  });
+
+  it('should set the ID of an incomplete key', async () => {
+    const writer = new BulkWriter(datastore, OPTIONS);
+    const key = taskKey();
+    const result = writer.insert({key, data: {}});
+    await writer.flush();
+
+    await result;
+    assert.strictEqual(key.id, '1');
+  });
+
+  it('should send a batch once it is full', async () => {
+    const writer = new BulkWriter(datastore, {maxBatchSize: 2});
+    const results = [1, 2, 3].map(id =>
+      writer.set({key: taskKey(id), data: {}})
+    );
+
+    await Promise.all(results.slice(0, 2));
+    assert.strictEqual(commits.length, 1);
+    assert.strictEqual(commits[0].length, 2);
+
+    await writer.flush();
+    assert.strictEqual(commits.length, 2);
+    assert.strictEqual(commits[1].length, 1);
+  });
+
+  it('should not write a key twice in a batch', async () => {
+    const writer = new BulkWriter(datastore, OPTIONS);
+    writer.set({key: taskKey(1), data: {n: 1}});
+    writer.set({key: taskKey(2), data: {}});
+    writer.set({key: taskKey(1), data: {n: 2}});
+    writer.insert({key: taskKey(), data: {}});
+    writer.insert({key: taskKey(), data: {}});
+    await writer.flush();
+
+    assert.deepStrictEqual(
+      commits.map(mutations => mutations.length),
+      [2, 3]
+    );
+  });
+
+  it('should limit the number of commits at a time', async () => {
+    const writer = new BulkWriter(datastore, {
+      maxBatchSize: 1,
+      maxConcurrency: 2,
+      initialOpsPerSecond: 1000,
+    });
+    [1, 2, 3, 4, 5].forEach(id => writer.set({key: taskKey(id), data: {}}));
+    await writer.flush();
+
+    assert.strictEqual(commits.length, 5);
+    assert.strictEqual(maxSending, 2);
+  });
+
+  it('should retry a transient error', async () => {
+    commitErrors.push(
+      Object.assign(new Error('Unavailable.'), {code: gax.Status.UNAVAILABLE})
+    );
+    const writer = new BulkWriter(datastore, OPTIONS);
+    const result = writer.set({key: taskKey(1), data: {}});
+    await writer.flush();
+
+    assert.strictEqual((await result).version, '1');
+    assert.strictEqual(commits.length, 2);
+    assert.deepStrictEqual(commits[0], commits[1]);
+  });
+
+  it('should reject after maxAttempts', async () => {
+    const error = Object.assign(new Error('Aborted.'), {
+      code: gax.Status.ABORTED,
+    });
+    commitErrors.push(error, error, error);
+    const writer = new BulkWriter(
+      datastore,
+      Object.assign({maxAttempts: 2}, OPTIONS)
+    );
+    const result = writer.set({key: taskKey(1), data: {}});
+    await writer.flush();
+
+    await assert.rejects(result, error);
+    assert.strictEqual(commits.length, 2);
+  });
+
+  it('should not retry other errors', async () => {
+    const error = Object.assign(new Error('Exists.'), {
+      code: gax.Status.ALREADY_EXISTS,
+    });
+    commitErrors.push(error);
+    const writer = new BulkWriter(datastore, OPTIONS);
+    const result = writer.insert({key: taskKey(1), data: {}});
+    await writer.flush();
+
+    await assert.rejects(result, error);
+    assert.strictEqual(commits.length, 1);
+  });
+
+  it('should reject only the operations at fault of a batch', async () => {
+    const error = Object.assign(new Error('Exists.'), {
+      code: gax.Status.ALREADY_EXISTS,
+    });
+    // tslint:disable-next-line no-any
+    datastore.request_ = ((config: any, callback: Function) => {
+      const mutations = config.reqOpts.mutations;
+      commits.push(mutations);
+      setImmediate(() => {
+        const exists = mutations.some(
+          // tslint:disable-next-line no-any
+          (mutation: any) => String(mutation.insert.key.path[0].id) === '2'
+        );
+        callback(exists ? error : null, {
+          mutationResults: mutations.map(() => ({version: '1'})),
+        });
+      });
+      // tslint:disable-next-line no-any
+    }) as any;
+    const writer = new BulkWriter(datastore, OPTIONS);
+    const results = [1, 2, 3].map(id =>
+      writer.insert({key: taskKey(id), data: {}})
+    );
+    await writer.flush();
+
+    assert.strictEqual((await results[0]).version, '1');
+    await assert.rejects(results[1], error);
+    assert.strictEqual((await results[2]).version, '1');
+  });
+
+  it('should reject the whole batch on other errors', async () => {
+    const error = Object.assign(new Error('Denied.'), {
+      code: gax.Status.PERMISSION_DENIED,
+    });
+    commitErrors.push(error);
+    const writer = new BulkWriter(datastore, OPTIONS);
+    const results = [1, 2, 3].map(id =>
+      writer.set({key: taskKey(id), data: {}})
+    );
+    await writer.flush();
+
+    await Promise.all(results.map(result => assert.rejects(result, error)));
+    assert.strictEqual(commits.length, 1);
+  });
+
+  it('should commit the operations on a key in order', async () => {
+    commitErrors.push(
+      Object.assign(new Error('Unavailable.'), {code: gax.Status.UNAVAILABLE})
+    );
+    const writer = new BulkWriter(datastore, OPTIONS);
+    writer.set({key: taskKey(1), data: {n: 1}});
+    writer.set({key: taskKey(1), data: {n: 2}});
+    writer.set({key: taskKey(2), data: {n: 3}});
+    await writer.flush();
+
+    assert.deepStrictEqual(
+      commits.map(mutations =>
+        mutations.map(
+          (mutation: google.datastore.v1.IMutation) =>
+            mutation.upsert!.properties!.n.integerValue
+        )
+      ),
+      [['1'], ['1'], ['2', '3']]
+    );
+    assert.strictEqual(maxSending, 1);
+  });
+
+  it('should throttle the commits', async () => {
+    const clock = sinon.useFakeTimers({toFake: ['setTimeout', 'Date']});
+    try {
+      const writer = new BulkWriter(datastore, {
+        maxBatchSize: 2,
+        initialOpsPerSecond: 2,
+      });
+      [1, 2, 3, 4].forEach(id => writer.set({key: taskKey(id), data: {}}));
+      const flushed = writer.flush();
+
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(commits.length, 1);
+
+      clock.tick(1000);
+      await flushed;
+      assert.strictEqual(commits.length, 2);
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('should refuse operations once closed', async () => {
+    const writer = new BulkWriter(datastore, OPTIONS);
+    const result = writer.set({key: taskKey(1), data: {}});
+    await writer.close();
+
+    await result;
+    await assert.rejects(
+      writer.set({key: taskKey(2), data: {}}),
+      /The BulkWriter has been closed\./
+    );
+  });
+
+  it('should refuse an expected version', async () => {
+    const writer = new BulkWriter(datastore, OPTIONS);
+
+    await assert.rejects(
+      writer.set({key: taskKey(1), data: {}, expectedVersion: 1}),
+      /An expected version cannot be used in a BulkWriter\./
+    );
+  });
+
+  it('should reject an operation that cannot be encoded', async () => {
+    const writer = new BulkWriter(datastore, OPTIONS);
+    const key = taskKey(1);
+    key.parent = taskKey();
+
+    await assert.rejects(
+      writer.delete(key),
+      /Ancestor keys require an id or name\./
+    );
+  });
+
+  it('should reject the batch if its results cannot be read', async () => {
+    const error = new Error('Bad key.');
+    sandbox.stub(entity, 'keyFromKeyProto').throws(error);
+    const writer = new BulkWriter(datastore, OPTIONS);
+    const results = [
+      writer.insert({key: taskKey(), data: {}}),
+      writer.set({key: taskKey(1), data: {}}),
+    ];
+    await writer.flush();
+
+    await assert.rejects(results[0], error);
+    await assert.rejects(results[1], error);
+    sandbox.restore();
+    writer.set({key: taskKey(2), data: {}});
+    await writer.flush();
+    assert.strictEqual(commits.length, 2);
+  });
+
+  it('should refuse an invalid batch size', () => {
+    assert.throws(
+      () => new BulkWriter(datastore, {maxBatchSize: 501}),
+      /The batch size must be between 1 and 500\./
+    );
+  });
+});
@@ -17,13 +17,27 @@ import {describe, it} from 'mocha';
 import * as extend from 'extend';
 import * as sinon from 'sinon';
 import {Datastore} from '../src';
-import {Entity, entity, ValueProto} from '../src/entity';
-import {IntegerTypeCastOptions} from '../src/query';
+import {Entity, entity, TypedJSONObject, ValueProto} from '../src/entity';
+import {IntegerTypeCastOptions, Order} from '../src/query';
+import {and, or, PropertyFilter} from '../src/filter';
+import {average, count, sum} from '../src/aggregate';
+import {Cursor, GqlQuery} from '../src/gql';
 import {AnyARecord} from 'dns';
 
 describe('entity', () => {
   let entity: Entity;
 
+  class Money {
+    constructor(public amount: string) {}
+  }
+
+  const MONEY_CONVERTER = {
+    test: (value: unknown) => value instanceof Money,
+    encode: (money: Money) => ({stringValue: money.amount}),
+    decode: (amount: string) => new Money(amount),
+    properties: ['price', 'order.total', 'prices[]'],
+  };
+
   beforeEach(() => {
     delete require.cache[require.resolve('../src/entity.js')];
     entity = require('../src/entity.js').entity;
@@ -42,6 +56,12 @@ describe('entity', () => {
       const double = new entity.Double(value);
       assert.strictEqual(double.value, value);
     });
+
+    it('should convert to a number', () => {
+      const double = new entity.Double(8.3);
+      assert.strictEqual(Number(double), 8.3);
+      assert.strictEqual(double.valueOf() + 1, 9.3);
+    });
   });
 
   describe('isDsDouble', () => {
@@ -283,6 +303,74 @@ describe('entity', () => {
     });
   });
 
+  describe('Timestamp', () => {
+    it('should store seconds and nanos', () => {
+      const timestamp = new entity.Timestamp({seconds: '1577836800', nanos: 5});
+      assert.strictEqual(timestamp.type, 'DatastoreTimestamp');
+      assert.strictEqual(timestamp.seconds, 1577836800);
+      assert.strictEqual(timestamp.nanos, 5);
+    });
+
+    it('should default nanos to 0', () => {
+      const timestamp = new entity.Timestamp({seconds: 10});
+      assert.strictEqual(timestamp.nanos, 0);
+    });
+
+    it('should accept a Date', () => {
+      const timestamp = new entity.Timestamp(new Date(-1500));
+      assert.strictEqual(timestamp.seconds, -2);
+      assert.strictEqual(timestamp.nanos, 500000000);
+    });
+
+    it('should parse an RFC 3339 string', () => {
+      const timestamp = new entity.Timestamp('2020-01-01T00:00:00.123456789Z');
+      assert.strictEqual(timestamp.seconds, 1577836800);
+      assert.strictEqual(timestamp.nanos, 123456789);
+    });
+
+    it('should parse short fractions and offsets', () => {
+      const timestamp = new entity.Timestamp('2020-01-01T01:00:00.12+01:00');
+      assert.strictEqual(timestamp.seconds, 1577836800);
+      assert.strictEqual(timestamp.nanos, 120000000);
+    });
+
+    it('should throw for an invalid value', () => {
+      assert.throws(
+        () => new entity.Timestamp('yesterday'),
+        /Invalid timestamp value: yesterday\./
+      );
+      assert.throws(
+        () => new entity.Timestamp({seconds: 1, nanos: 1e9}),
+        /Invalid timestamp value/
+      );
+    });
+
+    it('should convert to a Date', () => {
+      const timestamp = new entity.Timestamp({seconds: 1, nanos: 999999999});
+      assert.deepStrictEqual(timestamp.toDate(), new Date(1999));
+    });
+
+    it('should format with nanosecond precision', () => {
+      const value = '2020-01-01T00:00:00.000001000Z';
+      const timestamp = new entity.Timestamp(value);
+      assert.strictEqual(timestamp.toISOString(), value);
+      assert.strictEqual(JSON.stringify(timestamp), `"${value}"`);
+    });
+  });
+
+  describe('isDsTimestamp', () => {
+    it('should correctly identify a Timestamp', () => {
+      const timestamp = new entity.Timestamp({seconds: 1});
+      assert.strictEqual(entity.isDsTimestamp(timestamp), true);
+    });
+
+    it('should correctly identify a homomorphic non-Timestamp', () => {
+      const timestamp = new entity.Timestamp({seconds: 1});
+      const nonTimestamp = Object.assign({}, timestamp);
+      assert.strictEqual(entity.isDsTimestamp(nonTimestamp), false);
+    });
+  });
+
   describe('Key', () => {
     it('should assign the namespace', () => {
       const namespace = 'NS';
@@ -290,6 +378,29 @@ describe('entity', () => {
       assert.strictEqual(key.namespace, namespace);
     });
 
+    it('should assign the database ID', () => {
+      const databaseId = 'database-id';
+      const key = new entity.Key({databaseId, path: ['Parent', 1, 'Kind']});
+      assert.strictEqual(key.databaseId, databaseId);
+      assert.strictEqual(key.parent!.databaseId, databaseId);
+    });
+
+    it('should not assign an empty database ID', () => {
+      const key = new entity.Key({path: ['Kind']});
+      assert.strictEqual(Object.keys(key).includes('databaseId'), false);
+    });
+
+    it('should assign a BigInt id as a string', () => {
+      const key = new entity.Key({
+        path: ['Kind', BigInt('9223372036854775807')],
+      });
+      assert.strictEqual(key.id, '9223372036854775807');
+      assert.deepStrictEqual(
+        key.serialized.path[1],
+        new entity.Int('9223372036854775807')
+      );
+    });
+
     it('should assign the kind', () => {
       const kind = 'kind';
       const key = new entity.Key({path: [kind]});
@@ -353,6 +464,18 @@ describe('entity', () => {
       });
     });
 
+    it('should serialize the database ID', () => {
+      const key = new entity.Key({
+        databaseId: 'database-id',
+        path: ['Kind', 'name'],
+      });
+      assert.deepStrictEqual(key.serialized, {
+        namespace: undefined,
+        databaseId: 'database-id',
+        path: ['Kind', 'name'],
+      });
+    });
+
     it('should allow re-creating a Key from the serialized path', () => {
       const key = new entity.Key({
         path: ['ParentKind', 'name', 'Kind', 1, 'SubKind', new entity.Int('1')],
@@ -369,6 +492,213 @@ describe('entity', () => {
       const key2 = new entity.Key(toPOJO(key.serialized));
       assert.deepStrictEqual(key.serialized, key2.serialized);
     });
+
+    describe('toString', () => {
+      it('should format the path of the key', () => {
+        const key = new entity.Key({
+          path: ['Company', 'Google', 'Employee', 123],
+        });
+        assert.strictEqual(key.toString(), 'Company:"Google"/Employee:123');
+        assert.strictEqual(`${key}`, 'Company:"Google"/Employee:123');
+      });
+
+      it('should format IDs without leading zeros', () => {
+        const key = new entity.Key({path: ['Company', new entity.Int('0042')]});
+        assert.strictEqual(key.toString(), 'Company:42');
+      });
+
+      it('should format incomplete keys', () => {
+        const key = new entity.Key({path: ['Company', 'Google', 'Employee']});
+        assert.strictEqual(key.toString(), 'Company:"Google"/Employee');
+      });
+
+      it('should format the namespace and database', () => {
+        const key = new entity.Key({
+          namespace: 'ns',
+          databaseId: 'db',
+          path: ['Company', BigInt('9223372036854775807')],
+        });
+        assert.strictEqual(
+          key.toString(),
+          '@database:"db"/@namespace:"ns"/Company:9223372036854775807'
+        );
+      });
+
+      it('should quote kinds that are not identifiers', () => {
+        const key = new entity.Key({path: ['My Kind', 'a/"b"']});
+        assert.strictEqual(key.toString(), '"My Kind":"a/\\"b\\""');
+      });
+
+      it('should format equal keys the same way', () => {
+        const key1 = new entity.Key({namespace: '', path: ['Company', 1]});
+        const key2 = new entity.Key({path: ['Company', new entity.Int('1')]});
+        assert.strictEqual(key1.toString(), key2.toString());
+      });
+    });
+
+    describe('parse', () => {
+      it('should parse the formatted keys', () => {
+        [
+          new entity.Key({
+            path: ['Company', 'Google', 'Employee', new entity.Int(123)],
+          }),
+          new entity.Key({path: ['Company', 'Google', 'Employee']}),
+          new entity.Key({
+            path: ['My Kind', 'a/"b"', 'Kind', new entity.Int(-5)],
+          }),
+          new entity.Key({
+            namespace: 'ns',
+            databaseId: 'db',
+            path: ['Company', new entity.Int('9223372036854775807')],
+          }),
+        ].forEach(key => {
+          const parsed = entity.Key.parse(key.toString());
+          assert(parsed.equals(key));
+          assert.deepStrictEqual(parsed, key);
+        });
+      });
+
+      it('should parse IDs as strings', () => {
+        const key = entity.Key.parse('Company:"Google"/Employee:123');
+        assert.strictEqual(key.id, '123');
+        assert.strictEqual(key.parent!.name, 'Google');
+      });
+
+      it('should throw for invalid strings', () => {
+        [
+          ['', /expected a kind at position 0/],
+          ['Company:', /expected an ID or a quoted name at position 8/],
+          ['Company:"Google', /expected a quoted string at position 8/],
+          ['Company/Employee:1', /expected ':' at position 7/],
+          ['Company:1/', /expected a kind at position 10/],
+          ['Company:1 ', /expected '\/' at position 9/],
+          ['Company:1/@namespace:"ns"', /expected a kind at position 21/],
+          ['@namespace:"ns"', /expected a kind at position 15/],
+        ].forEach(([value, message]) => {
+          assert.throws(() => entity.Key.parse(value as string), message);
+        });
+      });
+    });
+
+    describe('equals', () => {
+      it('should compare the partition and path of keys', () => {
+        const key = new entity.Key({namespace: 'ns', path: ['Company', 1]});
+
+        assert(
+          key.equals(new entity.Key({namespace: 'ns', path: ['Company', 1]}))
+        );
+        assert(!key.equals(new entity.Key({path: ['Company', 1]})));
+        assert(
+          !key.equals(new entity.Key({namespace: 'ns', path: ['Company', 2]}))
+        );
+        assert(
+          !key.equals(new entity.Key({namespace: 'ns', path: ['Company', '1']}))
+        );
+        assert(!key.equals());
+      });
+    });
+
+    describe('isAncestorOf', () => {
+      it('should check if a key starts the path of another key', () => {
+        const company = new entity.Key({path: ['Company', 'Google']});
+        const employee = new entity.Key({
+          path: ['Company', 'Google', 'Employee', 1],
+        });
+        const task = new entity.Key({
+          path: ['Company', 'Google', 'Employee', 1, 'Task'],
+        });
+
+        assert(company.isAncestorOf(employee));
+        assert(company.isAncestorOf(task));
+        assert(employee.isAncestorOf(task));
+        assert(!company.isAncestorOf(company));
+        assert(!employee.isAncestorOf(company));
+        assert(
+          !company.isAncestorOf(
+            new entity.Key({namespace: 'ns', path: employee.path})
+          )
+        );
+        assert(
+          !company.isAncestorOf(
+            new entity.Key({path: ['Company', 'Alphabet', 'Employee', 1]})
+          )
+        );
+      });
+    });
+
+    describe('compare', () => {
+      it('should sort keys in the order of Datastore', () => {
+        const keys = [
+          new entity.Key({path: ['Company', 'b']}),
+          new entity.Key({namespace: 'ns', path: ['Company', 1]}),
+          new entity.Key({path: ['Company', 'a', 'Employee', 1]}),
+          new entity.Key({path: ['Company', 10]}),
+          new entity.Key({path: ['Company', 'a']}),
+          new entity.Key({path: ['Company', BigInt('-9223372036854775808')]}),
+          new entity.Key({path: ['Company', 9]}),
+          new entity.Key({databaseId: 'db', path: ['Company', 1]}),
+          new entity.Key({path: ['Boss', 'z']}),
+          new entity.Key({path: ['Company']}),
+        ];
+
+        assert.deepStrictEqual(
+          keys.sort(entity.Key.compare).map(key => key.toString()),
+          [
+            'Boss:"z"',
+            'Company',
+            'Company:-9223372036854775808',
+            'Company:9',
+            'Company:10',
+            'Company:"a"',
+            'Company:"a"/Employee:1',
+            'Company:"b"',
+            '@namespace:"ns"/Company:1',
+            '@database:"db"/Company:1',
+          ]
+        );
+      });
+
+      it('should compare large IDs exactly', () => {
+        const ids = [
+          '9223372036854775807',
+          '9007199254740993',
+          '-9007199254740993',
+          '9007199254740992',
+          '-9007199254740992',
+          '0',
+        ];
+
+        assert.deepStrictEqual(
+          ids
+            .map(id => new entity.Key({path: ['Company', new entity.Int(id)]}))
+            .sort(entity.Key.compare)
+            .map(key => key.id),
+          [
+            '-9007199254740993',
+            '-9007199254740992',
+            '0',
+            '9007199254740992',
+            '9007199254740993',
+            '9223372036854775807',
+          ]
+        );
+      });
+
+      it('should find equal negative IDs', () => {
+        const a = new entity.Key({path: ['Company', new entity.Int('-7')]});
+        const b = new entity.Key({path: ['Company', -7]});
+        assert.strictEqual(entity.Key.compare(a, b), 0);
+        assert(a.equals(b));
+      });
+
+      it('should compare strings by their UTF-8 bytes', () => {
+        const a = new entity.Key({path: ['Company', '\uFF21']});
+        const b = new entity.Key({path: ['Company', '\uD83D\uDE00']});
+        assert(entity.Key.compare(a, b) < 0);
+        assert(entity.Key.compare(b, a) > 0);
+        assert.strictEqual(entity.Key.compare(a, a), 0);
+      });
+    });
   });
 
   describe('isDsKey', () => {
@@ -542,6 +872,35 @@ describe('entity', () => {
           expectedValue
         );
       });
+      it('should keep the key of an entity with preserveMetadata', () => {
+        const valueProto = {
+          valueType: 'entityValue',
+          entityValue: {
+            key: {path: [{kind: 'Kind', name: 'name', idType: 'name'}]},
+            properties: {},
+          },
+        };
+
+        const decoded = entity.decodeValueProto(valueProto, undefined, {
+          preserveMetadata: true,
+        });
+        const key = decoded[entity.KEY_SYMBOL];
+        assert(entity.isDsKey(key));
+        assert.deepStrictEqual(key.path, ['Kind', 'name']);
+      });
+
+      it('should not keep the key of an entity by default', () => {
+        const valueProto = {
+          valueType: 'entityValue',
+          entityValue: {
+            key: {path: [{kind: 'Kind', name: 'name', idType: 'name'}]},
+            properties: {},
+          },
+        };
+
+        const decoded = entity.decodeValueProto(valueProto);
+        assert.strictEqual(decoded[entity.KEY_SYMBOL], undefined);
+      });
     });
 
     describe('integerValues', () => {
@@ -707,6 +1066,142 @@ describe('entity', () => {
       assert.strictEqual(entity.decodeValueProto(valueProto), expectedValue);
     });
 
+    it('should decode ints as BigInts with wrapNumbers as bigint', () => {
+      const valueProto = {
+        valueType: 'integerValue',
+        integerValue: '9223372036854775807',
+      };
+
+      assert.strictEqual(
+        entity.decodeValueProto(valueProto, 'bigint'),
+        BigInt('9223372036854775807')
+      );
+    });
+
+    it('should keep key IDs as strings with wrapNumbers as bigint', () => {
+      const valueProto = {
+        valueType: 'keyValue',
+        keyValue: {
+          path: [{kind: 'Kind', idType: 'id', id: '9007199254740993'}],
+        },
+      };
+
+      const key = entity.decodeValueProto(valueProto, 'bigint');
+      assert.strictEqual(key.id, '9007199254740993');
+    });
+
+    it('should preserve the types of numbers with preserveTypes', () => {
+      const options = {preserveTypes: true};
+      const double = entity.decodeValueProto(
+        {valueType: 'doubleValue', doubleValue: 3},
+        undefined,
+        options
+      );
+      const int = entity.decodeValueProto(
+        {valueType: 'integerValue', integerValue: '9007199254740993'},
+        undefined,
+        options
+      );
+
+      assert(double instanceof entity.Double);
+      assert.strictEqual(double.value, 3);
+      assert(int instanceof entity.Int);
+      assert.strictEqual(int.value, '9007199254740993');
+
+      assert.deepStrictEqual(entity.encodeValue(double), {doubleValue: 3});
+      assert.deepStrictEqual(entity.encodeValue(int), {
+        integerValue: '9007199254740993',
+      });
+    });
+
+    it('should prefer BigInts over preserveTypes', () => {
+      const decoded = entity.decodeValueProto(
+        {valueType: 'integerValue', integerValue: '7'},
+        'bigint',
+        {preserveTypes: true}
+      );
+
+      assert.strictEqual(decoded, BigInt(7));
+    });
+
+    it('should decode values of converter properties', () => {
+      const valueProto = {
+        valueType: 'stringValue',
+        stringValue: '9.99',
+      };
+
+      const decoded = entity.decodeValueProto(
+        valueProto,
+        false,
+        {converters: [MONEY_CONVERTER]},
+        'price'
+      );
+
+      assert.deepStrictEqual(decoded, new Money('9.99'));
+      assert.strictEqual(
+        entity.decodeValueProto(
+          valueProto,
+          false,
+          {converters: [MONEY_CONVERTER]},
+          'name'
+        ),
+        '9.99'
+      );
+    });
+
+    it('should decode values by meaning', () => {
+      const converter = {
+        decode: (value: string, valueProto: {}) => ({value, valueProto}),
+        meaning: 22,
+      };
+      const valueProto = {
+        valueType: 'stringValue',
+        stringValue: 'compressed',
+        meaning: 22,
+      };
+
+      assert.deepStrictEqual(
+        entity.decodeValueProto(valueProto, false, {converters: [converter]}),
+        {value: 'compressed', valueProto}
+      );
+      assert.strictEqual(
+        entity.decodeValueProto(
+          Object.assign({}, valueProto, {meaning: 0}),
+          false,
+          {converters: [converter]}
+        ),
+        'compressed'
+      );
+    });
+
+    it('should decode nested converter properties by path', () => {
+      const stringValue = (value: string) => ({
+        valueType: 'stringValue',
+        stringValue: value,
+      });
+      const entityProto = {
+        properties: {
+          order: {
+            valueType: 'entityValue',
+            entityValue: {properties: {total: stringValue('5.00')}},
+          },
+          prices: {
+            valueType: 'arrayValue',
+            arrayValue: {values: [stringValue('1.00')]},
+          },
+        },
+      };
+
+      const decoded = entity.entityFromEntityProto(entityProto, false, {
+        converters: [MONEY_CONVERTER],
+      });
+
+      assert.deepStrictEqual(decoded, {
+        order: {total: new Money('5.00')},
+        prices: [new Money('1.00')],
+      });
+    });
+
     it('should decode timestamps', () => {
       const date = new Date();
 
@@ -729,6 +1224,51 @@ describe('entity', () => {
       );
     });
 
+    it('should decode timestamps as Timestamp objects with option', () => {
+      const valueProto = {
+        valueType: 'timestampValue',
+        timestampValue: {
+          seconds: '1577836800',
+          nanos: 123456789,
+        },
+      };
+
+      const decoded = entity.decodeValueProto(valueProto, false, {
+        wrapTimestamps: true,
+      });
+
+      assert(decoded instanceof entity.Timestamp);
+      assert.strictEqual(decoded.seconds, 1577836800);
+      assert.strictEqual(decoded.nanos, 123456789);
+    });
+
+    it('should pass decode options to nested values', () => {
+      const valueProto = {
+        valueType: 'arrayValue',
+        arrayValue: {
+          values: [
+            {
+              valueType: 'entityValue',
+              entityValue: {
+                properties: {
+                  at: {
+                    valueType: 'timestampValue',
+                    timestampValue: {seconds: 1, nanos: 1000},
+                  },
+                },
+              },
+            },
+          ],
+        },
+      };
+
+      const [decoded] = entity.decodeValueProto(valueProto, false, {
+        wrapTimestamps: true,
+      });
+
+      assert.strictEqual(decoded.at.nanos, 1000);
+    });
+
     it('should return the value if no conversions are necessary', () => {
       const expectedValue = false;
 
@@ -787,6 +1327,50 @@ describe('entity', () => {
       assert.deepStrictEqual(entity.encodeValue(value), expectedValueProto);
     });
 
+    it('should encode values with converters', () => {
+      const value = {
+        price: new Money('9.99'),
+        prices: [new Money('1.00')],
+      };
+
+      assert.deepStrictEqual(entity.encodeValue(value, [MONEY_CONVERTER]), {
+        entityValue: {
+          properties: {
+            price: {stringValue: '9.99'},
+            prices: {arrayValue: {values: [{stringValue: '1.00'}]}},
+          },
+        },
+      });
+    });
+
+    it('should try converters before the built-in types', () => {
+      const converter = {
+        test: (value: unknown) => typeof value === 'string',
+        encode: (value: string) => ({stringValue: value.toUpperCase()}),
+      };
+
+      assert.deepStrictEqual(entity.encodeValue('hi', [converter]), {
+        stringValue: 'HI',
+      });
+    });
+
+    it('should encode a BigInt', () => {
+      const value = BigInt('-9223372036854775808');
+
+      const expectedValueProto = {
+        integerValue: '-9223372036854775808',
+      };
+
+      assert.deepStrictEqual(entity.encodeValue(value), expectedValueProto);
+    });
+
+    it('should throw if a BigInt is out of the 64-bit range', () => {
+      assert.throws(
+        () => entity.encodeValue(BigInt('9223372036854775808')),
+        /The value 9223372036854775808 is out of bounds of a 64-bit integer\./
+      );
+    });
+
     it('should encode a double', () => {
       const value = 8.3;
 
@@ -836,6 +1420,19 @@ describe('entity', () => {
       assert.deepStrictEqual(entity.encodeValue(value), expectedValueProto);
     });
 
+    it('should encode a Timestamp', () => {
+      const value = new entity.Timestamp('2020-01-01T00:00:00.123456789Z');
+
+      const expectedValueProto = {
+        timestampValue: {
+          seconds: 1577836800,
+          nanos: 123456789,
+        },
+      };
+
+      assert.deepStrictEqual(entity.encodeValue(value), expectedValueProto);
+    });
+
     it('should encode a string', () => {
       const value = 'Hi';
 
@@ -945,6 +1542,40 @@ describe('entity', () => {
       assert.notStrictEqual(value, encodedValue);
     });
 
+    it('should encode the key and metadata of an embedded entity', () => {
+      const key = new entity.Key({path: ['Kind', 'name']});
+      const value = {
+        name: 'Stephen',
+        tags: ['a', 'b'],
+        [entity.KEY_SYMBOL]: key,
+        [entity.METADATA_SYMBOL]: {
+          name: {excludeFromIndexes: true, meaning: 22},
+          tags: {values: [{}, {excludeFromIndexes: true}]},
+        },
+      };
+
+      assert.deepStrictEqual(entity.encodeValue(value), {
+        entityValue: {
+          key: entity.keyToKeyProto(key),
+          properties: {
+            name: {
+              stringValue: 'Stephen',
+              excludeFromIndexes: true,
+              meaning: 22,
+            },
+            tags: {
+              arrayValue: {
+                values: [
+                  {stringValue: 'a'},
+                  {stringValue: 'b', excludeFromIndexes: true},
+                ],
+              },
+            },
+          },
+        },
+      });
+    });
+
     it('should encode an empty object', () => {
       const value = {};
 
@@ -985,12 +1616,77 @@ describe('entity', () => {
       );
     });
 
-    describe('should pass `wrapNumbers` to decodeValueProto', () => {
-      const entityProto = {properties: {number: {}}};
-      let decodeValueProtoStub: sinon.SinonStub;
-      let wrapNumbers: boolean | IntegerTypeCastOptions | undefined;
-
-      beforeEach(() => {
+    it('should keep the metadata of properties with preserveMetadata', () => {
+      const entityProto = {
+        properties: {
+          name: {
+            valueType: 'stringValue',
+            stringValue: 'Stephen',
+            excludeFromIndexes: true,
+          },
+          photo: {
+            valueType: 'stringValue',
+            stringValue: 'aGVsbG8=',
+            meaning: 16,
+          },
+          tags: {
+            valueType: 'arrayValue',
+            arrayValue: {
+              values: [
+                {valueType: 'stringValue', stringValue: 'a'},
+                {
+                  valueType: 'stringValue',
+                  stringValue: 'b',
+                  excludeFromIndexes: true,
+                },
+              ],
+            },
+          },
+          age: {
+            valueType: 'integerValue',
+            integerValue: '30',
+          },
+        },
+      };
+
+      const decoded = entity.entityFromEntityProto(entityProto, undefined, {
+        preserveMetadata: true,
+      });
+
+      assert.deepStrictEqual(decoded, {
+        name: 'Stephen',
+        photo: 'aGVsbG8=',
+        tags: ['a', 'b'],
+        age: 30,
+        [entity.METADATA_SYMBOL]: {
+          name: {excludeFromIndexes: true},
+          photo: {meaning: 16},
+          tags: {values: [{}, {excludeFromIndexes: true}]},
+        },
+      });
+    });
+
+    it('should not keep the metadata of properties by default', () => {
+      const entityProto = {
+        properties: {
+          name: {
+            valueType: 'stringValue',
+            stringValue: 'Stephen',
+            excludeFromIndexes: true,
+          },
+        },
+      };
+
+      const decoded = entity.entityFromEntityProto(entityProto);
+      assert.strictEqual(decoded[entity.METADATA_SYMBOL], undefined);
+    });
+
+    describe('should pass `wrapNumbers` to decodeValueProto', () => {
+      const entityProto = {properties: {number: {}}};
+      let decodeValueProtoStub: sinon.SinonStub;
+      let wrapNumbers: boolean | IntegerTypeCastOptions | undefined;
+
+      beforeEach(() => {
         decodeValueProtoStub = sinon.stub(entity, 'decodeValueProto');
       });
 
@@ -1021,10 +1717,50 @@ describe('entity', () => {
         assert.strictEqual(wrapNumbers, integerTypeCastOptions);
         assert.deepStrictEqual(wrapNumbers, integerTypeCastOptions);
       });
+
+      it('should pass decode options to decodeValueProto', () => {
+        const options = {wrapTimestamps: true};
+        entity.entityFromEntityProto(entityProto, undefined, options);
+        assert.strictEqual(decodeValueProtoStub.getCall(0).args[2], options);
+      });
     });
   });
 
   describe('entityToEntityProto', () => {
+    it('should apply the metadata of the entity', () => {
+      const entityObject = {
+        data: {
+          name: 'Stephen',
+          [entity.METADATA_SYMBOL]: {
+            name: {excludeFromIndexes: true, meaning: 22},
+          },
+        },
+      };
+
+      assert.deepStrictEqual(entity.entityToEntityProto(entityObject), {
+        key: null,
+        properties: {
+          name: {
+            stringValue: 'Stephen',
+            excludeFromIndexes: true,
+            meaning: 22,
+          },
+        },
+      });
+    });
+
+    it('should pass converters to encodeValue', () => {
+      const converters = [MONEY_CONVERTER];
+      const entityObject = {data: {price: new Money('9.99')}};
+
+      entity.encodeValue = (value: {}, converters_: {}) => {
+        assert.strictEqual(converters_, converters);
+        return value;
+      };
+
+      entity.entityToEntityProto(entityObject, converters);
+    });
+
     it('should format an entity', () => {
       const value = 'Stephen';
 
@@ -1478,6 +2214,25 @@ describe('entity', () => {
     });
   });
 
+  describe('copySymbols_', () => {
+    it('should copy keys and metadata to a deep clone', () => {
+      const key = new entity.Key({path: ['Kind', 'name']});
+      const metadata = {name: {excludeFromIndexes: true}};
+      const source = {
+        [entity.METADATA_SYMBOL]: metadata,
+        nested: {[entity.KEY_SYMBOL]: key},
+        list: [{[entity.METADATA_SYMBOL]: metadata}],
+      };
+      const clone = extend(true, {}, source);
+
+      entity.copySymbols_(source, clone);
+
+      assert.strictEqual(clone[entity.METADATA_SYMBOL], metadata);
+      assert.strictEqual(clone.nested[entity.KEY_SYMBOL], key);
+      assert.strictEqual(clone.list[0][entity.METADATA_SYMBOL], metadata);
+    });
+  });
+
   describe('formatArray', () => {
     it('should convert protos to key/data entity array', () => {
       const key = {};
@@ -1550,6 +2305,452 @@ describe('entity', () => {
         assert.strictEqual(wrapNumbers, integerTypeCastOptions);
         assert.deepStrictEqual(wrapNumbers, integerTypeCastOptions);
       });
+
+      it('should pass decode options to entityFromEntityProto', () => {
+        const options = {wrapTimestamps: true};
+        entity.formatArray(results, undefined, options);
+        assert.strictEqual(
+          entityFromEntityProtoStub.getCall(0).args[2],
+          options
+        );
+      });
+    });
+  });
+
+  describe('formatLookupResults', () => {
+    const keyProto = {path: [{kind: 'Kind', name: 'name', idType: 'name'}]};
+    const found = [
+      {
+        entity: {
+          key: keyProto,
+          properties: {name: {valueType: 'stringValue', stringValue: 'value'}},
+        },
+        version: '42',
+      },
+    ];
+    const missing = [{entity: {key: keyProto}, version: '43'}];
+
+    it('should format found entities', () => {
+      const results = entity.formatLookupResults(found, []);
+
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].found, true);
+      assert.deepStrictEqual(results[0].key, entity.keyFromKeyProto(keyProto));
+      assert.strictEqual(results[0].entity.name, 'value');
+      assert.deepStrictEqual(
+        results[0].entity[entity.KEY_SYMBOL],
+        entity.keyFromKeyProto(keyProto)
+      );
+      assert.strictEqual(results[0].version, '42');
+    });
+
+    it('should format missing entities', () => {
+      const results = entity.formatLookupResults([], missing);
+
+      assert.deepStrictEqual(results, [
+        {
+          key: entity.keyFromKeyProto(keyProto),
+          found: false,
+          version: '43',
+        },
+      ]);
+    });
+
+    it('should return found results before missing results', () => {
+      const results = entity.formatLookupResults(found, missing);
+      assert.deepStrictEqual(
+        results.map((result: Entity) => result.found),
+        [true, false]
+      );
+    });
+
+    it('should stringify numeric versions', () => {
+      const results = entity.formatLookupResults(
+        [],
+        [{entity: {key: keyProto}, version: 43}]
+      );
+      assert.strictEqual(results[0].version, '43');
+    });
+
+    it('should encode cursors as base64', () => {
+      const cursor = Buffer.from('cursor');
+      const results = entity.formatLookupResults(
+        [],
+        [{entity: {key: keyProto}, cursor}]
+      );
+      assert.strictEqual(results[0].cursor, cursor.toString('base64'));
+    });
+
+    it('should pass `wrapNumbers` to formatArray', () => {
+      const wrapNumbers = {integerTypeCastFunction: () => {}};
+      const stub = sinon.stub(entity, 'formatArray').returns([{}]);
+      entity.formatLookupResults(found, [], wrapNumbers);
+      assert.strictEqual(stub.getCall(0).args[1], wrapNumbers);
+    });
+  });
+
+  describe('toTypedJSON', () => {
+    it('should keep JSON values', () => {
+      assert.deepStrictEqual(
+        entity.toTypedJSON(['a', 1, 1.5, true, null, []]),
+        ['a', 1, 1.5, true, null, []]
+      );
+    });
+
+    it('should tag values of every type', () => {
+      const date = new Date('2020-01-01T00:00:00.123Z');
+
+      assert.deepStrictEqual(entity.toTypedJSON(new entity.Int('7')), {
+        $type: 'int',
+        value: '7',
+      });
+      assert.deepStrictEqual(entity.toTypedJSON(new entity.Double(7)), {
+        $type: 'double',
+        value: 7,
+      });
+      assert.deepStrictEqual(entity.toTypedJSON(new entity.Double(NaN)), {
+        $type: 'double',
+        value: 'NaN',
+      });
+      assert.deepStrictEqual(entity.toTypedJSON(-Infinity), {
+        $type: 'number',
+        value: '-Infinity',
+      });
+      assert.deepStrictEqual(entity.toTypedJSON(BigInt('9007199254740993')), {
+        $type: 'bigint',
+        value: '9007199254740993',
+      });
+      assert.deepStrictEqual(entity.toTypedJSON(date), {
+        $type: 'date',
+        value: '2020-01-01T00:00:00.123Z',
+      });
+      assert.deepStrictEqual(
+        entity.toTypedJSON(
+          new entity.Timestamp('2020-01-01T00:00:00.123456789Z')
+        ),
+        {$type: 'timestamp', value: '2020-01-01T00:00:00.123456789Z'}
+      );
+      assert.deepStrictEqual(entity.toTypedJSON(Buffer.from('hello')), {
+        $type: 'blob',
+        value: 'aGVsbG8=',
+      });
+      assert.deepStrictEqual(
+        entity.toTypedJSON(new entity.GeoPoint({latitude: 1, longitude: 2})),
+        {$type: 'geoPoint', value: {latitude: 1, longitude: 2}}
+      );
+    });
+
+    it('should tag keys with their namespace and ancestors', () => {
+      const key = new entity.Key({
+        namespace: 'ns',
+        databaseId: 'db',
+        path: ['Company', 123, 'Employee', BigInt('1'), 'Task', 'name', 'Note'],
+      });
+
+      assert.deepStrictEqual(entity.toTypedJSON(key), {
+        $type: 'key',
+        namespace: 'ns',
+        databaseId: 'db',
+        path: [
+          'Company',
+          {$type: 'int', value: '123'},
+          'Employee',
+          {$type: 'int', value: '1'},
+          'Task',
+          'name',
+          'Note',
+        ],
+      });
+    });
+
+    it('should tag entities with their key and metadata', () => {
+      const key = new entity.Key({path: ['Company', 'Google']});
+      const metadata = {name: {excludeFromIndexes: true}};
+      const entityObject = {
+        name: 'Google',
+        address: {city: 'Mountain View'},
+        [entity.KEY_SYMBOL]: key,
+        [entity.METADATA_SYMBOL]: metadata,
+      };
+
+      assert.deepStrictEqual(entity.toTypedJSON(entityObject), {
+        $type: 'entity',
+        key: {$type: 'key', path: ['Company', 'Google']},
+        metadata,
+        properties: {
+          name: 'Google',
+          address: {
+            $type: 'entity',
+            properties: {city: 'Mountain View'},
+          },
+        },
+      });
+    });
+
+    it('should throw if an invalid value was provided', () => {
+      assert.throws(() => {
+        entity.toTypedJSON(undefined);
+      }, /Unsupported field value/);
+    });
+  });
+
+  describe('fromTypedJSON', () => {
+    it('should rebuild the values of an entity', () => {
+      const key = new entity.Key({
+        namespace: 'ns',
+        path: ['Company', new entity.Int(123), 'Employee', BigInt('1'), 'Task'],
+      });
+      const entityObject = {
+        string: 'value',
+        number: 1.5,
+        infinity: Infinity,
+        boolean: false,
+        null: null,
+        int: new entity.Int('9007199254740993'),
+        double: new entity.Double(7),
+        bigint: BigInt('-9223372036854775808'),
+        date: new Date('2020-01-01T00:00:00.123Z'),
+        timestamp: new entity.Timestamp('2020-01-01T00:00:00.123456789Z'),
+        blob: Buffer.from('hello'),
+        geoPoint: new entity.GeoPoint({latitude: 1, longitude: 2}),
+        key,
+        array: [1, 'two', {three: 3}],
+        embedded: {
+          name: 'embedded',
+          [entity.KEY_SYMBOL]: new entity.Key({path: ['Embedded', 'name']}),
+        },
+        [entity.KEY_SYMBOL]: key,
+        [entity.METADATA_SYMBOL]: {string: {excludeFromIndexes: true}},
+      };
+
+      const json = JSON.parse(JSON.stringify(entity.toTypedJSON(entityObject)));
+      const rebuilt = entity.fromTypedJSON(json);
+
+      assert.deepStrictEqual(rebuilt, entityObject);
+      assert(rebuilt.int instanceof entity.Int);
+      assert(rebuilt.timestamp instanceof entity.Timestamp);
+      assert(rebuilt[entity.KEY_SYMBOL] instanceof entity.Key);
+      assert.strictEqual(rebuilt[entity.KEY_SYMBOL].namespace, 'ns');
+      assert.strictEqual(rebuilt[entity.KEY_SYMBOL].parent.id, '1');
+    });
+
+    it('should throw for objects without a known type', () => {
+      assert.throws(() => {
+        entity.fromTypedJSON(({name: 'Google'} as {}) as TypedJSONObject);
+      }, /Unsupported typed JSON value, {"name":"Google"}, was provided\./);
+
+      assert.throws(() => {
+        entity.fromTypedJSON({$type: 'unknown'});
+      }, /Unsupported typed JSON value/);
+    });
+  });
+
+  describe('compareValues', () => {
+    it('should order values of different types', () => {
+      const values = [
+        {name: 'Google'},
+        [1],
+        new entity.GeoPoint({latitude: 0, longitude: 0}),
+        new entity.Key({path: ['Company', 'Google']}),
+        'Google',
+        true,
+        new Date(0),
+        1,
+        null,
+      ];
+
+      assert.deepStrictEqual(
+        values
+          .slice()
+          .sort(entity.compareValues)
+          .reverse(),
+        values
+      );
+      assert.strictEqual(entity.compareValues(undefined, null), -1);
+    });
+
+    it('should compare integers and doubles by value', () => {
+      const values = [
+        BigInt('9007199254740993'),
+        new entity.Int('9007199254740992'),
+        new entity.Double(2.5),
+        new entity.Int(2),
+        1.5,
+        -Infinity,
+        NaN,
+      ];
+
+      assert.deepStrictEqual(
+        values
+          .slice()
+          .sort(entity.compareValues)
+          .reverse(),
+        values
+      );
+      assert.strictEqual(entity.compareValues(new entity.Int(2), 2), 0);
+      assert.strictEqual(
+        entity.compareValues(
+          new entity.Int('9007199254740993'),
+          new entity.Double(9007199254740992)
+        ),
+        1
+      );
+      assert.strictEqual(
+        entity.compareValues(
+          new entity.Int('-9223372036854775808'),
+          -9223372036854775808
+        ),
+        0
+      );
+      assert.strictEqual(entity.compareValues(NaN, new entity.Double(NaN)), 0);
+    });
+
+    it('should compare dates and timestamps', () => {
+      const date = new Date('2020-01-01T00:00:00.001Z');
+      const timestamp = new entity.Timestamp('2020-01-01T00:00:00.001000001Z');
+
+      assert.strictEqual(entity.compareValues(date, timestamp), -1);
+      assert.strictEqual(entity.compareValues(timestamp, date), 1);
+      assert.strictEqual(
+        entity.compareValues(date, new entity.Timestamp(date)),
+        0
+      );
+    });
+
+    it('should compare booleans', () => {
+      assert.strictEqual(entity.compareValues(false, true), -1);
+      assert.strictEqual(entity.compareValues(true, true), 0);
+    });
+
+    it('should compare strings and Buffers by their UTF-8 bytes', () => {
+      assert.strictEqual(entity.compareValues('Z', 'a'), -1);
+      assert.strictEqual(entity.compareValues('\uffff', '\ud83d\ude00'), -1);
+      assert.strictEqual(entity.compareValues(Buffer.from('a'), 'b'), -1);
+      assert.strictEqual(entity.compareValues('a', Buffer.from('a')), 0);
+    });
+
+    it('should compare keys', () => {
+      const a = new entity.Key({path: ['Company', 'Google']});
+      const b = new entity.Key({path: ['Company', 'Google', 'Employee', 1]});
+
+      assert.strictEqual(entity.compareValues(a, b), -1);
+      assert.strictEqual(entity.compareValues(b, a), 1);
+    });
+
+    it('should compare geo points by latitude then longitude', () => {
+      const geoPoint = new entity.GeoPoint({latitude: 1, longitude: 2});
+
+      assert.strictEqual(
+        entity.compareValues(geoPoint, {latitude: 1, longitude: 3}),
+        -1
+      );
+      assert.strictEqual(
+        entity.compareValues(geoPoint, {latitude: 0, longitude: 3}),
+        1
+      );
+      assert.strictEqual(
+        entity.compareValues(geoPoint, {latitude: 1, longitude: 2}),
+        0
+      );
+    });
+
+    it('should compare arrays value by value', () => {
+      assert.strictEqual(entity.compareValues([1, 2], [1, 3]), -1);
+      assert.strictEqual(entity.compareValues([1, 2], [1]), 1);
+      assert.strictEqual(entity.compareValues([1, 'a'], [1, 'a']), 0);
+    });
+
+    it('should compare entities property by property', () => {
+      assert.strictEqual(entity.compareValues({a: 2}, {b: 1}), -1);
+      assert.strictEqual(entity.compareValues({a: 1, b: 2}, {a: 1}), 1);
+      assert.strictEqual(entity.compareValues({a: 1}, {a: 2}), -1);
+      assert.strictEqual(entity.compareValues({b: 1, a: 1}, {a: 1, b: 1}), 0);
+    });
+
+    it('should throw for unsupported values', () => {
+      assert.throws(
+        () => entity.compareValues(() => {}, 1),
+        /Unsupported field value/
+      );
+    });
+  });
+
+  describe('entityComparator', () => {
+    function createEntity(name: string, data: {}) {
+      return Object.assign(
+        {[entity.KEY_SYMBOL]: new entity.Key({path: ['Task', name]})},
+        data
+      );
+    }
+
+    function sortNames(entities: Entity[], orders: Order[]) {
+      return entities
+        .slice()
+        .sort(entity.entityComparator(orders))
+        .map(entityObject => entityObject[entity.KEY_SYMBOL].name);
+    }
+
+    it('should order by each order in turn', () => {
+      const entities = [
+        createEntity('a', {priority: 1, done: true}),
+        createEntity('b', {priority: 2, done: false}),
+        createEntity('c', {priority: 2, done: true}),
+      ];
+
+      assert.deepStrictEqual(
+        sortNames(entities, [
+          {name: 'done', sign: '+'},
+          {name: 'priority', sign: '-'},
+        ]),
+        ['b', 'c', 'a']
+      );
+    });
+
+    it('should order by key when the orders are equal', () => {
+      const entities = [
+        createEntity('c', {priority: 1}),
+        createEntity('a', {priority: 1}),
+        createEntity('b', {priority: 0}),
+      ];
+
+      assert.deepStrictEqual(
+        sortNames(entities, [{name: 'priority', sign: '+'}]),
+        ['b', 'a', 'c']
+      );
+      assert.deepStrictEqual(
+        sortNames(entities, [{name: '__key__', sign: '-'}]),
+        ['c', 'b', 'a']
+      );
+    });
+
+    it('should order arrays by their smallest or largest value', () => {
+      const entities = [
+        createEntity('a', {tags: [2, 5]}),
+        createEntity('b', {tags: [3, 4]}),
+      ];
+
+      assert.deepStrictEqual(sortNames(entities, [{name: 'tags', sign: '+'}]), [
+        'a',
+        'b',
+      ]);
+      assert.deepStrictEqual(sortNames(entities, [{name: 'tags', sign: '-'}]), [
+        'a',
+        'b',
+      ]);
+    });
+
+    it('should order by properties of embedded entities', () => {
+      const entities = [
+        createEntity('a', {address: {city: 'Paris'}}),
+        createEntity('b', {address: [{city: 'London'}]}),
+        createEntity('c', {'address.city': 'Berlin'}),
+        createEntity('d', {}),
+      ];
+
+      assert.deepStrictEqual(
+        sortNames(entities, [{name: 'address.city', sign: '+'}]),
+        ['d', 'c', 'b', 'a']
+      );
     });
   });
 
@@ -1625,6 +2826,19 @@ describe('entity', () => {
       entity.keyFromKeyProto(keyProto);
     });
 
+    it('should set the database ID', done => {
+      const keyProtoWithDatabase = extend(true, {}, keyProto, {
+        partitionId: {databaseId: 'database-id'},
+      });
+      entity.Key = class {
+        constructor(keyOptions: entity.KeyOptions) {
+          assert.strictEqual(keyOptions.databaseId, 'database-id');
+          done();
+        }
+      };
+      entity.keyFromKeyProto(keyProtoWithDatabase);
+    });
+
     it('should create a proper Key', done => {
       entity.Key = class {
         constructor(keyOptions: entity.KeyOptions) {
@@ -1699,6 +2913,16 @@ describe('entity', () => {
       assert.strictEqual(keyProto.path[2].name, undefined);
     });
 
+    it('should convert BigInt IDs to strings', () => {
+      const key = new entity.Key({
+        path: ['Kind', BigInt('9223372036854775807')],
+      });
+
+      const keyProto = entity.keyToKeyProto(key);
+
+      assert.strictEqual(keyProto.path[0].id, '9223372036854775807');
+    });
+
     it('should detect the namespace of the hierarchical keys', () => {
       const key = new entity.Key({
         namespace: 'Namespace',
@@ -1718,6 +2942,21 @@ describe('entity', () => {
       assert.strictEqual(keyProto.path[1].name, 'name');
     });
 
+    it('should set the database ID of the partition', () => {
+      const key = new entity.Key({
+        namespace: 'Namespace',
+        databaseId: 'database-id',
+        path: ['Kind1', 1],
+      });
+
+      const keyProto = entity.keyToKeyProto(key);
+
+      assert.deepStrictEqual(keyProto.partitionId, {
+        namespaceId: 'Namespace',
+        databaseId: 'database-id',
+      });
+    });
+
     it('should handle incomplete keys with & without namespaces', () => {
       const incompleteKey = new entity.Key({
         path: ['Kind'],
@@ -1876,6 +3115,30 @@ describe('entity', () => {
       assert.deepStrictEqual(entity.queryToQueryProto(query), queryProto);
     });
 
+    it('should encode filter values with converters', () => {
+      const ds = new Datastore({projectId: 'project-id'});
+
+      const query = ds
+        .createQuery('Kind1')
+        .filter('price', new Money('9.99'))
+        .filter(
+          or([
+            new PropertyFilter('price', '>', new Money('1.00')),
+            new PropertyFilter('tags', '=', 'sale'),
+          ])
+        );
+
+      const filters = entity.queryToQueryProto(query, [MONEY_CONVERTER]).filter!
+        .compositeFilter!.filters!;
+      assert.deepStrictEqual(filters[0].propertyFilter!.value, {
+        stringValue: '9.99',
+      });
+      assert.deepStrictEqual(
+        filters[1].compositeFilter!.filters![0].propertyFilter!.value,
+        {stringValue: '1.00'}
+      );
+    });
+
     it('should handle buffer start and end values', () => {
       const ds = new Datastore({projectId: 'project-id'});
       const startVal = Buffer.from('start');
@@ -1890,6 +3153,356 @@ describe('entity', () => {
       assert.strictEqual(queryProto.endCursor, endVal);
       assert.strictEqual(queryProto.startCursor, startVal);
     });
+
+    it('should support IN, != and NOT_IN filters', () => {
+      const ds = new Datastore({projectId: 'project-id'});
+
+      const query = ds
+        .createQuery('Kind1')
+        .filter('state', 'IN', ['CA', 'OR'])
+        .filter('size', '!=', 400);
+
+      const filters = entity.queryToQueryProto(query).filter!.compositeFilter!
+        .filters!;
+      assert.deepStrictEqual(filters[0].propertyFilter, {
+        property: {name: 'state'},
+        op: 'IN',
+        value: {
+          arrayValue: {
+            values: [{stringValue: 'CA'}, {stringValue: 'OR'}],
+          },
+        },
+      });
+      assert.deepStrictEqual(filters[1].propertyFilter, {
+        property: {name: 'size'},
+        op: 'NOT_EQUAL',
+        value: {integerValue: '400'},
+      });
+
+      const notInQuery = ds
+        .createQuery('Kind1')
+        .filter('state', 'NOT_IN', ['CA']);
+      const notInFilter = entity.queryToQueryProto(notInQuery).filter!
+        .compositeFilter!.filters![0].propertyFilter!;
+      assert.strictEqual(notInFilter.op, 'NOT_IN');
+    });
+
+    it('should encode keys of an IN filter on __key__', () => {
+      const ds = new Datastore({projectId: 'project-id'});
+      const keys = [
+        new entity.Key({path: ['Kind1', 'a']}),
+        new entity.Key({path: ['Kind1', 'b']}),
+      ];
+
+      const query = ds.createQuery('Kind1').filter('__key__', 'IN', keys);
+
+      const filter = entity.queryToQueryProto(query).filter!.compositeFilter!
+        .filters![0].propertyFilter!;
+      assert.deepStrictEqual(filter.value, {
+        arrayValue: {
+          values: keys.map(key => ({keyValue: entity.keyToKeyProto(key)})),
+        },
+      });
+    });
+
+    it('should convert entity filters to nested composite filters', () => {
+      const ds = new Datastore({projectId: 'project-id'});
+
+      const query = ds
+        .createQuery('Kind1')
+        .filter('done', false)
+        .filter(
+          or([
+            new PropertyFilter('status', '=', 'A'),
+            and([
+              new PropertyFilter('assignee', '=', 'me'),
+              new PropertyFilter('priority', '>', 3),
+            ]),
+          ])
+        );
+
+      assert.deepStrictEqual(entity.queryToQueryProto(query).filter, {
+        compositeFilter: {
+          filters: [
+            {
+              propertyFilter: {
+                property: {name: 'done'},
+                op: 'EQUAL',
+                value: {booleanValue: false},
+              },
+            },
+            {
+              compositeFilter: {
+                filters: [
+                  {
+                    propertyFilter: {
+                      property: {name: 'status'},
+                      op: 'EQUAL',
+                      value: {stringValue: 'A'},
+                    },
+                  },
+                  {
+                    compositeFilter: {
+                      filters: [
+                        {
+                          propertyFilter: {
+                            property: {name: 'assignee'},
+                            op: 'EQUAL',
+                            value: {stringValue: 'me'},
+                          },
+                        },
+                        {
+                          propertyFilter: {
+                            property: {name: 'priority'},
+                            op: 'GREATER_THAN',
+                            value: {integerValue: '3'},
+                          },
+                        },
+                      ],
+                      op: 'AND',
+                    },
+                  },
+                ],
+                op: 'OR',
+              },
+            },
+          ],
+          op: 'AND',
+        },
+      });
+    });
+
+    describe('filter validation', () => {
+      let ds: Datastore;
+
+      beforeEach(() => {
+        ds = new Datastore({projectId: 'project-id'});
+      });
+
+      it('should require a non-empty array for IN and NOT_IN', () => {
+        ['IN', 'NOT_IN'].forEach(op => {
+          [[], 'CA'].forEach(val => {
+            const query = ds
+              .createQuery('Kind1')
+              .filter('state', op as 'IN', val);
+            assert.throws(() => {
+              entity.queryToQueryProto(query);
+            }, new RegExp(`The value of an ${op} filter must be a non-empty array.`));
+          });
+        });
+      });
+
+      it('should limit the number of NOT_IN values', () => {
+        const query = ds
+          .createQuery('Kind1')
+          .filter('n', 'NOT_IN', [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+        assert.throws(() => {
+          entity.queryToQueryProto(query);
+        }, /A NOT_IN filter supports at most 10 values\./);
+      });
+
+      it('should allow inequality filters on a single property', () => {
+        const query = ds
+          .createQuery('Kind1')
+          .filter('size', '>', 1)
+          .filter('size', '<', 10)
+          .filter('size', '!=', 5);
+        assert.doesNotThrow(() => entity.queryToQueryProto(query));
+      });
+
+      it('should not allow inequality filters on multiple properties', () => {
+        const query = ds
+          .createQuery('Kind1')
+          .filter('size', '>', 1)
+          .filter('name', '!=', 'Google');
+        assert.throws(() => {
+          entity.queryToQueryProto(query);
+        }, /Inequality filters are only supported on a single property\./);
+      });
+
+      it('should allow only one != or NOT_IN filter', () => {
+        const query = ds
+          .createQuery('Kind1')
+          .filter('size', '!=', 1)
+          .filter('size', 'NOT_IN', [2, 3]);
+        assert.throws(() => {
+          entity.queryToQueryProto(query);
+        }, /A query supports only one != or NOT_IN filter\./);
+      });
+
+      it('should not allow IN with NOT_IN', () => {
+        const query = ds
+          .createQuery('Kind1')
+          .filter('state', 'IN', ['CA'])
+          .filter('size', 'NOT_IN', [2, 3]);
+        assert.throws(() => {
+          entity.queryToQueryProto(query);
+        }, /IN and NOT_IN filters cannot be used in the same query\./);
+      });
+
+      it('should limit the number of disjunctions', () => {
+        const values = [1, 2, 3, 4, 5, 6];
+        const query = ds
+          .createQuery('Kind1')
+          .filter('a', 'IN', values)
+          .filter('b', 'IN', values);
+        assert.throws(() => {
+          entity.queryToQueryProto(query);
+        }, /A query supports at most 30 disjunctions\./);
+
+        const allowedQuery = ds
+          .createQuery('Kind1')
+          .filter('a', 'IN', values)
+          .filter('b', 'IN', values.slice(1));
+        assert.doesNotThrow(() => entity.queryToQueryProto(allowedQuery));
+      });
+
+      it('should count the disjunctions of OR filters', () => {
+        const values = [1, 2, 3, 4, 5];
+        const query = ds
+          .createQuery('Kind1')
+          .filter(
+            and([
+              or([
+                new PropertyFilter('a', 'IN', values),
+                new PropertyFilter('b', '=', 1),
+              ]),
+              new PropertyFilter('c', 'IN', values),
+            ])
+          );
+        assert.doesNotThrow(() => entity.queryToQueryProto(query));
+
+        query.filter(
+          or([new PropertyFilter('d', '=', 1), new PropertyFilter('d', '=', 2)])
+        );
+        assert.throws(() => {
+          entity.queryToQueryProto(query);
+        }, /A query supports at most 30 disjunctions\./);
+      });
+
+      it('should validate filters nested in composite filters', () => {
+        const query = ds
+          .createQuery('Kind1')
+          .filter(
+            or([
+              new PropertyFilter('a', '>', 1),
+              and([new PropertyFilter('b', '<', 2)]),
+            ])
+          );
+        assert.throws(() => {
+          entity.queryToQueryProto(query);
+        }, /Inequality filters are only supported on a single property\./);
+      });
+
+      it('should not allow NOT_IN with OR', () => {
+        const query = ds
+          .createQuery('Kind1')
+          .filter('size', 'NOT_IN', [2, 3])
+          .filter(
+            or([
+              new PropertyFilter('a', '=', 1),
+              new PropertyFilter('b', '=', 2),
+            ])
+          );
+        assert.throws(() => {
+          entity.queryToQueryProto(query);
+        }, /NOT_IN filters cannot be combined with OR filters\./);
+      });
+    });
+  });
+
+  describe('gqlQueryToProto', () => {
+    it('should convert a GQL query', () => {
+      const key = new entity.Key({path: ['Company', 'Google']});
+      const query = new GqlQuery(undefined, 'SELECT * FROM Kind', {
+        allowLiterals: true,
+        namedBindings: {done: false, company: key},
+        positionalBindings: [new entity.Int(7)],
+      });
+
+      assert.deepStrictEqual(entity.gqlQueryToProto(query), {
+        queryString: 'SELECT * FROM Kind',
+        allowLiterals: true,
+        namedBindings: {
+          done: {value: entity.encodeValue(false)},
+          company: {value: entity.encodeValue(key)},
+        },
+        positionalBindings: [{value: entity.encodeValue(new entity.Int(7))}],
+      });
+    });
+
+    it('should bind cursors', () => {
+      const cursor = new Cursor(Buffer.from('cursor'));
+      const query = new GqlQuery(undefined, 'SELECT * FROM Kind OFFSET @1', {
+        namedBindings: {cursor},
+        positionalBindings: [cursor],
+      });
+
+      const gqlQueryProto = entity.gqlQueryToProto(query);
+      assert.deepStrictEqual(gqlQueryProto.namedBindings, {
+        cursor: {cursor: cursor.value},
+      });
+      assert.deepStrictEqual(gqlQueryProto.positionalBindings, [
+        {cursor: cursor.value},
+      ]);
+    });
+
+    it('should encode bindings with the registered converters', () => {
+      const converter = {
+        test: (value: unknown) => typeof value === 'string',
+        encode: (value: string) => ({stringValue: value.toUpperCase()}),
+      };
+      const query = new GqlQuery(undefined, 'SELECT * FROM Kind', {
+        positionalBindings: ['hi'],
+      });
+
+      assert.deepStrictEqual(
+        entity.gqlQueryToProto(query, [converter]).positionalBindings,
+        [{value: {stringValue: 'HI'}}]
+      );
+    });
+  });
+
+  describe('aggregateQueryToProto', () => {
+    let ds: Datastore;
+
+    beforeEach(() => {
+      ds = new Datastore({projectId: 'project-id'});
+    });
+
+    it('should convert an aggregate query', () => {
+      const query = ds.createQuery('Kind1').filter('paid', true);
+      const aggregateQuery = ds
+        .createAggregationQuery(query)
+        .addAggregation(count('total'), sum('amount'), average('rating', 'r'));
+
+      assert.deepStrictEqual(entity.aggregateQueryToProto(aggregateQuery), {
+        nestedQuery: entity.queryToQueryProto(query),
+        aggregations: [
+          {alias: 'total', count: {}},
+          {alias: 'amount', sum: {property: {name: 'amount'}}},
+          {alias: 'r', avg: {property: {name: 'rating'}}},
+        ],
+      });
+    });
+
+    it('should require at least one aggregation', () => {
+      const aggregateQuery = ds.createAggregationQuery(ds.createQuery('Kind1'));
+
+      assert.throws(() => {
+        entity.aggregateQueryToProto(aggregateQuery);
+      }, /An aggregation query requires at least one aggregation\./);
+    });
+
+    it('should not allow duplicate aliases', () => {
+      const aggregateQuery = ds
+        .createAggregationQuery(ds.createQuery('Kind1'))
+        .addAggregation(count(), sum('amount', 'count'));
+
+      assert.throws(() => {
+        entity.aggregateQueryToProto(aggregateQuery);
+      }, /The aggregation alias "count" is used more than once\./);
+    });
   });
 
   describe('UrlSafeKey', () => {
@@ -1981,6 +3594,18 @@ describe('entity', () => {
         );
       });
 
+      it('should encode key with single path element bigint type', () => {
+        const key = new entity.Key({
+          path: ['Task', BigInt('5754248394440704')],
+        });
+
+        const encodedKey = 'ag9ncmFzcy1jbHVtcC00NzlyEQsSBFRhc2sYgICA3NWunAoM';
+        assert.strictEqual(
+          urlSafeKey.legacyEncode(PROJECT_ID, key),
+          encodedKey
+        );
+      });
+
       it('should encode key with parent', () => {
         const key = new entity.Key({
           path: ['Task', 'sampletask1', 'Task', 'sampletask2'],
@@ -2034,6 +3659,33 @@ describe('entity', () => {
         assert.strictEqual(key.parent!.name, 'sampletask1');
         assert.deepStrictEqual(key.parent!.path, ['Task', 'sampletask1']);
       });
+
+      it('should round-trip a key with a bigint ID', () => {
+        const key = new entity.Key({
+          path: ['Account', BigInt('9007199254740993')],
+        });
+        const decodedKey = urlSafeKey.legacyDecode(
+          urlSafeKey.legacyEncode(PROJECT_ID, key)
+        );
+        assert.strictEqual(decodedKey.id, '9007199254740993');
+        assert.deepStrictEqual(decodedKey.path, [
+          'Account',
+          '9007199254740993',
+        ]);
+      });
+
+      it('should decode key with database ID', () => {
+        const key = new entity.Key({
+          namespace: 'NS',
+          databaseId: 'database-id',
+          path: ['Task', 'sampletask1'],
+        });
+        const encodedKey = urlSafeKey.legacyEncode(PROJECT_ID, key);
+        const decodedKey = urlSafeKey.legacyDecode(encodedKey);
+        assert.strictEqual(decodedKey.databaseId, 'database-id');
+        assert.strictEqual(decodedKey.namespace, 'NS');
+        assert.deepStrictEqual(decodedKey.path, ['Task', 'sampletask1']);
+      });
     });
   });
 });
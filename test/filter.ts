@@ -0,0 +1,88 @@
+// Copyright 2020 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it} from 'mocha';
+import {
+  and,
+  or,
+  CompositeFilter,
+  EntityFilter,
+  PropertyFilter,
+} from '../src/filter';
+
+describe('Filter', () => {
+  describe('PropertyFilter', () => {
+    it('should localize the name, operator and value', () => {
+      const filter = new PropertyFilter('name', '=', 'Stephen');
+
+      assert(filter instanceof EntityFilter);
+      assert.strictEqual(filter.name, 'name');
+      assert.strictEqual(filter.op, '=');
+      assert.strictEqual(filter.val, 'Stephen');
+    });
+
+    it('should remove whitespace surrounding the name and operator', () => {
+      const filter = new PropertyFilter('  count  ', '  <  ' as '<', 123);
+
+      assert.strictEqual(filter.name, 'count');
+      assert.strictEqual(filter.op, '<');
+    });
+  });
+
+  describe('CompositeFilter', () => {
+    it('should localize the filters and operator', () => {
+      const filters = [new PropertyFilter('name', '=', 'Stephen')];
+      const filter = new CompositeFilter(filters, 'OR');
+
+      assert(filter instanceof EntityFilter);
+      assert.strictEqual(filter.filters, filters);
+      assert.strictEqual(filter.op, 'OR');
+    });
+
+    it('should require at least one filter', () => {
+      assert.throws(() => {
+        and([]);
+      }, /A composite filter requires at least one filter\./);
+    });
+  });
+
+  describe('and', () => {
+    it('should create an AND composite filter', () => {
+      const filters = [
+        new PropertyFilter('done', '=', false),
+        new PropertyFilter('priority', '>=', 4),
+      ];
+      const filter = and(filters);
+
+      assert(filter instanceof CompositeFilter);
+      assert.strictEqual(filter.op, 'AND');
+      assert.strictEqual(filter.filters, filters);
+    });
+  });
+
+  describe('or', () => {
+    it('should create an OR composite filter', () => {
+      const filters = [
+        new PropertyFilter('status', '=', 'A'),
+        and([new PropertyFilter('assignee', '=', 'me')]),
+      ];
+      const filter = or(filters);
+
+      assert(filter instanceof CompositeFilter);
+      assert.strictEqual(filter.op, 'OR');
+      assert.strictEqual(filter.filters, filters);
+    });
+  });
+});
@@ -107,6 +107,46 @@ describe('DatastoreClient', () => {
     });
   });
 
+  describe('routing header', () => {
+    it('includes the project ID', done => {
+      const client = new datastoreModule.v1.DatastoreClient({
+        credentials: {client_email: 'bogus', private_key: 'bogus'},
+        projectId: 'bogus',
+      });
+
+      client._innerApiCalls.lookup = (request, options) => {
+        assert.strictEqual(
+          options.otherArgs.headers['x-goog-request-params'],
+          'project_id=projectId'
+        );
+        done();
+      };
+
+      client.lookup({projectId: 'projectId', keys: []});
+    });
+
+    it('includes the database ID', done => {
+      const client = new datastoreModule.v1.DatastoreClient({
+        credentials: {client_email: 'bogus', private_key: 'bogus'},
+        projectId: 'bogus',
+      });
+
+      client._innerApiCalls.lookup = (request, options) => {
+        assert.strictEqual(
+          options.otherArgs.headers['x-goog-request-params'],
+          'project_id=projectId&database_id=databaseId'
+        );
+        done();
+      };
+
+      client.lookup({
+        projectId: 'projectId',
+        databaseId: 'databaseId',
+        keys: [],
+      });
+    });
+  });
+
   describe('runQuery', () => {
     it('invokes runQuery without error', done => {
       const client = new datastoreModule.v1.DatastoreClient({
@@ -164,6 +204,63 @@ describe('DatastoreClient', () => {
     });
   });
 
+  describe('runAggregationQuery', () => {
+    it('invokes runAggregationQuery without error', done => {
+      const client = new datastoreModule.v1.DatastoreClient({
+        credentials: {client_email: 'bogus', private_key: 'bogus'},
+        projectId: 'bogus',
+      });
+
+      // Mock request
+      const projectId = 'projectId-1969970175';
+      const request = {
+        projectId: projectId,
+      };
+
+      // Mock response
+      const expectedResponse = {};
+
+      // Mock Grpc layer
+      client._innerApiCalls.runAggregationQuery = mockSimpleGrpcMethod(
+        request,
+        expectedResponse
+      );
+
+      client.runAggregationQuery(request, (err, response) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(response, expectedResponse);
+        done();
+      });
+    });
+
+    it('invokes runAggregationQuery with error', done => {
+      const client = new datastoreModule.v1.DatastoreClient({
+        credentials: {client_email: 'bogus', private_key: 'bogus'},
+        projectId: 'bogus',
+      });
+
+      // Mock request
+      const projectId = 'projectId-1969970175';
+      const request = {
+        projectId: projectId,
+      };
+
+      // Mock Grpc layer
+      client._innerApiCalls.runAggregationQuery = mockSimpleGrpcMethod(
+        request,
+        null,
+        error
+      );
+
+      client.runAggregationQuery(request, (err, response) => {
+        assert(err instanceof Error);
+        assert.strictEqual(err.code, FAKE_STATUS_CODE);
+        assert(typeof response === 'undefined');
+        done();
+      });
+    });
+  });
+
   describe('beginTransaction', () => {
     it('invokes beginTransaction without error', done => {
       const client = new datastoreModule.v1.DatastoreClient({
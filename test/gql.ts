@@ -0,0 +1,114 @@
+// Copyright 2020 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it} from 'mocha';
+import {Cursor, GqlQuery} from '../src/gql';
+import {Datastore} from '../src';
+
+describe('GqlQuery', () => {
+  const SCOPE = {} as Datastore;
+  const GQL = 'SELECT * FROM Task WHERE done = @done';
+
+  describe('instantiation', () => {
+    it('should localize the query and its options', () => {
+      const namedBindings = {done: false};
+      const positionalBindings = [1];
+      const query = new GqlQuery(SCOPE, GQL, {
+        namespace: 'ns',
+        allowLiterals: true,
+        namedBindings,
+        positionalBindings,
+      });
+
+      assert.strictEqual(query.scope, SCOPE);
+      assert.strictEqual(query.namespace, 'ns');
+      assert.strictEqual(query.queryString, GQL);
+      assert.strictEqual(query.allowLiterals, true);
+      assert.strictEqual(query.namedBindings, namedBindings);
+      assert.strictEqual(query.positionalBindings, positionalBindings);
+    });
+
+    it('should default the options', () => {
+      const query = new GqlQuery(SCOPE, GQL);
+
+      assert.strictEqual(query.namespace, null);
+      assert.strictEqual(query.allowLiterals, false);
+      assert.deepStrictEqual(query.namedBindings, {});
+      assert.deepStrictEqual(query.positionalBindings, []);
+    });
+  });
+
+  describe('run', () => {
+    it('should call the parent instance runQuery correctly', done => {
+      const args = [{}, () => {}];
+      // tslint:disable-next-line no-any
+      const scope: any = {
+        runQuery(query: GqlQuery, options: {}, callback: Function) {
+          assert.strictEqual(this, scope);
+          assert.strictEqual(query, gqlQuery);
+          assert.strictEqual(options, args[0]);
+          assert.strictEqual(callback, args[1]);
+          done();
+        },
+      };
+      const gqlQuery = new GqlQuery(scope, GQL);
+
+      // tslint:disable-next-line no-any
+      gqlQuery.run(...(args as any));
+    });
+
+    it('should return the result of runQuery', () => {
+      const promise = Promise.resolve([[], {}]);
+      // tslint:disable-next-line no-any
+      const scope: any = {
+        runQuery: () => promise,
+      };
+      const gqlQuery = new GqlQuery(scope, GQL);
+
+      assert.strictEqual(gqlQuery.run(), promise);
+    });
+  });
+
+  describe('runStream', () => {
+    it('should call the parent instance runQueryStream correctly', () => {
+      const options = {};
+      const stream = {};
+      // tslint:disable-next-line no-any
+      const scope: any = {
+        runQueryStream(query: GqlQuery, options_: {}) {
+          assert.strictEqual(this, scope);
+          assert.strictEqual(query, gqlQuery);
+          assert.strictEqual(options_, options);
+          return stream;
+        },
+      };
+      const gqlQuery = new GqlQuery(scope, GQL);
+
+      assert.strictEqual(gqlQuery.runStream(options), stream);
+    });
+  });
+});
+
+describe('Cursor', () => {
+  it('should decode a base64 cursor', () => {
+    const cursor = new Cursor(Buffer.from('cursor').toString('base64'));
+    assert.deepStrictEqual(cursor.value, Buffer.from('cursor'));
+  });
+
+  it('should keep a Buffer', () => {
+    const buffer = Buffer.from('cursor');
+    assert.strictEqual(new Cursor(buffer).value, buffer);
+  });
+});
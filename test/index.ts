@@ -26,6 +26,7 @@ const v1 = require('../src/v1/index.js');
 // tslint:disable-next-line no-any
 const fakeEntity: any = {
   KEY_SYMBOL: Symbol('fake key symbol'),
+  METADATA_SYMBOL: Symbol('fake metadata symbol'),
   Int: class {
     value: {};
     constructor(value: {}) {
@@ -53,6 +54,15 @@ const fakeEntity: any = {
   isDsGeoPoint() {
     this.calledWith_ = arguments;
   },
+  Timestamp: class {
+    value: {};
+    constructor(value: {}) {
+      this.value = value;
+    }
+  },
+  isDsTimestamp() {
+    this.calledWith_ = arguments;
+  },
   Key: class {
     calledWith_: IArguments;
     constructor() {
@@ -105,6 +115,20 @@ class FakeTransaction {
   }
 }
 
+class FakeBulkDelete {
+  calledWith_: IArguments;
+  constructor() {
+    this.calledWith_ = arguments;
+  }
+}
+
+class FakeBulkWriter {
+  calledWith_: IArguments;
+  constructor() {
+    this.calledWith_ = arguments;
+  }
+}
+
 function FakeV1() {}
 
 describe('Datastore', () => {
@@ -128,6 +152,7 @@ describe('Datastore', () => {
 
   before(() => {
     Datastore = proxyquire('../src', {
+      './bulk.js': {BulkDelete: FakeBulkDelete, BulkWriter: FakeBulkWriter},
       './entity.js': {entity: fakeEntity},
       './query.js': {Query: FakeQuery},
       './transaction.js': {Transaction: FakeTransaction},
@@ -180,6 +205,11 @@ describe('Datastore', () => {
       assert.strictEqual(datastore.namespace, NAMESPACE);
     });
 
+    it('should localize the database ID', () => {
+      const datastore = new Datastore({databaseId: 'database-id'});
+      assert.strictEqual(datastore.databaseId, 'database-id');
+    });
+
     it('should localize the projectId', () => {
       assert.strictEqual(datastore.projectId, PROJECT_ID);
       assert.strictEqual(datastore.options.projectId, PROJECT_ID);
@@ -335,6 +365,22 @@ describe('Datastore', () => {
     });
   });
 
+  describe('timestamp', () => {
+    it('should expose Timestamp builder', () => {
+      const aTimestamp = '2020-01-01T00:00:00.123456789Z';
+      const timestamp = Datastore.timestamp(aTimestamp);
+      // tslint:disable-next-line no-any
+      assert.strictEqual((timestamp as any).value, aTimestamp);
+    });
+
+    it('should also be on the prototype', () => {
+      const aTimestamp = '2020-01-01T00:00:00.123456789Z';
+      const timestamp = datastore.timestamp(aTimestamp);
+      // tslint:disable-next-line no-any
+      assert.strictEqual((timestamp as any).value, aTimestamp);
+    });
+  });
+
   describe('isDouble', () => {
     it('should pass value to entity', () => {
       const value = 0.42;
@@ -401,6 +447,88 @@ describe('Datastore', () => {
     });
   });
 
+  describe('isTimestamp', () => {
+    it('should pass value to entity', () => {
+      const value = new Date();
+      let called = false;
+      const saved = fakeEntity.isDsTimestamp;
+      fakeEntity.isDsTimestamp = (arg: {}) => {
+        assert.strictEqual(arg, value);
+        called = true;
+        return false;
+      };
+      assert.strictEqual(datastore.isTimestamp(value), false);
+      assert.strictEqual(called, true);
+      fakeEntity.isDsTimestamp = saved;
+    });
+
+    it('should expose Timestamp identifier', () => {
+      const something = {};
+      Datastore.isTimestamp(something);
+      assert.strictEqual(fakeEntity.calledWith_[0], something);
+    });
+  });
+
+  describe('toTypedJSON', () => {
+    it('should pass value to entity', () => {
+      const value = {name: 'Google'};
+      const json = {$type: 'entity', properties: value};
+      const saved = fakeEntity.toTypedJSON;
+      fakeEntity.toTypedJSON = (arg: {}) => {
+        assert.strictEqual(arg, value);
+        return json;
+      };
+      assert.strictEqual(datastore.toTypedJSON(value), json);
+      assert.strictEqual(Datastore.toTypedJSON(value), json);
+      fakeEntity.toTypedJSON = saved;
+    });
+  });
+
+  describe('fromTypedJSON', () => {
+    it('should pass value to entity', () => {
+      const json = {$type: 'entity', properties: {name: 'Google'}};
+      const value = {name: 'Google'};
+      const saved = fakeEntity.fromTypedJSON;
+      fakeEntity.fromTypedJSON = (arg: {}) => {
+        assert.strictEqual(arg, json);
+        return value;
+      };
+      assert.strictEqual(datastore.fromTypedJSON(json), value);
+      assert.strictEqual(Datastore.fromTypedJSON(json), value);
+      fakeEntity.fromTypedJSON = saved;
+    });
+  });
+
+  describe('compareValues', () => {
+    it('should pass values to entity', () => {
+      const a = {};
+      const b = {};
+      const saved = fakeEntity.compareValues;
+      fakeEntity.compareValues = (...args: Array<{}>) => {
+        assert.deepStrictEqual(args, [a, b]);
+        return -1;
+      };
+      assert.strictEqual(datastore.compareValues(a, b), -1);
+      assert.strictEqual(Datastore.compareValues(a, b), -1);
+      fakeEntity.compareValues = saved;
+    });
+  });
+
+  describe('entityComparator', () => {
+    it('should pass orders to entity', () => {
+      const orders = [{name: 'name', sign: '+' as const}];
+      const comparator = () => 0;
+      const saved = fakeEntity.entityComparator;
+      fakeEntity.entityComparator = (arg: {}) => {
+        assert.strictEqual(arg, orders);
+        return comparator;
+      };
+      assert.strictEqual(datastore.entityComparator(orders), comparator);
+      assert.strictEqual(Datastore.entityComparator(orders), comparator);
+      fakeEntity.entityComparator = saved;
+    });
+  });
+
   describe('isKey', () => {
     it('should pass value to entity', () => {
       const value = {zz: true};
@@ -433,6 +561,16 @@ describe('Datastore', () => {
     });
   });
 
+  describe('METADATA', () => {
+    it('should expose the METADATA symbol', () => {
+      assert.strictEqual(Datastore.METADATA, fakeEntity.METADATA_SYMBOL);
+    });
+
+    it('should also be on the prototype', () => {
+      assert.strictEqual(datastore.METADATA, Datastore.METADATA);
+    });
+  });
+
   describe('MORE_RESULTS_AFTER_CURSOR', () => {
     it('should expose a MORE_RESULTS_AFTER_CURSOR helper', () => {
       assert.strictEqual(
@@ -507,6 +645,106 @@ describe('Datastore', () => {
     });
   });
 
+  describe('createGqlQuery', () => {
+    it('should return a GqlQuery object', () => {
+      const options = {
+        namespace: 'namespace',
+        allowLiterals: true,
+        namedBindings: {done: false},
+        positionalBindings: [1],
+      };
+      const query = datastore.createGqlQuery('SELECT * FROM Kind', options);
+
+      assert(query instanceof ds.GqlQuery);
+      assert.strictEqual(query.scope, datastore);
+      assert.strictEqual(query.queryString, 'SELECT * FROM Kind');
+      assert.strictEqual(query.namespace, 'namespace');
+      assert.strictEqual(query.allowLiterals, true);
+      assert.strictEqual(query.namedBindings, options.namedBindings);
+      assert.strictEqual(query.positionalBindings, options.positionalBindings);
+    });
+
+    it('should include the default namespace', () => {
+      const query = datastore.createGqlQuery('SELECT * FROM Kind');
+      assert.strictEqual(query.namespace, datastore.namespace);
+    });
+  });
+
+  describe('cursor', () => {
+    it('should return a Cursor object', () => {
+      const value = Buffer.from('cursor');
+
+      const cursor = datastore.cursor(value);
+      assert(cursor instanceof ds.Cursor);
+      assert.strictEqual(cursor.value, value);
+      assert(Datastore.cursor(value) instanceof ds.Cursor);
+    });
+  });
+
+  describe('createAggregationQuery', () => {
+    it('should return an AggregateQuery object', () => {
+      const query = datastore.createQuery('Kind');
+      const aggregateQuery = datastore.createAggregationQuery(query);
+
+      assert(aggregateQuery instanceof ds.AggregateQuery);
+      assert.strictEqual(aggregateQuery.query, query);
+      assert.deepStrictEqual(aggregateQuery.aggregations, []);
+    });
+  });
+
+  describe('model', () => {
+    it('should return a Model object', () => {
+      const schema = {name: 'string'} as const;
+      const model = datastore.model('Kind', schema);
+
+      assert(model instanceof ds.Model);
+      assert.strictEqual(model.datastore, datastore);
+      assert.strictEqual(model.kind, 'Kind');
+      assert.strictEqual(model.schema, schema);
+    });
+  });
+
+  describe('registerType', () => {
+    const converter = {
+      test: (value: unknown) => value instanceof Map,
+      encode: () => ({}),
+      decode: (value: {}) => new Map(Object.entries(value)),
+      properties: 'attributes',
+    };
+
+    it('should register the converter', () => {
+      assert.strictEqual(datastore.registerType(converter), datastore);
+      assert.deepStrictEqual(datastore.converters_, [converter]);
+    });
+
+    it('should not share converters between instances', () => {
+      datastore.registerType(converter);
+      assert.deepStrictEqual(new Datastore({}).converters_, []);
+    });
+
+    it('should require a test or a decode function', () => {
+      assert.throws(
+        () => datastore.registerType({}),
+        /A converter requires a test or a decode function\./
+      );
+    });
+
+    it('should require an encode function with a test', () => {
+      assert.throws(
+        () => datastore.registerType({test: () => true}),
+        /A converter with a test requires an encode function\./
+      );
+    });
+
+    it('should require properties or a meaning with a decode function', () => {
+      assert.throws(
+        () => datastore.registerType({decode: () => {}}),
+        /A converter with a decode function requires properties or a meaning\./
+      );
+      datastore.registerType({decode: () => {}, meaning: 22});
+    });
+  });
+
   describe('key', () => {
     it('should return a Key object', () => {
       const options = {} as entity.KeyOptions;
@@ -522,6 +760,26 @@ describe('Datastore', () => {
       assert.strictEqual(key.calledWith_[0].namespace, datastore.namespace);
       assert.deepStrictEqual(key.calledWith_[0].path, [options]);
     });
+
+    it('should default to the database ID of the instance', () => {
+      datastore.databaseId = 'database-id';
+      const options = {path: ['Kind']};
+      // tslint:disable-next-line no-any
+      const key: any = datastore.key(options);
+      assert.deepStrictEqual(key.calledWith_[0], {
+        databaseId: 'database-id',
+        path: ['Kind'],
+      });
+      assert.deepStrictEqual(options, {path: ['Kind']});
+    });
+
+    it('should not override the database ID of the options', () => {
+      datastore.databaseId = 'database-id';
+      const options = {databaseId: 'other-database-id', path: ['Kind']};
+      // tslint:disable-next-line no-any
+      const key: any = datastore.key(options);
+      assert.strictEqual(key.calledWith_[0], options);
+    });
   });
 
   describe('transaction', () => {
@@ -537,6 +795,187 @@ describe('Datastore', () => {
     });
   });
 
+  describe('runInTransaction', () => {
+    const ABORTED_ERROR = Object.assign(new Error('Aborted.'), {
+      code: gax.Status.ABORTED,
+    });
+    const OPTIONS = {backoff: {initialDelayMillis: 0}};
+
+    // tslint:disable-next-line no-any
+    let transactions: any[];
+    let commitErrors: Array<Error | null>;
+
+    beforeEach(() => {
+      transactions = [];
+      commitErrors = [];
+
+      // tslint:disable-next-line no-any
+      datastore.transaction = ((options: any) => {
+        const transaction = {
+          options,
+          id: undefined as string | undefined,
+          runOptions: null as {} | null,
+          committed: false,
+          rolledBack: false,
+          async run(runOptions: {}) {
+            transaction.runOptions = runOptions;
+            transaction.id = `transaction-${transactions.length}`;
+            return [transaction];
+          },
+          async commit() {
+            const err = commitErrors.shift();
+            if (err) {
+              throw err;
+            }
+            transaction.committed = true;
+            return [{}];
+          },
+          async rollback() {
+            transaction.rolledBack = true;
+            return [{}];
+          },
+        };
+        transactions.push(transaction);
+        return transaction;
+        // tslint:disable-next-line no-any
+      }) as any;
+    });
+
+    it('should run the function in a transaction', async () => {
+      const result = await datastore.runInTransaction(transaction => {
+        assert.strictEqual(transaction, transactions[0]);
+        assert.strictEqual(transactions[0].id, 'transaction-1');
+        return 'result';
+      });
+
+      assert.strictEqual(result, 'result');
+      assert.strictEqual(transactions.length, 1);
+      assert.deepStrictEqual(transactions[0].runOptions, {});
+    });
+
+    it('should commit when the function resolves', async () => {
+      await datastore.runInTransaction(async () => {});
+      assert.strictEqual(transactions[0].committed, true);
+      assert.strictEqual(transactions[0].rolledBack, false);
+    });
+
+    it('should pass the readOnly option to the transaction', async () => {
+      await datastore.runInTransaction(() => {}, {readOnly: true});
+      assert.strictEqual(transactions[0].options.readOnly, true);
+    });
+
+    it('should roll back and rethrow when the function throws', async () => {
+      const error = new Error('Error.');
+
+      await assert.rejects(
+        datastore.runInTransaction(async () => {
+          throw error;
+        }, OPTIONS),
+        error
+      );
+
+      assert.strictEqual(transactions.length, 1);
+      assert.strictEqual(transactions[0].committed, false);
+      assert.strictEqual(transactions[0].rolledBack, true);
+    });
+
+    it('should retry an aborted commit', async () => {
+      commitErrors.push(ABORTED_ERROR);
+      let calls = 0;
+
+      const result = await datastore.runInTransaction(() => ++calls, OPTIONS);
+
+      assert.strictEqual(result, 2);
+      assert.strictEqual(transactions.length, 2);
+      assert.strictEqual(transactions[0].rolledBack, false);
+      assert.strictEqual(transactions[1].committed, true);
+    });
+
+    it('should pass the aborted transaction to the retry', async () => {
+      commitErrors.push(ABORTED_ERROR);
+
+      await datastore.runInTransaction(() => {}, OPTIONS);
+
+      assert.deepStrictEqual(transactions[1].runOptions, {
+        transactionId: transactions[0].id,
+      });
+    });
+
+    it('should not pass a previous transaction when read-only', async () => {
+      commitErrors.push(ABORTED_ERROR);
+
+      await datastore.runInTransaction(() => {},
+      Object.assign({readOnly: true}, OPTIONS));
+
+      assert.deepStrictEqual(transactions[1].runOptions, {});
+    });
+
+    it('should retry when the function is aborted', async () => {
+      let calls = 0;
+
+      await datastore.runInTransaction(async () => {
+        if (++calls === 1) {
+          throw ABORTED_ERROR;
+        }
+      }, OPTIONS);
+
+      assert.strictEqual(transactions[0].rolledBack, true);
+      assert.strictEqual(transactions[1].committed, true);
+    });
+
+    it('should give up after maxAttempts', async () => {
+      commitErrors.push(ABORTED_ERROR, ABORTED_ERROR, ABORTED_ERROR);
+
+      await assert.rejects(
+        datastore.runInTransaction(() => {},
+        Object.assign({maxAttempts: 3}, OPTIONS)),
+        ABORTED_ERROR
+      );
+
+      assert.strictEqual(transactions.length, 3);
+    });
+
+    it('should not retry other errors', async () => {
+      const error = Object.assign(new Error('Error.'), {
+        code: gax.Status.INVALID_ARGUMENT,
+      });
+      commitErrors.push(error);
+
+      await assert.rejects(
+        datastore.runInTransaction(() => {}, OPTIONS),
+        error
+      );
+
+      assert.strictEqual(transactions.length, 1);
+    });
+  });
+
+  describe('deleteWhere', () => {
+    it('should return a BulkDelete', () => {
+      const query = {};
+      const options = {batchSize: 100};
+      // tslint:disable-next-line no-any
+      const bulkDelete: any = datastore.deleteWhere(query as any, options);
+
+      assert(bulkDelete instanceof FakeBulkDelete);
+      assert.strictEqual(bulkDelete.calledWith_[0], datastore);
+      assert.strictEqual(bulkDelete.calledWith_[1], query);
+      assert.strictEqual(bulkDelete.calledWith_[2], options);
+    });
+  });
+
+  describe('bulkWriter', () => {
+    it('should return a BulkWriter', () => {
+      const options = {maxBatchSize: 100};
+      // tslint:disable-next-line no-any
+      const bulkWriter: any = datastore.bulkWriter(options);
+
+      assert(bulkWriter instanceof FakeBulkWriter);
+      assert.strictEqual(bulkWriter.calledWith_[0], datastore);
+      assert.strictEqual(bulkWriter.calledWith_[1], options);
+    });
+  });
+
   describe('determineBaseUrl_', () => {
     function setHost(host: string) {
       process.env.DATASTORE_EMULATOR_HOST = host;
@@ -0,0 +1,513 @@
+// Copyright 2020 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {afterEach, beforeEach, describe, it} from 'mocha';
+import * as sinon from 'sinon';
+import {Datastore} from '../src';
+import {entity} from '../src/entity';
+import {
+  Model,
+  ModelEntity,
+  ModelQuery,
+  ModelValidationError,
+  Schema,
+} from '../src/model';
+
+// tslint:disable-next-line no-any
+type Any = any;
+
+interface Task {
+  description: string;
+  priority: number;
+  done: boolean;
+  rating: number;
+  tags: string[];
+  address: {city: string; notes?: string};
+}
+
+describe('Model', () => {
+  const SCHEMA: Schema = {
+    description: {type: 'string', required: true, excludeFromIndexes: true},
+    priority: {type: 'int', default: 4},
+    done: {type: 'boolean', default: () => false},
+    rating: 'double',
+    tags: {type: 'array', items: 'string', excludeFromIndexes: true},
+    address: {
+      type: 'embedded',
+      schema: {
+        city: {type: 'string', required: true},
+        notes: {type: 'string', excludeFromIndexes: true},
+      },
+    },
+  };
+
+  const sandbox = sinon.createSandbox();
+  let datastore: Datastore;
+  let model: Model<Task>;
+
+  beforeEach(() => {
+    datastore = new Datastore({projectId: 'project-id', namespace: 'ns'});
+    model = new Model<Task>(datastore, 'Task', SCHEMA);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  function dataOf(instance: ModelEntity) {
+    const data: Any = Object.assign({}, instance);
+    delete data[entity.KEY_SYMBOL];
+    return data;
+  }
+
+  function validationError(property: string, message: RegExp) {
+    return (err: ModelValidationError) => {
+      assert(err instanceof ModelValidationError);
+      assert.strictEqual(err.name, 'ModelValidationError');
+      assert.strictEqual(err.kind, 'Task');
+      assert.strictEqual(err.property, property);
+      assert(message.test(err.message), err.message);
+      return true;
+    };
+  }
+
+  describe('instantiation', () => {
+    it('should localize the datastore, kind and schema', () => {
+      assert.strictEqual(model.datastore, datastore);
+      assert.strictEqual(model.kind, 'Task');
+      assert.strictEqual(model.schema, SCHEMA);
+    });
+
+    it('should collect the excluded properties', () => {
+      assert.deepStrictEqual(model.excludeFromIndexes, [
+        'description',
+        'tags[]',
+        'address.notes',
+      ]);
+    });
+
+    it('should collect excluded properties of embedded array items', () => {
+      const model = new Model(datastore, 'Task', {
+        steps: {
+          type: 'array',
+          items: {
+            type: 'embedded',
+            schema: {text: {type: 'string', excludeFromIndexes: true}},
+          },
+        },
+      });
+
+      assert.deepStrictEqual(model.excludeFromIndexes, ['steps[].text']);
+    });
+  });
+
+  describe('key', () => {
+    it('should create an incomplete key', () => {
+      const key = model.key();
+
+      assert.strictEqual(key.kind, 'Task');
+      assert.strictEqual(key.namespace, 'ns');
+      assert.strictEqual(key.id, undefined);
+      assert.strictEqual(key.name, undefined);
+    });
+
+    it('should create a complete key', () => {
+      assert.deepStrictEqual(model.key(123).path, ['Task', 123]);
+      assert.deepStrictEqual(model.key('name').path, ['Task', 'name']);
+    });
+  });
+
+  describe('create', () => {
+    it('should create a model entity with defaults', () => {
+      const task = model.create({description: 'Learn Datastore'});
+
+      assert(task instanceof ModelEntity);
+      assert.deepStrictEqual(dataOf(task), {
+        description: 'Learn Datastore',
+        priority: 4,
+        done: false,
+      });
+    });
+
+    it('should not override provided values', () => {
+      const task = model.create({priority: 1});
+      assert.strictEqual(task.priority, 1);
+    });
+
+    it('should assign the key', () => {
+      const key = model.key(1);
+      const task = model.create({}, key);
+      assert.strictEqual(task[entity.KEY_SYMBOL], key);
+    });
+  });
+
+  describe('validate', () => {
+    it('should accept valid data', () => {
+      model.validate({
+        description: 'Learn Datastore',
+        tags: ['learning'],
+        rating: 5,
+        address: {city: 'Seattle'},
+      });
+    });
+
+    it('should accept all property types', () => {
+      const model = new Model(datastore, 'Kind', {
+        int: 'int',
+        double: 'double',
+        date: 'date',
+        geoPoint: 'geoPoint',
+        key: 'key',
+        buffer: 'buffer',
+        nullable: 'string',
+      });
+
+      model.validate({
+        int: datastore.int('9007199254740993'),
+        double: datastore.double(1.5),
+        date: new Date(),
+        geoPoint: datastore.geoPoint({latitude: 0, longitude: 0}),
+        key: datastore.key(['Kind', 1]),
+        buffer: Buffer.from('abc'),
+        nullable: null,
+      });
+    });
+
+    it('should require required properties', () => {
+      assert.throws(
+        () => model.validate({}),
+        validationError(
+          'description',
+          /The "description" property of Task is required\./
+        )
+      );
+    });
+
+    it('should check the type of properties', () => {
+      assert.throws(
+        () => model.validate({description: 'a', priority: 'high' as Any}),
+        validationError(
+          'priority',
+          /The "priority" property of Task must be of type int\./
+        )
+      );
+    });
+
+    it('should not accept a double for an int', () => {
+      assert.throws(
+        () => model.validate({description: 'a', priority: 1.5}),
+        validationError('priority', /must be of type int/)
+      );
+    });
+
+    it('should reject properties missing from the schema', () => {
+      assert.throws(
+        () => model.validate({description: 'a', owner: 'me'} as Any),
+        validationError(
+          'owner',
+          /The "owner" property is not defined in the schema of Task\./
+        )
+      );
+    });
+
+    it('should validate embedded entities', () => {
+      assert.throws(
+        () => model.validate({description: 'a', address: {}} as Any),
+        validationError('address.city', /"address\.city" .* is required/)
+      );
+    });
+
+    it('should validate the items of arrays', () => {
+      assert.throws(
+        () => model.validate({description: 'a', tags: ['a', 1 as Any]}),
+        validationError('tags[1]', /"tags\[1\]" .* must be of type string/)
+      );
+    });
+
+    it('should reject values that cannot be encoded', () => {
+      const model = new Model(datastore, 'Task', {callback: 'string'});
+
+      assert.throws(
+        () => model.validate({callback: () => {}}),
+        validationError('callback', /must be of type string/)
+      );
+    });
+  });
+
+  describe('get', () => {
+    it('should get entities by ID and hydrate them', async () => {
+      const key = model.key(1);
+      sandbox.stub(datastore, 'get').callsFake(((
+        keys: entity.Key[],
+        options: {},
+        callback: Function
+      ) => {
+        assert.deepStrictEqual(keys, [model.key(1)]);
+        assert.deepStrictEqual(options, {consistency: 'eventual'});
+        callback(null, [
+          {
+            description: 'Learn Datastore',
+            priority: datastore.int(1),
+            [datastore.KEY]: key,
+          },
+        ]);
+      }) as Any);
+
+      const [task] = await model.get(1, {consistency: 'eventual'});
+
+      assert(task instanceof ModelEntity);
+      assert.strictEqual(task[datastore.KEY], key);
+      assert.deepStrictEqual(dataOf(task), {
+        description: 'Learn Datastore',
+        priority: 1,
+        done: false,
+      });
+    });
+
+    it('should get multiple entities by key', async () => {
+      const keys = [model.key(1), model.key(2)];
+      sandbox.stub(datastore, 'get').callsFake(((
+        keys_: entity.Key[],
+        options: {},
+        callback: Function
+      ) => {
+        assert.deepStrictEqual(keys_, keys);
+        callback(null, [{description: 'a', [datastore.KEY]: keys[0]}]);
+      }) as Any);
+
+      const [tasks] = await model.get(keys);
+
+      assert.strictEqual(tasks.length, 2);
+      assert.strictEqual(tasks[0].description, 'a');
+      assert.strictEqual(tasks[1], undefined);
+    });
+
+    it('should return the entities in the order of the IDs', async () => {
+      sandbox.stub(datastore, 'get').callsFake(((
+        keys: entity.Key[],
+        options: {},
+        callback: Function
+      ) => {
+        callback(null, [
+          {description: 'c', [datastore.KEY]: model.key(3)},
+          {description: 'a', [datastore.KEY]: model.key(1)},
+        ]);
+      }) as Any);
+
+      const [tasks] = await model.get([1, 2, 3]);
+
+      assert.strictEqual(tasks.length, 3);
+      assert.strictEqual(tasks[0].description, 'a');
+      assert.strictEqual(tasks[1], undefined);
+      assert.strictEqual(tasks[2].description, 'c');
+    });
+
+    it('should keep an int that a number cannot hold', async () => {
+      const priority = datastore.int('9007199254740993');
+      sandbox.stub(datastore, 'get').callsFake(((
+        keys: entity.Key[],
+        options: {},
+        callback: Function
+      ) => {
+        callback(null, [{priority, [datastore.KEY]: model.key(1)}]);
+      }) as Any);
+
+      const [task] = await model.get(1, {wrapNumbers: true});
+
+      assert.strictEqual(task.priority, priority);
+    });
+
+    it('should return undefined for a missing entity', async () => {
+      sandbox.stub(datastore, 'get').callsFake(((
+        keys: entity.Key[],
+        options: {},
+        callback: Function
+      ) => {
+        callback(null, []);
+      }) as Any);
+
+      const [task] = await model.get('missing');
+
+      assert.strictEqual(task, undefined);
+    });
+
+    it('should return errors', async () => {
+      const error = new Error('Error.');
+      sandbox.stub(datastore, 'get').callsFake(((
+        keys: entity.Key[],
+        options: {},
+        callback: Function
+      ) => {
+        callback(error);
+      }) as Any);
+
+      await assert.rejects(model.get(1), error);
+    });
+  });
+
+  describe('save', () => {
+    it('should validate and save entities', async () => {
+      const saveStub = sandbox.stub(datastore, 'save').callsFake(((
+        entities: Any[],
+        gaxOptions: {},
+        callback: Function
+      ) => {
+        callback(null, {mutationResults: []});
+      }) as Any);
+      const task = model.create({description: 'a', rating: 5});
+
+      const [apiResponse] = await model.save(task, {timeout: 1000});
+
+      assert.deepStrictEqual(apiResponse, {mutationResults: []});
+      const [entities, gaxOptions] = saveStub.getCall(0).args as Any[];
+      assert.deepStrictEqual(gaxOptions, {timeout: 1000});
+      assert.strictEqual(entities.length, 1);
+      assert.strictEqual(entities[0].key.kind, 'Task');
+      assert.strictEqual(entities[0].key.id, undefined);
+      assert.deepStrictEqual(entities[0].excludeFromIndexes, [
+        'description',
+        'tags[]',
+        'address.notes',
+      ]);
+      assert.deepStrictEqual(entities[0].data, {
+        description: 'a',
+        priority: 4,
+        done: false,
+        rating: datastore.double(5),
+      });
+      assert.strictEqual(task[datastore.KEY], entities[0].key);
+    });
+
+    it('should save with the key of an entity', async () => {
+      const key = model.key(1);
+      const saveStub = sandbox.stub(datastore, 'save').callsFake(((
+        entities: Any[],
+        gaxOptions: {},
+        callback: Function
+      ) => {
+        callback(null);
+      }) as Any);
+
+      await model.save([model.create({description: 'a'}, key)]);
+
+      const [entities] = saveStub.getCall(0).args as Any[];
+      assert.strictEqual(entities[0].key, key);
+    });
+
+    it('should not assign the key when the save fails', async () => {
+      const error = new Error('Error.');
+      sandbox.stub(datastore, 'save').callsFake(((
+        entities: Any[],
+        gaxOptions: {},
+        callback: Function
+      ) => {
+        callback(error);
+      }) as Any);
+      const task = {description: 'a'} as Any;
+
+      await assert.rejects(model.save(task), error);
+      assert.strictEqual(task[datastore.KEY], undefined);
+    });
+
+    it('should not save invalid entities', async () => {
+      const saveStub = sandbox.stub(datastore, 'save');
+
+      await assert.rejects(
+        model.save([{description: 'a'}, {priority: 1}]),
+        validationError('description', /is required/)
+      );
+      assert.strictEqual(saveStub.called, false);
+    });
+  });
+
+  describe('delete', () => {
+    it('should delete entities by ID', async () => {
+      const deleteStub = sandbox.stub(datastore, 'delete').callsFake(((
+        keys: entity.Key[],
+        gaxOptions: {},
+        callback: Function
+      ) => {
+        callback(null, {});
+      }) as Any);
+      const key = model.key('b');
+
+      await model.delete([1, key]);
+
+      const [keys] = deleteStub.getCall(0).args as Any[];
+      assert.deepStrictEqual(keys, [model.key(1), key]);
+    });
+  });
+
+  describe('query', () => {
+    it('should create a query of the kind of the model', () => {
+      const query = model.query();
+
+      assert(query instanceof ModelQuery);
+      assert.strictEqual(query.model, model);
+      assert.strictEqual(query.scope, datastore);
+      assert.strictEqual(query.namespace, 'ns');
+      assert.deepStrictEqual(query.kinds, ['Task']);
+    });
+
+    it('should hydrate the results of the query', async () => {
+      const info = {moreResults: 'NO_MORE_RESULTS'};
+      const query = model.query().filter('done', false);
+      sandbox.stub(datastore, 'runQuery').callsFake(((
+        query_: ModelQuery<Task>,
+        options: {},
+        callback: Function
+      ) => {
+        assert.strictEqual(query_, query);
+        callback(null, [{description: 'a'}], info);
+      }) as Any);
+
+      const [tasks, info_] = await query.run();
+
+      assert(tasks[0] instanceof ModelEntity);
+      assert.strictEqual(tasks[0].priority, 4);
+      assert.strictEqual(info_, info);
+    });
+
+    it('should return errors', done => {
+      const error = new Error('Error.');
+      sandbox.stub(datastore, 'runQuery').callsFake(((
+        query: ModelQuery<Task>,
+        options: {},
+        callback: Function
+      ) => {
+        callback(error);
+      }) as Any);
+
+      model.query().run(err => {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should hydrate the pages of the query', async () => {
+      sandbox.stub(datastore, 'runQuery').callsFake(((
+        query: ModelQuery<Task>,
+        options: {},
+        callback: Function
+      ) => {
+        callback(null, [{description: 'a'}], {moreResults: 'NO_MORE_RESULTS'});
+      }) as Any);
+
+      for await (const page of model.query().pages()) {
+        assert(page.entities[0] instanceof ModelEntity);
+      }
+    });
+  });
+});
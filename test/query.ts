@@ -14,7 +14,10 @@
 
 import * as assert from 'assert';
 import {describe, it} from 'mocha';
+import {PassThrough} from 'stream';
 const {Query} = require('../src/query');
+import {and, or, CompositeFilter, PropertyFilter} from '../src/filter';
+import {entity} from '../src/entity';
 import {Datastore} from '../src';
 
 describe('Query', () => {
@@ -127,6 +130,17 @@ describe('Query', () => {
       assert.strictEqual(filter.op, '=');
       assert.strictEqual(filter.val, 'Stephen');
     });
+
+    it('should support entity filters', () => {
+      const filter = or([
+        new PropertyFilter('status', '=', 'A'),
+        new PropertyFilter('assignee', '=', 'me'),
+      ]);
+      const query = new Query(['kind1']).filter(filter);
+
+      assert.deepStrictEqual(query.filters, []);
+      assert.deepStrictEqual(query.entityFilters, [filter]);
+    });
   });
 
   describe('hasAncestor', () => {
@@ -289,6 +303,20 @@ describe('Query', () => {
     });
   });
 
+  describe('keysOnly', () => {
+    it('should select only the keys', () => {
+      const query = new Query(['kind1']).select('name').keysOnly();
+
+      assert.deepStrictEqual(query.selectVal, ['__key__']);
+    });
+
+    it('should return the query instance', () => {
+      const query = new Query(['kind1']);
+
+      assert.strictEqual(query.keysOnly(), query);
+    });
+  });
+
   describe('run', () => {
     it('should call the parent instance runQuery correctly', done => {
       const args = [{}, () => {}];
@@ -322,4 +350,473 @@ describe('Query', () => {
       assert.strictEqual(results, runQueryReturnValue);
     });
   });
+
+  describe('runKeys', () => {
+    it('should call the parent instance runKeys correctly', done => {
+      const args = [{}, () => {}];
+
+      query.scope.runKeys = function() {
+        assert.strictEqual(this, query.scope);
+        assert.strictEqual(arguments[0], query);
+        assert.strictEqual(arguments[1], args[0]);
+        assert.strictEqual(arguments[2], args[1]);
+        done();
+      };
+
+      query.runKeys.apply(query, args);
+    });
+  });
+
+  describe('runKeysStream', () => {
+    it('should call the parent instance runKeysStream correctly', () => {
+      const options = {};
+      const stream = {};
+
+      query.scope.runKeysStream = function() {
+        assert.strictEqual(this, query.scope);
+        assert.strictEqual(arguments[0], query);
+        assert.strictEqual(arguments[1], options);
+        return stream;
+      };
+
+      assert.strictEqual(query.runKeysStream(options), stream);
+    });
+  });
+
+  describe('pages', () => {
+    // tslint:disable-next-line no-any
+    let scope: any;
+    // tslint:disable-next-line no-any
+    let requests: any[];
+
+    // tslint:disable-next-line no-any
+    function stubPages(pages: any[]) {
+      requests = [];
+      scope = {
+        // tslint:disable-next-line no-any
+        runQuery(query: any, options: {}) {
+          requests.push({
+            limit: query.limitVal,
+            offset: query.offsetVal,
+            start: query.startVal,
+            options,
+          });
+          const page = pages.shift();
+          return Promise.resolve([page.entities, page.info]);
+        },
+      };
+      return new Query(scope, KINDS);
+    }
+
+    // tslint:disable-next-line no-any
+    async function collect(iterator: AsyncIterableIterator<any>) {
+      const results = [];
+      for await (const result of iterator) {
+        results.push(result);
+      }
+      return results;
+    }
+
+    it('should return all results as a single page', async () => {
+      const query = stubPages([
+        {
+          entities: [{a: 1}, {a: 2}],
+          info: {endCursor: 'end', moreResults: 'MORE_RESULTS_AFTER_LIMIT'},
+        },
+      ]);
+
+      const pages = await collect(query.pages());
+
+      assert.deepStrictEqual(pages, [
+        {
+          entities: [{a: 1}, {a: 2}],
+          cursor: 'end',
+          moreResults: 'MORE_RESULTS_AFTER_LIMIT',
+        },
+      ]);
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].limit, -1);
+    });
+
+    it('should request pages of the page size from the cursor', async () => {
+      const query = stubPages([
+        {
+          entities: [{a: 1}, {a: 2}],
+          info: {endCursor: 'c1', moreResults: 'MORE_RESULTS_AFTER_LIMIT'},
+        },
+        {
+          entities: [{a: 3}],
+          info: {endCursor: 'c2', moreResults: 'NO_MORE_RESULTS'},
+        },
+      ]);
+      query.offset(5);
+      const options = {consistency: 'eventual'};
+
+      const pages = await collect(query.pages({pageSize: 2, ...options}));
+
+      assert.deepStrictEqual(
+        pages.map(page => page.cursor),
+        ['c1', 'c2']
+      );
+      assert.deepStrictEqual(pages[1].entities, [{a: 3}]);
+      assert.deepStrictEqual(requests, [
+        {limit: 2, offset: 5, start: null, options},
+        {limit: 2, offset: -1, start: 'c1', options},
+      ]);
+    });
+
+    it('should stop at the limit of the query', async () => {
+      const query = stubPages([
+        {
+          entities: [{a: 1}, {a: 2}],
+          info: {endCursor: 'c1', moreResults: 'MORE_RESULTS_AFTER_LIMIT'},
+        },
+        {
+          entities: [{a: 3}],
+          info: {endCursor: 'c2', moreResults: 'MORE_RESULTS_AFTER_LIMIT'},
+        },
+      ]);
+      query.limit(3);
+
+      const pages = await collect(query.pages({pageSize: 2}));
+
+      assert.strictEqual(pages.length, 2);
+      assert.deepStrictEqual(
+        requests.map(request => request.limit),
+        [2, 1]
+      );
+    });
+
+    it('should stop when the limit of the query cuts off a page', async () => {
+      const query = stubPages([
+        {
+          entities: [{a: 1}],
+          info: {endCursor: 'c1', moreResults: 'MORE_RESULTS_AFTER_LIMIT'},
+        },
+      ]);
+      query.offset(1).limit(2);
+
+      const pages = await collect(query.pages({pageSize: 5}));
+
+      assert.strictEqual(pages.length, 1);
+      assert.deepStrictEqual(
+        requests.map(request => request.limit),
+        [2]
+      );
+    });
+
+    it('should stop after the end cursor', async () => {
+      const query = stubPages([
+        {
+          entities: [{a: 1}],
+          info: {endCursor: 'c1', moreResults: 'MORE_RESULTS_AFTER_CURSOR'},
+        },
+      ]);
+
+      const pages = await collect(query.pages({pageSize: 2}));
+
+      assert.strictEqual(pages.length, 1);
+      assert.strictEqual(requests.length, 1);
+    });
+
+    it('should not yield a trailing empty page', async () => {
+      const query = stubPages([
+        {
+          entities: [{a: 1}, {a: 2}],
+          info: {endCursor: 'c1', moreResults: 'MORE_RESULTS_AFTER_LIMIT'},
+        },
+        {
+          entities: [],
+          info: {endCursor: 'c1', moreResults: 'NO_MORE_RESULTS'},
+        },
+      ]);
+
+      const pages = await collect(query.pages({pageSize: 2}));
+
+      assert.strictEqual(pages.length, 1);
+      assert.strictEqual(requests.length, 2);
+    });
+
+    it('should not modify the original query', async () => {
+      const query = stubPages([
+        {
+          entities: [{a: 1}],
+          info: {endCursor: 'c1', moreResults: 'NO_MORE_RESULTS'},
+        },
+      ]);
+
+      await collect(query.pages({pageSize: 2}));
+
+      assert.strictEqual(query.limitVal, -1);
+      assert.strictEqual(query.startVal, null);
+    });
+
+    it('should reject with errors from runQuery', async () => {
+      const error = new Error('Error.');
+      const query = new Query({runQuery: () => Promise.reject(error)}, KINDS);
+
+      await assert.rejects(collect(query.pages()), error);
+    });
+  });
+
+  describe('iterate', () => {
+    it('should iterate over the results of runQueryStream', async () => {
+      const entities = [{a: 1}, {a: 2}];
+      const options = {};
+      const scope = {
+        // tslint:disable-next-line no-any
+        runQueryStream(query: any, options_: {}) {
+          assert.strictEqual(this, scope);
+          assert.strictEqual(query, q);
+          assert.strictEqual(options_, options);
+          const stream = new PassThrough({objectMode: true});
+          entities.forEach(entity => stream.write(entity));
+          stream.end();
+          return stream;
+        },
+      };
+      const q = new Query(scope, KINDS);
+
+      const results = [];
+      for await (const entity of q.iterate(options)) {
+        results.push(entity);
+      }
+
+      assert.deepStrictEqual(results, entities);
+    });
+
+    it('should reject with errors from the stream', async () => {
+      const error = new Error('Error.');
+      const scope = {
+        runQueryStream() {
+          const stream = new PassThrough({objectMode: true});
+          setImmediate(() => stream.destroy(error));
+          return stream;
+        },
+      };
+      const q = new Query(scope, KINDS);
+
+      await assert.rejects(async () => {
+        for await (const entity of q.iterate()) {
+          assert.fail(entity);
+        }
+      }, error);
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should convert the query to JSON', () => {
+      const key = new entity.Key({path: ['Company', 'Google']});
+      query
+        .filter('done', false)
+        .filter('__key__', '>', key)
+        .filter(or([new PropertyFilter('tags', 'IN', ['a', 'b'])]))
+        .order('priority', {descending: true})
+        .groupBy('priority')
+        .select(['priority', 'done'])
+        .start(Buffer.from('start'))
+        .end('ZW5k')
+        .limit(10)
+        .offset(5);
+
+      assert.deepStrictEqual(query.toJSON(), {
+        namespace: NAMESPACE,
+        kinds: KINDS,
+        filters: [
+          {name: 'done', op: '=', value: false},
+          {name: '__key__', op: '>', value: entity.toTypedJSON(key)},
+        ],
+        entityFilters: [
+          {op: 'OR', filters: [{name: 'tags', op: 'IN', value: ['a', 'b']}]},
+        ],
+        orders: [{name: 'priority', sign: '-'}],
+        groupBy: ['priority'],
+        select: ['priority', 'done'],
+        start: Buffer.from('start').toString('base64'),
+        end: 'ZW5k',
+        limit: 10,
+        offset: 5,
+      });
+    });
+
+    it('should leave out unset values', () => {
+      assert.deepStrictEqual(new Query(SCOPE, KINDS).toJSON(), {
+        kinds: KINDS,
+        filters: [],
+        entityFilters: [],
+        orders: [],
+        groupBy: [],
+        select: [],
+      });
+    });
+
+    it('should be used by JSON.stringify', () => {
+      query.filter('count', new entity.Int('9007199254740993'));
+
+      assert.deepStrictEqual(
+        JSON.parse(JSON.stringify(query)).filters[0].value,
+        {$type: 'int', value: '9007199254740993'}
+      );
+    });
+  });
+
+  describe('fromJSON', () => {
+    it('should rebuild the query', () => {
+      const key = new entity.Key({path: ['Company', 'Google']});
+      query
+        .hasAncestor(key)
+        .filter('founded', '<', new Date(0))
+        .filter(or([new PropertyFilter('tags', 'IN', ['a', 'b'])]))
+        .order('priority')
+        .groupBy('priority')
+        .select('priority')
+        .start('c3RhcnQ=')
+        .end('ZW5k')
+        .limit(10)
+        .offset(5);
+
+      const json = JSON.parse(JSON.stringify(query));
+      const scope = {} as Datastore;
+      const rebuilt = Query.fromJSON(scope, json);
+
+      assert(rebuilt instanceof Query);
+      assert.strictEqual(rebuilt.scope, scope);
+      assert.deepStrictEqual(rebuilt.toJSON(), query.toJSON());
+      assert(rebuilt.filters[0].val.equals(key));
+      assert.deepStrictEqual(rebuilt.filters[1].val, new Date(0));
+      assert(rebuilt.entityFilters[0] instanceof CompositeFilter);
+      assert(rebuilt.entityFilters[0].filters[0] instanceof PropertyFilter);
+    });
+
+    it('should default missing values', () => {
+      const rebuilt = Query.fromJSON(SCOPE, {kinds: KINDS});
+
+      assert.strictEqual(rebuilt.namespace, null);
+      assert.deepStrictEqual(rebuilt.kinds, KINDS);
+      assert.deepStrictEqual(rebuilt.filters, []);
+      assert.strictEqual(rebuilt.startVal, null);
+      assert.strictEqual(rebuilt.limitVal, -1);
+      assert.strictEqual(rebuilt.offsetVal, -1);
+    });
+  });
+
+  describe('toGql', () => {
+    it('should write a query of every kind of entity', () => {
+      assert.strictEqual(new Query(SCOPE, []).toGql(), 'SELECT *');
+    });
+
+    it('should write the clauses of the query', () => {
+      query
+        .filter('done', false)
+        .filter('priority', '>=', 4)
+        .order('priority', {descending: true})
+        .order('created')
+        .limit(10)
+        .offset(5);
+
+      assert.strictEqual(
+        query.toGql(),
+        'SELECT * FROM Kind WHERE done = FALSE AND priority >= 4 ' +
+          'ORDER BY priority DESC, created ASC LIMIT 10 OFFSET 5'
+      );
+    });
+
+    it('should write projections and distinct properties', () => {
+      query.select(['priority', 'done']).groupBy('priority');
+
+      assert.strictEqual(
+        query.toGql(),
+        'SELECT DISTINCT ON (priority) priority, done FROM Kind'
+      );
+    });
+
+    it('should quote names that are not identifiers', () => {
+      const query = new Query(SCOPE, ['Task List'])
+        .filter('order', 1)
+        .filter('a`b', 2);
+
+      assert.strictEqual(
+        query.toGql(),
+        'SELECT * FROM `Task List` WHERE `order` = 1 AND `a``b` = 2'
+      );
+    });
+
+    it('should write values as literals', () => {
+      const key = new entity.Key({
+        namespace: 'ns',
+        path: ['Company', 'Google', 'Employee', 123],
+      });
+      query
+        .filter('a', null)
+        .filter('b', "it's \\")
+        .filter('c', 1.5)
+        .filter('d', new entity.Double(2))
+        .filter('e', new entity.Int('9007199254740993'))
+        .filter('f', BigInt(-1))
+        .filter('g', new Date('2020-01-01T00:00:00.123Z'))
+        .filter('h', new entity.Timestamp('2020-01-01T00:00:00.123456789Z'))
+        .filter('i', Buffer.from('blob'))
+        .filter('j', 'NOT_IN', [1, 2])
+        .hasAncestor(key);
+
+      assert.strictEqual(
+        query.toGql(),
+        [
+          'SELECT * FROM Kind WHERE a = NULL',
+          "b = 'it\\'s \\\\'",
+          'c = 1.5',
+          'd = 2.0',
+          'e = 9007199254740993',
+          'f = -1',
+          "g = DATETIME('2020-01-01T00:00:00.123000Z')",
+          "h = DATETIME('2020-01-01T00:00:00.123456Z')",
+          "i = BLOB('YmxvYg==')",
+          'j NOT IN ARRAY(1, 2)',
+          "__key__ HAS ANCESTOR KEY(NAMESPACE('ns'), Company, 'Google', Employee, 123)",
+        ].join(' AND ')
+      );
+    });
+
+    it('should write composite filters', () => {
+      query.filter(
+        or([
+          new PropertyFilter('a', '=', 1),
+          and([
+            new PropertyFilter('b', '=', 2),
+            new PropertyFilter('c', 'IN', [3]),
+          ]),
+        ])
+      );
+
+      assert.strictEqual(
+        query.toGql(),
+        'SELECT * FROM Kind WHERE (a = 1 OR (b = 2 AND c IN ARRAY(3)))'
+      );
+    });
+
+    it('should throw for values without a literal', () => {
+      [
+        new entity.GeoPoint({latitude: 0, longitude: 0}),
+        {name: 'Google'},
+        NaN,
+        new entity.Double(Infinity),
+      ].forEach(value => {
+        assert.throws(
+          () => new Query(SCOPE, KINDS).filter('a', value).toGql(),
+          /cannot be written in GQL/
+        );
+      });
+    });
+
+    it('should throw for cursors and multiple kinds', () => {
+      assert.throws(
+        () => query.start('c3RhcnQ=').toGql(),
+        /The cursors of a query cannot be written in GQL/
+      );
+      assert.throws(
+        () => new Query(SCOPE, ['A', 'B']).toGql(),
+        /A GQL query can only have one kind\./
+      );
+    });
+  });
 });
@@ -25,6 +25,8 @@ import {Transform} from 'stream';
 import {google} from '../proto/datastore';
 import * as ds from '../src';
 import {entity, Entity, KeyProto, EntityProto} from '../src/entity.js';
+import {GqlQuery, GqlQueryProto} from '../src/gql.js';
+import {EntityValidationError} from '../src/validate.js';
 import {IntegerTypeCastOptions, Query, QueryProto} from '../src/query.js';
 import {
   AllocateIdsResponse,
@@ -136,6 +138,27 @@ describe('Request', () => {
       assert.strictEqual(preparedEntityObject.key, key);
       assert.strictEqual(preparedEntityObject.data.data, entityObject.data);
     });
+
+    it('should keep the keys and metadata of an entity', () => {
+      const key = {};
+      const metadata = {name: {excludeFromIndexes: true}};
+      // tslint:disable-next-line:no-any
+      const entityObject: any = {name: 'Stephen', embedded: {}};
+      entityObject[entity.KEY_SYMBOL] = key;
+      entityObject[entity.METADATA_SYMBOL] = metadata;
+      entityObject.embedded[entity.KEY_SYMBOL] = key;
+      const preparedEntityObject = Request.prepareEntityObject_(
+        entityObject
+      ) as Any;
+      assert.strictEqual(
+        preparedEntityObject.data[entity.METADATA_SYMBOL],
+        metadata
+      );
+      assert.strictEqual(
+        preparedEntityObject.data.embedded[entity.KEY_SYMBOL],
+        key
+      );
+    });
   });
 
   describe('allocateIds', () => {
@@ -265,6 +288,104 @@ describe('Request', () => {
     });
   });
 
+  describe('reserveIds', () => {
+    const COMPLETE_KEY = {} as entity.Key;
+
+    it('should throw if no keys are provided', () => {
+      assert.throws(() => {
+        request.reserveIds([], assert.ifError);
+      }, /At least one Key object is required/);
+    });
+
+    it('should throw if a key is incomplete', () => {
+      sandbox.stub(entity, 'isKeyComplete').callsFake(key => {
+        assert.strictEqual(key, COMPLETE_KEY);
+        return false;
+      });
+
+      assert.throws(() => {
+        request.reserveIds(COMPLETE_KEY, assert.ifError);
+      }, /Only complete keys can be reserved\./);
+    });
+
+    it('should make the correct request', done => {
+      const keyProto = {} as KeyProto;
+      sandbox.stub(entity, 'isKeyComplete').returns(true);
+      sandbox.stub(entity, 'keyToKeyProto').callsFake(key => {
+        assert.strictEqual(key, COMPLETE_KEY);
+        return keyProto;
+      });
+
+      request.request_ = (config: RequestConfig) => {
+        assert.strictEqual(config.client, 'DatastoreClient');
+        assert.strictEqual(config.method, 'reserveIds');
+        assert.deepStrictEqual(config.reqOpts, {keys: [keyProto, keyProto]});
+        assert.strictEqual(config.gaxOpts, undefined);
+        done();
+      };
+
+      request.reserveIds([COMPLETE_KEY, COMPLETE_KEY], assert.ifError);
+    });
+
+    it('should send the namespace with each key', done => {
+      const key = new entity.Key({namespace: 'ns', path: ['Company', 1]});
+
+      request.request_ = (config: RequestConfig) => {
+        assert.deepStrictEqual(config.reqOpts!.keys, [
+          {
+            partitionId: {namespaceId: 'ns'},
+            path: [{kind: 'Company', id: 1}],
+          },
+        ]);
+        done();
+      };
+
+      request.reserveIds(key, assert.ifError);
+    });
+
+    it('should allow specifying a database', done => {
+      sandbox.stub(entity, 'isKeyComplete').returns(true);
+      sandbox.stub(entity, 'keyToKeyProto');
+
+      request.request_ = (config: RequestConfig) => {
+        assert.strictEqual(config.reqOpts!.databaseId, 'db-id');
+        done();
+      };
+
+      request.reserveIds(COMPLETE_KEY, {databaseId: 'db-id'}, assert.ifError);
+    });
+
+    it('should allow customization of GAX options', done => {
+      sandbox.stub(entity, 'isKeyComplete').returns(true);
+      sandbox.stub(entity, 'keyToKeyProto');
+      const options = {gaxOptions: {}};
+
+      request.request_ = (config: RequestConfig) => {
+        assert.strictEqual(config.gaxOpts, options.gaxOptions);
+        done();
+      };
+
+      request.reserveIds(COMPLETE_KEY, options, assert.ifError);
+    });
+
+    it('should exec callback with error & API response', done => {
+      const error = new Error('Error.');
+      const apiResponse = {};
+      sandbox.stub(entity, 'isKeyComplete').returns(true);
+      sandbox.stub(entity, 'keyToKeyProto');
+
+      request.request_ = (_: object, callback: Function) => {
+        callback(error, apiResponse);
+      };
+
+      request.reserveIds(COMPLETE_KEY, (err: Error, resp: {}) => {
+        assert.strictEqual(err, error);
+        assert.strictEqual(resp, apiResponse);
+        done();
+      });
+    });
+  });
+
   describe('createReadStream', () => {
     beforeEach(() => {
       request.request_ = () => {};
@@ -516,6 +637,54 @@ describe('Request', () => {
             done();
           });
         });
+
+        it('should pass `wrapTimestamps` to formatArray', done => {
+          request
+            .createReadStream(key, {wrapTimestamps: true})
+            .on('error', done)
+            .resume();
+
+          setImmediate(() => {
+            assert.strictEqual(
+              formtArrayStub.getCall(0).args[2].wrapTimestamps,
+              true
+            );
+            done();
+          });
+        });
+
+        it('should pass `preserveTypes` to formatArray', done => {
+          request
+            .createReadStream(key, {preserveTypes: true})
+            .on('error', done)
+            .resume();
+
+          setImmediate(() => {
+            assert.strictEqual(
+              formtArrayStub.getCall(0).args[2].preserveTypes,
+              true
+            );
+            done();
+          });
+        });
+
+        it('should pass the registered converters to formatArray', done => {
+          const converters = [{}];
+          request.datastore = {converters_: converters};
+
+          request
+            .createReadStream(key)
+            .on('error', done)
+            .resume();
+
+          setImmediate(() => {
+            assert.strictEqual(
+              formtArrayStub.getCall(0).args[2].converters,
+              converters
+            );
+            done();
+          });
+        });
       });
 
       it('should continue looking for deferred results', done => {
@@ -554,6 +723,58 @@ describe('Request', () => {
           .emit('reading');
       });
 
+      describe('withMetadata', () => {
+        const missingResult = {
+          entity: {key: apiResponse.found[0].entity.key},
+          version: '7',
+        };
+
+        it('should format found and missing results', done => {
+          const results = [{}];
+          request.request_ = (_: object, callback: Function) => {
+            callback(null, {
+              found: apiResponse.found,
+              missing: [missingResult],
+            });
+          };
+          sandbox.stub(entity, 'formatArray').throws();
+          sandbox
+            .stub(entity, 'formatLookupResults')
+            .callsFake((found, missing, wrapNumbers) => {
+              assert.strictEqual(found, apiResponse.found);
+              assert.deepStrictEqual(missing, [missingResult]);
+              assert.strictEqual(wrapNumbers, true);
+              return results as Any;
+            });
+
+          request
+            .createReadStream(key, {withMetadata: true, wrapNumbers: true})
+            .on('error', done)
+            .on('data', (result: {}) => {
+              assert.strictEqual(result, results[0]);
+            })
+            .on('end', done)
+            .emit('reading');
+        });
+
+        it('should push a result for a missing key', done => {
+          request.request_ = (_: object, callback: Function) => {
+            callback(null, {missing: [missingResult]});
+          };
+
+          request
+            .createReadStream(key, {withMetadata: true})
+            .on('error', done)
+            .on('data', (result: Any) => {
+              assert.strictEqual(result.found, false);
+              assert.strictEqual(result.version, '7');
+              assert.strictEqual(result.key.kind, 'Post');
+            })
+            .on('end', done)
+            .emit('reading');
+        });
+      });
+
       it('should not push more results if stream was ended', done => {
         let entitiesEmitted = 0;
 
@@ -851,6 +1072,22 @@ describe('Request', () => {
         .emit('reading');
     });
 
+    it('should pass the registered converters to queryToQueryProto', done => {
+      const converters = [{}];
+      request.datastore = {converters_: converters};
+
+      sandbox.stub(entity, 'queryToQueryProto').callsFake((query, arg) => {
+        assert.strictEqual(arg, converters);
+        done();
+        return {} as QueryProto;
+      });
+
+      request
+        .runQueryStream({})
+        .on('error', done)
+        .emit('reading');
+    });
+
     it('should make correct request when the stream is ready', done => {
       const query = {namespace: 'namespace'};
       const queryProto = {} as QueryProto;
@@ -920,6 +1157,34 @@ describe('Request', () => {
         .emit('reading');
     });
 
+    it('should send explain options', done => {
+      sandbox.stub(entity, 'queryToQueryProto');
+      request.request_ = (config: RequestConfig) => {
+        assert.deepStrictEqual(config.reqOpts!.explainOptions, {});
+        done();
+      };
+
+      request
+        .runQueryStream({}, {explain: true})
+        .on('error', done)
+        .emit('reading');
+    });
+
+    it('should send explain options with analyze', done => {
+      sandbox.stub(entity, 'queryToQueryProto');
+      request.request_ = (config: RequestConfig) => {
+        assert.deepStrictEqual(config.reqOpts!.explainOptions, {
+          analyze: true,
+        });
+        done();
+      };
+
+      request
+        .runQueryStream({}, {explain: {analyze: true}})
+        .on('error', done)
+        .emit('reading');
+    });
+
     describe('error', () => {
       const error = new Error('Error.');
 
@@ -1001,6 +1266,144 @@ describe('Request', () => {
           });
       });
 
+      it('should emit the explain metrics', done => {
+        sandbox.stub(entity, 'queryToQueryProto');
+        request.request_ = (config: RequestConfig, callback: Function) => {
+          callback(null, {
+            batch: apiResponse.batch,
+            explainMetrics: {
+              planSummary: {
+                indexesUsed: [
+                  {
+                    fields: {
+                      query_scope: {
+                        kind: 'stringValue',
+                        stringValue: 'Collection group',
+                      },
+                      properties: {
+                        kind: 'stringValue',
+                        stringValue: '(done ASC, __name__ ASC)',
+                      },
+                    },
+                  },
+                ],
+              },
+              executionStats: {
+                resultsReturned: '3',
+                executionDuration: {seconds: '1', nanos: 500000000},
+                readOperations: '4',
+                debugStats: {
+                  fields: {
+                    documents_scanned: {kind: 'stringValue', stringValue: '3'},
+                    index_entries_scanned: {
+                      kind: 'stringValue',
+                      stringValue: '10',
+                    },
+                    billing_details: {
+                      kind: 'structValue',
+                      structValue: {
+                        fields: {
+                          min_query_cost: {kind: 'numberValue', numberValue: 0},
+                        },
+                      },
+                    },
+                    notes: {
+                      kind: 'listValue',
+                      listValue: {
+                        values: [{kind: 'nullValue', nullValue: 'NULL_VALUE'}],
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          });
+        };
+
+        const expectedMetrics = {
+          planSummary: {
+            indexesUsed: [
+              {
+                query_scope: 'Collection group',
+                properties: '(done ASC, __name__ ASC)',
+              },
+            ],
+          },
+          executionStats: {
+            resultsReturned: 3,
+            readOperations: 4,
+            executionDuration: 1500,
+            entitiesScanned: 3,
+            indexEntriesScanned: 10,
+            debugStats: {
+              documents_scanned: '3',
+              index_entries_scanned: '10',
+              billing_details: {min_query_cost: 0},
+              notes: [null],
+            },
+          },
+        };
+
+        let explainMetrics: Any;
+
+        request
+          .runQueryStream({}, {explain: {analyze: true}})
+          .on('error', done)
+          .on('explainMetrics', (metrics: Any) => {
+            explainMetrics = metrics;
+          })
+          .on('info', (info: Any) => {
+            assert.deepStrictEqual(explainMetrics, expectedMetrics);
+            assert.strictEqual(info.explainMetrics, explainMetrics);
+            done();
+          })
+          .resume();
+      });
+
+      it('should emit a plan without execution stats', done => {
+        sandbox.stub(entity, 'queryToQueryProto');
+        request.request_ = (config: RequestConfig, callback: Function) => {
+          callback(null, {
+            batch: {moreResults: 'NO_MORE_RESULTS'},
+            explainMetrics: {planSummary: {indexesUsed: []}},
+          });
+        };
+
+        request
+          .runQueryStream({}, {explain: true})
+          .on('error', done)
+          .on('explainMetrics', (metrics: Any) => {
+            assert.deepStrictEqual(metrics, {planSummary: {indexesUsed: []}});
+            done();
+          })
+          .resume();
+      });
+
+      it('should end without entities for a plan without a batch', done => {
+        sandbox.stub(entity, 'queryToQueryProto');
+        request.request_ = (config: RequestConfig, callback: Function) => {
+          callback(null, {
+            batch: null,
+            explainMetrics: {planSummary: {indexesUsed: []}},
+          });
+        };
+
+        const entities: Entity[] = [];
+        let info: Any;
+        request
+          .runQueryStream({}, {explain: {analyze: false}})
+          .on('error', done)
+          .on('info', (info_: Any) => (info = info_))
+          .on('data', (entity: Entity) => entities.push(entity))
+          .on('end', () => {
+            assert.deepStrictEqual(entities, []);
+            assert.deepStrictEqual(info, {
+              explainMetrics: {planSummary: {indexesUsed: []}},
+            });
+            done();
+          });
+      });
+
       describe('should pass `wrapNumbers` to formatArray', () => {
         let wrapNumbersOpts: boolean | IntegerTypeCastOptions | undefined;
 
@@ -1058,6 +1461,36 @@ describe('Request', () => {
             done();
           });
         });
+
+        it('should pass `wrapTimestamps` to formatArray', done => {
+          request
+            .runQueryStream({}, {wrapTimestamps: true})
+            .on('error', assert.ifError)
+            .resume();
+
+          setImmediate(() => {
+            assert.strictEqual(
+              formatArrayStub.getCall(0).args[2].wrapTimestamps,
+              true
+            );
+            done();
+          });
+        });
+
+        it('should pass `preserveTypes` to formatArray', done => {
+          request
+            .runQueryStream({}, {preserveTypes: true})
+            .on('error', assert.ifError)
+            .resume();
+
+          setImmediate(() => {
+            assert.strictEqual(
+              formatArrayStub.getCall(0).args[2].preserveTypes,
+              true
+            );
+            done();
+          });
+        });
       });
 
       it('should re-run query if not finished', done => {
@@ -1257,22 +1690,291 @@ describe('Request', () => {
     });
   });
 
-  describe('runQuery', () => {
-    const query = {};
+  describe('runQueryStream with a GQL query', () => {
+    const gqlQueryProto = {queryString: 'SELECT * FROM Kind'} as GqlQueryProto;
+    let gqlQuery: GqlQuery;
 
-    describe('success', () => {
-      const fakeInfo = {};
-      const fakeEntities = [{a: 'a'}, {b: 'b'}];
+    beforeEach(() => {
+      gqlQuery = new GqlQuery(undefined, 'SELECT * FROM Kind', {
+        namespace: 'namespace',
+      });
+      sandbox.stub(entity, 'formatArray').returns([]);
+    });
 
-      beforeEach(() => {
-        request.runQueryStream = sandbox.spy(() => {
-          const stream = new Transform({objectMode: true});
+    it('should send the GQL query', done => {
+      const converters = [{}];
+      request.datastore = {converters_: converters};
 
-          setImmediate(() => {
-            stream.emit('info', fakeInfo);
+      sandbox.stub(entity, 'gqlQueryToProto').callsFake((query, arg) => {
+        assert.strictEqual(query, gqlQuery);
+        assert.strictEqual(arg, converters);
+        return gqlQueryProto;
+      });
 
-            fakeEntities.forEach(entity => {
-              stream.push(entity);
+      request.request_ = (config: RequestConfig) => {
+        assert.strictEqual(config.method, 'runQuery');
+        assert.strictEqual(config.reqOpts!.gqlQuery, gqlQueryProto);
+        assert.strictEqual(config.reqOpts!.query, undefined);
+        assert.strictEqual(
+          config.reqOpts!.partitionId!.namespaceId,
+          'namespace'
+        );
+        done();
+      };
+
+      request
+        .runQueryStream(gqlQuery)
+        .on('error', done)
+        .emit('reading');
+    });
+
+    it('should emit an error from encoding the bindings', done => {
+      const error = new Error('Error.');
+      sandbox.stub(entity, 'gqlQueryToProto').throws(error);
+
+      request
+        .runQueryStream(gqlQuery)
+        .on('error', (err: Error) => {
+          assert.strictEqual(err, error);
+          done();
+        })
+        .emit('reading');
+    });
+
+    it('should get the rest of the results with the parsed query', done => {
+      const requests: RequestOptions[] = [];
+      const responses = [
+        {
+          query: {kind: [{name: 'Kind'}], offset: 3, limit: {value: 10}},
+          batch: {
+            moreResults: 'NOT_FINISHED',
+            endCursor: Buffer.from('a'),
+            skippedResults: 2,
+            entityResults: [{}, {}],
+          },
+        },
+        {
+          batch: {
+            moreResults: 'NOT_FINISHED',
+            endCursor: Buffer.from('b'),
+            skippedResults: 1,
+            entityResults: [{}],
+          },
+        },
+        {batch: {moreResults: 'NO_MORE_RESULTS'}},
+      ];
+
+      sandbox.stub(entity, 'gqlQueryToProto').returns(gqlQueryProto);
+
+      request.request_ = (config: RequestConfig, callback: Function) => {
+        requests.push(config.reqOpts!);
+        callback(null, responses[requests.length - 1]);
+      };
+
+      request
+        .runQueryStream(gqlQuery)
+        .on('error', done)
+        .on('data', () => {})
+        .on('end', () => {
+          assert.strictEqual(requests[0].gqlQuery, gqlQueryProto);
+          assert.deepStrictEqual(requests[1].query, {
+            kind: [{name: 'Kind'}],
+            offset: 1,
+            limit: {value: 8},
+            startCursor: Buffer.from('a'),
+          });
+          assert.strictEqual(requests[1].gqlQuery, undefined);
+          assert.deepStrictEqual(requests[2].query, {
+            kind: [{name: 'Kind'}],
+            offset: 0,
+            limit: {value: 7},
+            startCursor: Buffer.from('b'),
+          });
+          done();
+        });
+    });
+  });
+
+  describe('runAggregationQuery', () => {
+    let aggregateQuery: Any;
+
+    beforeEach(() => {
+      aggregateQuery = {
+        query: {namespace: 'namespace'},
+        aggregations: [],
+      };
+    });
+
+    it('should make the correct request', done => {
+      const aggregationQueryProto = {};
+      sandbox
+        .stub(entity, 'aggregateQueryToProto')
+        .withArgs(aggregateQuery)
+        .returns(aggregationQueryProto as Any);
+
+      request.request_ = (config: RequestConfig) => {
+        assert.strictEqual(config.client, 'DatastoreClient');
+        assert.strictEqual(config.method, 'runAggregationQuery');
+        assert.strictEqual(
+          config.reqOpts!.aggregationQuery,
+          aggregationQueryProto
+        );
+        assert.strictEqual(config.reqOpts!.readOptions, undefined);
+        assert.strictEqual(
+          config.reqOpts!.partitionId!.namespaceId,
+          'namespace'
+        );
+        assert.strictEqual(config.gaxOpts, undefined);
+        done();
+      };
+
+      request.runAggregationQuery(aggregateQuery, assert.ifError);
+    });
+
+    it('should allow setting read consistency and GAX options', done => {
+      sandbox.stub(entity, 'aggregateQueryToProto');
+      const options = {
+        consistency: 'eventual',
+        gaxOptions: {},
+      };
+
+      request.request_ = (config: RequestConfig) => {
+        assert.strictEqual(config.reqOpts!.readOptions!.readConsistency, 2);
+        assert.strictEqual(config.gaxOpts, options.gaxOptions);
+        done();
+      };
+
+      request.runAggregationQuery(aggregateQuery, options, assert.ifError);
+    });
+
+    it('should return an error from converting the query', done => {
+      const error = new Error('Error.');
+      sandbox.stub(entity, 'aggregateQueryToProto').throws(error);
+      request.request_ = () => {
+        done(new Error('Should not have made a request.'));
+      };
+
+      request.runAggregationQuery(aggregateQuery, (err: Error) => {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should return an error from the request', done => {
+      const error = new Error('Error.');
+      sandbox.stub(entity, 'aggregateQueryToProto');
+      request.request_ = (config: RequestConfig, callback: Function) => {
+        callback(error);
+      };
+
+      request.runAggregationQuery(aggregateQuery, (err: Error) => {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+    it('should decode the aggregation results', done => {
+      sandbox.stub(entity, 'aggregateQueryToProto');
+      request.request_ = (config: RequestConfig, callback: Function) => {
+        callback(null, {
+          batch: {
+            aggregationResults: [
+              {
+                aggregateProperties: {
+                  total: {valueType: 'integerValue', integerValue: '3'},
+                  amount: {valueType: 'doubleValue', doubleValue: 1.5},
+                  rating: {valueType: 'nullValue', nullValue: 'NULL_VALUE'},
+                },
+              },
+            ],
+            moreResults: 'NO_MORE_RESULTS',
+          },
+        });
+      };
+
+      request.runAggregationQuery(aggregateQuery, (err: Error, result: {}) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(result, {
+          total: 3,
+          amount: 1.5,
+          rating: null,
+        });
+        done();
+      });
+    });
+
+    it('should return an empty result without aggregation results', done => {
+      sandbox.stub(entity, 'aggregateQueryToProto');
+      const responses = [
+        {batch: null},
+        {batch: {aggregationResults: []}},
+        {batch: {aggregationResults: [{}]}},
+      ];
+      let pending = responses.length;
+
+      responses.forEach(resp => {
+        request.request_ = (config: RequestConfig, callback: Function) => {
+          callback(null, resp);
+        };
+
+        request.runAggregationQuery(
+          aggregateQuery,
+          (err: Error, result: {}) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(result, {});
+            if (--pending === 0) {
+              done();
+            }
+          }
+        );
+      });
+    });
+
+    it('should wrap numbers when asked to', done => {
+      sandbox.stub(entity, 'aggregateQueryToProto');
+      request.request_ = (config: RequestConfig, callback: Function) => {
+        callback(null, {
+          batch: {
+            aggregationResults: [
+              {
+                aggregateProperties: {
+                  total: {valueType: 'integerValue', integerValue: '3'},
+                },
+              },
+            ],
+          },
+        });
+      };
+
+      request.runAggregationQuery(
+        aggregateQuery,
+        {wrapNumbers: true},
+        (err: Error, result: Any) => {
+          assert.ifError(err);
+          assert(result.total instanceof entity.Int);
+          assert.strictEqual(result.total.value, '3');
+          done();
+        }
+      );
+    });
+  });
+
+  describe('runQuery', () => {
+    const query = {};
+
+    describe('success', () => {
+      const fakeInfo = {};
+      const fakeEntities = [{a: 'a'}, {b: 'b'}];
+
+      beforeEach(() => {
+        request.runQueryStream = sandbox.spy(() => {
+          const stream = new Transform({objectMode: true});
+
+          setImmediate(() => {
+            stream.emit('info', fakeInfo);
+
+            fakeEntities.forEach(entity => {
+              stream.push(entity);
             });
 
             stream.push(null);
@@ -1391,6 +2093,95 @@ describe('Request', () => {
     });
   });
 
+  describe('runKeys', () => {
+    const query = {};
+
+    it('should return an array of keys', done => {
+      const fakeInfo = {};
+      const fakeKeys = [key, key];
+      const options = {};
+
+      request.runKeysStream = sandbox.spy(() => {
+        const stream = new Transform({objectMode: true});
+
+        setImmediate(() => {
+          stream.emit('info', fakeInfo);
+          fakeKeys.forEach(key => stream.push(key));
+          stream.push(null);
+        });
+
+        return stream;
+      });
+
+      request.runKeys(
+        query,
+        options,
+        (err: Error | null, keys: entity.Key[], info: {}) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(keys, fakeKeys);
+          assert.strictEqual(info, fakeInfo);
+
+          const spy = request.runKeysStream.getCall(0);
+          assert.strictEqual(spy.args[0], query);
+          assert.strictEqual(spy.args[1], options);
+          done();
+        }
+      );
+    });
+
+    it('send an error to the callback', done => {
+      const error = new Error('err');
+
+      request.runKeysStream = sandbox.spy(() => {
+        const stream = new Transform({objectMode: true});
+        setImmediate(() => {
+          stream.emit('error', error);
+        });
+        return stream;
+      });
+
+      request.runKeys(query, (err: Error) => {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+  });
+
+  describe('runKeysStream', () => {
+    it('should stream the keys of a keys-only query', done => {
+      const query = new FakeQuery(undefined, ['Kind']).select('name');
+      const keyProto = {path: [{kind: 'Kind', name: 'name', idType: 'name'}]};
+      const keys: entity.Key[] = [];
+
+      sandbox.stub(entity, 'queryToQueryProto').callsFake(query_ => {
+        assert.notStrictEqual(query_, query);
+        assert.deepStrictEqual(query_.selectVal, ['__key__']);
+        return {} as QueryProto;
+      });
+
+      request.request_ = (config: RequestConfig, callback: Function) => {
+        callback(null, {
+          batch: {
+            moreResults: 'NO_MORE_RESULTS',
+            entityResults: [{entity: {key: keyProto}}],
+          },
+        });
+      };
+
+      request
+        .runKeysStream(query)
+        .on('error', done)
+        .on('data', (key: entity.Key) => keys.push(key))
+        .on('end', () => {
+          assert.deepStrictEqual(query.selectVal, ['name']);
+          assert.strictEqual(keys.length, 1);
+          assert(entity.isDsKey(keys[0]));
+          assert.deepStrictEqual(keys[0].path, ['Kind', 'name']);
+          done();
+        });
+    });
+  });
+
   describe('save', () => {
     it('should save with keys', done => {
       const expectedReq = {
@@ -1456,6 +2247,37 @@ describe('Request', () => {
       );
     });
 
+    it('should encode values with the registered converters', done => {
+      class Money {
+        constructor(public amount: string) {}
+      }
+      request.datastore = {
+        converters_: [
+          {
+            test: (value: {}) => value instanceof Money,
+            encode: (money: Money) => ({stringValue: money.amount}),
+          },
+        ],
+      };
+
+      request.request_ = (config: RequestConfig) => {
+        const [mutation] = config.reqOpts!.mutations!;
+        assert.deepStrictEqual(mutation.upsert!.properties, {
+          price: {stringValue: '9.99'},
+          prices: {arrayValue: {values: [{stringValue: '1.00'}]}},
+        });
+        done();
+      };
+
+      request.save(
+        {
+          key,
+          data: {price: new Money('9.99'), prices: [new Money('1.00')]},
+        },
+        assert.ifError
+      );
+    });
+
     it('should allow customization of GAX options', done => {
       const gaxOptions = {};
 
@@ -1474,6 +2296,37 @@ describe('Request', () => {
       );
     });
 
+    it('should fail with the violations of the validate option', done => {
+      request.request_ = () => {
+        done(new Error('Should not have been called.'));
+      };
+
+      let returned = false;
+      request.save(
+        {key, data: {__name__: 'reserved'}},
+        {validate: true},
+        (err: EntityValidationError) => {
+          assert.strictEqual(returned, true);
+          assert(err instanceof EntityValidationError);
+          assert.strictEqual(err.violations.length, 1);
+          assert.strictEqual(err.violations[0].property, '__name__');
+          done();
+        }
+      );
+      returned = true;
+    });
+
+    it('should not send the validate option to the API', done => {
+      const options = {timeout: 1000, validate: true};
+      request.request_ = (config: RequestConfig) => {
+        assert.deepStrictEqual(config.gaxOpts, {timeout: 1000});
+        assert.deepStrictEqual(options, {timeout: 1000, validate: true});
+        done();
+      };
+
+      request.save({key, data: {name: 'valid'}}, options, assert.ifError);
+    });
+
     it('should prepare entity objects', done => {
       const entityObject = {};
       let prepared = false;
@@ -1865,9 +2718,9 @@ describe('Request', () => {
         'metadata.longStringArray[].nestedLongStringArray[].longString',
       ];
 
-      entity.entityToEntityProto = entity => {
+      sandbox.stub(entity, 'entityToEntityProto').callsFake(entity => {
         return (entity as unknown) as EntityProto;
-      };
+      });
       request.request_ = (config: RequestConfig) => {
         assert.strictEqual(
           (config.reqOpts!.mutations![0].upsert! as Entity)
@@ -1923,6 +2776,29 @@ describe('Request', () => {
       );
     });
 
+    it('should exclude large Buffers from indexes with excludeLargeProperties', done => {
+      const data = {
+        blob: Buffer.alloc(1501),
+        smallBlob: Buffer.alloc(10),
+      };
+
+      request.request_ = (config: RequestConfig) => {
+        const properties = config.reqOpts!.mutations![0].upsert!.properties!;
+        assert.strictEqual(properties.blob.excludeFromIndexes, true);
+        assert.strictEqual(properties.smallBlob.excludeFromIndexes, undefined);
+        done();
+      };
+
+      request.save(
+        {
+          key,
+          data,
+          excludeLargeProperties: true,
+        },
+        assert.ifError
+      );
+    });
+
     it('should assign ID on keys without them', done => {
       const incompleteKey = new entity.Key({path: ['Incomplete']});
       const incompleteKey2 = new entity.Key({path: ['Incomplete']});
@@ -1992,6 +2868,283 @@ describe('Request', () => {
         assert.strictEqual(typeof request.requestCallbacks_[0], 'function');
         assert.strictEqual(typeof request.requests_[0], 'object');
       });
+
+      it('should throw if an expected version is provided', () => {
+        assert.throws(() => {
+          request.save({key, expectedVersion: 1, data: {}});
+        }, /An expected version cannot be used on writes within a transaction\./);
+      });
+    });
+
+    describe('expectedVersion', () => {
+      let transaction: Any;
+
+      beforeEach(() => {
+        transaction = {
+          run: (callback: Function) => callback(null),
+          get: async () => [[{key, found: true, version: '5'}]],
+          save: () => {},
+          commit: async () => [{mutationResults: []}],
+          rollback: () => {},
+        };
+        request.datastore = {
+          transaction: () => transaction,
+        };
+      });
+
+      it('should not make a commit request', done => {
+        request.request_ = () => {
+          done(new Error('Should not have made a request.'));
+        };
+        request.save({key, expectedVersion: 5, data: {}}, done);
+      });
+
+      it('should look up the entity with metadata', done => {
+        transaction.get = async (keys: entity.Key[], options: Any) => {
+          assert.strictEqual(keys.length, 1);
+          assert.strictEqual(keys[0], key);
+          assert.deepStrictEqual(options, {withMetadata: true, gaxOptions: {}});
+          return [[{key, found: true, version: '5'}]];
+        };
+        request.save({key, expectedVersion: 5, data: {}}, done);
+      });
+
+      it('should look up all of the entities in one request', done => {
+        const otherKey = new entity.Key({
+          namespace: 'namespace',
+          path: ['Company', 456],
+        });
+        let lookups = 0;
+        transaction.get = async (keys: entity.Key[]) => {
+          lookups++;
+          assert.deepStrictEqual(keys, [key, otherKey]);
+          return [
+            [
+              {
+                key: new entity.Key({
+                  namespace: 'namespace',
+                  path: ['Company', new entity.Int(456)],
+                }),
+                found: false,
+              },
+              {
+                key: new entity.Key({
+                  namespace: 'namespace',
+                  path: ['Company', new entity.Int(123)],
+                }),
+                found: true,
+                version: '5',
+              },
+            ],
+          ];
+        };
+
+        request.save(
+          [
+            {key, expectedVersion: 5, data: {}},
+            {key: otherKey, expectedVersion: 0, data: {}},
+            {key, expectedVersion: 5, data: {}},
+          ],
+          (err: Error) => {
+            assert.ifError(err);
+            assert.strictEqual(lookups, 1);
+            done();
+          }
+        );
+      });
+
+      it('should pass the gaxOptions to the lookups and the commit', done => {
+        const gaxOptions = {timeout: 1000};
+        transaction.get = async (key_: entity.Key, options: Any) => {
+          assert.strictEqual(options.gaxOptions, gaxOptions);
+          return [[{key, found: true, version: '5'}]];
+        };
+        transaction.commit = async (gaxOptions_: {}) => {
+          assert.strictEqual(gaxOptions_, gaxOptions);
+          return [{}];
+        };
+        request.save({key, expectedVersion: 5, data: {}}, gaxOptions, done);
+      });
+
+      it('should save without the expected version and commit', done => {
+        const apiResponse = {mutationResults: [{version: '6'}]};
+        const saved: Entity[] = [];
+        transaction.save = (obj: Entity) => saved.push(obj);
+        transaction.commit = async () => [apiResponse];
+
+        request.save(
+          {key, expectedVersion: '5', data: {name: 'value'}},
+          (err: Error, resp: {}) => {
+            assert.ifError(err);
+            assert.strictEqual(resp, apiResponse);
+            assert.strictEqual(saved.length, 1);
+            assert.strictEqual(saved[0].key, key);
+            assert.deepStrictEqual(saved[0].data, {name: 'value'});
+            assert.strictEqual(saved[0].expectedVersion, undefined);
+            done();
+          }
+        );
+      });
+
+      it('should not look up entities without an expected version', done => {
+        const otherKey = new entity.Key({path: ['Company', 456]});
+        const saved: Entity[] = [];
+        let lookups = 0;
+        transaction.get = async () => {
+          lookups++;
+          return [[{key, found: true, version: '5'}]];
+        };
+        transaction.save = (obj: Entity) => saved.push(obj);
+
+        request.save(
+          [
+            {key, expectedVersion: 5, data: {}},
+            {key: otherKey, data: {}},
+          ],
+          (err: Error) => {
+            assert.ifError(err);
+            assert.strictEqual(lookups, 1);
+            assert.strictEqual(saved.length, 2);
+            done();
+          }
+        );
+      });
+
+      it('should return a ConcurrentModificationError', done => {
+        let committed = false;
+        let rolledBack = false;
+        transaction.commit = async () => {
+          committed = true;
+          return [{}];
+        };
+        transaction.rollback = () => {
+          rolledBack = true;
+        };
+
+        request.save({key, expectedVersion: 4, data: {}}, (err: Any) => {
+          assert.strictEqual(err.name, 'ConcurrentModificationError');
+          assert.strictEqual(
+            err.message,
+            'Entity was modified concurrently. Expected version 4, found 5.'
+          );
+          assert.strictEqual(err.key, key);
+          assert.strictEqual(err.expectedVersion, '4');
+          assert.strictEqual(err.actualVersion, '5');
+          assert.strictEqual(committed, false);
+          assert.strictEqual(rolledBack, true);
+          done();
+        });
+      });
+
+      it('should treat a missing entity as version 0', done => {
+        transaction.get = async () => [[{key, found: false, version: '9'}]];
+
+        request.save({key, expectedVersion: 0, data: {}}, (err: Error) => {
+          assert.ifError(err);
+
+          request.save({key, expectedVersion: 9, data: {}}, (err: Any) => {
+            assert.strictEqual(err.name, 'ConcurrentModificationError');
+            assert.strictEqual(err.actualVersion, '0');
+            done();
+          });
+        });
+      });
+
+      it('should return an error for incomplete keys', done => {
+        const incompleteKey = new entity.Key({path: ['Company']});
+
+        request.save(
+          {key: incompleteKey, expectedVersion: 1, data: {}},
+          (err: Error) => {
+            assert.strictEqual(
+              err.message,
+              'Only complete keys can be written with an expected version.'
+            );
+            done();
+          }
+        );
+      });
+
+      it('should not roll back a failed commit', done => {
+        const error = new Error('Error.');
+        let rolledBack = false;
+        transaction.commit = async () => {
+          throw error;
+        };
+        transaction.rollback = () => {
+          rolledBack = true;
+        };
+
+        request.save({key, expectedVersion: 5, data: {}}, (err: Error) => {
+          assert.strictEqual(err, error);
+          assert.strictEqual(rolledBack, false);
+          done();
+        });
+      });
+
+      it('should return an error from run without a rollback', done => {
+        const error = new Error('Error.');
+        let rolledBack = false;
+        transaction.run = (callback: Function) => callback(error);
+        transaction.rollback = () => {
+          rolledBack = true;
+        };
+
+        request.save({key, expectedVersion: 5, data: {}}, (err: Error) => {
+          assert.strictEqual(err, error);
+          assert.strictEqual(rolledBack, false);
+          done();
+        });
+      });
+
+      it('should ignore an error from the rollback', done => {
+        transaction.rollback = (callback: Function) => {
+          assert.strictEqual(typeof callback, 'function');
+          callback(new Error('Rollback failed.'));
+        };
+
+        request.save({key, expectedVersion: 4, data: {}}, (err: Any) => {
+          assert.strictEqual(err.name, 'ConcurrentModificationError');
+          done();
+        });
+      });
+
+      it('should be honored by update', done => {
+        request.update({key, expectedVersion: 4, data: {}}, (err: Any) => {
+          assert.strictEqual(err.name, 'ConcurrentModificationError');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('validate', () => {
+    it('should return no violations for valid entities', () => {
+      assert.deepStrictEqual(
+        request.validate({key, data: {name: 'valid'}}),
+        []
+      );
+    });
+
+    it('should validate entities as they are saved', () => {
+      const longString = Buffer.alloc(1501, '.').toString();
+      const violations = request.validate([
+        {key, data: {name: longString}},
+        {key, data: {name: longString}, excludeFromIndexes: ['name']},
+        {key, data: {name: longString}, excludeLargeProperties: true},
+      ]);
+
+      assert.strictEqual(violations.length, 1);
+      assert.strictEqual(violations[0].key, key);
+      assert.strictEqual(violations[0].property, 'name');
+    });
+
+    it('should accept entity objects', () => {
+      const entityObject = {__key__: 'reserved', [entity.KEY_SYMBOL]: key};
+      const violations = request.validate(entityObject);
+
+      assert.strictEqual(violations.length, 1);
+      assert.strictEqual(violations[0].property, '__key__');
     });
   });
 
@@ -2148,6 +3301,42 @@ describe('Request', () => {
       request.merge({key, data: updatedEntityObject}, done);
     });
 
+    it('should get entities with their types and metadata preserved', done => {
+      transaction.get = async (key_: {}, options: {}) => {
+        assert.deepStrictEqual(key_, key);
+        assert.deepStrictEqual(options, {
+          preserveMetadata: true,
+          preserveTypes: true,
+        });
+        return [entityObject] as GetResponse;
+      };
+
+      request.merge({key, data: {}}, done);
+    });
+
+    it('should only keep the metadata of unchanged properties', done => {
+      transaction.get = async () => {
+        const storedEntity = Object.assign({}, entityObject, {
+          [entity.METADATA_SYMBOL]: {
+            name: {excludeFromIndexes: true},
+            status: {excludeFromIndexes: true},
+          },
+        });
+        return [storedEntity] as GetResponse;
+      };
+
+      transaction.save = (modifiedData: PrepareEntityObjectResponse) => {
+        assert.deepStrictEqual(
+          (modifiedData.data as Any)[entity.METADATA_SYMBOL],
+          {
+            name: {excludeFromIndexes: true},
+          }
+        );
+      };
+
+      request.merge({key, data: {status: 'merged'}}, done);
+    });
+
     it('should return merge objects for entities', done => {
       const updatedEntityObject = [
         {
@@ -2338,6 +3527,78 @@ describe('Request', () => {
       request.request_(CONFIG, assert.ifError);
     });
 
+    describe('databaseId', () => {
+      const DATABASE_ID = 'database-id';
+
+      beforeEach(() => {
+        request.datastore.databaseId = DATABASE_ID;
+      });
+
+      it('should set the database ID', done => {
+        request.datastore.clients_ = new Map();
+        request.datastore.clients_.set(CONFIG.client, {
+          [CONFIG.method](reqOpts: RequestOptions) {
+            assert.strictEqual(reqOpts.databaseId, DATABASE_ID);
+            assert.strictEqual(reqOpts.partitionId, undefined);
+            done();
+          },
+        });
+
+        request.request_(CONFIG, assert.ifError);
+      });
+
+      it('should not override a database ID in the request', done => {
+        request.datastore.clients_ = new Map();
+        request.datastore.clients_.set(CONFIG.client, {
+          [CONFIG.method](reqOpts: RequestOptions) {
+            assert.strictEqual(reqOpts.databaseId, 'other-database-id');
+            done();
+          },
+        });
+
+        const config = extend(true, {}, CONFIG, {
+          reqOpts: {databaseId: 'other-database-id'},
+        });
+        request.request_(config, assert.ifError);
+      });
+
+      ['runQuery', 'runAggregationQuery'].forEach(method => {
+        it(`should set the database ID of the ${method} partition`, done => {
+          request.datastore.clients_ = new Map();
+          request.datastore.clients_.set(CONFIG.client, {
+            [method](reqOpts: RequestOptions) {
+              assert.deepStrictEqual(reqOpts.partitionId, {
+                namespaceId: 'namespace',
+                databaseId: DATABASE_ID,
+              });
+              done();
+            },
+          });
+
+          const config = extend(true, {}, CONFIG, {
+            method,
+            reqOpts: {partitionId: {namespaceId: 'namespace'}},
+          });
+          request.request_(config, assert.ifError);
+        });
+      });
+
+      it('should add the database to google-cloud-resource-prefix', done => {
+        request.datastore.clients_ = new Map();
+        request.datastore.clients_.set(CONFIG.client, {
+          // tslint:disable-next-line no-any
+          [CONFIG.method](_: object, gaxO: any) {
+            assert.deepStrictEqual(gaxO.headers, {
+              'google-cloud-resource-prefix': `projects/${PROJECT_ID}/databases/${DATABASE_ID}`,
+            });
+            done();
+          },
+        });
+
+        request.request_(CONFIG, assert.ifError);
+      });
+    });
+
     describe('commit', () => {
       it('should set the mode', done => {
         request.datastore.clients_ = new Map();
@@ -2430,6 +3691,25 @@ describe('Request', () => {
         request.request_(config, assert.ifError);
       });
 
+      it('should set the runAggregationQuery transaction info', done => {
+        const config = extend(true, {}, CONFIG, {
+          method: 'runAggregationQuery',
+        });
+
+        request.datastore.clients_ = new Map();
+        request.datastore.clients_.set(CONFIG.client, {
+          runAggregationQuery(reqOpts: RequestOptions) {
+            assert.strictEqual(
+              reqOpts.readOptions!.transaction,
+              TRANSACTION_ID
+            );
+            done();
+          },
+        });
+
+        request.request_(config, assert.ifError);
+      });
+
       it('should throw if read consistency is specified', () => {
         const config = extend(true, {}, CONFIG, {
           method: 'runQuery',
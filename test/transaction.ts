@@ -20,14 +20,14 @@ import * as proxyquire from 'proxyquire';
 import * as sinon from 'sinon';
 
 // import {google} from '../proto/datastore';
-import {Datastore, Query, TransactionOptions} from '../src';
+import {Datastore, GqlQuery, Query, TransactionOptions} from '../src';
 import {Entity} from '../src/entity';
 import {CommitResponse, DatastoreRequest} from '../src/request';
 import * as tsTypes from '../src/transaction';
 
 // tslint:disable-next-line no-any
 type Any = any;
-type Path = string | [string] | [string, number];
+type Path = string | [string] | [string, number | bigint];
 
 const {entity} = require('../src/entity');
 
@@ -38,7 +38,12 @@ const fakePfy = Object.assign({}, pfy, {
       return;
     }
     promisified = true;
-    assert.deepStrictEqual(options.exclude, ['createQuery', 'delete', 'save']);
+    assert.deepStrictEqual(options.exclude, [
+      'createQuery',
+      'createGqlQuery',
+      'delete',
+      'save',
+    ]);
   },
 });
 
@@ -292,6 +297,34 @@ describe('Transaction', () => {
       assert.strictEqual(saveCalled, 1);
     });
 
+    it('should honor ordering of mutations on bigint IDs', () => {
+      transaction.delete(key(['Account', BigInt('9007199254740993')]));
+      transaction.save({
+        key: key(['Account', BigInt('9007199254740993')]),
+        data: '',
+      });
+      transaction.delete(key(['Account', BigInt('9007199254740995')]));
+
+      const deleted: Any[] = [];
+      DatastoreRequestOverride.delete = ((keys: Any[]) => {
+        deleted.push(...keys);
+      }) as Any;
+
+      let saved: Entity[] = [];
+      DatastoreRequestOverride.save = ((entities: Entity[]) => {
+        saved = entities;
+      }) as Any;
+
+      transaction.request_ = () => {};
+
+      transaction.commit();
+      assert.strictEqual(saved.length, 1);
+      assert.deepStrictEqual(
+        deleted.map(key => key.id),
+        ['9007199254740995']
+      );
+    });
+
     it('should not squash key-incomplete mutations', done => {
       transaction.save({key: key(['Product']), data: ''});
       transaction.save({key: key(['Product']), data: ''});
@@ -367,6 +400,22 @@ describe('Transaction', () => {
     });
   });
 
+  describe('createGqlQuery', () => {
+    it('should return query from datastore.createGqlQuery', () => {
+      const options = {namedBindings: {done: false}};
+      const createGqlQueryReturnValue = {};
+
+      transaction.datastore.createGqlQuery = function(...args: Any) {
+        assert.strictEqual(this, transaction);
+        assert.deepStrictEqual(args, ['SELECT * FROM Kind', options]);
+        return createGqlQueryReturnValue as GqlQuery;
+      };
+
+      const query = transaction.createGqlQuery('SELECT * FROM Kind', options);
+      assert.strictEqual(query, createGqlQueryReturnValue);
+    });
+  });
+
   describe('delete', () => {
     it('should push entities into a queue', () => {
       const keys = [key('Product123'), key('Product234'), key('Product345')];
@@ -0,0 +1,187 @@
+// Copyright 2020 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import * as assert from 'assert';
+import {describe, it} from 'mocha';
+import {entity, EntityProto} from '../src/entity';
+import {
+  EntityValidationError,
+  entitySize,
+  validateEntityProtos,
+} from '../src/validate';
+
+describe('validate', () => {
+  const KEY = new entity.Key({path: ['Company', 'Google']});
+  const LONG_STRING = Buffer.alloc(1501, '.').toString();
+
+  function encode(data: {}, excludeFromIndexes: string[] = []): EntityProto {
+    const entityProto = entity.entityToEntityProto({data, excludeFromIndexes});
+    entityProto.key = entity.keyToKeyProto(KEY);
+    return entityProto;
+  }
+
+  describe('validateEntityProtos', () => {
+    it('should return no violations for valid entities', () => {
+      const entityProto = encode({
+        name: 'Google',
+        founded: new Date(),
+        tags: ['search', 'ads'],
+        address: {city: 'Mountain View'},
+      });
+
+      assert.deepStrictEqual(validateEntityProtos([entityProto], [KEY]), []);
+    });
+
+    it('should report large indexed strings and Buffers', () => {
+      const entityProto = encode({
+        description: LONG_STRING,
+        logo: Buffer.alloc(1501),
+        tags: ['short', LONG_STRING],
+        address: {notes: LONG_STRING},
+      });
+
+      const violations = validateEntityProtos([entityProto], [KEY]);
+      assert.deepStrictEqual(
+        violations.map(violation => violation.property),
+        ['description', 'logo', 'tags[1]', 'address.notes']
+      );
+      violations.forEach(violation => {
+        assert.strictEqual(violation.key, KEY);
+        assert.strictEqual(
+          violation.message,
+          'The value is 1501 bytes, more than the maximum of 1500 bytes for an indexed value.'
+        );
+      });
+    });
+
+    it('should count the bytes of strings in UTF-8', () => {
+      const entityProto = encode({name: 'é'.repeat(751)});
+      const violations = validateEntityProtos([entityProto], [KEY]);
+      assert.strictEqual(violations.length, 1);
+      assert.strictEqual(violations[0].property, 'name');
+    });
+
+    it('should ignore large values that are excluded from indexes', () => {
+      const entityProto = encode(
+        {
+          description: LONG_STRING,
+          tags: [LONG_STRING],
+          address: {notes: LONG_STRING},
+        },
+        ['description', 'tags[]', 'address']
+      );
+
+      assert.deepStrictEqual(validateEntityProtos([entityProto], [KEY]), []);
+    });
+
+    it('should report reserved property names', () => {
+      const entityProto = encode({__key__: 1, address: {__name__: 'x'}});
+      const violations = validateEntityProtos([entityProto], [KEY]);
+
+      assert.deepStrictEqual(violations, [
+        {
+          key: KEY,
+          property: '__key__',
+          message: 'The property name "__key__" is reserved.',
+        },
+        {
+          key: KEY,
+          property: 'address.__name__',
+          message: 'The property name "__name__" is reserved.',
+        },
+      ]);
+    });
+
+    it('should report large entities', () => {
+      const entityProto = encode({blob: Buffer.alloc(1048576)}, ['blob']);
+      const violations = validateEntityProtos([entityProto], [KEY]);
+
+      assert.strictEqual(violations.length, 1);
+      assert.strictEqual(violations[0].property, undefined);
+      assert(/^The entity is \d+ bytes/.test(violations[0].message));
+    });
+
+    it('should report too many index entries', () => {
+      const values = new Array(20001).fill(1);
+      const violations = validateEntityProtos([encode({values})], [KEY]);
+
+      assert.strictEqual(violations.length, 1);
+      assert.strictEqual(
+        violations[0].message,
+        'The entity has 20001 index entries, more than the maximum of 20000.'
+      );
+    });
+
+    it('should report deep key paths', () => {
+      const path = [];
+      for (let i = 0; i < 101; i++) {
+        path.push('Kind', `name${i}`);
+      }
+      const key = new entity.Key({path});
+      const entityProto = encode({});
+      entityProto.key = entity.keyToKeyProto(key);
+
+      const violations = validateEntityProtos([entityProto], [key]);
+      assert.deepStrictEqual(violations, [
+        {
+          key,
+          property: undefined,
+          message:
+            'The key path has 101 elements, more than the maximum of 100.',
+        },
+      ]);
+    });
+
+    it('should report too many mutations', () => {
+      const entityProtos = new Array(501).fill(encode({}));
+      const keys = new Array(501).fill(KEY);
+
+      const violations = validateEntityProtos(entityProtos, keys);
+      assert.deepStrictEqual(violations, [
+        {message: 'A commit can contain at most 500 mutations, found 501.'},
+      ]);
+    });
+  });
+
+  describe('entitySize', () => {
+    it('should compute the size of the encoded entity', () => {
+      // The sizes are those of `google.datastore.v1.Entity.encode()`.
+      assert.strictEqual(entitySize({}), 0);
+      assert.strictEqual(entitySize(encode({})), 21);
+      assert.strictEqual(entitySize(encode({name: 'Google'})), 40);
+      assert.strictEqual(entitySize(encode({ids: [1, -1]}, ['ids[]'])), 55);
+    });
+  });
+
+  describe('EntityValidationError', () => {
+    it('should describe every violation', () => {
+      const violations = [
+        {message: 'A commit can contain at most 500 mutations, found 501.'},
+        {key: KEY, property: 'name', message: 'The value is too large.'},
+      ];
+      const error = new EntityValidationError(violations);
+
+      assert.strictEqual(error.name, 'EntityValidationError');
+      assert.strictEqual(error.violations, violations);
+      assert.strictEqual(
+        error.message,
+        [
+          'Entities exceed the limits of Datastore:',
+          '  A commit can contain at most 500 mutations, found 501.',
+          '  Company/Google name: The value is too large.',
+        ].join('\n')
+      );
+    });
+  });
+});